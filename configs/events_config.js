@@ -0,0 +1,25 @@
+// events_config.js
+const NotificationEventsService = require("../services/notification_events_service");
+const RealtimeEventsService = require("../services/realtime_events_service");
+const AuctionRealtimeService = require("../services/auction_realtime_service");
+const AuctionSettlementService = require("../services/auction_settlement_service");
+const BuyerInvoiceService = require("../services/buyer_invoice_service");
+const AuctionRegistrationService = require("../services/auction_registration_service");
+const AuctionEventService = require("../services/auction_event_service");
+const AuctionFraudService = require("../services/auction_fraud_service");
+
+/**
+ * Register domain event subscribers and realtime handlers
+ */
+const initEvents = () => {
+  NotificationEventsService.register();
+  RealtimeEventsService.register();
+  AuctionRealtimeService.register();
+  AuctionSettlementService.register();
+  BuyerInvoiceService.register();
+  AuctionRegistrationService.registerSubscribers();
+  AuctionEventService.register();
+  AuctionFraudService.register();
+};
+
+module.exports = initEvents;
@@ -0,0 +1,104 @@
+// jobs_config.js
+const { registerJob, startJobs } = require("../utils/scheduler_util");
+const NotificationDispatchService = require("../services/notification_dispatch_service");
+const AuctionService = require("../services/auction_service");
+const AuctionPaymentDeadlineService = require("../services/auction_payment_deadline_service");
+const AuctionSettlementService = require("../services/auction_settlement_service");
+const AuctionRegistrationService = require("../services/auction_registration_service");
+const DisputeCaseService = require("../services/dispute_case_service");
+const BuyerInvoiceService = require("../services/buyer_invoice_service");
+const AuctionWatchService = require("../services/auction_watch_service");
+const LoanAccrualService = require("../services/loan_accrual_service");
+const LoanDelinquencyService = require("../services/loan_delinquency_service");
+const PaymentAllocationService = require("../services/payment_allocation_service");
+
+/**
+ * Register and start background jobs.
+ * Set DISABLE_JOBS=true to run an API-only instance.
+ */
+const initJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") {
+    console.log("⏸️  Background jobs disabled (DISABLE_JOBS=true)");
+    return;
+  }
+
+  registerJob({
+    name: "notification_dispatch",
+    intervalMs: parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 30 * 1000,
+    handler: () => NotificationDispatchService.runDispatchCycle(),
+  });
+
+  // Opens drafts at starts_at and closes live auctions at ends_at
+  registerJob({
+    name: "auction_lifecycle",
+    intervalMs: parseInt(process.env.AUCTION_LIFECYCLE_INTERVAL_MS) || 15 * 1000,
+    handler: () => AuctionService.runLifecycle(),
+  });
+
+  // Alerts watchers as their auctions approach the close
+  registerJob({
+    name: "auction_ending_soon",
+    intervalMs: parseInt(process.env.AUCTION_ENDING_SOON_INTERVAL_MS) || 60 * 1000,
+    handler: () => AuctionWatchService.sendEndingSoonAlerts(),
+  });
+
+  // Reminds unpaid winners and forfeits them when the payment window ends
+  registerJob({
+    name: "auction_payment_deadlines",
+    intervalMs: parseInt(process.env.AUCTION_PAYMENT_DEADLINE_INTERVAL_MS) || 60 * 1000,
+    handler: () => AuctionPaymentDeadlineService.runDeadlineCycle(),
+  });
+
+  // Settles paid auctions whose payment event was missed or failed to settle
+  registerJob({
+    name: "auction_settlements",
+    intervalMs: parseInt(process.env.AUCTION_SETTLEMENT_INTERVAL_MS) || 5 * 60 * 1000,
+    handler: () => AuctionSettlementService.settlePendingAuctions(),
+  });
+
+  // Queues refunds of registration deposits held on closed or cancelled auctions
+  registerJob({
+    name: "auction_deposit_refunds",
+    intervalMs: parseInt(process.env.AUCTION_DEPOSIT_REFUND_INTERVAL_MS) || 5 * 60 * 1000,
+    handler: () => AuctionRegistrationService.runRefundCycle(),
+  });
+
+  // Escalates dispute cases that missed their response or resolution SLA
+  registerJob({
+    name: "dispute_sla",
+    intervalMs: parseInt(process.env.DISPUTE_SLA_INTERVAL_MS) || 5 * 60 * 1000,
+    handler: () => DisputeCaseService.checkSlaBreaches(),
+  });
+
+  // Charges daily storage on paid lots left past their collection deadline
+  registerJob({
+    name: "buyer_storage_fees",
+    intervalMs: parseInt(process.env.BUYER_STORAGE_FEE_INTERVAL_MS) || 60 * 60 * 1000,
+    handler: () => BuyerInvoiceService.chargeStorageFees(),
+  });
+
+  // Accrues interest, storage and late penalties on loans for each completed day
+  registerJob({
+    name: "loan_accrual",
+    intervalMs: parseInt(process.env.LOAN_ACCRUAL_INTERVAL_MS) || 60 * 60 * 1000,
+    handler: () => LoanAccrualService.runAccrualCycle(),
+  });
+
+  // Moves loans past their due date to overdue, then grace, then auction
+  registerJob({
+    name: "loan_delinquency",
+    intervalMs: parseInt(process.env.LOAN_DELINQUENCY_INTERVAL_MS) || 60 * 60 * 1000,
+    handler: () => LoanDelinquencyService.runDelinquencyCycle(),
+  });
+
+  // Posts allocated loan payments whose ledger posting failed
+  registerJob({
+    name: "payment_ledger",
+    intervalMs: parseInt(process.env.PAYMENT_LEDGER_INTERVAL_MS) || 5 * 60 * 1000,
+    handler: () => PaymentAllocationService.postPendingPayments(),
+  });
+
+  startJobs();
+};
+
+module.exports = initJobs;
@@ -0,0 +1,190 @@
+// socket_config.js
+const { Server } = require("socket.io");
+const { authenticateToken } = require("../middlewares/auth_middleware");
+
+/**
+ * Socket.IO setup
+ *
+ * Every connection is authenticated with the same JWT as the REST API
+ * (handshake `auth.token`, `Authorization: Bearer` header or `?token=`).
+ * Sockets join:
+ *  - `user:<userId>`  personal room (notifications, bid updates)
+ *  - `role:<role>`    one room per role the user holds
+ *  - `dashboard`      staff only, after emitting `dashboard:subscribe`
+ */
+const STAFF_ROLES = [
+  "super_admin_vendor",
+  "admin_pawn_limited",
+  "call_centre_support",
+  "loan_officer_processor",
+  "loan_officer_approval",
+  "management",
+];
+
+let io = null;
+const connectionHandlers = [];
+
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (role) => `role:${role}`;
+const DASHBOARD_ROOM = "dashboard";
+
+const isStaff = (user) =>
+  (user.roles || []).some((role) => STAFF_ROLES.includes(role));
+
+/**
+ * Extract the JWT from a socket handshake
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return String(handshake.auth.token).replace("Bearer ", "").trim();
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.replace("Bearer ", "").trim();
+  }
+
+  if (handshake.query && handshake.query.token) {
+    return String(handshake.query.token);
+  }
+
+  return null;
+};
+
+/**
+ * Register an extra connection handler (feature modules hook in here)
+ * handler(socket, io) is called for every authenticated connection
+ */
+const onConnection = (handler) => {
+  connectionHandlers.push(handler);
+};
+
+/**
+ * Create the Socket.IO server on top of the HTTP server
+ */
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.SOCKET_CORS_ORIGIN
+        ? process.env.SOCKET_CORS_ORIGIN.split(",")
+        : "*",
+    },
+  });
+
+  // Authenticate the handshake
+  io.use(async (socket, next) => {
+    try {
+      const result = await authenticateToken(getHandshakeToken(socket.handshake));
+
+      if (!result.success) {
+        return next(new Error(result.message));
+      }
+
+      socket.user = result.user;
+      next();
+    } catch (error) {
+      console.error("Socket auth error:", error);
+      next(new Error("Authentication failed."));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    const user = socket.user;
+
+    socket.join(userRoom(user._id));
+    (user.roles || []).forEach((role) => socket.join(roleRoom(role)));
+
+    socket.emit("connected", {
+      user_id: user._id,
+      roles: user.roles,
+    });
+
+    socket.on("dashboard:subscribe", async (ack) => {
+      if (!isStaff(user)) {
+        if (typeof ack === "function") {
+          ack({ success: false, message: "Dashboard is available to staff only" });
+        }
+        return;
+      }
+
+      socket.join(DASHBOARD_ROOM);
+
+      if (typeof ack === "function") {
+        try {
+          // Lazy require avoids a cycle with the dashboard service
+          const DashboardService = require("../services/dashboard_service");
+          const result = await DashboardService.getCounters();
+          ack(result);
+        } catch (error) {
+          console.error("Dashboard snapshot error:", error);
+          ack({ success: false, message: "Failed to load dashboard counters" });
+        }
+      }
+    });
+
+    socket.on("dashboard:unsubscribe", () => {
+      socket.leave(DASHBOARD_ROOM);
+    });
+
+    connectionHandlers.forEach((handler) => {
+      try {
+        handler(socket, io);
+      } catch (error) {
+        console.error("Socket connection handler error:", error);
+      }
+    });
+  });
+
+  console.log("🔌 Socket.IO initialised");
+  return io;
+};
+
+/**
+ * Socket.IO instance (null when sockets are not initialised,
+ * e.g. scripts or job-only processes)
+ */
+const getIO = () => io;
+
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+const emitToRoles = (roles, event, payload) => {
+  if (!io || !roles || roles.length === 0) return;
+  io.to(roles.map(roleRoom)).emit(event, payload);
+};
+
+const emitToAll = (event, payload) => {
+  if (!io) return;
+  io.emit(event, payload);
+};
+
+const emitToRoom = (room, event, payload) => {
+  if (!io) return;
+  io.to(room).emit(event, payload);
+};
+
+/**
+ * Number of sockets in a room on this instance
+ */
+const roomSize = (room) => {
+  if (!io) return 0;
+  const members = io.sockets.adapter.rooms.get(room);
+  return members ? members.size : 0;
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  onConnection,
+  emitToUser,
+  emitToRoles,
+  emitToAll,
+  emitToRoom,
+  roomSize,
+  userRoom,
+  roleRoom,
+  DASHBOARD_ROOM,
+  STAFF_ROLES,
+};
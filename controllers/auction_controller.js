@@ -17,6 +17,11 @@ class AuctionController {
         auction_type,
         starts_at,
         ends_at,
+        soft_close,
+        increment_tiers,
+        payment_window_hours,
+        registration,
+        sealed,
       } = req.body;
 
       // Validate required fields
@@ -36,6 +41,11 @@ class AuctionController {
           auction_type: auction_type || "online",
           starts_at: new Date(starts_at),
           ends_at: new Date(ends_at),
+          soft_close,
+          increment_tiers,
+          payment_window_hours,
+          registration,
+          sealed,
         },
         req.user
       );
@@ -181,6 +191,32 @@ class AuctionController {
     }
   }
 
+  /**
+   * Replace the selling costs of an auction
+   */
+  static async updateAuctionCosts(req, res) {
+    try {
+      const result = await AuctionService.updateAuctionCosts(
+        req.params.id,
+        req.body.costs,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Update auction costs controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
   /**
    * Update auction status
    */
@@ -234,6 +270,38 @@ class AuctionController {
     }
   }
 
+  /**
+   * Re-list an unsold auction as a new draft
+   */
+  static async relistAuction(req, res) {
+    try {
+      const { id } = req.params;
+      const relistData = { ...req.body };
+
+      if (relistData.starting_bid_amount !== undefined) {
+        relistData.starting_bid_amount = parseFloat(relistData.starting_bid_amount);
+      }
+      if (relistData.reserve_price) {
+        relistData.reserve_price = parseFloat(relistData.reserve_price);
+      }
+
+      const result = await AuctionService.relistAuction(id, relistData, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Relist auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
   /**
    * Place a bid
    */
@@ -308,6 +376,114 @@ class AuctionController {
     }
   }
 
+  /**
+   * Get live bidding state of an auction
+   */
+  static async getAuctionLiveState(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await AuctionService.getLiveState(id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction live state controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Set or raise the caller's maximum (proxy) bid
+   */
+  static async setProxyBid(req, res) {
+    try {
+      const { id } = req.params;
+      const { max_amount } = req.body;
+
+      if (!max_amount || isNaN(parseFloat(max_amount))) {
+        return res.status(400).json({
+          success: false,
+          message: "Valid maximum bid amount is required",
+        });
+      }
+
+      const result = await AuctionService.setProxyBid(
+        id,
+        parseFloat(max_amount),
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Set proxy bid controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get the caller's maximum (proxy) bid
+   */
+  static async getProxyBid(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await AuctionService.getProxyBid(id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get proxy bid controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Cancel the caller's maximum (proxy) bid
+   */
+  static async cancelProxyBid(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await AuctionService.cancelProxyBid(id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Cancel proxy bid controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
   /**
    * Get live auctions
    */
@@ -408,7 +584,8 @@ class AuctionController {
 
       const result = await AuctionService.getUserBiddingHistory(
         userId,
-        filters
+        filters,
+        req.user
       );
 
       if (!result.success) {
@@ -0,0 +1,211 @@
+const AuctionEventService = require("../services/auction_event_service");
+
+/**
+ * Auction Event Controller
+ * Handles HTTP requests and responses
+ */
+class AuctionEventController {
+  /**
+   * Create an auction event
+   */
+  static async createEvent(req, res) {
+    try {
+      const result = await AuctionEventService.createEvent(req.body, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Create auction event controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List auction events
+   */
+  static async getEvents(req, res) {
+    try {
+      const result = await AuctionEventService.getEvents(req.query, req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction events controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get an auction event with its lots
+   */
+  static async getEvent(req, res) {
+    try {
+      const result = await AuctionEventService.getEventById(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction event controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Update an auction event
+   */
+  static async updateEvent(req, res) {
+    try {
+      const result = await AuctionEventService.updateEvent(req.params.id, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Update auction event controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Publish or cancel an auction event
+   */
+  static async updateEventStatus(req, res) {
+    try {
+      const result = await AuctionEventService.updateEventStatus(
+        req.params.id,
+        req.body.status,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Update auction event status controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Add lots to an auction event
+   */
+  static async addLots(req, res) {
+    try {
+      const result = await AuctionEventService.addLots(req.params.id, req.body.lots, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Add lots controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Remove a draft lot from an auction event
+   */
+  static async removeLot(req, res) {
+    try {
+      const result = await AuctionEventService.removeLot(
+        req.params.id,
+        req.params.auctionId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Remove lot controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Public lot catalogue of an auction event
+   */
+  static async getCatalogue(req, res) {
+    try {
+      const result = await AuctionEventService.getCatalogue(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get event catalogue controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Sell-through and proceeds report of an auction event
+   */
+  static async getEventReport(req, res) {
+    try {
+      const result = await AuctionEventService.getEventReport(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get event report controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionEventController;
@@ -0,0 +1,207 @@
+const AuctionFloorService = require("../services/auction_floor_service");
+
+/**
+ * Auction Floor Controller
+ * Handles HTTP requests and responses for the clerk console
+ */
+class AuctionFloorController {
+  /**
+   * Issue a paddle for an in-person auction (or its event)
+   */
+  static async registerPaddle(req, res) {
+    try {
+      const result = await AuctionFloorService.registerPaddle(
+        { auctionId: req.params.id },
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Register paddle controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Issue a paddle for an in-person auction event
+   */
+  static async registerEventPaddle(req, res) {
+    try {
+      const result = await AuctionFloorService.registerPaddle(
+        { eventId: req.params.id },
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Register event paddle controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List the paddles of an auction's sale
+   */
+  static async getPaddles(req, res) {
+    try {
+      const result = await AuctionFloorService.getPaddles(
+        { auctionId: req.params.id },
+        req.query
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get paddles controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List the paddles of an auction event
+   */
+  static async getEventPaddles(req, res) {
+    try {
+      const result = await AuctionFloorService.getPaddles(
+        { eventId: req.params.id },
+        req.query
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get event paddles controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Revoke a paddle
+   */
+  static async revokePaddle(req, res) {
+    try {
+      const result = await AuctionFloorService.revokePaddle(req.params.paddleId, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Revoke paddle controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Record a bid called on the floor
+   */
+  static async recordFloorBid(req, res) {
+    try {
+      const result = await AuctionFloorService.recordFloorBid(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Record floor bid controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Record the hammer result of a lot
+   */
+  static async hammerLot(req, res) {
+    try {
+      const result = await AuctionFloorService.hammerLot(req.params.id, req.body, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Hammer lot controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Record payment taken at the sale
+   */
+  static async recordFloorPayment(req, res) {
+    try {
+      const result = await AuctionFloorService.recordFloorPayment(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Record floor payment controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionFloorController;
@@ -0,0 +1,93 @@
+const AuctionFraudService = require("../services/auction_fraud_service");
+
+/**
+ * Auction Fraud Controller
+ * Handles HTTP requests and responses for fraud review
+ */
+class AuctionFraudController {
+  /**
+   * Review queue of fraud flags
+   */
+  static async getFlags(req, res) {
+    try {
+      const result = await AuctionFraudService.getFlags(req.query);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get fraud flags controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Fraud flags of one auction
+   */
+  static async getAuctionFlags(req, res) {
+    try {
+      const result = await AuctionFraudService.getAuctionFlags(req.params.id, req.query);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction fraud flags controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Re-run the fraud rules over an auction
+   */
+  static async scanAuction(req, res) {
+    try {
+      const result = await AuctionFraudService.scanAuction(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Scan auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Clear or confirm a fraud flag
+   */
+  static async reviewFlag(req, res) {
+    try {
+      const result = await AuctionFraudService.reviewFlag(
+        req.params.flagId,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Review fraud flag controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionFraudController;
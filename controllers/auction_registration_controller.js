@@ -0,0 +1,125 @@
+const AuctionRegistrationService = require("../services/auction_registration_service");
+
+/**
+ * Auction Registration Controller
+ * Handles HTTP requests and responses
+ */
+class AuctionRegistrationController {
+  /**
+   * Register the current user for an auction
+   */
+  static async register(req, res) {
+    try {
+      const result = await AuctionRegistrationService.register(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Register for auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get the current user's registration for an auction
+   */
+  static async getMyRegistration(req, res) {
+    try {
+      const result = await AuctionRegistrationService.getMyRegistration(
+        req.params.id,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get my registration controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Withdraw the current user's registration
+   */
+  static async withdraw(req, res) {
+    try {
+      const result = await AuctionRegistrationService.withdraw(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Withdraw registration controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Start the registration deposit payment
+   */
+  static async payDeposit(req, res) {
+    try {
+      const result = await AuctionRegistrationService.payDeposit(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Pay deposit controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get registrations for an auction
+   */
+  static async getAuctionRegistrations(req, res) {
+    try {
+      const result = await AuctionRegistrationService.getAuctionRegistrations(
+        req.params.id,
+        req.query
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction registrations controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionRegistrationController;
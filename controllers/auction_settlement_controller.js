@@ -0,0 +1,123 @@
+const AuctionSettlementService = require("../services/auction_settlement_service");
+
+/**
+ * Auction Settlement Controller
+ * Handles HTTP requests and responses
+ */
+class AuctionSettlementController {
+  /**
+   * Settle a paid auction, or retry a failed settlement
+   */
+  static async settleAuction(req, res) {
+    try {
+      const result = await AuctionSettlementService.settleAuction(req.params.id, {
+        user: req.user,
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Settle auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get the settlement statement of an auction
+   */
+  static async getAuctionSettlement(req, res) {
+    try {
+      const result = await AuctionSettlementService.getAuctionSettlement(
+        req.params.id,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction settlement controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List settlements
+   */
+  static async getSettlements(req, res) {
+    try {
+      const result = await AuctionSettlementService.getSettlements(req.query, req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get settlements controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List the current user's settlement statements
+   */
+  static async getMySettlements(req, res) {
+    try {
+      const result = await AuctionSettlementService.getSettlements(
+        req.query,
+        req.user,
+        true
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get my settlements controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Record that the borrower's surplus was paid out
+   */
+  static async markSurplusPaid(req, res) {
+    try {
+      const result = await AuctionSettlementService.markSurplusPaid(
+        req.params.settlementId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Mark surplus paid controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionSettlementController;
@@ -0,0 +1,75 @@
+const AuctionWatchService = require("../services/auction_watch_service");
+
+/**
+ * Auction Watch Controller
+ * Handles HTTP requests and responses
+ */
+class AuctionWatchController {
+  /**
+   * Add an auction to the current user's watchlist
+   */
+  static async watch(req, res) {
+    try {
+      const result = await AuctionWatchService.watch(
+        req.params.id,
+        req.body || {},
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Watch auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Remove an auction from the current user's watchlist
+   */
+  static async unwatch(req, res) {
+    try {
+      const result = await AuctionWatchService.unwatch(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Unwatch auction controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List the current user's watchlist
+   */
+  static async getMyWatchlist(req, res) {
+    try {
+      const result = await AuctionWatchService.getMyWatchlist(req.user, req.query);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get watchlist controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = AuctionWatchController;
@@ -161,6 +161,7 @@ class BidController {
         "pending",
         "paid",
         "failed",
+        "refund_pending",
         "refunded",
         "cancelled",
       ];
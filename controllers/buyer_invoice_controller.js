@@ -0,0 +1,118 @@
+const BuyerInvoiceService = require("../services/buyer_invoice_service");
+
+/**
+ * Buyer Invoice Controller
+ * Handles HTTP requests and responses for buyer invoices and lot collection
+ */
+class BuyerInvoiceController {
+  /**
+   * Get the buyer invoice of an auction
+   */
+  static async getAuctionInvoice(req, res) {
+    try {
+      const result = await BuyerInvoiceService.getAuctionInvoice(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction invoice controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List buyer invoices
+   */
+  static async getInvoices(req, res) {
+    try {
+      const result = await BuyerInvoiceService.getInvoices(req.query, req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get invoices controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * List the current user's invoices
+   */
+  static async getMyInvoices(req, res) {
+    try {
+      const result = await BuyerInvoiceService.getInvoices(req.query, req.user, true);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get my invoices controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get a buyer invoice by ID
+   */
+  static async getInvoiceById(req, res) {
+    try {
+      const result = await BuyerInvoiceService.getInvoiceById(
+        req.params.invoiceId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get invoice controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Release a paid lot to the buyer
+   */
+  static async releaseLot(req, res) {
+    try {
+      const result = await BuyerInvoiceService.releaseLot(
+        req.params.invoiceId,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Release lot controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = BuyerInvoiceController;
@@ -0,0 +1,180 @@
+const DisputeCaseService = require("../services/dispute_case_service");
+
+/**
+ * Dispute Case Controller
+ * Handles HTTP requests and responses for bid dispute cases
+ */
+class DisputeCaseController {
+  /**
+   * List dispute cases
+   */
+  static async getCases(req, res) {
+    try {
+      const result = await DisputeCaseService.getCases(req.query, req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get dispute cases controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get a dispute case with its thread
+   */
+  static async getCaseById(req, res) {
+    try {
+      const result = await DisputeCaseService.getCaseById(req.params.id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get dispute case controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Post a message to the case thread
+   */
+  static async addMessage(req, res) {
+    try {
+      const { body, attachments, internal } = req.body;
+
+      if (attachments !== undefined && !Array.isArray(attachments)) {
+        return res.status(400).json({
+          success: false,
+          message: "attachments must be an array of attachment IDs",
+        });
+      }
+
+      const result = await DisputeCaseService.addMessage(
+        req.params.id,
+        { body, attachments, internal },
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Add dispute message controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Link evidence attachments to the case
+   */
+  static async addEvidence(req, res) {
+    try {
+      const result = await DisputeCaseService.addEvidence(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Add dispute evidence controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Assign a reviewer (staff only)
+   */
+  static async assignCase(req, res) {
+    try {
+      const { assignee_id } = req.body;
+
+      if (!assignee_id) {
+        return res.status(400).json({
+          success: false,
+          message: "assignee_id is required",
+        });
+      }
+
+      const result = await DisputeCaseService.assignCase(
+        req.params.id,
+        assignee_id,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Assign dispute case controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Resolve a dispute case (staff only)
+   */
+  static async resolveCase(req, res) {
+    try {
+      const { status, resolution_notes } = req.body;
+
+      if (!resolution_notes || resolution_notes.trim().length < 10) {
+        return res.status(400).json({
+          success: false,
+          message: "Resolution notes are required (minimum 10 characters)",
+        });
+      }
+
+      const result = await DisputeCaseService.resolveCase(
+        req.params.id,
+        { status, resolution_notes: resolution_notes.trim() },
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Resolve dispute case controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = DisputeCaseController;
@@ -1,4 +1,5 @@
 const loanService = require("../services/loan_service");
+const loanAccrualService = require("../services/loan_accrual_service");
 
 class LoanController {
   /**
@@ -355,6 +356,30 @@ class LoanController {
     }
   }
 
+  /**
+   * Get loan statement of accrued charges and payments
+   */
+  async getLoanStatement(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await loanAccrualService.getLoanStatement(id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to retrieve loan statement",
+        detail: error.detail
+      });
+    }
+  }
+
   /**
    * Process loan payment
    */
@@ -370,7 +395,7 @@ class LoanController {
         });
       }
 
-      const result = await loanService.processPayment(id, paymentData);
+      const result = await loanService.processPayment(id, paymentData, req.user?.id);
       
       res.status(200).json({
         success: true,
@@ -509,6 +534,31 @@ class LoanController {
       });
     }
   }
+
+  /**
+   * Originate a loan from an approved loan application
+   */
+  async originateLoan(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await loanService.originateLoan(id, req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to originate loan",
+        errors: error.errors,
+        detail: error.detail
+      });
+    }
+  }
 }
 
 module.exports = new LoanController();
\ No newline at end of file
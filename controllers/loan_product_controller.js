@@ -0,0 +1,131 @@
+const loanProductService = require("../services/loan_product_service");
+class LoanProductController {
+  /**
+   * Create a loan product with its first version
+   */
+  async createProduct(req, res) {
+    try {
+      const userId = req.user?.id;
+
+      const result = await loanProductService.createProduct(req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to create loan product",
+        errors: error.errors,
+        detail: error.detail
+      });
+    }
+  }
+
+  /**
+   * Get loan products
+   */
+  async getProducts(req, res) {
+    try {
+      const { collateral_category, status } = req.query;
+
+      const result = await loanProductService.getProducts({
+        collateral_category,
+        status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to retrieve loan products",
+        detail: error.detail
+      });
+    }
+  }
+
+  /**
+   * Get loan product by ID
+   */
+  async getProduct(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await loanProductService.getProductById(id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to retrieve loan product",
+        detail: error.detail
+      });
+    }
+  }
+
+  /**
+   * Update loan product details
+   */
+  async updateProduct(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await loanProductService.updateProduct(id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to update loan product",
+        errors: error.errors,
+        detail: error.detail
+      });
+    }
+  }
+
+  /**
+   * Add a pricing version to a loan product
+   */
+  async addVersion(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await loanProductService.addVersion(id, req.body, userId);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    } catch (error) {
+      const status = error.status || 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to add loan product version",
+        errors: error.errors,
+        detail: error.detail
+      });
+    }
+  }
+}
+
+module.exports = new LoanProductController();
@@ -0,0 +1,407 @@
+const NotificationService = require("../services/notifications_service");
+
+/**
+ * Notification Controller
+ * Handles HTTP requests and responses
+ */
+class NotificationController {
+  /**
+   * Create a new notification (draft, scheduled or immediate)
+   */
+  static async createNotification(req, res) {
+    try {
+      const {
+        title,
+        message,
+        type,
+        priority,
+        audience,
+        channels,
+        send_at,
+        expires_at,
+        status,
+        action_text,
+        action_url,
+        data,
+      } = req.body;
+
+      // Validate required fields
+      if (!title || !message) {
+        return res.status(400).json({
+          success: false,
+          message: "Title and message are required"
+        });
+      }
+
+      const result = await NotificationService.createNotification(
+        {
+          title,
+          message,
+          type,
+          priority,
+          audience,
+          channels,
+          send_at,
+          expires_at,
+          status,
+          action_text,
+          action_url,
+          data,
+        },
+        req.user._id
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Create notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get notifications with pagination and filters (admin)
+   */
+  static async getNotifications(req, res) {
+    try {
+      const filters = {
+        status: req.query.status,
+        type: req.query.type,
+        priority: req.query.priority,
+        scope: req.query.scope,
+        user_id: req.query.user_id,
+        role: req.query.role,
+        channel: req.query.channel,
+        is_active: req.query.is_active,
+        created_from: req.query.created_from,
+        created_to: req.query.created_to
+      };
+
+      const pagination = {
+        page: req.query.page || 1,
+        limit: req.query.limit || 10,
+        sort_by: req.query.sort_by || "created_at",
+        sort_order: req.query.sort_order || "desc",
+        search: req.query.search
+      };
+
+      const result = await NotificationService.getNotifications(filters, pagination);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get notifications controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get notification statistics (admin)
+   */
+  static async getNotificationStats(req, res) {
+    try {
+      const result = await NotificationService.getNotificationStats();
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get notification stats controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get notification by ID
+   */
+  static async getNotification(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await NotificationService.getNotificationById(id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 404).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a draft or scheduled notification
+   */
+  static async updateNotification(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await NotificationService.updateNotification(id, { ...req.body });
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Update notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Schedule a notification for later dispatch
+   */
+  static async scheduleNotification(req, res) {
+    try {
+      const { id } = req.params;
+      const { send_at } = req.body;
+
+      if (!send_at) {
+        return res.status(400).json({
+          success: false,
+          message: "send_at is required"
+        });
+      }
+
+      const result = await NotificationService.scheduleNotification(id, send_at);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Schedule notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Send a draft or scheduled notification immediately
+   */
+  static async sendNotificationNow(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await NotificationService.sendNotificationNow(id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Send notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Cancel a notification
+   */
+  static async cancelNotification(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await NotificationService.cancelNotification(id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Cancel notification controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get delivery outcomes of a notification
+   */
+  static async getNotificationDeliveries(req, res) {
+    try {
+      const { id } = req.params;
+
+      const filters = {
+        status: req.query.status,
+        channel: req.query.channel
+      };
+
+      const pagination = {
+        page: req.query.page || 1,
+        limit: req.query.limit || 20
+      };
+
+      const result = await NotificationService.getNotificationDeliveries(
+        id,
+        filters,
+        pagination
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 404).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get notification deliveries controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the current user's inbox
+   */
+  static async getInbox(req, res) {
+    try {
+      const filters = {
+        type: req.query.type,
+        priority: req.query.priority,
+        unread_only: req.query.unread_only
+      };
+
+      const pagination = {
+        page: req.query.page || 1,
+        limit: req.query.limit || 20
+      };
+
+      const result = await NotificationService.getInbox(req.user, filters, pagination);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get inbox controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Get unread notification count for the current user
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const result = await NotificationService.getUnreadCount(req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get unread count controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Mark all inbox notifications as read
+   */
+  static async markAllAsRead(req, res) {
+    try {
+      const result = await NotificationService.markAllAsRead(req.user);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Mark all as read controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  static async markAsRead(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await NotificationService.markAsRead(id, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 404).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Mark as read controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+
+  /**
+   * Mark a notification as acted upon
+   */
+  static async markAsActed(req, res) {
+    try {
+      const { id } = req.params;
+      const { action } = req.body || {};
+
+      const result = await NotificationService.markAsActed(id, req.user, action);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 404).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Mark as acted controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
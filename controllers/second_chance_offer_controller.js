@@ -0,0 +1,151 @@
+const SecondChanceOfferService = require("../services/second_chance_offer_service");
+
+/**
+ * Second Chance Offer Controller
+ * Handles HTTP requests and responses
+ */
+class SecondChanceOfferController {
+  /**
+   * Send second-chance offers for an unsold auction
+   */
+  static async createOffers(req, res) {
+    try {
+      const result = await SecondChanceOfferService.createOffers(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error("Create second-chance offers controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get second-chance offers made on an auction
+   */
+  static async getAuctionOffers(req, res) {
+    try {
+      const result = await SecondChanceOfferService.getAuctionOffers(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get auction offers controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Get second-chance offers made to the current user
+   */
+  static async getMyOffers(req, res) {
+    try {
+      const result = await SecondChanceOfferService.getMyOffers(req.user, req.query);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Get my offers controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Accept a second-chance offer
+   */
+  static async acceptOffer(req, res) {
+    try {
+      const result = await SecondChanceOfferService.acceptOffer(
+        req.params.offerId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Accept offer controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Decline a second-chance offer
+   */
+  static async declineOffer(req, res) {
+    try {
+      const result = await SecondChanceOfferService.declineOffer(
+        req.params.offerId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Decline offer controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+
+  /**
+   * Withdraw a second-chance offer (staff)
+   */
+  static async withdrawOffer(req, res) {
+    try {
+      const result = await SecondChanceOfferService.withdrawOffer(req.params.offerId);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json(result);
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Withdraw offer controller error:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+    }
+  }
+}
+
+module.exports = SecondChanceOfferController;
@@ -430,6 +430,33 @@ class UserController {
       });
     }
   }
+
+  /**
+   * Review a user's KYC document (staff only)
+   */
+  async reviewDocument(req, res) {
+    try {
+      const { userId, documentId } = req.params;
+
+      const document = await userService.reviewDocument(
+        userId,
+        documentId,
+        req.body,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        message: `Document ${document.status}`,
+        data: document,
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.message || "Failed to review document",
+      });
+    }
+  }
 }
 
 module.exports = new UserController();
@@ -1,6 +1,62 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model"); // adjust path if needed
 
+/**
+ * 🔐 Resolve the active user behind a JWT
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * Returns { success, user } or { success: false, statusCode, message }
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: "Access denied. No token provided.",
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: "Invalid or expired token.",
+    };
+  }
+
+  const userId = decoded.userId || decoded.sub || decoded.id;
+  if (!userId) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: "Invalid token payload.",
+    };
+  }
+
+  // password_hash is excluded by default (select:false)
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return {
+      success: false,
+      statusCode: 401,
+      message: "User not found.",
+    };
+  }
+
+  if (user.status !== "active") {
+    return {
+      success: false,
+      statusCode: 403,
+      message: "Account is not active.",
+    };
+  }
+
+  return { success: true, user };
+};
+
 /**
  * 🔐 Authentication middleware
  * - Verifies JWT
@@ -20,42 +76,16 @@ const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.replace("Bearer ", "").trim();
 
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (err) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired token.",
-      });
-    }
-
-    const userId = decoded.userId || decoded.sub || decoded.id;
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token payload.",
-      });
-    }
-
-    // password_hash is excluded by default (select:false)
-    const user = await User.findById(userId);
+    const result = await authenticateToken(token);
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found.",
-      });
-    }
-
-    if (user.status !== "active") {
-      return res.status(403).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: "Account is not active.",
+        message: result.message,
       });
     }
 
-    req.user = user;
+    req.user = result.user;
     next();
   } catch (error) {
     console.error("authMiddleware error:", error);
@@ -107,4 +137,5 @@ const requireRoles = (...allowedRoles) => {
 module.exports = {
   authMiddleware,
   requireRoles,
+  authenticateToken,
 };
@@ -54,6 +54,10 @@ const options = {
           type: "object",
           additionalProperties: false,
           properties: {
+            _id: {
+              type: "string",
+              example: "65f1a2b3c4d5e6f7a8b9c0d2",
+            },
             type: {
               type: "string",
               enum: ["national_id", "passport", "proof_of_address", "other"],
@@ -81,6 +85,25 @@ const options = {
               type: "string",
               example: "Front side of national ID",
             },
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+              example: "approved",
+              description: "KYC review status, set by staff",
+            },
+            reviewed_by: {
+              type: "string",
+              example: "65f1a2b3c4d5e6f7a8b9c0d1",
+            },
+            reviewed_at: {
+              type: "string",
+              format: "date-time",
+              example: "2026-01-02T09:00:00.000Z",
+            },
+            review_notes: {
+              type: "string",
+              example: "ID matches profile",
+            },
           },
           required: ["type", "url"],
         },
@@ -758,7 +781,7 @@ const options = {
 
             auction_type: {
               type: "string",
-              enum: ["online", "in_person"],
+              enum: ["online", "in_person", "sealed"],
               example: "online",
             },
 
@@ -971,6 +994,12 @@ const options = {
               nullable: true,
               example: "Reviewed logs; bid was valid and placed once.",
             },
+            case: {
+              type: "string",
+              nullable: true,
+              example: "6592b8f0c0d3e7a3d9c2a333",
+              description: "Dispute case holding the thread, evidence and SLA",
+            },
           },
         },
         Bid: {
@@ -1026,6 +1055,7 @@ const options = {
                 "pending",
                 "paid",
                 "failed",
+                "refund_pending",
                 "refunded",
                 "cancelled",
               ],
@@ -1090,10 +1120,23 @@ const options = {
               example: "6593002fc8d9a7b2f1aa2222",
             },
 
+            purpose: {
+              type: "string",
+              enum: ["winning_bid", "deposit"],
+              example: "winning_bid",
+            },
+
             bid: {
               type: "string",
               example: "6592fbe1c8d9a7b2f1aa1111",
-              description: "Bid ID this payment belongs to",
+              description: "Bid ID this payment belongs to (not set for deposits)",
+            },
+
+            registration: {
+              type: "string",
+              nullable: true,
+              example: "6592e1a9f4c8d1a2b9c32222",
+              description: "Auction registration a deposit belongs to",
             },
 
             auction: {
@@ -1127,6 +1170,7 @@ const options = {
                 "pending",
                 "success",
                 "failed",
+                "refund_pending",
                 "refunded",
                 "cancelled",
               ],
@@ -1791,6 +1835,14 @@ const options = {
               description: "Loan due date",
             },
 
+            grace_ends_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              example: "2026-03-11T00:00:00.000Z",
+              description: "When the grace period ends and the collateral goes to auction (set while in_grace)",
+            },
+
             status: {
               type: "string",
               enum: [
@@ -2523,28 +2575,52 @@ const options = {
               type: "number",
               minimum: 0,
               example: 120,
-              description: "Portion allocated to interest",
+              description:
+                "Portion allocated to interest by the allocation waterfall. Settles interest income already posted by the daily accrual job; nothing further is posted for it",
             },
 
             principal_component: {
               type: "number",
               minimum: 0,
               example: 300,
-              description: "Portion allocated to principal repayment",
+              description:
+                "Portion allocated to principal repayment by the allocation waterfall. Posted to the ledger as a loan_principal_repayment entry",
             },
 
             storage_component: {
               type: "number",
               minimum: 0,
               example: 60,
-              description: "Portion allocated to storage charges",
+              description:
+                "Portion allocated to storage charges by the allocation waterfall. Settles storage income already posted by the daily accrual job; nothing further is posted for it",
             },
 
             penalty_component: {
               type: "number",
               minimum: 0,
               example: 20,
-              description: "Portion allocated to penalties",
+              description:
+                "Portion allocated to penalties by the allocation waterfall. Settles penalty income already posted by the daily accrual job; nothing further is posted for it",
+            },
+
+            unallocated_amount: {
+              type: "number",
+              minimum: 0,
+              example: 0,
+              description: "Amount left after every charge and the principal were covered",
+            },
+
+            allocated_at: {
+              type: "string",
+              format: "date-time",
+              description: "When the payment was allocated and applied to the loan",
+            },
+
+            ledger_posted_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the allocation was posted to the ledger. Empty while a failed posting waits to be retried",
             },
 
             /* ---------- Provider / Method ---------- */
@@ -2714,6 +2790,11 @@ const options = {
         description:
           "Operations related to asset auctions, including auction setup, scheduling, bidding lifecycle, reserve pricing, winner determination, and auction closure for pawned or forfeited assets.",
       },
+      {
+        name: "Auction Events",
+        description:
+          "Operations related to multi-lot auction events, including lot scheduling with staggered closing times, the public lot catalogue, and event sell-through and proceeds reporting.",
+      },
       {
         name: "Audit Logs",
         description:
@@ -2729,6 +2810,11 @@ const options = {
         description:
           "Operations related to bid payment records, including payment initiation, status tracking (pending/success/failed/refunded), provider references, receipts, and audit metadata. Payments are linked to bids and bidders in the auction workflow.",
       },
+      {
+        name: "Bid Disputes",
+        description:
+          "Operations related to bid dispute cases, including the bidder and staff message thread with internal notes, evidence attachments, reviewer assignment, response and resolution SLA tracking, and outcomes that void the bid, refund its payments and re-select the auction winner.",
+      },
       {
         name: "Debtor Records",
         description:
@@ -2764,6 +2850,11 @@ const options = {
         description:
           "Operations related to loan term records, including initial terms, renewals, interest-only extensions, partial principal renewals, and full settlements, with balance tracking and approval history.",
       },
+      {
+        name: "Loan Products",
+        description:
+          "Operations related to the loan product catalogue, including products per collateral category, category defaults, and append-only pricing versions with effective dates, rate tables by term and principal band, principal limits, loan-to-value caps, term lengths, penalty and grace days used to price new loans and renewals.",
+      },
       {
         name: "Signed Documents",
         description:
@@ -2779,6 +2870,11 @@ const options = {
         description:
           "Operations related to loan repayments, including payment allocation (interest, principal, storage, penalties), provider integrations, refunds, receipt tracking, and audit metadata.",
       },
+      {
+        name: "Notifications",
+        description:
+          "Operations related to system notifications, including publishing to all users, a single user or roles, scheduling, cancellation, and each user's inbox with unread counts and read/acted acknowledgements.",
+      },
     ],
   },
   apis: [
@@ -2789,15 +2885,19 @@ const options = {
     "./routers/asset_router.js",
     "./routers/loan_term_router.js",
     "./routers/loan_router.js",
+    "./routers/loan_product_router.js",
     "./routers/payment_router.js",
     "./routers/support_ticket_router.js",
     "./routers/auction_router.js",
+    "./routers/auction_event_router.js",
     "./routers/bid_router.js",
     "./routers/bid_payment_router.js",
+    "./routers/dispute_case_router.js",
     "./routers/audit_log_router.js",
     "./routers/inventory_transaction_router.js",
     "./routers/ledger_entry_router.js",
     "./routers/asset_valuation_router.js",
+    "./routers/notifications_router.js",
   ],
 };
 const specs = swaggerJsdoc(options);
@@ -5,21 +5,118 @@ const AuctionSchema = new mongoose.Schema(
     auction_no: { type: String, unique: true, index: true },
 
     asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+
+    // Lot within a multi-lot auction event
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "AuctionEvent", index: true },
+    lot_number: { type: Number, min: 1 },
     starting_bid_amount: { type: Number, required: true, min: 0 },
     reserve_price: { type: Number, min: 0 },
 
-    auction_type: { type: String, enum: ["online", "in_person"], default: "online" },
+    auction_type: { type: String, enum: ["online", "in_person", "sealed"], default: "online" },
+    // Sealed bids stay hidden until close; the winner pays their own bid
+    // (first price) or the runner-up's best bid (second price)
+    sealed: {
+      pricing: { type: String, enum: ["first_price", "second_price"], default: "first_price" },
+      revealed_at: { type: Date },
+    },
     starts_at: { type: Date, required: true },
     ends_at: { type: Date, required: true },
 
+    // Soft close: a bid in the final window pushes ends_at back
+    soft_close: {
+      enabled: { type: Boolean, default: true },
+      window_minutes: { type: Number, default: 2, min: 0 },
+      extension_minutes: { type: Number, default: 2, min: 0 },
+      max_extensions: { type: Number, default: 10, min: 0 },
+    },
+    // Minimum raise by price band; empty means the global table applies
+    increment_tiers: [
+      {
+        up_to: { type: Number, default: null }, // null = no upper bound
+        increment: { type: Number, required: true, min: 0 },
+        _id: false,
+      },
+    ],
+
+    // Bidders must register (verified email, approved KYC, optional deposit) before bidding
+    registration: {
+      enabled: { type: Boolean, default: false },
+      deposit_amount: { type: Number, default: 0, min: 0 }, // refundable; 0 = no deposit
+    },
+
+    original_ends_at: { type: Date },
+    extension_count: { type: Number, default: 0, min: 0 },
+    extensions: [
+      {
+        extended_at: { type: Date, default: Date.now },
+        previous_ends_at: { type: Date },
+        new_ends_at: { type: Date },
+        bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+        bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      },
+    ],
+
     status: { type: String, enum: ["draft", "live", "closed", "cancelled"], default: "draft", index: true },
 
     winner_user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     winning_bid_amount: { type: Number, min: 0 },
 
+    // Result of closing: sold, highest bid under the reserve, no bids at all,
+    // or passed unsold by the auctioneer at a floor auction
+    outcome: {
+      type: String,
+      enum: ["sold", "reserve_not_met", "no_bids", "passed", "payment_defaulted"],
+      index: true,
+    },
+
+    // Winner payment window; unpaid winners forfeit to the next-highest bid
+    payment_window_hours: { type: Number, min: 1 }, // falls back to AUCTION_PAYMENT_WINDOW_HOURS
+    payment_due_at: { type: Date, index: true },
+    payment_reminder_sent_at: { type: Date },
+    forfeits: [
+      {
+        bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+        bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        amount: { type: Number },
+        payment_due_at: { type: Date },
+        forfeited_at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    // Selling costs deducted from the proceeds at settlement
+    costs: [
+      {
+        label: { type: String, required: true, trim: true }, // e.g. "Advertising", "Transport"
+        amount: { type: Number, required: true, min: 0 },
+        _id: false,
+      },
+    ],
+
+    // Charged to the buyer on top of the hammer price (see BuyerInvoice)
+    buyer_premium_percent: { type: Number, min: 0, max: 100 }, // falls back to AUCTION_BUYER_PREMIUM_PERCENT
+    buyer_fees: [
+      {
+        label: { type: String, required: true, trim: true }, // e.g. "Documentation", "Vehicle transfer"
+        amount: { type: Number, required: true, min: 0 },
+        _id: false,
+      },
+    ],
+
+    // Re-listing chain for unsold assets
+    relisted_from: { type: mongoose.Schema.Types.ObjectId, ref: "Auction" },
+    relisted_as: { type: mongoose.Schema.Types.ObjectId, ref: "Auction" },
+
     created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    meta: { type: mongoose.Schema.Types.Mixed, default: {} }, // e.g. payment_received
   },
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
 
+AuctionSchema.index(
+  { event: 1, lot_number: 1 },
+  { unique: true, partialFilterExpression: { event: { $exists: true } } }
+);
+
 module.exports = mongoose.model("Auction", AuctionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// A sale made up of many lots; each lot is an Auction linked back by `event`
+const AuctionEventSchema = new mongoose.Schema(
+  {
+    event_no: { type: String, unique: true, index: true },
+
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    auction_type: { type: String, enum: ["online", "in_person", "sealed"], default: "online" },
+    venue: { type: String, trim: true }, // in-person sales
+
+    // Every lot opens at starts_at; lot closings are staggered from first_lot_ends_at
+    starts_at: { type: Date, required: true },
+    first_lot_ends_at: { type: Date, required: true },
+    lot_interval_minutes: { type: Number, default: 2, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "live", "closed", "cancelled"],
+      default: "draft",
+      index: true,
+    },
+    lot_count: { type: Number, default: 0, min: 0 }, // highest lot number issued
+
+    published_at: { type: Date },
+    closed_at: { type: Date },
+    cancelled_at: { type: Date },
+
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+AuctionEventSchema.index({ status: 1, starts_at: 1 });
+
+module.exports = mongoose.model("AuctionEvent", AuctionEventSchema);
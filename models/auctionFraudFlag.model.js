@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// A suspicious bidding pattern detected on an auction, awaiting staff review
+const AuctionFraudFlagSchema = new mongoose.Schema(
+  {
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" }, // bid that triggered the flag
+
+    rule: {
+      type: String,
+      enum: [
+        "owner_shared_phone",
+        "owner_shared_national_id",
+        "new_account",
+        "retraction_history",
+        "dispute_history",
+        "alternating_bid_war",
+      ],
+      required: true,
+      index: true,
+    },
+    severity: { type: String, enum: ["low", "medium", "high"], required: true, index: true },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Open flags with a hold keep the auction from being settled
+    hold_settlement: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: ["open", "cleared", "confirmed"],
+      default: "open",
+      index: true,
+    },
+    reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewed_at: { type: Date },
+    review_notes: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+// One flag per rule and bidder on an auction
+AuctionFraudFlagSchema.index({ auction: 1, bidder_user: 1, rule: 1 }, { unique: true });
+AuctionFraudFlagSchema.index({ auction: 1, status: 1, hold_settlement: 1 });
+
+module.exports = mongoose.model("AuctionFraudFlag", AuctionFraudFlagSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Bidder number issued by the clerk at a floor (in-person) auction.
+// Paddles belong to an auction event, or to a single auction sold on its own.
+const AuctionPaddleSchema = new mongoose.Schema(
+  {
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "AuctionEvent", index: true },
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", index: true },
+
+    paddle_number: { type: Number, required: true, min: 1 },
+    bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Walk-in buyers get a customer account so bids and payments link to a user
+    walk_in: { type: Boolean, default: false },
+    buyer: {
+      first_name: { type: String, trim: true },
+      last_name: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      email: { type: String, lowercase: true, trim: true },
+      national_id_number: { type: String, trim: true },
+    },
+
+    status: { type: String, enum: ["active", "revoked"], default: "active", index: true },
+    notes: { type: String, trim: true },
+
+    registered_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revoked_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revoked_at: { type: Date },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+AuctionPaddleSchema.pre("validate", function () {
+  if (Boolean(this.event) === Boolean(this.auction)) {
+    throw new Error("A paddle belongs to either an event or an auction.");
+  }
+});
+
+// Paddle numbers are unique within their sale
+AuctionPaddleSchema.index(
+  { event: 1, paddle_number: 1 },
+  { unique: true, partialFilterExpression: { event: { $exists: true } } }
+);
+AuctionPaddleSchema.index(
+  { auction: 1, paddle_number: 1 },
+  { unique: true, partialFilterExpression: { auction: { $exists: true } } }
+);
+
+// One active paddle per bidder per sale
+AuctionPaddleSchema.index(
+  { event: 1, bidder_user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { event: { $exists: true }, status: "active" },
+  }
+);
+AuctionPaddleSchema.index(
+  { auction: 1, bidder_user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { auction: { $exists: true }, status: "active" },
+  }
+);
+
+module.exports = mongoose.model("AuctionPaddle", AuctionPaddleSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A bidder's registration for an auction that requires it
+const AuctionRegistrationSchema = new mongoose.Schema(
+  {
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    status: {
+      type: String,
+      enum: ["pending_deposit", "approved", "withdrawn"],
+      default: "pending_deposit",
+      index: true,
+    },
+    approved_at: { type: Date },
+    withdrawn_at: { type: Date },
+
+    // KYC documents that satisfied the check at registration time
+    kyc_documents: [{ type: String, enum: ["national_id", "passport", "proof_of_address", "other"] }],
+
+    // Refundable deposit, paid through the bid payment flow
+    deposit: {
+      amount: { type: Number, default: 0, min: 0 },
+      currency: { type: String, default: "USD" },
+      status: {
+        type: String,
+        enum: ["not_required", "unpaid", "pending", "paid", "refund_pending", "refunded", "forfeited"],
+        default: "not_required",
+        index: true,
+      },
+      payment: { type: mongoose.Schema.Types.ObjectId, ref: "BidPayment" },
+      paid_at: { type: Date },
+      refund_requested_at: { type: Date },
+      refunded_at: { type: Date },
+      forfeited_at: { type: Date },
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+AuctionRegistrationSchema.index({ auction: 1, bidder_user: 1 }, { unique: true });
+
+module.exports = mongoose.model("AuctionRegistration", AuctionRegistrationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const SettlementLineSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Application of auction proceeds to the loan the asset secured,
+// and the surplus/deficit statement for the borrower
+const AuctionSettlementSchema = new mongoose.Schema(
+  {
+    statement_no: { type: String, unique: true, index: true },
+
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, unique: true },
+    bid_payment: { type: mongoose.Schema.Types.ObjectId, ref: "BidPayment" },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", index: true },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan", index: true }, // null for assets sold without a loan
+    customer_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true }, // borrower
+
+    currency: { type: String, default: "USD" },
+    sale_amount: { type: Number, required: true, min: 0 },
+
+    // Loan position at the time of sale
+    loan_position: {
+      principal: { type: Number, default: 0 },
+      interest: { type: Number, default: 0 },
+      storage: { type: Number, default: 0 },
+      penalty: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+
+    auction_costs: { type: [SettlementLineSchema], default: [] },
+
+    // Proceeds applied, in waterfall order
+    applied: {
+      auction_costs: { type: Number, default: 0 },
+      penalty: { type: Number, default: 0 },
+      storage: { type: Number, default: 0 },
+      interest: { type: Number, default: 0 },
+      principal: { type: Number, default: 0 },
+    },
+
+    surplus: { type: Number, default: 0, min: 0 }, // owed to the borrower
+    deficit: { type: Number, default: 0, min: 0 }, // still owed by the borrower
+    surplus_status: { type: String, enum: ["none", "payable", "paid_out"], default: "none" },
+    surplus_paid_at: { type: Date },
+    surplus_paid_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    status: {
+      type: String,
+      enum: ["processing", "settled", "failed"],
+      default: "processing",
+      index: true,
+    },
+    last_error: { type: String },
+    attempts: { type: Number, default: 0 },
+    // When the current attempt took the settlement; a processing claim older
+    // than the lease is treated as abandoned (crash or restart) and retried
+    claimed_at: { type: Date },
+
+    ledger_entries: [{ type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" }],
+
+    settled_at: { type: Date },
+    settled_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+module.exports = mongoose.model("AuctionSettlement", AuctionSettlementSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A user following an auction on their watchlist
+const AuctionWatchSchema = new mongoose.Schema(
+  {
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Minutes before the close at which to send an ending-soon alert
+    lead_minutes: [{ type: Number, min: 1 }],
+
+    // Lead times already alerted, so each alert is sent once
+    alerts_sent: [{ type: Number }],
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+AuctionWatchSchema.index({ auction: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("AuctionWatch", AuctionWatchSchema);
@@ -14,6 +14,7 @@ const BidDisputeSchema = new mongoose.Schema(
     resolved_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     resolved_at: { type: Date },
     resolution_notes: { type: String, trim: true },
+    case: { type: mongoose.Schema.Types.ObjectId, ref: "DisputeCase" },
   },
   { _id: false }
 );
@@ -27,13 +28,20 @@ const BidSchema = new mongoose.Schema(
     currency: { type: String, default: "USD" },
     placed_at: { type: Date, default: Date.now, index: true },
 
+    // amount hidden from everyone but the bidder until the sealed auction closes
+    sealed: { type: Boolean, default: false, index: true },
+
+    // bids placed automatically from a bidder's proxy maximum
+    is_proxy: { type: Boolean, default: false },
+    proxy_bid: { type: mongoose.Schema.Types.ObjectId, ref: "ProxyBid", select: false },
+
     // ✅ dispute tracking
     dispute: { type: BidDisputeSchema, default: () => ({ status: "none" }) },
 
     // ✅ payment summary (actual payment record is in BidPayment model)
     payment_status: {
       type: String,
-      enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"],
+      enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled", "forfeited"],
       default: "unpaid",
       index: true,
     },
@@ -48,18 +56,17 @@ const BidSchema = new mongoose.Schema(
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
 
-// If dispute is active, cannot be marked paid
-BidSchema.pre("validate", function (next) {
+// A bid under dispute, or voided by an upheld dispute, cannot be marked paid
+BidSchema.pre("validate", function () {
   const disputeStatus = this.dispute?.status || "none";
-  const disputeActive = ["raised", "under_review", "resolved_invalid"].includes(disputeStatus);
+  const disputeActive = ["raised", "under_review", "resolved_valid"].includes(disputeStatus);
 
-  if (disputeActive && ["paid", "refunded"].includes(this.payment_status)) {
-    return next(new Error("Cannot set bid as paid/refunded while dispute is active or invalid."));
+  if (disputeActive && this.payment_status === "paid") {
+    throw new Error("Cannot set bid as paid while dispute is active or upheld.");
   }
-  return next();
 });
 
-BidSchema.index({ auction: 1, amount: -1 });
+BidSchema.index({ auction: 1, amount: -1, placed_at: 1 });
 BidSchema.index({ auction: 1, bidder_user: 1 });
 
 module.exports = mongoose.model("Bid", BidSchema);
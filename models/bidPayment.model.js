@@ -2,12 +2,27 @@ const mongoose = require("mongoose");
 
 const BidPaymentSchema = new mongoose.Schema(
   {
+    // Winning-bid payment, or a refundable deposit paid to register for an auction
+    purpose: {
+      type: String,
+      enum: ["winning_bid", "deposit"],
+      default: "winning_bid",
+      index: true,
+    },
     bid: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Bid",
-      required: true,
+      required: function () {
+        return this.purpose !== "deposit";
+      },
       index: true,
     },
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuctionRegistration",
+      index: true,
+      sparse: true,
+    },
     auction: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Auction",
@@ -30,6 +45,7 @@ const BidPaymentSchema = new mongoose.Schema(
         "pending",
         "success",
         "failed",
+        "refund_pending", // owed back; staff return the money and mark it refunded
         "refunded",
         "cancelled",
       ],
@@ -68,34 +84,26 @@ const BidPaymentSchema = new mongoose.Schema(
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
 
-// ✅ If bid is disputed (active/invalid), block payment "success"
-BidPaymentSchema.pre("validate", async function (next) {
-  try {
-    if (this.status !== "success") return next();
-
-    const Bid = mongoose.model("Bid");
-    const bid = await Bid.findById(this.bid).select("dispute.status").lean();
+// ✅ If bid is disputed (active, or upheld and voided), block payment "success"
+BidPaymentSchema.pre("validate", async function () {
+  if (this.status !== "success" || !this.bid) return;
 
-    if (!bid) return next(new Error("Bid not found for payment."));
+  const Bid = mongoose.model("Bid");
+  const bid = await Bid.findById(this.bid).select("dispute.status").lean();
 
-    const ds = bid?.dispute?.status || "none";
-    const disputeActive = [
-      "raised",
-      "under_review",
-      "resolved_invalid",
-    ].includes(ds);
+  if (!bid) throw new Error("Bid not found for payment.");
 
-    if (disputeActive) {
-      return next(
-        new Error(
-          "Cannot mark payment success while bid dispute is active/invalid."
-        )
-      );
-    }
+  const ds = bid?.dispute?.status || "none";
+  const disputeActive = [
+    "raised",
+    "under_review",
+    "resolved_valid",
+  ].includes(ds);
 
-    return next();
-  } catch (err) {
-    return next(err);
+  if (disputeActive) {
+    throw new Error(
+      "Cannot mark payment success while bid dispute is active or upheld."
+    );
   }
 });
 
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["hammer", "buyer_premium", "fee"],
+      required: true,
+    },
+    label: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Invoice to the winner of an auction lot, and the collection of the lot
+const BuyerInvoiceSchema = new mongoose.Schema(
+  {
+    invoice_no: { type: String, unique: true, index: true },
+
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+    buyer_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", index: true },
+
+    currency: { type: String, default: "USD" },
+
+    hammer_price: { type: Number, required: true, min: 0 },
+    buyer_premium_percent: { type: Number, default: 0, min: 0 },
+    buyer_premium: { type: Number, default: 0, min: 0 },
+    fees_total: { type: Number, default: 0, min: 0 },
+    lines: { type: [InvoiceLineSchema], default: [] },
+
+    // Paid through the winning bid payment; storage is settled at collection
+    amount_due: { type: Number, required: true, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["issued", "paid", "void"],
+      default: "issued",
+      index: true,
+    },
+    bid_payment: { type: mongoose.Schema.Types.ObjectId, ref: "BidPayment" },
+    paid_at: { type: Date },
+    void_reason: { type: String, trim: true },
+    voided_at: { type: Date },
+
+    // Daily storage charged once the collection deadline passes
+    storage: {
+      daily_fee: { type: Number, default: 0, min: 0 },
+      days_charged: { type: Number, default: 0, min: 0 },
+      amount: { type: Number, default: 0, min: 0 },
+      last_charged_at: { type: Date },
+      paid_at: { type: Date },
+      payment_method: { type: String, trim: true },
+      payment_reference: { type: String, trim: true },
+    },
+
+    handover: {
+      status: {
+        type: String,
+        enum: ["not_ready", "awaiting_collection", "collected"],
+        default: "not_ready",
+        index: true,
+      },
+      due_at: { type: Date, index: true },
+      collected_at: { type: Date },
+      released_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+      // Identity of the person taking the lot, checked by staff
+      collected_by_name: { type: String, trim: true },
+      id_document_type: {
+        type: String,
+        enum: ["national_id", "passport", "drivers_license"],
+      },
+      id_document_number: { type: String, trim: true },
+      id_matches_buyer: { type: Boolean },
+
+      signature: { type: mongoose.Schema.Types.ObjectId, ref: "Attachment" },
+      released_from_location: { type: String, trim: true },
+      notes: { type: String, trim: true },
+    },
+
+    ledger_entries: [{ type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" }],
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+// One live invoice per winner of a lot
+BuyerInvoiceSchema.index({ auction: 1, buyer_user: 1 }, { unique: true });
+BuyerInvoiceSchema.index({ status: 1, "handover.status": 1, "handover.due_at": 1 });
+
+module.exports = mongoose.model("BuyerInvoice", BuyerInvoiceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const DisputeMessageSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    from_staff: { type: Boolean, default: false },
+    body: { type: String, required: true, trim: true, maxlength: 4000 },
+    attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
+
+    // Staff-only notes, never shown to the bidder
+    internal: { type: Boolean, default: false },
+    created_at: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// A bid dispute worked as a case: thread, evidence, reviewer and SLA
+const DisputeCaseSchema = new mongoose.Schema(
+  {
+    case_no: { type: String, unique: true, index: true },
+
+    bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid", required: true, unique: true },
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    reason: { type: String, required: true, trim: true },
+
+    // Mirrors bid.dispute.status
+    status: {
+      type: String,
+      enum: ["raised", "under_review", "resolved_valid", "resolved_invalid"],
+      default: "raised",
+      index: true,
+    },
+
+    assigned_to: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    assigned_at: { type: Date },
+
+    messages: [DisputeMessageSchema],
+    evidence: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
+
+    sla: {
+      response_due_at: { type: Date, index: true },
+      resolution_due_at: { type: Date, index: true },
+      first_response_at: { type: Date },
+      response_breached_at: { type: Date },
+      resolution_breached_at: { type: Date },
+    },
+
+    resolution: {
+      notes: { type: String, trim: true },
+      resolved_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      resolved_at: { type: Date },
+      // What the outcome changed, e.g. bid_voided, refund_requested, winner_reassigned
+      actions: [{ type: String }],
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+DisputeCaseSchema.index({ status: 1, created_at: -1 });
+
+module.exports = mongoose.model("DisputeCase", DisputeCaseSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+/**
+ * Lease lock used by background jobs so that only one server
+ * instance runs a given job at a time.
+ */
+const JobLockSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+
+    locked_until: { type: Date, default: null, index: true },
+    locked_by: { type: String, default: null }, // instance id holding the lease
+
+    last_started_at: { type: Date, default: null },
+    last_finished_at: { type: Date, default: null },
+    last_error: { type: String, default: null },
+    run_count: { type: Number, default: 0 },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+    collection: "job_locks",
+  }
+);
+
+module.exports = mongoose.model("JobLock", JobLockSchema);
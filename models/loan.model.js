@@ -22,7 +22,9 @@ const LoanSchema = new mongoose.Schema(
 
     currency: { type: String, default: "USD" },
 
-    // Terms snapshot (set at creation)
+    // Terms snapshot (set at creation from the loan product version in force)
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "LoanProduct", index: true },
+    product_version: { type: Number },
     interest_rate_percent: { type: Number, required: true }, // e.g. 4 or 2
     interest_period_days: { type: Number, required: true },  // 30 or 14
     storage_charge_percent: { type: Number, required: true }, // e.g. 21 or 18
@@ -33,6 +35,10 @@ const LoanSchema = new mongoose.Schema(
     disbursed_at: { type: Date },
     start_date: { type: Date, required: true },
     due_date: { type: Date, required: true, index: true },
+    grace_ends_at: { type: Date, index: true }, // set when the loan enters its grace period
+
+    // Last day interest, storage and penalties were accrued for
+    accrued_through: { type: Date, index: true },
 
     status: {
       type: String,
@@ -40,6 +46,16 @@ const LoanSchema = new mongoose.Schema(
       default: "draft",
       index: true,
     },
+    status_history: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String },
+        changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null when the scheduler moved it
+        changed_at: { type: Date, default: Date.now },
+        notes: { type: String, trim: true },
+      },
+    ],
 
     // Contract/forms
     attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// One day's interest or storage charge on a loan, or its one-off late penalty
+const LoanAccrualSchema = new mongoose.Schema(
+  {
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan", required: true, index: true },
+    loan_term: { type: mongoose.Schema.Types.ObjectId, ref: "LoanTerm", index: true },
+
+    kind: {
+      type: String,
+      enum: ["interest", "storage", "penalty"],
+      required: true,
+    },
+
+    // Day the charge covers (UTC midnight)
+    accrual_date: { type: Date, required: true, index: true },
+    // Due date of the term the charge belongs to
+    due_date: { type: Date },
+
+    base_amount: { type: Number, required: true, min: 0 }, // balance the rate is applied to
+    rate_percent: { type: Number, required: true, min: 0 }, // per period, or one-off for penalties
+    period_days: { type: Number }, // interest and storage are spread evenly over the period
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "USD" },
+
+    // Income entry the charge was booked under
+    ledger_entry: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" },
+    // Taken by the run booking the charge, so concurrent runs book it once
+    ledger_claim: { type: String, default: null },
+    ledger_claimed_at: { type: Date },
+
+    // How much of the charge has been settled, oldest charges first, and by
+    // which loan payment or auction settlement
+    paid_amount: { type: Number, default: 0, min: 0 },
+    settlements: [
+      {
+        _id: false,
+        payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+        auction_settlement: { type: mongoose.Schema.Types.ObjectId, ref: "AuctionSettlement" },
+        amount: { type: Number, required: true, min: 0 },
+        settled_at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+// A loan is charged each kind at most once a day
+LoanAccrualSchema.index({ loan: 1, kind: 1, accrual_date: 1 }, { unique: true });
+LoanAccrualSchema.index({ loan: 1, kind: 1, due_date: 1 });
+LoanAccrualSchema.index({ "settlements.payment": 1 }, { sparse: true });
+LoanAccrualSchema.index({ "settlements.auction_settlement": 1 }, { sparse: true });
+
+module.exports = mongoose.model("LoanAccrual", LoanAccrualSchema);
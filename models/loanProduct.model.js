@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// Rate for a band of principal (and optionally one term length)
+const RateTierSchema = new mongoose.Schema(
+  {
+    term_days: { type: Number, min: 1 }, // applies to every term length when omitted
+    min_principal: { type: Number, default: 0, min: 0 },
+    max_principal: { type: Number, min: 0 }, // open-ended when omitted
+    interest_rate_percent: { type: Number, required: true, min: 0 },
+    storage_charge_percent: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Pricing and limits in force from effective_from until the next version
+const LoanProductVersionSchema = new mongoose.Schema(
+  {
+    version_no: { type: Number, required: true },
+    effective_from: { type: Date, required: true },
+
+    min_principal: { type: Number, default: 0, min: 0 },
+    max_principal: { type: Number, min: 0 },
+    max_ltv_percent: { type: Number, min: 0, max: 100 }, // principal / asset evaluated value
+
+    term_days: { type: [Number], required: true }, // allowed term lengths, first is the default
+    rate_table: { type: [RateTierSchema], required: true },
+
+    penalty_percent: { type: Number, default: 10, min: 0 },
+    grace_days: { type: Number, default: 7, min: 0 },
+
+    notes: { type: String, trim: true },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    created_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const LoanProductSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+
+    collateral_category: {
+      type: String,
+      required: true,
+      enum: ["small_loans", "motor_vehicle", "jewellery"],
+    },
+    currency: { type: String, default: "USD" },
+
+    // Used for new loans of the category when no product is chosen
+    is_default: { type: Boolean, default: false },
+
+    status: { type: String, enum: ["active", "retired"], default: "active", index: true },
+
+    // Append-only; a loan keeps the version it was priced on
+    versions: { type: [LoanProductVersionSchema], default: [] },
+
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+LoanProductSchema.index({ collateral_category: 1, status: 1 });
+// One default product per collateral category
+LoanProductSchema.index(
+  { collateral_category: 1 },
+  { unique: true, partialFilterExpression: { is_default: true } }
+);
+
+module.exports = mongoose.model("LoanProduct", LoanProductSchema);
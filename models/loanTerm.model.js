@@ -11,10 +11,16 @@ const LoanTermSchema = new mongoose.Schema(
     opening_balance: { type: Number, required: true, min: 0 },
     closing_balance: { type: Number, required: true, min: 0 },
 
+    // Priced from this loan product version
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "LoanProduct" },
+    product_version: { type: Number },
+
     interest_rate_percent: { type: Number, required: true },
     interest_period_days: { type: Number, required: true },
 
     storage_charge_percent: { type: Number, required: true },
+    penalty_percent: { type: Number },
+    grace_days: { type: Number },
 
     renewal_type: {
       type: String,
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+/**
+ * Per-recipient, per-channel delivery record of a notification.
+ * In-app delivery is resolved from the inbox, so only external
+ * channels (email, sms, push) are tracked here.
+ */
+const NotificationDeliverySchema = new mongoose.Schema(
+  {
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms", "push"],
+      required: true,
+    },
+
+    // Address used for the attempt (email, phone or device/user key)
+    destination: { type: String, trim: true, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "retrying", "failed", "skipped"],
+      default: "pending",
+      index: true,
+    },
+
+    attempts: { type: Number, default: 0 },
+    last_attempt_at: { type: Date, default: null },
+    next_attempt_at: { type: Date, default: null, index: true },
+    delivered_at: { type: Date, default: null },
+    last_error: { type: String, default: null },
+
+    // Provider response (message id, driver, etc.)
+    provider_response: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+    collection: "notification_deliveries",
+  }
+);
+
+// One delivery per recipient per channel, keeps fan-out idempotent
+NotificationDeliverySchema.index(
+  { notification: 1, user: 1, channel: 1 },
+  { unique: true }
+);
+NotificationDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+module.exports = mongoose.model(
+  "NotificationDelivery",
+  NotificationDeliverySchema
+);
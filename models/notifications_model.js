@@ -33,6 +33,8 @@ const AudienceSchema = new Schema(
     roles: {
       type: [String],
       enum: [
+        "super_admin_vendor",
+        "admin_pawn_limited",
         "call_centre_support",
         "loan_officer_processor",
         "loan_officer_approval",
@@ -79,8 +81,12 @@ const NotificationSchema = new Schema(
         "bid_outbid", // user has been outbid
         "bid_winning", // currently highest bid
         "bid_won", // bid won (final)
+        "bid_second_chance", // post-close offer to a non-winning bidder
         "bid_payment_due", // winner must pay
         "bid_payment_received", // auction payment confirmed
+        "lot_collection", // invoice paid, storage fees, lot collected
+        "auction_deposit", // registration deposit paid / refunded / forfeited
+        "bid_dispute", // dispute case opened / updated / resolved
         // ─── Account / compliance ───────────────────────
         "account_kyc", // KYC required / approved / rejected
         "account_status", // account suspended / activated
@@ -123,6 +129,19 @@ const NotificationSchema = new Schema(
     },
     is_active: { type: Boolean, default: true, index: true },
 
+    // Dispatcher lease & fan-out summary (see notification_dispatch_service)
+    dispatch: {
+      locked_until: { type: Date, default: null },
+      locked_by: { type: String, default: null },
+      started_at: { type: Date, default: null },
+      completed_at: { type: Date, default: null },
+      recipients: { type: Number, default: 0 },
+      delivered: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      last_error: { type: String, default: null },
+    },
+
     // Optional CTA / link
     action_text: { type: String, trim: true, default: null },
     action_url: { type: String, trim: true, default: null },
@@ -146,6 +165,7 @@ const NotificationSchema = new Schema(
 NotificationSchema.index({ "audience.scope": 1, status: 1, send_at: 1 });
 NotificationSchema.index({ type: 1, priority: 1, created_at: -1 });
 NotificationSchema.index({ is_active: 1, created_at: -1 });
+NotificationSchema.index({ status: 1, send_at: 1, "dispatch.locked_until": 1 });
 
 NotificationSchema.index(
   { expires_at: 1 },
@@ -24,6 +24,12 @@ const PaymentSchema = new Schema(
     principal_component: { type: Number, default: 0, min: 0 },
     storage_component: { type: Number, default: 0, min: 0 },
     penalty_component: { type: Number, default: 0, min: 0 },
+    // Left over once every charge and the principal are covered
+    unallocated_amount: { type: Number, default: 0, min: 0 },
+    // Set once the components are allocated and applied to the loan
+    allocated_at: { type: Date, default: null },
+    // Set once the allocation is posted to the ledger; until then a job retries it
+    ledger_posted_at: { type: Date, default: null },
 
     /* -------------------- Payment Provider -------------------- */
     provider: {
@@ -90,5 +96,6 @@ const PaymentSchema = new Schema(
 PaymentSchema.index({ loan: 1, paid_at: -1 });
 PaymentSchema.index({ loan: 1, payment_status: 1 });
 PaymentSchema.index({ provider: 1, payment_status: 1 });
+PaymentSchema.index({ ledger_posted_at: 1, allocated_at: 1 });
 
 module.exports = mongoose.model("Payment", PaymentSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Confidential maximum bid; the system bids on the user's behalf up to max_amount
+const ProxyBidSchema = new mongoose.Schema(
+  {
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bidder_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    max_amount: { type: Number, required: true, min: 0 },
+    max_set_at: { type: Date, default: Date.now }, // ties go to the earliest maximum
+
+    status: {
+      type: String,
+      enum: ["active", "outbid", "cancelled"],
+      default: "active",
+      index: true,
+    },
+
+    last_bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+    auto_bid_count: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+ProxyBidSchema.index({ auction: 1, bidder_user: 1 }, { unique: true });
+ProxyBidSchema.index({ auction: 1, status: 1, max_amount: -1, max_set_at: 1 });
+
+module.exports = mongoose.model("ProxyBid", ProxyBidSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Post-close offer to a non-winning bidder at a negotiated price
+const SecondChanceOfferSchema = new mongoose.Schema(
+  {
+    auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true, index: true },
+    bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" }, // bidder's best bid at close
+    offered_user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "USD" },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired", "withdrawn"],
+      default: "pending",
+      index: true,
+    },
+    expires_at: { type: Date, required: true, index: true },
+    responded_at: { type: Date },
+
+    offered_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    notes: { type: String, trim: true },
+
+    // Bid created on acceptance; the normal bid payment flow settles it
+    resulting_bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+SecondChanceOfferSchema.index({ auction: 1, offered_user: 1, status: 1 });
+
+module.exports = mongoose.model("SecondChanceOffer", SecondChanceOfferSchema);
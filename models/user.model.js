@@ -26,8 +26,17 @@ const UserDocumentSchema = new mongoose.Schema(
     mime_type: { type: String, trim: true },
     uploaded_at: { type: Date, default: Date.now },
     notes: { type: String, trim: true },
-  },
-  { _id: false }
+
+    // KYC review by staff
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewed_at: { type: Date },
+    review_notes: { type: String, trim: true },
+  }
 );
 
 const UserSchema = new mongoose.Schema(
@@ -91,6 +100,20 @@ const UserSchema = new mongoose.Schema(
     reset_password_expires_at: { type: Date },
 
     auth_providers: { type: [AuthProviderSchema], default: [] },
+
+    // Auctions won but not paid for within the payment window
+    auction_strikes: {
+      type: [
+        {
+          auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction" },
+          bid: { type: mongoose.Schema.Types.ObjectId, ref: "Bid" },
+          amount: { type: Number },
+          reason: { type: String, default: "payment_default" },
+          created_at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
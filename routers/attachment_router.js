@@ -46,7 +46,7 @@ const { authMiddleware, requireRoles } = require('../middlewares/auth_middleware
  *                 description: File to upload (required if storage is not 'url')
  *               entity_type:
  *                 type: string
- *                 enum: [LoanApplication, Loan, Asset, User, Ticket, DebtorRecord, Other]
+ *                 enum: [LoanApplication, Loan, Asset, User, Ticket, DebtorRecord, DisputeCase, BuyerInvoice, Other]
  *                 description: Type of entity this attachment belongs to
  *               entity_id:
  *                 type: string
@@ -0,0 +1,739 @@
+const express = require("express");
+const router = express.Router();
+const AuctionEventController = require("../controllers/auction_event_controller");
+const AuctionFloorController = require("../controllers/auction_floor_controller");
+const {
+  authMiddleware,
+  requireRoles,
+} = require("../middlewares/auth_middleware");
+
+// Apply authentication middleware to all routes except the public catalogue
+router.use((req, res, next) => {
+  if (req.method === "GET" && /^\/[^/]+\/catalogue$/.test(req.path)) {
+    return next();
+  }
+  authMiddleware(req, res, next);
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auction Events
+ *   description: Multi-lot auction events, catalogues and event reporting
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuctionEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         event_no:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         auction_type:
+ *           type: string
+ *           enum: ["online", "in_person", "sealed"]
+ *         venue:
+ *           type: string
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           description: Every lot opens at this time
+ *         first_lot_ends_at:
+ *           type: string
+ *           format: date-time
+ *           description: Closing time of lot 1
+ *         lot_interval_minutes:
+ *           type: number
+ *           description: Gap between consecutive lot closings
+ *         status:
+ *           type: string
+ *           enum: ["draft", "scheduled", "live", "closed", "cancelled"]
+ *         lot_count:
+ *           type: number
+ *           description: Highest lot number issued
+ *         published_at:
+ *           type: string
+ *           format: date-time
+ *         closed_at:
+ *           type: string
+ *           format: date-time
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *         created_by:
+ *           $ref: '#/components/schemas/User'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     CreateAuctionEventRequest:
+ *       type: object
+ *       required:
+ *         - title
+ *         - starts_at
+ *         - first_lot_ends_at
+ *       properties:
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         auction_type:
+ *           type: string
+ *           enum: ["online", "in_person", "sealed"]
+ *         venue:
+ *           type: string
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         first_lot_ends_at:
+ *           type: string
+ *           format: date-time
+ *         lot_interval_minutes:
+ *           type: number
+ *           default: 2
+ *
+ *     AddLotsRequest:
+ *       type: object
+ *       required:
+ *         - lots
+ *       properties:
+ *         lots:
+ *           type: array
+ *           description: Lots are numbered in the order given
+ *           items:
+ *             type: object
+ *             required:
+ *               - asset
+ *               - starting_bid_amount
+ *             properties:
+ *               asset:
+ *                 type: string
+ *               starting_bid_amount:
+ *                 type: number
+ *               reserve_price:
+ *                 type: number
+ *               increment_tiers:
+ *                 $ref: '#/components/schemas/IncrementTiers'
+ *               soft_close:
+ *                 $ref: '#/components/schemas/SoftClose'
+ *               registration:
+ *                 $ref: '#/components/schemas/RegistrationSettings'
+ *               sealed:
+ *                 $ref: '#/components/schemas/SealedSettings'
+ *               payment_window_hours:
+ *                 type: number
+ *
+ *     CatalogueLot:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         auction_no:
+ *           type: string
+ *         lot_number:
+ *           type: number
+ *         asset:
+ *           type: object
+ *           properties:
+ *             asset_no:
+ *               type: string
+ *             title:
+ *               type: string
+ *             description:
+ *               type: string
+ *             category:
+ *               type: string
+ *             condition:
+ *               type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               filename:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               mime_type:
+ *                 type: string
+ *         starting_bid_amount:
+ *           type: number
+ *         current_bid_amount:
+ *           type: number
+ *           nullable: true
+ *         bid_count:
+ *           type: number
+ *         next_minimum_bid:
+ *           type: number
+ *         has_reserve:
+ *           type: boolean
+ *         reserve_met:
+ *           type: boolean
+ *           nullable: true
+ *         status:
+ *           type: string
+ *         outcome:
+ *           type: string
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     AuctionEventReport:
+ *       type: object
+ *       properties:
+ *         event_id:
+ *           type: string
+ *         event_no:
+ *           type: string
+ *         status:
+ *           type: string
+ *         lots:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: number
+ *             draft:
+ *               type: number
+ *             live:
+ *               type: number
+ *             closed:
+ *               type: number
+ *             cancelled:
+ *               type: number
+ *             sold:
+ *               type: number
+ *             reserve_not_met:
+ *               type: number
+ *             no_bids:
+ *               type: number
+ *             passed:
+ *               type: number
+ *             payment_defaulted:
+ *               type: number
+ *         sell_through_rate:
+ *           type: number
+ *           description: Percentage of closed lots that sold
+ *         hammer_total:
+ *           type: number
+ *           description: Sum of winning bids on sold lots
+ *         proceeds_collected:
+ *           type: number
+ *           description: Successful winning-bid payments, excluding deposits
+ *         paid_lots:
+ *           type: number
+ *         outstanding:
+ *           type: number
+ *         generated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/auction-events:
+ *   post:
+ *     summary: Create an auction event
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateAuctionEventRequest'
+ *     responses:
+ *       201:
+ *         description: Auction event created as a draft
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post(
+  "/",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.createEvent
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events:
+ *   get:
+ *     summary: List auction events
+ *     description: Draft events are only listed for staff
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["draft", "scheduled", "live", "closed", "cancelled"]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Auction events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionEvent'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", AuctionEventController.getEvents);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}:
+ *   get:
+ *     summary: Get an auction event with its lots
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event and lots in running order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/AuctionEvent'
+ *                     lots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Auction'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction event not found
+ */
+router.get("/:id", AuctionEventController.getEvent);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}:
+ *   put:
+ *     summary: Update an auction event
+ *     description: |
+ *       Only draft and scheduled events can be changed. Draft lots are
+ *       re-timed to the new schedule.
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateAuctionEventRequest'
+ *     responses:
+ *       200:
+ *         description: Auction event updated
+ *       400:
+ *         description: Validation error or event already live
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event not found
+ */
+router.put(
+  "/:id",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.updateEvent
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/status:
+ *   put:
+ *     summary: Publish, unpublish or cancel an auction event
+ *     description: |
+ *       Publishing (scheduled) lets the scheduler open the lots at starts_at.
+ *       Cancelling cancels every lot that has not closed. The event moves
+ *       to live and closed on its own as its lots run.
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: ["draft", "scheduled", "cancelled"]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status transition or no lots to publish
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event not found
+ */
+router.put(
+  "/:id/status",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.updateEventStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/lots:
+ *   post:
+ *     summary: Add lots to an auction event
+ *     description: |
+ *       Each lot becomes a draft auction with its own starting bid and
+ *       reserve. Lots open with the event and close in lot order,
+ *       lot_interval_minutes apart. Lots that fail validation are reported
+ *       in `errors` and the rest are still added.
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddLotsRequest'
+ *     responses:
+ *       201:
+ *         description: Lots added
+ *       400:
+ *         description: No lots could be added or event already live
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event not found
+ */
+router.post(
+  "/:id/lots",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.addLots
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/lots/{auctionId}:
+ *   delete:
+ *     summary: Remove a draft lot from an auction event
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lot removed and remaining lots re-timed
+ *       400:
+ *         description: Lot is not a draft
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Lot not found in this event
+ */
+router.delete(
+  "/:id/lots/:auctionId",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.removeLot
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/paddles:
+ *   post:
+ *     summary: Register a paddle for an in-person auction event
+ *     description: The paddle bids on every lot of the event
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterPaddleRequest'
+ *     responses:
+ *       201:
+ *         description: Paddle registered
+ *       400:
+ *         description: Not an in-person event, or missing buyer details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event or user not found
+ *       409:
+ *         description: Paddle number taken or bidder already holds a paddle
+ *   get:
+ *     summary: List the paddles of an auction event
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["active", "revoked"]
+ *     responses:
+ *       200:
+ *         description: Paddles in number order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionPaddle'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event not found
+ */
+router.post(
+  "/:id/paddles",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.registerEventPaddle
+);
+router.get(
+  "/:id/paddles",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.getEventPaddles
+);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/catalogue:
+ *   get:
+ *     summary: Public catalogue of an auction event
+ *     description: |
+ *       Lists every lot with its photos, current price and closing time.
+ *       No authentication required. Reserve amounts and owner details are
+ *       never shown.
+ *     tags: [Auction Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/AuctionEvent'
+ *                     lots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CatalogueLot'
+ *       404:
+ *         description: Auction event not found or not published
+ */
+router.get("/:id/catalogue", AuctionEventController.getCatalogue);
+
+/**
+ * @swagger
+ * /api/v1/auction-events/{id}/report:
+ *   get:
+ *     summary: Sell-through and proceeds report of an auction event
+ *     tags: [Auction Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionEventReport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction event not found
+ */
+router.get(
+  "/:id/report",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionEventController.getEventReport
+);
+
+module.exports = router;
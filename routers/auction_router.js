@@ -1,6 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const AuctionController = require("../controllers/auction_controller");
+const SecondChanceOfferController = require("../controllers/second_chance_offer_controller");
+const AuctionSettlementController = require("../controllers/auction_settlement_controller");
+const AuctionRegistrationController = require("../controllers/auction_registration_controller");
+const AuctionFloorController = require("../controllers/auction_floor_controller");
+const AuctionWatchController = require("../controllers/auction_watch_controller");
+const AuctionFraudController = require("../controllers/auction_fraud_controller");
+const BuyerInvoiceController = require("../controllers/buyer_invoice_controller");
 const {
   authMiddleware,
   requireRoles,
@@ -29,26 +36,113 @@ router.use(authMiddleware);
  *           type: string
  *         asset:
  *           $ref: '#/components/schemas/Asset'
+ *         event:
+ *           type: string
+ *           description: Auction event this lot belongs to
+ *         lot_number:
+ *           type: number
+ *           description: Position of the lot within its event
  *         starting_bid_amount:
  *           type: number
  *         reserve_price:
  *           type: number
  *         auction_type:
  *           type: string
- *           enum: ["online", "in_person"]
+ *           enum: ["online", "in_person", "sealed"]
  *         starts_at:
  *           type: string
  *           format: date-time
  *         ends_at:
  *           type: string
  *           format: date-time
+ *         soft_close:
+ *           $ref: '#/components/schemas/SoftClose'
+ *         increment_tiers:
+ *           $ref: '#/components/schemas/IncrementTiers'
+ *         payment_window_hours:
+ *           type: number
+ *           minimum: 1
+ *           description: Hours the winner has to pay (defaults to AUCTION_PAYMENT_WINDOW_HOURS)
+ *         buyer_premium_percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Buyer's premium on the hammer price (defaults to AUCTION_BUYER_PREMIUM_PERCENT)
+ *         buyer_fees:
+ *           type: array
+ *           description: Flat fees charged to the buyer on the invoice
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         registration:
+ *           $ref: '#/components/schemas/RegistrationSettings'
+ *         sealed:
+ *           $ref: '#/components/schemas/SealedSettings'
+ *         costs:
+ *           type: array
+ *           description: Selling costs deducted from the proceeds at settlement
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         original_ends_at:
+ *           type: string
+ *           format: date-time
+ *           description: End time before any soft-close extension
+ *         extension_count:
+ *           type: number
+ *         extensions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               extended_at:
+ *                 type: string
+ *                 format: date-time
+ *               previous_ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               new_ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               bid:
+ *                 type: string
+ *               bidder_user:
+ *                 type: string
  *         status:
  *           type: string
  *           enum: ["draft", "live", "closed", "cancelled"]
+ *         outcome:
+ *           type: string
+ *           enum: ["sold", "reserve_not_met", "no_bids", "passed", "payment_defaulted"]
+ *           description: Set when the auction closes; passed means the auctioneer withdrew the lot unsold at the hammer
+ *         payment_due_at:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline for the current winner to pay
+ *         forfeits:
+ *           type: array
+ *           description: Winners who missed their payment window
+ *           items:
+ *             type: object
+ *             properties:
+ *               bid:
+ *                 type: string
+ *               bidder_user:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               forfeited_at:
+ *                 type: string
+ *                 format: date-time
+ *         relisted_from:
+ *           type: string
+ *         relisted_as:
+ *           type: string
  *         winner_user:
  *           $ref: '#/components/schemas/User'
  *         winning_bid_amount:
  *           type: number
+ *         watcher_count:
+ *           type: number
+ *           description: Users watching the auction (auction list only)
  *         created_by:
  *           $ref: '#/components/schemas/User'
  *         created_at:
@@ -99,6 +193,83 @@ router.use(authMiddleware);
  *         category:
  *           type: string
  *
+ *     IncrementTiers:
+ *       type: array
+ *       description: |
+ *         Minimum raise by price band. A bid must be at least the current highest
+ *         bid plus the increment of the first band whose `up_to` is above it.
+ *         Leave empty to use the global table.
+ *       items:
+ *         type: object
+ *         required:
+ *           - increment
+ *         properties:
+ *           up_to:
+ *             type: number
+ *             nullable: true
+ *             description: Upper bound of the band (null on the last band = no limit)
+ *           increment:
+ *             type: number
+ *       example:
+ *         - up_to: 100
+ *           increment: 5
+ *         - up_to: 1000
+ *           increment: 25
+ *         - up_to: null
+ *           increment: 50
+ *
+ *     SoftClose:
+ *       type: object
+ *       description: |
+ *         Anti-sniping rules for online auctions. A bid placed within the last
+ *         `window_minutes` pushes `ends_at` back by `extension_minutes`, at most
+ *         `max_extensions` times.
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         window_minutes:
+ *           type: number
+ *           default: 2
+ *         extension_minutes:
+ *           type: number
+ *           default: 2
+ *         max_extensions:
+ *           type: number
+ *           default: 10
+ *
+ *     SealedSettings:
+ *       type: object
+ *       description: |
+ *         Applies when auction_type is sealed. Bid amounts stay hidden until
+ *         close; the highest bidder then wins and pays their own bid
+ *         (first_price) or the best rival bid, but at least the reserve or
+ *         starting bid (second_price).
+ *       properties:
+ *         pricing:
+ *           type: string
+ *           enum: ["first_price", "second_price"]
+ *           default: "first_price"
+ *         revealed_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the bids were revealed at close
+ *
+ *     RegistrationSettings:
+ *       type: object
+ *       description: |
+ *         When enabled, bidders must register (verified email and an approved
+ *         national ID or passport) and pay any deposit before bidding.
+ *         Defaults to enabled for vehicle and jewellery auctions.
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         deposit_amount:
+ *           type: number
+ *           minimum: 0
+ *           description: Refundable deposit; 0 means no deposit
+ *
  *     CreateAuctionRequest:
  *       type: object
  *       required:
@@ -118,7 +289,7 @@ router.use(authMiddleware);
  *           minimum: 0
  *         auction_type:
  *           type: string
- *           enum: ["online", "in_person"]
+ *           enum: ["online", "in_person", "sealed"]
  *           default: "online"
  *         starts_at:
  *           type: string
@@ -126,6 +297,28 @@ router.use(authMiddleware);
  *         ends_at:
  *           type: string
  *           format: date-time
+ *         soft_close:
+ *           $ref: '#/components/schemas/SoftClose'
+ *         increment_tiers:
+ *           $ref: '#/components/schemas/IncrementTiers'
+ *         payment_window_hours:
+ *           type: number
+ *           minimum: 1
+ *           description: Hours the winner has to pay (defaults to AUCTION_PAYMENT_WINDOW_HOURS)
+ *         buyer_premium_percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Buyer's premium on the hammer price (defaults to AUCTION_BUYER_PREMIUM_PERCENT)
+ *         buyer_fees:
+ *           type: array
+ *           description: Flat fees charged to the buyer on the invoice
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         registration:
+ *           $ref: '#/components/schemas/RegistrationSettings'
+ *         sealed:
+ *           $ref: '#/components/schemas/SealedSettings'
  *
  *     UpdateAuctionRequest:
  *       type: object
@@ -138,13 +331,35 @@ router.use(authMiddleware);
  *           minimum: 0
  *         auction_type:
  *           type: string
- *           enum: ["online", "in_person"]
+ *           enum: ["online", "in_person", "sealed"]
  *         starts_at:
  *           type: string
  *           format: date-time
  *         ends_at:
  *           type: string
  *           format: date-time
+ *         soft_close:
+ *           $ref: '#/components/schemas/SoftClose'
+ *         increment_tiers:
+ *           $ref: '#/components/schemas/IncrementTiers'
+ *         payment_window_hours:
+ *           type: number
+ *           minimum: 1
+ *           description: Hours the winner has to pay (defaults to AUCTION_PAYMENT_WINDOW_HOURS)
+ *         buyer_premium_percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Buyer's premium on the hammer price (defaults to AUCTION_BUYER_PREMIUM_PERCENT)
+ *         buyer_fees:
+ *           type: array
+ *           description: Flat fees charged to the buyer on the invoice
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         registration:
+ *           $ref: '#/components/schemas/RegistrationSettings'
+ *         sealed:
+ *           $ref: '#/components/schemas/SealedSettings'
  *
  *     UpdateAuctionStatusRequest:
  *       type: object
@@ -164,7 +379,17 @@ router.use(authMiddleware);
  *           type: number
  *           minimum: 0
  *
- *     Bid:
+ *     SetProxyBidRequest:
+ *       type: object
+ *       required:
+ *         - max_amount
+ *       properties:
+ *         max_amount:
+ *           type: number
+ *           minimum: 0
+ *           description: Highest amount the system may bid for you
+ *
+ *     ProxyBid:
  *       type: object
  *       properties:
  *         _id:
@@ -172,171 +397,740 @@ router.use(authMiddleware);
  *         auction:
  *           type: string
  *         bidder_user:
- *           $ref: '#/components/schemas/User'
- *         amount:
+ *           type: string
+ *         max_amount:
  *           type: number
- *         placed_at:
+ *         max_set_at:
  *           type: string
  *           format: date-time
- *         payment_status:
+ *         status:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
- *         dispute:
- *           type: object
- *           properties:
- *             status:
- *               type: string
- *               enum: ["none", "raised", "under_review", "resolved_valid", "resolved_invalid"]
- */
-
-/**
- * @swagger
- * /api/v1/auctions:
- *   post:
- *     summary: Create a new auction
- *     tags: [Auctions]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CreateAuctionRequest'
- *     responses:
- *       201:
- *         description: Auction created successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Auction'
- *                 message:
- *                   type: string
- *       400:
- *         description: Invalid input data
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Insufficient permissions
- */
-router.post(
-  "/",
-  requireRoles(
-    "loan_officer_processor",
-    "loan_officer_approval",
-    "admin_pawn_limited",
-    "management",
-    "super_admin_vendor"
-  ),
-  AuctionController.createAuction
-);
-
-/**
- * @swagger
- * /api/v1/auctions:
- *   get:
- *     summary: Get auctions with pagination and filters
- *     tags: [Auctions]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
+ *           enum: ["active", "outbid", "cancelled"]
+ *         auto_bid_count:
+ *           type: number
+ *         current_bid_amount:
+ *           type: number
+ *         is_leading:
+ *           type: boolean
+ *
+ *     RelistAuctionRequest:
+ *       type: object
+ *       required:
+ *         - starts_at
+ *         - ends_at
+ *       properties:
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *         starting_bid_amount:
+ *           type: number
+ *         reserve_price:
+ *           type: number
+ *           description: Send 0 to re-list without a reserve
+ *         auction_type:
+ *           type: string
+ *           enum: ["online", "in_person", "sealed"]
+ *         soft_close:
+ *           $ref: '#/components/schemas/SoftClose'
+ *         increment_tiers:
+ *           $ref: '#/components/schemas/IncrementTiers'
+ *         payment_window_hours:
+ *           type: number
+ *           minimum: 1
+ *           description: Hours the winner has to pay (defaults to AUCTION_PAYMENT_WINDOW_HOURS)
+ *         buyer_premium_percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Buyer's premium on the hammer price (defaults to AUCTION_BUYER_PREMIUM_PERCENT)
+ *         buyer_fees:
+ *           type: array
+ *           description: Flat fees charged to the buyer on the invoice
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         registration:
+ *           $ref: '#/components/schemas/RegistrationSettings'
+ *         sealed:
+ *           $ref: '#/components/schemas/SealedSettings'
+ *
+ *     CreateSecondChanceOfferRequest:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         amount:
+ *           type: number
+ *           description: Negotiated price offered to each bidder
+ *         top_n:
  *           type: integer
  *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Items per page
- *       - in: query
- *         name: status
- *         schema:
+ *           description: Number of top bidders to offer to (ignored when bidder_users is set)
+ *         bidder_users:
+ *           type: array
+ *           items:
+ *             type: string
+ *         expires_in_hours:
+ *           type: number
+ *           default: 48
+ *         notes:
  *           type: string
- *           enum: ["draft", "live", "closed", "cancelled"]
- *         description: Filter by status
- *       - in: query
- *         name: auction_type
- *         schema:
+ *
+ *     SecondChanceOffer:
+ *       type: object
+ *       properties:
+ *         _id:
  *           type: string
- *           enum: ["online", "in_person"]
- *         description: Filter by auction type
- *       - in: query
- *         name: category
- *         schema:
+ *         auction:
  *           type: string
- *           enum: ["electronics", "vehicle", "jewellery"]
- *         description: Filter by asset category
- *       - in: query
- *         name: asset_id
- *         schema:
+ *         offered_user:
  *           type: string
- *         description: Filter by specific asset
- *       - in: query
- *         name: created_from
- *         schema:
+ *         amount:
+ *           type: number
+ *         status:
  *           type: string
- *           format: date
- *         description: Filter by creation date from
- *       - in: query
- *         name: created_to
- *         schema:
+ *           enum: ["pending", "accepted", "declined", "expired", "withdrawn"]
+ *         expires_at:
  *           type: string
- *           format: date
- *         description: Filter by creation date to
- *       - in: query
- *         name: starts_from
- *         schema:
+ *           format: date-time
+ *         responded_at:
  *           type: string
- *           format: date
- *         description: Filter by start date from
- *       - in: query
- *         name: starts_to
- *         schema:
+ *           format: date-time
+ *         resulting_bid:
  *           type: string
- *           format: date
- *         description: Filter by start date to
- *       - in: query
- *         name: ends_from
- *         schema:
+ *
+ *     AuctionRegistration:
+ *       type: object
+ *       properties:
+ *         _id:
  *           type: string
- *           format: date
- *         description: Filter by end date from
- *       - in: query
- *         name: ends_to
- *         schema:
+ *         auction:
  *           type: string
- *           format: date
- *         description: Filter by end date to
- *       - in: query
- *         name: search
- *         schema:
+ *         bidder_user:
  *           type: string
- *         description: Search auction number
- *       - in: query
- *         name: sort_by
- *         schema:
+ *         status:
  *           type: string
- *           default: created_at
- *           enum: [created_at, updated_at, starts_at, ends_at]
- *         description: Field to sort by
- *       - in: query
- *         name: sort_order
- *         schema:
+ *           enum: ["pending_deposit", "approved", "withdrawn"]
+ *         approved_at:
  *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *     responses:
- *       200:
+ *           format: date-time
+ *         kyc_documents:
+ *           type: array
+ *           items:
+ *             type: string
+ *         deposit:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               type: number
+ *             currency:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: ["not_required", "unpaid", "pending", "paid", "refund_pending", "refunded", "forfeited"]
+ *             payment:
+ *               type: string
+ *             paid_at:
+ *               type: string
+ *               format: date-time
+ *             refund_requested_at:
+ *               type: string
+ *               format: date-time
+ *             refunded_at:
+ *               type: string
+ *               format: date-time
+ *     PayDepositRequest:
+ *       type: object
+ *       required: [method]
+ *       properties:
+ *         method:
+ *           type: string
+ *           enum: ["cash", "bank", "ecocash", "onemoney", "telecash", "card", "paynow"]
+ *         payer_phone:
+ *           type: string
+ *           description: Required for mobile money methods
+ *         redirect_url:
+ *           type: string
+ *         notes:
+ *           type: string
+ *     AuctionWatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         auction:
+ *           type: string
+ *         user:
+ *           type: string
+ *         lead_minutes:
+ *           type: array
+ *           description: Minutes before the close at which ending-soon alerts are sent
+ *           items:
+ *             type: number
+ *         alerts_sent:
+ *           type: array
+ *           items:
+ *             type: number
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WatchAuctionRequest:
+ *       type: object
+ *       properties:
+ *         lead_minutes:
+ *           type: array
+ *           description: Up to 5 lead times in minutes (1 to 10080); defaults to AUCTION_ENDING_SOON_LEAD_MINUTES (60 and 10)
+ *           items:
+ *             type: integer
+ *           example: [60, 10]
+ *     AuctionFraudFlag:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         auction:
+ *           type: string
+ *         bidder_user:
+ *           type: string
+ *         bid:
+ *           type: string
+ *           description: Bid that triggered the flag
+ *         rule:
+ *           type: string
+ *           enum: ["owner_shared_phone", "owner_shared_national_id", "new_account", "retraction_history", "dispute_history", "alternating_bid_war"]
+ *         severity:
+ *           type: string
+ *           enum: ["low", "medium", "high"]
+ *         details:
+ *           type: object
+ *           description: Evidence for the rule, e.g. account age or the counterpart of a bid war
+ *         hold_settlement:
+ *           type: boolean
+ *           description: While open, the auction cannot be settled
+ *         status:
+ *           type: string
+ *           enum: ["open", "cleared", "confirmed"]
+ *         reviewed_by:
+ *           type: string
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *         review_notes:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ReviewFraudFlagRequest:
+ *       type: object
+ *       required: [status]
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: ["cleared", "confirmed"]
+ *         notes:
+ *           type: string
+ *     AuctionCost:
+ *       type: object
+ *       required: [label, amount]
+ *       properties:
+ *         label:
+ *           type: string
+ *           example: "Transport"
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *     UpdateAuctionCostsRequest:
+ *       type: object
+ *       required: [costs]
+ *       properties:
+ *         costs:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *     AuctionPaddle:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         event:
+ *           type: string
+ *           description: Set when the paddle is issued for a multi-lot event
+ *         auction:
+ *           type: string
+ *           description: Set when the paddle is issued for a single auction
+ *         paddle_number:
+ *           type: number
+ *         bidder_user:
+ *           $ref: '#/components/schemas/User'
+ *         walk_in:
+ *           type: boolean
+ *         buyer:
+ *           $ref: '#/components/schemas/FloorBuyer'
+ *         status:
+ *           type: string
+ *           enum: ["active", "revoked"]
+ *         notes:
+ *           type: string
+ *         registered_by:
+ *           type: string
+ *         revoked_by:
+ *           type: string
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     FloorBuyer:
+ *       type: object
+ *       properties:
+ *         first_name:
+ *           type: string
+ *         last_name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         email:
+ *           type: string
+ *         national_id_number:
+ *           type: string
+ *
+ *     RegisterPaddleRequest:
+ *       type: object
+ *       description: Give user_id for an existing customer, or buyer details for a walk-in
+ *       properties:
+ *         user_id:
+ *           type: string
+ *         buyer:
+ *           $ref: '#/components/schemas/FloorBuyer'
+ *         paddle_number:
+ *           type: number
+ *           description: Next free number when omitted
+ *         notes:
+ *           type: string
+ *
+ *     FloorBidRequest:
+ *       type: object
+ *       required:
+ *         - paddle_number
+ *         - amount
+ *       properties:
+ *         paddle_number:
+ *           type: number
+ *         amount:
+ *           type: number
+ *
+ *     HammerRequest:
+ *       type: object
+ *       required:
+ *         - result
+ *       properties:
+ *         result:
+ *           type: string
+ *           enum: ["sold", "passed", "withdrawn"]
+ *         notes:
+ *           type: string
+ *
+ *     FloorPaymentRequest:
+ *       type: object
+ *       required:
+ *         - amount
+ *         - method
+ *       properties:
+ *         amount:
+ *           type: number
+ *           description: Must equal the buyer invoice total (winning bid plus buyer's premium and fees)
+ *         method:
+ *           type: string
+ *           enum: ["cash", "bank", "card"]
+ *         receipt_no:
+ *           type: string
+ *           description: Receipt issued at the sale; generated when omitted
+ *         notes:
+ *           type: string
+ *
+ *     AuctionSettlement:
+ *       type: object
+ *       description: |
+ *         Application of the sale proceeds to the loan the asset secured,
+ *         in the order auction costs, penalty, storage, interest, principal
+ *       properties:
+ *         _id:
+ *           type: string
+ *         statement_no:
+ *           type: string
+ *         auction:
+ *           type: string
+ *         bid_payment:
+ *           type: string
+ *         asset:
+ *           type: string
+ *         loan:
+ *           type: string
+ *           nullable: true
+ *         customer_user:
+ *           type: string
+ *           description: Borrower
+ *         currency:
+ *           type: string
+ *         sale_amount:
+ *           type: number
+ *           description: Hammer price; the buyer's premium and fees are not proceeds
+ *         loan_position:
+ *           type: object
+ *           properties:
+ *             principal:
+ *               type: number
+ *             interest:
+ *               type: number
+ *             storage:
+ *               type: number
+ *             penalty:
+ *               type: number
+ *             total:
+ *               type: number
+ *         auction_costs:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AuctionCost'
+ *         applied:
+ *           type: object
+ *           properties:
+ *             auction_costs:
+ *               type: number
+ *             penalty:
+ *               type: number
+ *             storage:
+ *               type: number
+ *             interest:
+ *               type: number
+ *             principal:
+ *               type: number
+ *         surplus:
+ *           type: number
+ *           description: Owed to the borrower
+ *         deficit:
+ *           type: number
+ *           description: Still owed by the borrower
+ *         surplus_status:
+ *           type: string
+ *           enum: ["none", "payable", "paid_out"]
+ *         status:
+ *           type: string
+ *           enum: ["processing", "settled", "failed"]
+ *         last_error:
+ *           type: string
+ *         ledger_entries:
+ *           type: array
+ *           items:
+ *             type: string
+ *         settled_at:
+ *           type: string
+ *           format: date-time
+ *     BuyerInvoice:
+ *       type: object
+ *       description: Invoice to the winner of a lot and the collection of the lot
+ *       properties:
+ *         _id:
+ *           type: string
+ *         invoice_no:
+ *           type: string
+ *           example: INV-2610-482193
+ *         auction:
+ *           type: string
+ *         bid:
+ *           type: string
+ *         buyer_user:
+ *           type: string
+ *         asset:
+ *           type: string
+ *         currency:
+ *           type: string
+ *         hammer_price:
+ *           type: number
+ *         buyer_premium_percent:
+ *           type: number
+ *         buyer_premium:
+ *           type: number
+ *         fees_total:
+ *           type: number
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: ["hammer", "buyer_premium", "fee"]
+ *               label:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         amount_due:
+ *           type: number
+ *           description: Paid through the winning bid payment
+ *         status:
+ *           type: string
+ *           enum: ["issued", "paid", "void"]
+ *         paid_at:
+ *           type: string
+ *           format: date-time
+ *         void_reason:
+ *           type: string
+ *         storage:
+ *           type: object
+ *           description: Charged per day once the collection deadline passes; paid at collection
+ *           properties:
+ *             daily_fee:
+ *               type: number
+ *             days_charged:
+ *               type: number
+ *             amount:
+ *               type: number
+ *             paid_at:
+ *               type: string
+ *               format: date-time
+ *         handover:
+ *           type: object
+ *           description: Collection of the lot by the buyer
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: ["not_ready", "awaiting_collection", "collected"]
+ *             due_at:
+ *               type: string
+ *               format: date-time
+ *             collected_at:
+ *               type: string
+ *               format: date-time
+ *             released_by:
+ *               type: string
+ *             collected_by_name:
+ *               type: string
+ *             id_document_type:
+ *               type: string
+ *               enum: ["national_id", "passport", "drivers_license"]
+ *             id_document_number:
+ *               type: string
+ *             id_matches_buyer:
+ *               type: boolean
+ *               nullable: true
+ *             signature:
+ *               type: string
+ *             released_from_location:
+ *               type: string
+ *     ReleaseLotRequest:
+ *       type: object
+ *       required: [id_document_type, id_document_number, signature_attachment_id]
+ *       properties:
+ *         id_document_type:
+ *           type: string
+ *           enum: ["national_id", "passport", "drivers_license"]
+ *         id_document_number:
+ *           type: string
+ *           description: A national ID must match the buyer's ID on record
+ *         collected_by_name:
+ *           type: string
+ *           description: Defaults to the buyer's name
+ *         signature_attachment_id:
+ *           type: string
+ *           description: Handover signature uploaded with entity_type BuyerInvoice and this invoice as entity_id
+ *         storage_payment_method:
+ *           type: string
+ *           description: Required when storage fees are owed
+ *         storage_payment_reference:
+ *           type: string
+ *         notes:
+ *           type: string
+ *     Bid:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         auction:
+ *           type: string
+ *         bidder_user:
+ *           $ref: '#/components/schemas/User'
+ *         amount:
+ *           type: number
+ *         placed_at:
+ *           type: string
+ *           format: date-time
+ *         is_proxy:
+ *           type: boolean
+ *           description: Placed automatically from the bidder's maximum bid
+ *         sealed:
+ *           type: boolean
+ *           description: |
+ *             Sealed-auction bid not yet revealed; amount and bidder_user are
+ *             null for everyone but the bidder
+ *         payment_status:
+ *           type: string
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled", "forfeited"]
+ *         dispute:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: ["none", "raised", "under_review", "resolved_valid", "resolved_invalid"]
+ *         fraud_flags:
+ *           type: array
+ *           description: Staff only; open fraud flags on this bidder for the auction
+ *           items:
+ *             $ref: '#/components/schemas/AuctionFraudFlag'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auctions:
+ *   post:
+ *     summary: Create a new auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateAuctionRequest'
+ *     responses:
+ *       201:
+ *         description: Auction created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Auction'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post(
+  "/",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionController.createAuction
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions:
+ *   get:
+ *     summary: Get auctions with pagination and filters
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["draft", "live", "closed", "cancelled"]
+ *         description: Filter by status
+ *       - in: query
+ *         name: auction_type
+ *         schema:
+ *           type: string
+ *           enum: ["online", "in_person", "sealed"]
+ *         description: Filter by auction type
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: ["electronics", "vehicle", "jewellery"]
+ *         description: Filter by asset category
+ *       - in: query
+ *         name: asset_id
+ *         schema:
+ *           type: string
+ *         description: Filter by specific asset
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date from
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date to
+ *       - in: query
+ *         name: starts_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date from
+ *       - in: query
+ *         name: starts_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date to
+ *       - in: query
+ *         name: ends_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date from
+ *       - in: query
+ *         name: ends_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date to
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search auction number
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           default: created_at
+ *           enum: [created_at, updated_at, starts_at, ends_at]
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *     responses:
+ *       200:
  *         description: Auctions retrieved successfully
  *         content:
  *           application/json:
@@ -346,46 +1140,1700 @@ router.post(
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   properties:
- *                     auctions:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Auction'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
- *                         pages:
- *                           type: integer
+ *                   type: object
+ *                   properties:
+ *                     auctions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Auction'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         pages:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", AuctionController.getAuctions);
+
+/**
+ * @swagger
+ * /api/v1/auctions/live:
+ *   get:
+ *     summary: Get live auctions
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: ["electronics", "vehicle", "jewellery"]
+ *         description: Filter by asset category
+ *     responses:
+ *       200:
+ *         description: Live auctions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Auction'
+ *                       - type: object
+ *                         properties:
+ *                           current_bid:
+ *                             $ref: '#/components/schemas/Bid'
+ *                           next_minimum_bid:
+ *                             type: number
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/live", AuctionController.getLiveAuctions);
+
+/**
+ * @swagger
+ * /api/v1/auctions/watchlist:
+ *   get:
+ *     summary: Get my watchlist
+ *     description: Watched auctions with their current price. Sealed auctions show no amount until they close.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["draft", "live", "closed", "cancelled"]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Watchlist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       lead_minutes:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                       watched_at:
+ *                         type: string
+ *                         format: date-time
+ *                       auction:
+ *                         $ref: '#/components/schemas/Auction'
+ *                       current_bid_amount:
+ *                         type: number
+ *                         nullable: true
+ *                       bid_count:
+ *                         type: number
+ *                       next_minimum_bid:
+ *                         type: number
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/watchlist", AuctionWatchController.getMyWatchlist);
+
+/**
+ * @swagger
+ * /api/v1/auctions/settlements:
+ *   get:
+ *     summary: Get auction settlements
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["processing", "settled", "failed"]
+ *       - in: query
+ *         name: surplus_status
+ *         schema:
+ *           type: string
+ *           enum: ["none", "payable", "paid_out"]
+ *       - in: query
+ *         name: loan
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Settlements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionSettlement'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/settlements",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionSettlementController.getSettlements
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/settlements/mine:
+ *   get:
+ *     summary: Get my settlement statements
+ *     description: Surplus or deficit statements for loans whose collateral was sold
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionSettlement'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/settlements/mine", AuctionSettlementController.getMySettlements);
+
+/**
+ * @swagger
+ * /api/v1/auctions/settlements/{settlementId}/surplus-paid:
+ *   put:
+ *     summary: Record that a settlement surplus was paid to the borrower
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Surplus marked as paid out
+ *       400:
+ *         description: No payable surplus for this settlement
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.put(
+  "/settlements/:settlementId/surplus-paid",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionSettlementController.markSurplusPaid
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/invoices:
+ *   get:
+ *     summary: List buyer invoices
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["issued", "paid", "void"]
+ *       - in: query
+ *         name: handover_status
+ *         schema:
+ *           type: string
+ *           enum: ["not_ready", "awaiting_collection", "collected"]
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: string
+ *           enum: ["true"]
+ *         description: Only paid lots past their collection deadline
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BuyerInvoice'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/invoices",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  BuyerInvoiceController.getInvoices
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/invoices/mine:
+ *   get:
+ *     summary: Get my buyer invoices
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BuyerInvoice'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/invoices/mine", BuyerInvoiceController.getMyInvoices);
+
+/**
+ * @swagger
+ * /api/v1/auctions/invoices/{invoiceId}:
+ *   get:
+ *     summary: Get a buyer invoice
+ *     description: Buyers can only see their own invoices
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get("/invoices/:invoiceId", BuyerInvoiceController.getInvoiceById);
+
+/**
+ * @swagger
+ * /api/v1/auctions/invoices/{invoiceId}/release:
+ *   post:
+ *     summary: Release a paid lot to the buyer
+ *     description: |
+ *       Records the handover: the collector's ID is checked against the
+ *       buyer, the signature attachment is stored, storage fees owed for a
+ *       late collection are taken and the asset is moved out of storage.
+ *       Not allowed while the auction has fraud holds or the buyer's bid
+ *       is disputed.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReleaseLotRequest'
+ *     responses:
+ *       200:
+ *         description: Lot released to the buyer
+ *       400:
+ *         description: Missing ID or signature, ID mismatch, unpaid invoice or storage fees owed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Lot on hold or already collected
+ */
+router.post(
+  "/invoices/:invoiceId/release",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  BuyerInvoiceController.releaseLot
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/paddles/{paddleId}/revoke:
+ *   put:
+ *     summary: Revoke a floor auction paddle
+ *     description: The paddle can no longer bid and its number is not reissued
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paddleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paddle revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Active paddle not found
+ */
+router.put(
+  "/paddles/:paddleId/revoke",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.revokePaddle
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/fraud-flags:
+ *   get:
+ *     summary: Fraud review queue
+ *     description: |
+ *       Suspicious bidding flagged across auctions: bidders sharing a phone
+ *       number or national ID with the asset owner, accounts created just
+ *       before bidding, repeated forfeited wins or disputes, and tight
+ *       alternating bid wars between two accounts.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["open", "cleared", "confirmed", "all"]
+ *           default: open
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: ["low", "medium", "high"]
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: auction_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Fraud flags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionFraudFlag'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/fraud-flags",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFraudController.getFlags
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/fraud-flags/{flagId}/review:
+ *   put:
+ *     summary: Clear or confirm a fraud flag
+ *     description: Reviewed flags no longer hold settlement; a paid auction is settled once its last hold is reviewed.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewFraudFlagRequest'
+ *     responses:
+ *       200:
+ *         description: Flag reviewed
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Fraud flag not found
+ *       409:
+ *         description: Flag has already been reviewed
+ */
+router.put(
+  "/fraud-flags/:flagId/review",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFraudController.reviewFlag
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}:
+ *   get:
+ *     summary: Get auction by ID with details
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Auction details with asset images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     auction:
+ *                       $ref: '#/components/schemas/Auction'
+ *                     current_bid:
+ *                       $ref: '#/components/schemas/Bid'
+ *                     next_minimum_bid:
+ *                       type: number
+ *                       description: Lowest amount the next bid may be
+ *                     watcher_count:
+ *                       type: number
+ *                       description: Users watching the auction
+ *                     fraud_review:
+ *                       type: object
+ *                       description: Staff only
+ *                       properties:
+ *                         open:
+ *                           type: number
+ *                         settlement_held:
+ *                           type: boolean
+ *                         flags:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AuctionFraudFlag'
+ *       404:
+ *         description: Auction not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/:id", AuctionController.getAuction);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}:
+ *   put:
+ *     summary: Update auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateAuctionRequest'
+ *     responses:
+ *       200:
+ *         description: Auction updated successfully
+ *       400:
+ *         description: Invalid input data or cannot update auction
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ */
+router.put(
+  "/:id",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionController.updateAuction
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/status:
+ *   put:
+ *     summary: Update auction status
+ *     description: |
+ *       Drafts go live at `starts_at` and live auctions close at `ends_at`
+ *       automatically; use this endpoint to start early, cancel or close an
+ *       auction the scheduler has not reached yet. Every transition is
+ *       audit-logged.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateAuctionStatusRequest'
+ *     responses:
+ *       200:
+ *         description: Auction status updated successfully
+ *       400:
+ *         description: Invalid status or status transition
+ *       409:
+ *         description: Auction end time was extended by a late bid
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ */
+router.put(
+  "/:id/status",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionController.updateAuctionStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/bids:
+ *   post:
+ *     summary: Place a bid on auction
+ *     description: |
+ *       On sealed auctions any bid from the starting amount up is accepted,
+ *       bidders may bid more than once, and amounts stay hidden until close.
+ *       In-person auctions take bids through the clerk console only.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlaceBidRequest'
+ *     responses:
+ *       201:
+ *         description: Bid placed successfully
+ *       400:
+ *         description: |
+ *           Bid below the next minimum (see `next_minimum_bid` in the response)
+ *           or auction not eligible
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Cannot bid on own asset, has pending dispute or is not registered for an auction that requires registration
+ *       404:
+ *         description: Auction not found
+ */
+router.post("/:id/bids", AuctionController.placeBid);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/bids:
+ *   get:
+ *     summary: Get bids for an auction
+ *     description: |
+ *       Until a sealed auction closes its bids are listed in the order
+ *       received, with amount and bidder hidden except on the caller's own bids.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Auction bids retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Bid'
+ *       404:
+ *         description: Auction not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/:id/bids", AuctionController.getAuctionBids);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/proxy-bid:
+ *   put:
+ *     summary: Set or raise your maximum bid
+ *     description: |
+ *       Registers a confidential maximum. The system bids the smallest winning
+ *       increment for you whenever you are outbid, up to this amount. When two
+ *       maximums are equal, the one set first wins. Your maximum is only ever
+ *       shown to you.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetProxyBidRequest'
+ *     responses:
+ *       200:
+ *         description: Maximum bid saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ProxyBid'
+ *       400:
+ *         description: Maximum too low or auction not eligible
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction not found
+ *   get:
+ *     summary: Get your maximum bid
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Maximum bid retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ProxyBid'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No maximum bid set
+ *   delete:
+ *     summary: Cancel your maximum bid
+ *     description: Stops automatic bidding. Bids already placed remain valid.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Maximum bid cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No active maximum bid
+ */
+router.put("/:id/proxy-bid", AuctionController.setProxyBid);
+router.get("/:id/proxy-bid", AuctionController.getProxyBid);
+router.delete("/:id/proxy-bid", AuctionController.cancelProxyBid);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/live-state:
+ *   get:
+ *     summary: Get the live bidding state of an auction
+ *     description: |
+ *       Current price, bid count and countdown. The same snapshot is returned
+ *       when joining the auction room over Socket.IO (`auction:join`), which then
+ *       streams `auction:bid`, `auction:outbid`, `auction:extended`,
+ *       `auction:tick`, `auction:status`, `auction:ended` and `auction:closed`
+ *       events. Bids can be placed over the socket with `auction:bid`
+ *       ({ auction_id, amount }) using the same rules as
+ *       POST /api/v1/auctions/{id}/bids.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Live state retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     current_bid_amount:
+ *                       type: number
+ *                     bid_count:
+ *                       type: integer
+ *                     next_minimum_bid:
+ *                       type: number
+ *                     ends_at:
+ *                       type: string
+ *                       format: date-time
+ *                     server_time:
+ *                       type: string
+ *                       format: date-time
+ *                     time_remaining_ms:
+ *                       type: integer
+ *       404:
+ *         description: Auction not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/:id/live-state", AuctionController.getAuctionLiveState);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/registration:
+ *   post:
+ *     summary: Register to bid on an auction
+ *     description: |
+ *       Requires a verified email and an approved national ID or passport.
+ *       Without a deposit the registration is approved at once; otherwise it
+ *       waits for the deposit payment.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       201:
+ *         description: Registered, or awaiting the deposit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionRegistration'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Auction does not require registration or registration is closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email not verified or KYC not approved
+ *       404:
+ *         description: Auction not found
+ *   get:
+ *     summary: Get my registration for an auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Registration retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not registered
+ *   delete:
+ *     summary: Withdraw my registration
+ *     description: Allowed until the auction goes live; a paid deposit is queued for refund.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Registration withdrawn
+ *       400:
+ *         description: Auction is live
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not registered
+ */
+router.post("/:id/registration", AuctionRegistrationController.register);
+router.get("/:id/registration", AuctionRegistrationController.getMyRegistration);
+router.delete("/:id/registration", AuctionRegistrationController.withdraw);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/registration/deposit:
+ *   post:
+ *     summary: Pay the registration deposit
+ *     description: |
+ *       Creates a deposit payment through the bid payment flow (PayNow and
+ *       mobile money, or cash/bank confirmed by staff). The registration is
+ *       approved when the payment succeeds. Deposits are queued for refund
+ *       (refund_pending) automatically for losing bidders after close, and
+ *       for the winner once the winning bid is paid; staff complete the
+ *       refund through POST /api/v1/bid-payments/{id}/refund.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayDepositRequest'
+ *     responses:
+ *       201:
+ *         description: Deposit payment created
+ *       400:
+ *         description: Invalid payment details or registration closed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No registration awaiting a deposit
+ *       409:
+ *         description: A deposit payment is already in progress
+ */
+router.post("/:id/registration/deposit", AuctionRegistrationController.payDeposit);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/watch:
+ *   post:
+ *     summary: Watch an auction
+ *     description: |
+ *       Adds an upcoming or live auction to my watchlist, or updates its
+ *       alert lead times. Watchers are notified when the auction goes live,
+ *       at each lead time before it closes, and when it closes.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WatchAuctionRequest'
+ *     responses:
+ *       200:
+ *         description: Auction is on the watchlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionWatch'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid lead times or auction has ended
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction not found
+ *   delete:
+ *     summary: Stop watching an auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Auction removed from the watchlist
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction is not on the watchlist
+ */
+router.post("/:id/watch", AuctionWatchController.watch);
+router.delete("/:id/watch", AuctionWatchController.unwatch);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/registrations:
+ *   get:
+ *     summary: Get bidder registrations for an auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["pending_deposit", "approved", "withdrawn"]
+ *       - in: query
+ *         name: deposit_status
+ *         schema:
+ *           type: string
+ *           enum: ["not_required", "unpaid", "pending", "paid", "refund_pending", "refunded", "forfeited"]
+ *     responses:
+ *       200:
+ *         description: Registrations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionRegistration'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/:id/registrations",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionRegistrationController.getAuctionRegistrations
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/relist:
+ *   post:
+ *     summary: Re-list the asset of an unsold auction
+ *     description: |
+ *       Creates a new draft auction for the same asset. Pricing, soft-close
+ *       and increment settings are copied from the original unless given.
+ *       Pending second-chance offers on the original are withdrawn.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RelistAuctionRequest'
+ *     responses:
+ *       201:
+ *         description: Asset re-listed as a new draft auction
+ *       400:
+ *         description: Auction was sold, is not closed or was already re-listed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ */
+router.post(
+  "/:id/relist",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionController.relistAuction
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/costs:
+ *   put:
+ *     summary: Set the selling costs of an auction
+ *     description: |
+ *       Costs (advertising, transport, ...) are deducted first from the
+ *       proceeds at settlement. They can be changed until the auction is settled.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateAuctionCostsRequest'
+ *     responses:
+ *       200:
+ *         description: Costs updated
+ *       400:
+ *         description: Invalid costs
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ *       409:
+ *         description: Auction is already settled
+ */
+router.put(
+  "/:id/costs",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionController.updateAuctionCosts
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/settlement:
+ *   get:
+ *     summary: Get the settlement statement of an auction
+ *     description: Staff can view any statement; borrowers only their own
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Settlement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionSettlement'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Settlement not found
+ *   post:
+ *     summary: Settle a paid auction
+ *     description: |
+ *       Settlement normally runs automatically once the winner's payment
+ *       succeeds. Use this to retry a failed settlement. Settling twice
+ *       returns the existing statement.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Auction settled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionSettlement'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Auction has not been paid for yet
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ */
+router.get("/:id/settlement", AuctionSettlementController.getAuctionSettlement);
+router.post(
+  "/:id/settlement",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionSettlementController.settleAuction
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/invoice:
+ *   get:
+ *     summary: Get the buyer invoice of a won lot
+ *     description: |
+ *       The winner's invoice of hammer price, buyer's premium and fees is
+ *       issued on first request; its amount_due is what the winner pays.
+ *       Staff get the current winner's invoice.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BuyerInvoice'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Auction or invoice not found
+ */
+router.get("/:id/invoice", BuyerInvoiceController.getAuctionInvoice);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/paddles:
+ *   post:
+ *     summary: Register a paddle for an in-person auction
+ *     description: |
+ *       Issues a bidder number to an existing customer or a walk-in buyer.
+ *       Walk-ins are matched to an account by national ID or email, or get
+ *       a new customer account. For lots of an event the paddle covers the
+ *       whole event.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterPaddleRequest'
+ *     responses:
+ *       201:
+ *         description: Paddle registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuctionPaddle'
+ *       400:
+ *         description: Not an in-person auction, or missing buyer details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction or user not found
+ *       409:
+ *         description: Paddle number taken or bidder already holds a paddle
+ *   get:
+ *     summary: List the paddles of an in-person auction's sale
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["active", "revoked"]
+ *     responses:
+ *       200:
+ *         description: Paddles in number order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionPaddle'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ */
+router.post(
+  "/:id/paddles",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.registerPaddle
+);
+router.get(
+  "/:id/paddles",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.getPaddles
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/floor-bids:
+ *   post:
+ *     summary: Record a bid called on the floor
+ *     description: |
+ *       The clerk records each hammer bid against the bidder's paddle. The
+ *       bid is stored and broadcast like an online bid and must meet the
+ *       next minimum increment.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FloorBidRequest'
+ *     responses:
+ *       201:
+ *         description: Bid recorded
+ *       400:
+ *         description: Auction not live, not in-person, or bid below the next minimum
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction or paddle not found
+ */
+router.post(
+  "/:id/floor-bids",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.recordFloorBid
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/{id}/hammer:
+ *   put:
+ *     summary: Record the hammer result of a floor lot
+ *     description: |
+ *       sold closes the lot to the highest paddle (the reserve must be met);
+ *       the winner then follows the usual payment and settlement flow.
+ *       passed closes the lot unsold. withdrawn cancels the lot.
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HammerRequest'
+ *     responses:
+ *       200:
+ *         description: Lot result recorded
+ *       400:
+ *         description: Invalid result, no bids or reserve not met
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
+ *       409:
+ *         description: Auction is no longer live
  */
-router.get("/", AuctionController.getAuctions);
+router.put(
+  "/:id/hammer",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.hammerLot
+);
 
 /**
  * @swagger
- * /api/v1/auctions/live:
- *   get:
- *     summary: Get live auctions
+ * /api/v1/auctions/{id}/floor-payment:
+ *   post:
+ *     summary: Record payment taken at the sale for a sold floor lot
+ *     description: |
+ *       Creates a successful winning-bid payment on the winner's account,
+ *       which marks the bid paid and triggers settlement.
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: category
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: ["electronics", "vehicle", "jewellery"]
- *         description: Filter by asset category
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FloorPaymentRequest'
  *     responses:
- *       200:
- *         description: Live auctions retrieved successfully
+ *       201:
+ *         description: Payment recorded
  *         content:
  *           application/json:
  *             schema:
@@ -394,19 +2842,33 @@ router.get("/", AuctionController.getAuctions);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Auction'
+ *                   $ref: '#/components/schemas/BidPayment'
+ *       400:
+ *         description: Lot not sold, wrong amount or already paid
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Auction not found
  */
-router.get("/live", AuctionController.getLiveAuctions);
+router.post(
+  "/:id/floor-payment",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFloorController.recordFloorPayment
+);
 
 /**
  * @swagger
- * /api/v1/auctions/{id}:
+ * /api/v1/auctions/{id}/fraud-flags:
  *   get:
- *     summary: Get auction by ID with details
+ *     summary: Get the fraud flags of an auction
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
@@ -417,9 +2879,14 @@ router.get("/live", AuctionController.getLiveAuctions);
  *         schema:
  *           type: string
  *         description: Auction ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["open", "cleared", "confirmed"]
  *     responses:
  *       200:
- *         description: Auction details with asset images
+ *         description: Fraud flags retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -428,24 +2895,32 @@ router.get("/live", AuctionController.getLiveAuctions);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   properties:
- *                     auction:
- *                       $ref: '#/components/schemas/Auction'
- *                     current_bid:
- *                       $ref: '#/components/schemas/Bid'
- *       404:
- *         description: Auction not found
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuctionFraudFlag'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get("/:id", AuctionController.getAuction);
+router.get(
+  "/:id/fraud-flags",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  AuctionFraudController.getAuctionFlags
+);
 
 /**
  * @swagger
- * /api/v1/auctions/{id}:
- *   put:
- *     summary: Update auction
+ * /api/v1/auctions/{id}/fraud-scan:
+ *   post:
+ *     summary: Re-run the fraud rules over an auction
+ *     description: Bids are checked as they are placed; a scan catches changes since, such as a bidder's new forfeits or disputes. Existing flags are not duplicated.
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
@@ -456,17 +2931,9 @@ router.get("/:id", AuctionController.getAuction);
  *         schema:
  *           type: string
  *         description: Auction ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/UpdateAuctionRequest'
  *     responses:
  *       200:
- *         description: Auction updated successfully
- *       400:
- *         description: Invalid input data or cannot update auction
+ *         description: Scan complete; returns all flags of the auction
  *       401:
  *         description: Unauthorized
  *       403:
@@ -474,8 +2941,8 @@ router.get("/:id", AuctionController.getAuction);
  *       404:
  *         description: Auction not found
  */
-router.put(
-  "/:id",
+router.post(
+  "/:id/fraud-scan",
   requireRoles(
     "loan_officer_processor",
     "loan_officer_approval",
@@ -483,14 +2950,18 @@ router.put(
     "management",
     "super_admin_vendor"
   ),
-  AuctionController.updateAuction
+  AuctionFraudController.scanAuction
 );
 
 /**
  * @swagger
- * /api/v1/auctions/{id}/status:
- *   put:
- *     summary: Update auction status
+ * /api/v1/auctions/{id}/second-chance-offers:
+ *   post:
+ *     summary: Send second-chance offers for an unsold auction
+ *     description: |
+ *       Offers the lot at a negotiated price to the top `top_n` bidders
+ *       (default 1) or to the listed `bidder_users`. The first bidder to
+ *       accept becomes the winner and pays through the normal bid payment flow.
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
@@ -506,21 +2977,53 @@ router.put(
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateAuctionStatusRequest'
+ *             $ref: '#/components/schemas/CreateSecondChanceOfferRequest'
  *     responses:
- *       200:
- *         description: Auction status updated successfully
+ *       201:
+ *         description: Offers sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SecondChanceOffer'
+ *                 message:
+ *                   type: string
  *       400:
- *         description: Invalid status or status transition
+ *         description: Auction has a winner, is not closed or has no bidders
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
  *         description: Auction not found
+ *   get:
+ *     summary: Get second-chance offers made on an auction
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.put(
-  "/:id/status",
+router.post(
+  "/:id/second-chance-offers",
   requireRoles(
     "loan_officer_processor",
     "loan_officer_approval",
@@ -528,79 +3031,147 @@ router.put(
     "management",
     "super_admin_vendor"
   ),
-  AuctionController.updateAuctionStatus
+  SecondChanceOfferController.createOffers
+);
+router.get(
+  "/:id/second-chance-offers",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  SecondChanceOfferController.getAuctionOffers
 );
 
 /**
  * @swagger
- * /api/v1/auctions/{id}/bids:
- *   post:
- *     summary: Place a bid on auction
+ * /api/v1/auctions/second-chance-offers/mine:
+ *   get:
+ *     summary: Get second-chance offers made to me
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["pending", "accepted", "declined", "expired", "withdrawn"]
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SecondChanceOffer'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/second-chance-offers/mine", SecondChanceOfferController.getMyOffers);
+
+/**
+ * @swagger
+ * /api/v1/auctions/second-chance-offers/{offerId}/accept:
+ *   put:
+ *     summary: Accept a second-chance offer
+ *     description: |
+ *       Makes you the winner at the offer amount and creates a bid for that
+ *       amount with payment pending. Other open offers on the lot are withdrawn.
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: offerId
  *         required: true
  *         schema:
  *           type: string
- *         description: Auction ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/PlaceBidRequest'
  *     responses:
- *       201:
- *         description: Bid placed successfully
- *       400:
- *         description: Invalid bid amount or auction not eligible
+ *       200:
+ *         description: Offer accepted
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Cannot bid on own asset or has pending dispute
  *       404:
- *         description: Auction not found
+ *         description: Offer not found, expired or already answered
+ *       409:
+ *         description: The lot was already sold to another bidder
  */
-router.post("/:id/bids", AuctionController.placeBid);
+router.put(
+  "/second-chance-offers/:offerId/accept",
+  SecondChanceOfferController.acceptOffer
+);
 
 /**
  * @swagger
- * /api/v1/auctions/{id}/bids:
- *   get:
- *     summary: Get bids for an auction
+ * /api/v1/auctions/second-chance-offers/{offerId}/decline:
+ *   put:
+ *     summary: Decline a second-chance offer
  *     tags: [Auctions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: offerId
  *         required: true
  *         schema:
  *           type: string
- *         description: Auction ID
  *     responses:
  *       200:
- *         description: Auction bids retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Bid'
+ *         description: Offer declined
+ *       401:
+ *         description: Unauthorized
  *       404:
- *         description: Auction not found
+ *         description: Offer not found or already answered
+ */
+router.put(
+  "/second-chance-offers/:offerId/decline",
+  SecondChanceOfferController.declineOffer
+);
+
+/**
+ * @swagger
+ * /api/v1/auctions/second-chance-offers/{offerId}/withdraw:
+ *   put:
+ *     summary: Withdraw a second-chance offer
+ *     tags: [Auctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer withdrawn
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Offer not found or already answered
  */
-router.get("/:id/bids", AuctionController.getAuctionBids);
+router.put(
+  "/second-chance-offers/:offerId/withdraw",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  SecondChanceOfferController.withdrawOffer
+);
 
 /**
  * @swagger
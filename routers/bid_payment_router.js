@@ -30,8 +30,15 @@ router.use((req, res, next) => {
  *       properties:
  *         _id:
  *           type: string
+ *         purpose:
+ *           type: string
+ *           enum: ["winning_bid", "deposit"]
+ *           description: Deposits are paid to register for an auction and have no bid
  *         bid:
  *           $ref: '#/components/schemas/Bid'
+ *         registration:
+ *           type: string
+ *           description: Auction registration a deposit belongs to
  *         auction:
  *           $ref: '#/components/schemas/Auction'
  *         payer_user:
@@ -42,7 +49,7 @@ router.use((req, res, next) => {
  *           type: string
  *         status:
  *           type: string
- *           enum: ["initiated", "pending", "success", "failed", "refunded", "cancelled"]
+ *           enum: ["initiated", "pending", "success", "failed", "refund_pending", "refunded", "cancelled"]
  *         method:
  *           type: string
  *           enum: ["cash", "bank", "ecocash", "onemoney", "telecash", "card", "paynow"]
@@ -81,6 +88,7 @@ router.use((req, res, next) => {
  *         amount:
  *           type: number
  *           minimum: 0
+ *           description: Must equal the amount due on the buyer invoice (GET /api/v1/auctions/{id}/invoice)
  *         method:
  *           type: string
  *           enum: ["cash", "bank", "ecocash", "onemoney", "telecash", "card", "paynow"]
@@ -242,7 +250,7 @@ router.post("/", BidPaymentController.createBidPayment);
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["initiated", "pending", "success", "failed", "refunded", "cancelled"]
+ *           enum: ["initiated", "pending", "success", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *       - in: query
  *         name: method
@@ -340,7 +348,7 @@ router.get("/", BidPaymentController.getBidPayments);
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["initiated", "pending", "success", "failed", "refunded", "cancelled"]
+ *           enum: ["initiated", "pending", "success", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *       - in: query
  *         name: method
@@ -427,7 +435,7 @@ router.get("/:id", BidPaymentController.getBidPayment);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["initiated", "pending", "success", "failed", "refunded", "cancelled"]
+ *                 enum: ["initiated", "pending", "success", "failed", "refund_pending", "refunded", "cancelled"]
  *               method:
  *                 type: string
  *               provider:
@@ -549,6 +557,11 @@ router.post("/webhook/paynow", BidPaymentController.processPayNowWebhook);
  * /api/v1/bid-payments/{id}/refund:
  *   post:
  *     summary: Refund bid payment (admin only)
+ *     description: |
+ *       Records that the money was returned to the payer. Automatic refunds
+ *       (deposits after close, payments on bids voided by a dispute) leave
+ *       payments in refund_pending; list them with status=refund_pending and
+ *       complete each here once the money has been returned.
  *     tags: [Bid Payments]
  *     security:
  *       - bearerAuth: []
@@ -573,7 +586,7 @@ router.post("/webhook/paynow", BidPaymentController.processPayNowWebhook);
  *       200:
  *         description: Payment refunded successfully
  *       400:
- *         description: Cannot refund payment that is not successful
+ *         description: Payment is not successful or refund_pending
  *       401:
  *         description: Unauthorized
  *       403:
@@ -779,7 +792,7 @@ router.get("/payer/:payerId", BidPaymentController.getPaymentsByPayer);
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["initiated", "pending", "success", "failed", "refunded", "cancelled"]
+ *           enum: ["initiated", "pending", "success", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *       - in: query
  *         name: method
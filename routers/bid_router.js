@@ -56,9 +56,12 @@ router.use(authMiddleware);
  *               format: date-time
  *             resolution_notes:
  *               type: string
+ *             case:
+ *               type: string
+ *               description: Dispute case ID (see Bid Disputes)
  *         payment_status:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         paid_amount:
  *           type: number
  *         paid_at:
@@ -68,6 +71,11 @@ router.use(authMiddleware);
  *           type: string
  *         meta:
  *           type: object
+ *         fraud_flags:
+ *           type: array
+ *           description: Staff only; open fraud flags on this bidder for the auction
+ *           items:
+ *             $ref: '#/components/schemas/AuctionFraudFlag'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -126,19 +134,11 @@ router.use(authMiddleware);
  *       properties:
  *         payment_status:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         paid_amount:
  *           type: number
  *         payment_reference:
  *           type: string
- *         dispute:
- *           type: object
- *           properties:
- *             status:
- *               type: string
- *               enum: ["none", "raised", "under_review", "resolved_valid", "resolved_invalid"]
- *             resolution_notes:
- *               type: string
  *
  *     UpdatePaymentStatusRequest:
  *       type: object
@@ -147,7 +147,7 @@ router.use(authMiddleware);
  *       properties:
  *         payment_status:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         payment_reference:
  *           type: string
  *         paid_amount:
@@ -172,6 +172,7 @@ router.use(authMiddleware);
  *         status:
  *           type: string
  *           enum: ["resolved_valid", "resolved_invalid"]
+ *           description: resolved_valid upholds the dispute and voids the bid; resolved_invalid keeps the bid
  *         resolution_notes:
  *           type: string
  *           minLength: 10
@@ -213,7 +214,7 @@ router.use(authMiddleware);
  *         name: payment_status
  *         schema:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *       - in: query
  *         name: dispute_status
@@ -318,7 +319,7 @@ router.get("/", BidController.getBids);
  *         name: payment_status
  *         schema:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *       - in: query
  *         name: dispute_status
@@ -485,6 +486,11 @@ router.put(
  * /api/v1/bids/{id}/dispute:
  *   post:
  *     summary: Raise a dispute on a bid
+ *     description: |
+ *       Opens a dispute case with the reason as its first message. Bids can be
+ *       disputed while the auction runs and for AUCTION_DISPUTE_WINDOW_HOURS
+ *       (default 72) after it closes. While the dispute is open the bid cannot
+ *       be paid and the winner's payment window does not expire.
  *     tags: [Bids]
  *     security:
  *       - bearerAuth: []
@@ -504,8 +510,19 @@ router.put(
  *     responses:
  *       200:
  *         description: Dispute raised successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DisputeCase'
  *       400:
- *         description: Invalid dispute data or dispute already exists
+ *         description: Invalid dispute data, dispute already exists or dispute window closed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -520,6 +537,7 @@ router.post("/:id/dispute", BidController.raiseDispute);
  * /api/v1/bids/{id}/dispute/resolve:
  *   put:
  *     summary: Resolve a dispute (staff/admin only)
+ *     description: Resolves the bid's dispute case; same as PUT /api/v1/disputes/{id}/resolve.
  *     tags: [Bids]
  *     security:
  *       - bearerAuth: []
@@ -547,6 +565,8 @@ router.post("/:id/dispute", BidController.raiseDispute);
  *         description: Insufficient permissions
  *       404:
  *         description: Bid not found
+ *       409:
+ *         description: Auction already settled or dispute already resolved
  */
 router.put(
   "/:id/dispute/resolve",
@@ -754,7 +774,7 @@ router.get("/user/:userId", BidController.getBidsByUser);
  *         name: payment_status
  *         schema:
  *           type: string
- *           enum: ["unpaid", "pending", "paid", "failed", "refunded", "cancelled"]
+ *           enum: ["unpaid", "pending", "paid", "failed", "refund_pending", "refunded", "cancelled"]
  *         description: Filter by payment status
  *     responses:
  *       200:
@@ -0,0 +1,397 @@
+const express = require("express");
+const router = express.Router();
+const DisputeCaseController = require("../controllers/dispute_case_controller");
+const {
+  authMiddleware,
+  requireRoles,
+} = require("../middlewares/auth_middleware");
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bid Disputes
+ *   description: Bid dispute cases, message threads, evidence and SLA tracking
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DisputeMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         author:
+ *           $ref: '#/components/schemas/User'
+ *         from_staff:
+ *           type: boolean
+ *         body:
+ *           type: string
+ *         attachments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Attachment'
+ *         internal:
+ *           type: boolean
+ *           description: Staff-only note, never returned to the bidder
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     DisputeCase:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         case_no:
+ *           type: string
+ *           example: DSP-261019-4821
+ *         bid:
+ *           type: string
+ *         auction:
+ *           type: string
+ *         bidder_user:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: ["raised", "under_review", "resolved_valid", "resolved_invalid"]
+ *         assigned_to:
+ *           type: string
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *         messages:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DisputeMessage'
+ *         evidence:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Attachment'
+ *         sla:
+ *           type: object
+ *           properties:
+ *             response_due_at:
+ *               type: string
+ *               format: date-time
+ *             resolution_due_at:
+ *               type: string
+ *               format: date-time
+ *             first_response_at:
+ *               type: string
+ *               format: date-time
+ *             response_breached_at:
+ *               type: string
+ *               format: date-time
+ *             resolution_breached_at:
+ *               type: string
+ *               format: date-time
+ *         resolution:
+ *           type: object
+ *           properties:
+ *             notes:
+ *               type: string
+ *             resolved_by:
+ *               type: string
+ *             resolved_at:
+ *               type: string
+ *               format: date-time
+ *             actions:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: ["bid_voided", "payment_cancelled", "refund_requested", "winner_reassigned", "winner_cleared", "payment_window_reset"]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     DisputeMessageRequest:
+ *       type: object
+ *       required:
+ *         - body
+ *       properties:
+ *         body:
+ *           type: string
+ *           maxLength: 4000
+ *         attachments:
+ *           type: array
+ *           description: Attachments uploaded with entity_type DisputeCase and this case as entity_id
+ *           items:
+ *             type: string
+ *         internal:
+ *           type: boolean
+ *           description: Staff only; hides the message from the bidder
+ *
+ *     DisputeEvidenceRequest:
+ *       type: object
+ *       required:
+ *         - attachment_ids
+ *       properties:
+ *         attachment_ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *
+ *     AssignDisputeRequest:
+ *       type: object
+ *       required:
+ *         - assignee_id
+ *       properties:
+ *         assignee_id:
+ *           type: string
+ *           description: Active staff user who can resolve disputes
+ */
+
+/**
+ * @swagger
+ * /api/v1/disputes:
+ *   get:
+ *     summary: List dispute cases (staff see all, bidders their own)
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["open", "raised", "under_review", "resolved_valid", "resolved_invalid"]
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: Staff only; a user ID or "me"
+ *       - in: query
+ *         name: auction_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: breached
+ *         schema:
+ *           type: string
+ *           enum: ["true"]
+ *         description: Only cases that missed an SLA deadline
+ *     responses:
+ *       200:
+ *         description: Dispute cases retrieved successfully (without messages)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", DisputeCaseController.getCases);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}:
+ *   get:
+ *     summary: Get a dispute case with its thread and evidence
+ *     description: Internal staff notes are left out for the bidder.
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dispute case retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DisputeCase'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Dispute case not found
+ */
+router.get("/:id", DisputeCaseController.getCaseById);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/messages:
+ *   post:
+ *     summary: Post a message to the dispute thread
+ *     description: The first public staff reply meets the response SLA and moves the case under review.
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisputeMessageRequest'
+ *     responses:
+ *       201:
+ *         description: Message added
+ *       400:
+ *         description: Empty message, invalid attachments or case closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Dispute case not found
+ */
+router.post("/:id/messages", DisputeCaseController.addMessage);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/evidence:
+ *   post:
+ *     summary: Add evidence attachments to a dispute case
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisputeEvidenceRequest'
+ *     responses:
+ *       200:
+ *         description: Evidence added
+ *       400:
+ *         description: Invalid attachments or case closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Dispute case not found
+ */
+router.post("/:id/evidence", DisputeCaseController.addEvidence);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/assign:
+ *   put:
+ *     summary: Assign a reviewer to a dispute case (staff only)
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignDisputeRequest'
+ *     responses:
+ *       200:
+ *         description: Dispute case assigned
+ *       400:
+ *         description: Invalid assignee or case closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Dispute case not found
+ */
+router.put(
+  "/:id/assign",
+  requireRoles(
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  DisputeCaseController.assignCase
+);
+
+/**
+ * @swagger
+ * /api/v1/disputes/{id}/resolve:
+ *   put:
+ *     summary: Resolve a dispute case (staff only)
+ *     description: |
+ *       resolved_valid upholds the dispute: the bid is voided, its payments are
+ *       cancelled or refunded and, if it was the winning bid, the next valid bid
+ *       is promoted (or the lot is left unsold for re-listing). Not allowed once
+ *       the auction is settled. resolved_invalid keeps the bid and restarts a
+ *       pending winner's payment window.
+ *     tags: [Bid Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResolveDisputeRequest'
+ *     responses:
+ *       200:
+ *         description: Dispute resolved successfully
+ *       400:
+ *         description: Invalid resolution data or dispute already resolved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Dispute case not found
+ *       409:
+ *         description: Auction already settled or dispute already resolved
+ */
+router.put(
+  "/:id/resolve",
+  requireRoles(
+    "loan_officer_approval",
+    "admin_pawn_limited",
+    "management",
+    "super_admin_vendor"
+  ),
+  DisputeCaseController.resolveCase
+);
+
+module.exports = router;
@@ -114,6 +114,7 @@ router.post(
  * /api/v1/ledger-entries/payment/{paymentId}:
  *   post:
  *     summary: Create ledger entries for payment
+ *     description: Records the principal component. Interest, storage and penalty income is booked by the daily loan accrual job. Payments allocated automatically are already posted and return 409.
  *     tags: [Ledger Entries]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,319 @@
+const express = require("express");
+const router = express.Router();
+const loanProductController = require("../controllers/loan_product_controller");
+const { authMiddleware, requireRoles } = require("../middlewares/auth_middleware");
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loan Products
+ *   description: Loan product catalogue and pricing versions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoanProductRate:
+ *       type: object
+ *       required:
+ *         - interest_rate_percent
+ *         - storage_charge_percent
+ *       properties:
+ *         term_days:
+ *           type: number
+ *           description: Applies to every term length when omitted
+ *         min_principal:
+ *           type: number
+ *         max_principal:
+ *           type: number
+ *           description: Open-ended when omitted
+ *         interest_rate_percent:
+ *           type: number
+ *         storage_charge_percent:
+ *           type: number
+ *
+ *     LoanProductVersionInput:
+ *       type: object
+ *       required:
+ *         - term_days
+ *         - rate_table
+ *       properties:
+ *         effective_from:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to now; versions cannot be back-dated
+ *         min_principal:
+ *           type: number
+ *         max_principal:
+ *           type: number
+ *         max_ltv_percent:
+ *           type: number
+ *           description: Maximum principal as a percentage of the asset's evaluated value
+ *         term_days:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: Allowed term lengths; the first is the default
+ *         rate_table:
+ *           type: array
+ *           description: The first rate matching the term and principal is used
+ *           items:
+ *             $ref: '#/components/schemas/LoanProductRate'
+ *         penalty_percent:
+ *           type: number
+ *           default: 10
+ *         grace_days:
+ *           type: number
+ *           default: 7
+ *         notes:
+ *           type: string
+ *
+ *     LoanProductVersion:
+ *       allOf:
+ *         - $ref: '#/components/schemas/LoanProductVersionInput'
+ *         - type: object
+ *           properties:
+ *             version_no:
+ *               type: number
+ *             created_by:
+ *               type: string
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *
+ *     LoanProduct:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         collateral_category:
+ *           type: string
+ *           enum: [small_loans, motor_vehicle, jewellery]
+ *         currency:
+ *           type: string
+ *         is_default:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [active, retired]
+ *         versions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LoanProductVersion'
+ *         active_version:
+ *           $ref: '#/components/schemas/LoanProductVersion'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/loan-products:
+ *   post:
+ *     summary: Create a loan product with its first pricing version
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - collateral_category
+ *               - version
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               collateral_category:
+ *                 type: string
+ *                 enum: [small_loans, motor_vehicle, jewellery]
+ *               currency:
+ *                 type: string
+ *               is_default:
+ *                 type: boolean
+ *                 description: Used for new loans of the category when no product is chosen
+ *               version:
+ *                 $ref: '#/components/schemas/LoanProductVersionInput'
+ *     responses:
+ *       201:
+ *         description: Loan product created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoanProduct'
+ *       400:
+ *         description: Invalid product or version data
+ *       409:
+ *         description: Code already exists or the category already has a default product
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/",
+  requireRoles('admin_pawn_limited', 'management', 'super_admin_vendor'),
+  loanProductController.createProduct
+);
+
+/**
+ * @swagger
+ * /api/v1/loan-products:
+ *   get:
+ *     summary: Get loan products with the version in force today
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: collateral_category
+ *         schema:
+ *           type: string
+ *           enum: [small_loans, motor_vehicle, jewellery]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, retired]
+ *     responses:
+ *       200:
+ *         description: Loan products retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LoanProduct'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", loanProductController.getProducts);
+
+/**
+ * @swagger
+ * /api/v1/loan-products/{id}:
+ *   get:
+ *     summary: Get loan product by ID with its version history
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan product retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoanProduct'
+ *       404:
+ *         description: Loan product not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/:id", loanProductController.getProduct);
+
+/**
+ * @swagger
+ * /api/v1/loan-products/{id}:
+ *   put:
+ *     summary: Update loan product details
+ *     description: Pricing and limits are changed by adding a version.
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               is_default:
+ *                 type: boolean
+ *               status:
+ *                 type: string
+ *                 enum: [active, retired]
+ *                 description: Retired products are not offered for new loans; existing loans keep renewing on them
+ *     responses:
+ *       200:
+ *         description: Loan product updated successfully
+ *       404:
+ *         description: Loan product not found
+ *       409:
+ *         description: The category already has a default product
+ *       401:
+ *         description: Unauthorized
+ */
+router.put("/:id",
+  requireRoles('admin_pawn_limited', 'management', 'super_admin_vendor'),
+  loanProductController.updateProduct
+);
+
+/**
+ * @swagger
+ * /api/v1/loan-products/{id}/versions:
+ *   post:
+ *     summary: Add a pricing version to a loan product
+ *     description: The version prices loans and renewals starting on or after its effective date. Loans already priced keep their snapshot.
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoanProductVersionInput'
+ *     responses:
+ *       201:
+ *         description: Version added
+ *       400:
+ *         description: Invalid version data or effective date not after the latest version
+ *       404:
+ *         description: Loan product not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/:id/versions",
+  requireRoles('admin_pawn_limited', 'management', 'super_admin_vendor'),
+  loanProductController.addVersion
+);
+
+module.exports = router;
@@ -34,9 +34,7 @@ router.use(authMiddleware);
  *               - customer_user
  *               - asset
  *               - principal_amount
- *               - interest_rate_percent
- *               - start_date
- *               - due_date
+ *               - collateral_category
  *             properties:
  *               customer_user:
  *                 type: string
@@ -46,22 +44,24 @@ router.use(authMiddleware);
  *                 type: string
  *               principal_amount:
  *                 type: number
- *               interest_rate_percent:
+ *               collateral_category:
+ *                 type: string
+ *                 enum: [small_loans, motor_vehicle, jewellery]
+ *               product_id:
+ *                 type: string
+ *                 description: Loan product to price the loan on; defaults to the category's default product
+ *               term_days:
  *                 type: number
+ *                 description: One of the term lengths offered by the product version; defaults to its first
  *               start_date:
  *                 type: string
  *                 format: date
- *               due_date:
- *                 type: string
- *                 format: date
- *               collateral_category:
- *                 type: string
- *                 enum: [small_loans, motor_vehicle, jewellery]
+ *                 description: Defaults to now. The due date is the start date plus the term length.
  *     responses:
  *       201:
- *         description: Loan created successfully
+ *         description: Loan created with rates, penalty and grace days snapshotted from the product version in force at the start date
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, no product for the category, or principal, loan-to-value or term outside the product limits
  *       401:
  *         description: Unauthorized
  */
@@ -270,22 +270,15 @@ router.get(
  *         application/json:
  *           schema:
  *             type: object
+ *             description: Rates, penalty, grace days and product come from the loan product and cannot be changed
  *             properties:
  *               current_balance:
  *                 type: number
- *               interest_rate_percent:
- *                 type: number
- *               storage_charge_percent:
- *                 type: number
- *               penalty_percent:
- *                 type: number
- *               grace_days:
- *                 type: number
  *     responses:
  *       200:
  *         description: Loan updated successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or an attempt to change product terms
  *       404:
  *         description: Loan not found
  *       401:
@@ -354,6 +347,7 @@ router.put(
  * /api/v1/loans/{id}/payment:
  *   post:
  *     summary: Process loan payment
+ *     description: Records a cash payment and allocates it to penalty, storage, interest and principal in the configured order. Only the principal component reduces the balance. Accepted while the loan is active, overdue or in_grace; a payment that clears the balance redeems the loan.
  *     tags: [Loans]
  *     security:
  *       - bearerAuth: []
@@ -399,6 +393,10 @@ router.post(
  * /api/v1/loans/{id}/charges:
  *   get:
  *     summary: Calculate loan charges
+ *     description: >
+ *       Outstanding interest, storage and penalty are the daily accrual records
+ *       less the components covered by paid payments. Accruals run once a day,
+ *       so charges are current up to accrued_through.
  *     tags: [Loans]
  *     security:
  *       - bearerAuth: []
@@ -427,6 +425,40 @@ router.get(
   loanController.calculateCharges
 );
 
+/**
+ * @swagger
+ * /api/v1/loans/{id}/statement:
+ *   get:
+ *     summary: Get loan statement
+ *     description: Accrued interest, storage and penalty charges summarised per term, payments received, and outstanding totals.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan statement retrieved successfully
+ *       404:
+ *         description: Loan not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/:id/statement",
+  requireRoles(
+    "customer",
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited"
+  ),
+  loanController.getLoanStatement
+);
+
 /**
  * @swagger
  * /api/v1/loans/{id}:
@@ -646,4 +678,69 @@ router.put(
   loanController.updateLoanApplicationStatus
 );
 
+/**
+ * @swagger
+ * /api/v1/loans/applications/{id}/originate:
+ *   post:
+ *     summary: Convert an approved loan application into a loan
+ *     description: >
+ *       Creates the loan linked to the application, its initial term, pledges
+ *       the asset (status pawned with active_loan), records the disbursement
+ *       transaction and generates the pawn contract from the active template.
+ *       All steps commit together or none are saved.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - asset
+ *             properties:
+ *               asset:
+ *                 type: string
+ *                 description: Applicant's asset with a completed final valuation
+ *               principal_amount:
+ *                 type: number
+ *                 description: Defaults to the requested loan amount
+ *               product_id:
+ *                 type: string
+ *                 description: Defaults to the collateral category's default product
+ *               term_days:
+ *                 type: number
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Loan originated successfully
+ *       400:
+ *         description: Application not approved, asset not valued or of the wrong category, no contract template, or terms outside the product limits
+ *       404:
+ *         description: Loan application or asset not found
+ *       409:
+ *         description: Application already converted or asset already pledged
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/applications/:id/originate",
+  requireRoles(
+    "loan_officer_processor",
+    "loan_officer_approval",
+    "admin_pawn_limited"
+  ),
+  loanController.originateLoan
+);
+
 module.exports = router;
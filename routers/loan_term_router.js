@@ -48,12 +48,6 @@ router.use(authMiddleware);
  *                 type: number
  *               closing_balance:
  *                 type: number
- *               interest_rate_percent:
- *                 type: number
- *               interest_period_days:
- *                 type: number
- *               storage_charge_percent:
- *                 type: number
  *               renewal_type:
  *                 type: string
  *                 enum: [initial, interest_only_renewal, partial_principal_renewal, full_settlement]
@@ -61,9 +55,9 @@ router.use(authMiddleware);
  *                 type: string
  *     responses:
  *       201:
- *         description: Loan term created successfully
+ *         description: Loan term created successfully; rates are copied from the loan's product snapshot
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, or rates supplied (they come from the loan product)
  *       401:
  *         description: Unauthorized
  */
@@ -254,10 +248,6 @@ router.get("/:id",
  *                 type: number
  *               closing_balance:
  *                 type: number
- *               interest_rate_percent:
- *                 type: number
- *               storage_charge_percent:
- *                 type: number
  *               notes:
  *                 type: string
  *     responses:
@@ -487,11 +477,14 @@ router.get("/loan/:loanId/next-term",
  *                 enum: [interest_only_renewal, partial_principal_renewal, full_settlement]
  *               payment_amount:
  *                 type: number
+ *               term_days:
+ *                 type: number
+ *                 description: Term length offered by the loan product; defaults to the loan's current term length
  *               notes:
  *                 type: string
  *     responses:
  *       201:
- *         description: Renewal term created successfully
+ *         description: Renewal term created successfully, priced from the loan product version in force at the renewal start
  *       400:
  *         description: Invalid renewal type or data
  *       404:
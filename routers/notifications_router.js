@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const SupportTicketController = require("../controllers/support_ticket_controller");
+const NotificationController = require("../controllers/notifications_controller");
 const {
   authMiddleware,
   requireRoles,
@@ -12,131 +12,302 @@ router.use(authMiddleware);
 /**
  * @swagger
  * tags:
- *   name: Support Tickets
- *   description: Support ticket management endpoints
+ *   name: Notifications
+ *   description: Notification publishing and user inbox endpoints
  */
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     SupportTicket:
+ *     NotificationAudience:
  *       type: object
  *       properties:
- *         _id:
+ *         scope:
  *           type: string
- *         ticket_no:
+ *           enum: ["all", "user", "roles"]
+ *           default: "all"
+ *         user_id:
  *           type: string
- *         created_by_user:
- *           $ref: '#/components/schemas/User'
- *         customer_user:
- *           $ref: '#/components/schemas/User'
- *         category:
+ *           description: Required when scope is "user"
+ *         roles:
+ *           type: array
+ *           description: Required when scope is "roles"
+ *           items:
+ *             type: string
+ *             enum: ["super_admin_vendor", "admin_pawn_limited", "call_centre_support", "loan_officer_processor", "loan_officer_approval", "management", "customer"]
+ *
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
  *           type: string
- *           enum: ["loan", "payment", "auction", "account", "technical", "general"]
- *         subject:
+ *         title:
  *           type: string
- *         description:
+ *         message:
  *           type: string
- *         status:
+ *         type:
  *           type: string
- *           enum: ["open", "in_progress", "resolved", "closed"]
- *           default: "open"
+ *           example: "system_notice"
  *         priority:
  *           type: string
- *           enum: ["low", "medium", "high", "urgent"]
- *           default: "medium"
- *         assigned_to:
- *           $ref: '#/components/schemas/User'
- *         attachments:
+ *           enum: ["low", "normal", "high", "critical"]
+ *         audience:
+ *           $ref: '#/components/schemas/NotificationAudience'
+ *         channels:
  *           type: array
  *           items:
  *             type: string
- *         meta:
+ *             enum: ["in_app", "email", "sms", "push"]
+ *         send_at:
+ *           type: string
+ *           format: date-time
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: ["draft", "scheduled", "sent", "cancelled"]
+ *         is_active:
+ *           type: boolean
+ *         action_text:
+ *           type: string
+ *         action_url:
+ *           type: string
+ *         data:
  *           type: object
+ *         created_by:
+ *           $ref: '#/components/schemas/User'
  *         created_at:
  *           type: string
  *           format: date-time
  *         updated_at:
  *           type: string
  *           format: date-time
- * 
- *     CreateTicketRequest:
+ *
+ *     InboxNotification:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Notification'
+ *         - type: object
+ *           properties:
+ *             is_read:
+ *               type: boolean
+ *             read_at:
+ *               type: string
+ *               format: date-time
+ *             acted_at:
+ *               type: string
+ *               format: date-time
+ *             action:
+ *               type: string
+ *
+ *     CreateNotificationRequest:
  *       type: object
  *       required:
- *         - subject
+ *         - title
+ *         - message
  *       properties:
- *         subject:
+ *         title:
  *           type: string
- *           minLength: 5
- *           maxLength: 200
- *         description:
+ *           maxLength: 160
+ *         message:
  *           type: string
- *           minLength: 10
- *         category:
+ *           maxLength: 4000
+ *         type:
  *           type: string
- *           enum: ["loan", "payment", "auction", "account", "technical", "general"]
+ *           default: "system_notice"
  *         priority:
  *           type: string
- *           enum: ["low", "medium", "high", "urgent"]
- *           default: "medium"
- *         customer_user:
+ *           enum: ["low", "normal", "high", "critical"]
+ *           default: "normal"
+ *         audience:
+ *           $ref: '#/components/schemas/NotificationAudience'
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ["in_app", "email", "sms", "push"]
+ *         status:
  *           type: string
- *           description: Required if creating ticket for another customer
- *         meta:
- *           type: object
- * 
- *     UpdateTicketRequest:
- *       type: object
- *       properties:
- *         subject:
+ *           enum: ["draft"]
+ *           description: Pass "draft" to save without publishing
+ *         send_at:
  *           type: string
- *           minLength: 5
- *           maxLength: 200
- *         description:
+ *           format: date-time
+ *           description: A future date schedules the notification, otherwise it is sent immediately
+ *         expires_at:
  *           type: string
- *           minLength: 10
- *         category:
+ *           format: date-time
+ *         action_text:
  *           type: string
- *           enum: ["loan", "payment", "auction", "account", "technical", "general"]
- *         priority:
+ *         action_url:
  *           type: string
- *           enum: ["low", "medium", "high", "urgent"]
- * 
- *     UpdateStatusRequest:
+ *         data:
+ *           type: object
+ *
+ *     ScheduleNotificationRequest:
  *       type: object
  *       required:
- *         - status
+ *         - send_at
  *       properties:
- *         status:
+ *         send_at:
  *           type: string
- *           enum: ["open", "in_progress", "resolved", "closed", "reopened"]
- * 
- *     AssignTicketRequest:
+ *           format: date-time
+ *
+ *     MarkActedRequest:
  *       type: object
- *       required:
- *         - assignee_id
  *       properties:
- *         assignee_id:
+ *         action:
  *           type: string
- *           description: Staff user ID to assign the ticket to
- * 
- *     AddAttachmentRequest:
- *       type: object
- *       required:
- *         - attachment_id
- *       properties:
- *         attachment_id:
+ *           description: Optional custom action label
+ */
+
+/**
+ * @swagger
+ * /api/v1/notifications/inbox:
+ *   get:
+ *     summary: Get the current user's notification inbox
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
  *           type: string
- *           description: Attachment document ID
+ *         description: Filter by notification type
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: ["low", "normal", "high", "critical"]
+ *       - in: query
+ *         name: unread_only
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Inbox retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InboxNotification'
+ *                     unread_count:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
  */
+router.get(
+  "/inbox",
+  NotificationController.getInbox
+);
 
 /**
  * @swagger
- * /api/v1/support-tickets:
+ * /api/v1/notifications/inbox/unread-count:
+ *   get:
+ *     summary: Get unread notification count for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unread_count:
+ *                       type: integer
+ *                     by_type:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/inbox/unread-count",
+  NotificationController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /api/v1/notifications/inbox/read-all:
+ *   put:
+ *     summary: Mark every notification in the current user's inbox as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  "/inbox/read-all",
+  NotificationController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /api/v1/notifications/stats:
+ *   get:
+ *     summary: Get notification statistics
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/stats",
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.getNotificationStats
+);
+
+/**
+ * @swagger
+ * /api/v1/notifications:
  *   post:
- *     summary: Create a new support ticket
- *     tags: [Support Tickets]
+ *     summary: Create a notification (draft, scheduled or sent immediately)
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -144,10 +315,10 @@ router.use(authMiddleware);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/CreateTicketRequest'
+ *             $ref: '#/components/schemas/CreateNotificationRequest'
  *     responses:
  *       201:
- *         description: Ticket created successfully
+ *         description: Notification created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -156,7 +327,7 @@ router.use(authMiddleware);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/SupportTicket'
+ *                   $ref: '#/components/schemas/Notification'
  *                 message:
  *                   type: string
  *       400:
@@ -165,18 +336,21 @@ router.use(authMiddleware);
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
+ *       404:
+ *         description: Audience user not found
  */
 router.post(
   "/",
-  SupportTicketController.createTicket
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.createNotification
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets:
+ * /api/v1/notifications:
  *   get:
- *     summary: Get tickets with pagination and filters
- *     tags: [Support Tickets]
+ *     summary: Get notifications with pagination and filters
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -185,114 +359,97 @@ router.post(
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
- *         description: Items per page
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["open", "in_progress", "resolved", "closed"]
- *         description: Filter by status
+ *           enum: ["draft", "scheduled", "sent", "cancelled"]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
  *       - in: query
  *         name: priority
  *         schema:
  *           type: string
- *           enum: ["low", "medium", "high", "urgent"]
- *         description: Filter by priority
+ *           enum: ["low", "normal", "high", "critical"]
  *       - in: query
- *         name: category
+ *         name: scope
  *         schema:
  *           type: string
- *           enum: ["loan", "payment", "auction", "account", "technical", "general"]
- *         description: Filter by category
+ *           enum: ["all", "user", "roles"]
  *       - in: query
- *         name: customer_user
+ *         name: user_id
  *         schema:
  *           type: string
- *         description: Filter by customer user ID
+ *         description: Filter by targeted user
  *       - in: query
- *         name: assigned_to
+ *         name: role
  *         schema:
  *           type: string
- *         description: Filter by assigned staff ID
+ *         description: Filter by targeted role
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: ["in_app", "email", "sms", "push"]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
  *       - in: query
  *         name: created_from
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter by creation date from
  *       - in: query
  *         name: created_to
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter by creation date to
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in ticket_no, subject, description
+ *         description: Search in title and message
  *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
  *           default: created_at
- *           enum: [created_at, updated_at, priority, status]
- *         description: Field to sort by
+ *           enum: [created_at, send_at, priority, status]
  *       - in: query
  *         name: sort_order
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
- *         description: Sort order
  *     responses:
  *       200:
- *         description: Tickets retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     tickets:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/SupportTicket'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
- *                         pages:
- *                           type: integer
+ *         description: Notifications retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
 router.get(
   "/",
-  SupportTicketController.getTickets
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.getNotifications
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/{id}:
+ * /api/v1/notifications/{id}:
  *   get:
- *     summary: Get ticket by ID
- *     tags: [Support Tickets]
+ *     summary: Get notification by ID
+ *     description: Admins get the full notification with read statistics, other users can only open notifications in their inbox
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -301,37 +458,26 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *         description: Ticket ID
+ *         description: Notification ID
  *     responses:
  *       200:
- *         description: Ticket details
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/SupportTicket'
- *       404:
- *         description: Ticket not found
+ *         description: Notification retrieved successfully
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Access denied to this ticket
+ *       404:
+ *         description: Notification not found
  */
 router.get(
   "/:id",
-  SupportTicketController.getTicket
+  NotificationController.getNotification
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/{id}:
+ * /api/v1/notifications/{id}:
  *   put:
- *     summary: Update ticket
- *     tags: [Support Tickets]
+ *     summary: Update a draft or scheduled notification
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -340,36 +486,37 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *         description: Ticket ID
+ *         description: Notification ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateTicketRequest'
+ *             $ref: '#/components/schemas/CreateNotificationRequest'
  *     responses:
  *       200:
- *         description: Ticket updated successfully
+ *         description: Notification updated successfully
  *       400:
- *         description: Invalid input data
+ *         description: Notification can no longer be edited
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Ticket not found
+ *         description: Notification not found
  */
 router.put(
   "/:id",
-  SupportTicketController.updateTicket
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.updateNotification
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/{id}/status:
+ * /api/v1/notifications/{id}/schedule:
  *   put:
- *     summary: Update ticket status
- *     tags: [Support Tickets]
+ *     summary: Schedule a notification for later dispatch
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -378,36 +525,38 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Ticket ID
+ *         description: Notification ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateStatusRequest'
+ *             $ref: '#/components/schemas/ScheduleNotificationRequest'
  *     responses:
  *       200:
- *         description: Status updated successfully
+ *         description: Notification scheduled successfully
  *       400:
- *         description: Invalid status or status transition
+ *         description: Invalid send date or notification state
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Ticket not found
+ *         description: Notification not found
  */
 router.put(
-  "/:id/status",
-  SupportTicketController.updateTicketStatus
+  "/:id/schedule",
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.scheduleNotification
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/{id}/assign:
- *   put:
- *     summary: Assign ticket to staff
- *     tags: [Support Tickets]
+ * /api/v1/notifications/{id}/send:
+ *   post:
+ *     summary: Send a draft or scheduled notification immediately
+ *     description: The notification is handed to the dispatcher, which fans it out to every channel and marks it sent
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -416,43 +565,32 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Ticket ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/AssignTicketRequest'
+ *         description: Notification ID
  *     responses:
  *       200:
- *         description: Ticket assigned successfully
+ *         description: Notification queued for immediate delivery
  *       400:
- *         description: Invalid assignee or ticket not found
+ *         description: Notification already sent or cancelled
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Insufficient permissions (staff only)
+ *         description: Insufficient permissions
  *       404:
- *         description: Ticket not found
+ *         description: Notification not found
  */
-router.put(
-  "/:id/assign",
-  requireRoles(
-    "loan_officer_processor",
-    "loan_officer_approval",
-    "admin_pawn_limited",
-    "management",
-    "super_admin_vendor"
-  ),
-  SupportTicketController.assignTicket
+router.post(
+  "/:id/send",
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.sendNotificationNow
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/{id}/attachments:
- *   post:
- *     summary: Add attachment to ticket
- *     tags: [Support Tickets]
+ * /api/v1/notifications/{id}/cancel:
+ *   put:
+ *     summary: Cancel a notification
+ *     description: Cancelling a sent notification withdraws it from user inboxes
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -461,183 +599,137 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Ticket ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/AddAttachmentRequest'
+ *         description: Notification ID
  *     responses:
  *       200:
- *         description: Attachment added successfully
+ *         description: Notification cancelled successfully
  *       400:
- *         description: Invalid input data
+ *         description: Notification already cancelled
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Ticket not found
+ *         description: Notification not found
  */
-router.post(
-  "/:id/attachments",
-  SupportTicketController.addAttachment
-);
-
-/**
- * @swagger
- * /api/v1/support-tickets/stats:
- *   get:
- *     summary: Get ticket statistics
- *     tags: [Support Tickets]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Ticket statistics
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                     open:
- *                       type: integer
- *                     in_progress:
- *                       type: integer
- *                     resolved:
- *                       type: integer
- *                     closed:
- *                       type: integer
- *                     priority:
- *                       type: object
- *                       properties:
- *                         urgent:
- *                           type: integer
- *                         high:
- *                           type: integer
- *                         medium:
- *                           type: integer
- *                         low:
- *                           type: integer
- *       401:
- *         description: Unauthorized
- */
-router.get(
-  "/stats",
-  SupportTicketController.getTicketStats
+router.put(
+  "/:id/cancel",
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.cancelNotification
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/customer/{customerId}:
+ * /api/v1/notifications/{id}/deliveries:
  *   get:
- *     summary: Get tickets by customer
- *     tags: [Support Tickets]
+ *     summary: Get per-recipient delivery outcomes of a notification
+ *     description: Lists email, SMS and push delivery records with attempts, errors and retry schedule
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: customerId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Customer user ID
+ *         description: Notification ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["pending", "sending", "sent", "retrying", "failed", "skipped"]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: ["email", "sms", "push"]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Customer's tickets retrieved successfully
+ *         description: Deliveries retrieved successfully
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied to view other customer's tickets
+ *         description: Insufficient permissions
  *       404:
- *         description: Customer not found
+ *         description: Notification not found
  */
 router.get(
-  "/customer/:customerId",
-  SupportTicketController.getTicketsByCustomer
+  "/:id/deliveries",
+  requireRoles("admin_pawn_limited", "management", "super_admin_vendor"),
+  NotificationController.getNotificationDeliveries
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/assigned/my:
- *   get:
- *     summary: Get tickets assigned to me (staff only)
- *     tags: [Support Tickets]
+ * /api/v1/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: ["open", "in_progress", "resolved", "closed"]
- *         description: Filter by status
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: ["low", "medium", "high", "urgent"]
- *         description: Filter by priority
- *       - in: query
- *         name: category
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: ["loan", "payment", "auction", "account", "technical", "general"]
- *         description: Filter by category
+ *         description: Notification ID
  *     responses:
  *       200:
- *         description: Assigned tickets retrieved successfully
+ *         description: Notification marked as read
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Staff only endpoint
+ *       404:
+ *         description: Notification not found in inbox
  */
-router.get(
-  "/assigned/my",
-  requireRoles(
-    "loan_officer_processor",
-    "loan_officer_approval",
-    "admin_pawn_limited",
-    "management",
-    "super_admin_vendor"
-  ),
-  SupportTicketController.getMyAssignedTickets
+router.put(
+  "/:id/read",
+  NotificationController.markAsRead
 );
 
 /**
  * @swagger
- * /api/v1/support-tickets/search:
- *   get:
- *     summary: Search tickets
- *     tags: [Support Tickets]
+ * /api/v1/notifications/{id}/acted:
+ *   put:
+ *     summary: Mark a notification as acted upon (e.g. call-to-action clicked)
+ *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: q
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Search term (minimum 2 characters)
+ *         description: Notification ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MarkActedRequest'
  *     responses:
  *       200:
- *         description: Search results
- *       400:
- *         description: Search term too short
+ *         description: Notification marked as acted
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Notification not found in inbox
  */
-router.get(
-  "/search",
-  SupportTicketController.searchTickets
+router.put(
+  "/:id/acted",
+  NotificationController.markAsActed
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -49,19 +49,20 @@ router.use(authMiddleware);
  *               payment_status:
  *                 type: string
  *                 enum: [paid, pending, failed, cancelled, awaiting_confirmation]
- *               interest_component:
- *                 type: number
- *               principal_component:
- *                 type: number
- *               storage_component:
- *                 type: number
- *               penalty_component:
- *                 type: number
  *               notes:
  *                 type: string
  *     responses:
  *       201:
- *         description: Payment created successfully
+ *         description: >
+ *           Payment created successfully. Once paid, the amount is allocated to
+ *           penalty, storage, interest and principal in the configured order
+ *           (PAYMENT_ALLOCATION_ORDER) and only the principal component reduces
+ *           the loan balance. Interest, storage and penalty income is posted
+ *           to the ledger by the daily accrual job, so those components only
+ *           mark the accrued charges as settled and post nothing themselves.
+ *           The principal component is the only part the payment posts, as a
+ *           loan_principal_repayment entry; if that fails, ledger_posted_at
+ *           stays empty and a background job retries it.
  *       400:
  *         description: Invalid input data
  *       401:
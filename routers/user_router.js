@@ -513,4 +513,62 @@ router.patch(
   userController.updateUserStatus
 );
 
+/**
+ * @swagger
+ * /api/v1/users/{userId}/documents/{documentId}/review:
+ *   put:
+ *     summary: Approve or reject a KYC document (Staff only)
+ *     description: Approved identity documents are required to register for auctions that need registration.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               review_notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Document reviewed
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Staff access required
+ *       404:
+ *         description: User or document not found
+ */
+router.put(
+  "/:userId/documents/:documentId/review",
+  authMiddleware,
+  requireRoles(
+    "super_admin_vendor",
+    "admin_pawn_limited",
+    "loan_officer_processor",
+    "loan_officer_approval"
+  ),
+  userController.reviewDocument
+);
+
 module.exports = router;
\ No newline at end of file
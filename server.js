@@ -6,7 +6,10 @@ const bodyParser = require("body-parser");
 const dotenv = require("dotenv");
 // DB + Socket config
 const connectDB = require("./configs/db_config");
-// const initChatSocket = require("./config/socket_config");
+const initJobs = require("./configs/jobs_config");
+const initEvents = require("./configs/events_config");
+const { initSocket } = require("./configs/socket_config");
+const UserService = require("./services/user_service");
 // Swagger setup
 const setupSwagger = require("./middlewares/swagger");
 // Routers
@@ -17,24 +20,34 @@ const loanApplicationRouter = require("./routers/loan_application_router");
 const assetRouter = require("./routers/asset_router");
 const loanRouter = require("./routers/loan_router");
 const loanTermRouter = require("./routers/loan_term_router");
+const loanProductRouter = require("./routers/loan_product_router");
 const paymentRouter = require("./routers/payment_router");
 const supportTicketRouter = require("./routers/support_ticket_router");
 const auctionRouter = require("./routers/auction_router");
+const auctionEventRouter = require("./routers/auction_event_router");
 const bidRouter = require("./routers/bid_router");
 const bidPaymentRouter = require("./routers/bid_payment_router");
+const disputeCaseRouter = require("./routers/dispute_case_router");
 const auditLogRouter = require("./routers/audit_log_router");
 const inventoryRouter = require("./routers/inventory_transaction_router");
 const ledgerEntryRouter = require("./routers/ledger_entry_router");
 const assetValuationRouter = require("./routers/asset_valuation_router");
+const notificationRouter = require("./routers/notifications_router");
 
 // Load env
 dotenv.config();
 
-// Connect DB
-connectDB();
+// Connect DB, then backfill KYC review status on documents stored before it existed
+connectDB()
+  .then(() => UserService.backfillDocumentReviews())
+  .then((count) => count && console.log(`🪪 Backfilled KYC review status for ${count} user(s)`))
+  .catch((err) => console.error("❌ KYC document backfill failed:", err.message || err));
+
+// Domain event subscribers (notifications, ...)
+initEvents();
 
 const app = express();
-// const server = http.createServer(app);
+const server = http.createServer(app);
 
 // Middleware
 app.use(cors());
@@ -52,15 +65,19 @@ app.use("/api/v1/loan-applications", loanApplicationRouter);
 app.use("/api/v1/assets", assetRouter);
 app.use("/api/v1/loans", loanRouter);
 app.use("/api/v1/loan-terms", loanTermRouter);
+app.use("/api/v1/loan-products", loanProductRouter);
 app.use("/api/v1/payments", paymentRouter);
 app.use("/api/v1/support-tickets", supportTicketRouter);
 app.use("/api/v1/auctions", auctionRouter);
+app.use("/api/v1/auction-events", auctionEventRouter);
 app.use("/api/v1/bids", bidRouter);
 app.use("/api/v1/bid-payments", bidPaymentRouter);
+app.use("/api/v1/disputes", disputeCaseRouter);
 app.use("/api/v1/audit-logs", auditLogRouter);
 app.use("/api/v1/inventory", inventoryRouter);
 app.use("/api/v1/ledger-entries", ledgerEntryRouter);
 app.use("/api/v1/asset-valuations", assetValuationRouter);
+app.use("/api/v1/notifications", notificationRouter);
 
 // Global error handler (REST)
 app.use((err, req, res, next) => {
@@ -68,12 +85,15 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: "Something went wrong!" });
 });
 
-// Init Socket.IO (chat + tracking now)
-// initChatSocket(server);
+// Init Socket.IO (notifications, dashboards)
+initSocket(server);
 
 // Start server
 const PORT = process.env.PORT || 7070;
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚗 Server running on port ${PORT}`);
   console.log(`📘 Swagger docs available at http://localhost:${PORT}/api-docs`);
-});
\ No newline at end of file
+});
+
+// Background jobs (notification dispatch, ...)
+initJobs();
\ No newline at end of file
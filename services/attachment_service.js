@@ -41,6 +41,8 @@ class AttachmentService {
           "User",
           "Ticket",
           "DebtorRecord",
+          "DisputeCase",
+          "BuyerInvoice",
           "Other",
         ];
         if (!validEntityTypes.includes(attachmentData.entity_type)) {
@@ -0,0 +1,674 @@
+const AuctionEvent = require("../models/auctionEvent.model");
+const Auction = require("../models/auction.model");
+const Bid = require("../models/bid.model");
+const BidPayment = require("../models/bidPayment.model");
+const AuctionService = require("./auction_service");
+const { EVENTS, subscribe } = require("../utils/event_bus");
+
+const MINUTE_MS = 60 * 1000;
+// Roles that manage events; other users never see drafts
+const EVENT_STAFF_ROLES = [
+  "loan_officer_processor",
+  "loan_officer_approval",
+  "admin_pawn_limited",
+  "management",
+  "super_admin_vendor",
+];
+
+const isEventStaff = (user) =>
+  (user.roles || []).some((role) => EVENT_STAFF_ROLES.includes(role));
+
+/**
+ * Auction Event Service
+ * Multi-lot sales: each lot is an Auction with its own starting bid and
+ * reserve, opening with the event and closing on a staggered schedule
+ */
+class AuctionEventService {
+  /**
+   * Generate unique event number
+   */
+  static generateEventNumber() {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const random = Math.floor(1000 + Math.random() * 9000);
+    return `EVENT-${year}${month}-${random}`;
+  }
+
+  /**
+   * Closing time of the lot at a given position in the running order
+   */
+  static getLotEndsAt(event, position) {
+    return new Date(
+      new Date(event.first_lot_ends_at).getTime() +
+        position * (event.lot_interval_minutes || 0) * MINUTE_MS
+    );
+  }
+
+  /**
+   * Validate event scheduling fields; returns an error result or null
+   */
+  static validateSchedule(data) {
+    const startsAt = new Date(data.starts_at);
+    const firstLotEndsAt = new Date(data.first_lot_ends_at);
+
+    if (isNaN(startsAt) || isNaN(firstLotEndsAt)) {
+      return {
+        success: false,
+        message: "starts_at and first_lot_ends_at are required dates",
+        statusCode: 400,
+      };
+    }
+
+    if (firstLotEndsAt <= startsAt) {
+      return {
+        success: false,
+        message: "The first lot must close after the event starts",
+        statusCode: 400,
+      };
+    }
+
+    if (
+      data.lot_interval_minutes !== undefined &&
+      !(Number(data.lot_interval_minutes) >= 0)
+    ) {
+      return {
+        success: false,
+        message: "lot_interval_minutes must be 0 or more",
+        statusCode: 400,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an auction event
+   */
+  static async createEvent(eventData, user) {
+    try {
+      if (!eventData.title) {
+        return {
+          success: false,
+          message: "Title is required",
+          statusCode: 400,
+        };
+      }
+
+      const scheduleError = this.validateSchedule(eventData);
+      if (scheduleError) {
+        return scheduleError;
+      }
+
+      if (new Date(eventData.starts_at) < new Date()) {
+        return {
+          success: false,
+          message: "Start date cannot be in the past",
+          statusCode: 400,
+        };
+      }
+
+      const event = await AuctionEvent.create({
+        title: eventData.title,
+        description: eventData.description,
+        auction_type: eventData.auction_type,
+        venue: eventData.venue,
+        starts_at: eventData.starts_at,
+        first_lot_ends_at: eventData.first_lot_ends_at,
+        lot_interval_minutes: eventData.lot_interval_minutes,
+        event_no: this.generateEventNumber(),
+        created_by: user._id,
+        status: "draft",
+      });
+
+      return {
+        success: true,
+        data: event,
+        message: "Auction event created successfully",
+      };
+    } catch (error) {
+      console.error("Create auction event error:", error);
+      throw new Error(error.message || "Failed to create auction event");
+    }
+  }
+
+  /**
+   * Get auction events
+   */
+  static async getEvents(filters = {}, user) {
+    try {
+      const { page = 1, limit = 10, status } = filters;
+      const query = {};
+      if (status) query.status = status;
+      if (!isEventStaff(user)) {
+        query.status = status && status !== "draft" ? status : { $ne: "draft" };
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [events, total] = await Promise.all([
+        AuctionEvent.find(query)
+          .sort({ starts_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuctionEvent.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get auction events error:", error);
+      throw new Error(error.message || "Failed to fetch auction events");
+    }
+  }
+
+  /**
+   * Get an event with its lots in running order
+   */
+  static async getEventById(eventId, user) {
+    try {
+      const event = await AuctionEvent.findById(eventId).populate(
+        "created_by",
+        "first_name last_name email"
+      );
+
+      if (!event || (event.status === "draft" && !isEventStaff(user))) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      const lots = await Auction.find({ event: event._id })
+        .populate("asset", "asset_no title category status evaluated_value")
+        .populate("winner_user", "first_name last_name email")
+        .sort({ lot_number: 1 });
+
+      return {
+        success: true,
+        data: { event, lots },
+      };
+    } catch (error) {
+      console.error("Get auction event error:", error);
+      throw new Error(error.message || "Failed to fetch auction event");
+    }
+  }
+
+  /**
+   * Re-apply the staggered schedule to every lot still in draft
+   */
+  static async restaggerLots(event) {
+    const lots = await Auction.find({ event: event._id, status: { $ne: "cancelled" } })
+      .select("_id status")
+      .sort({ lot_number: 1 });
+
+    await Promise.all(
+      lots.map((lot, position) => {
+        if (lot.status !== "draft") return null;
+
+        const endsAt = this.getLotEndsAt(event, position);
+        return Auction.updateOne(
+          { _id: lot._id, status: "draft" },
+          {
+            $set: {
+              starts_at: event.starts_at,
+              ends_at: endsAt,
+              original_ends_at: endsAt,
+              auction_type: event.auction_type,
+            },
+          }
+        );
+      })
+    );
+  }
+
+  /**
+   * Update event details and schedule before it is published
+   */
+  static async updateEvent(eventId, updateData) {
+    try {
+      const event = await AuctionEvent.findById(eventId);
+
+      if (!event) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!["draft", "scheduled"].includes(event.status)) {
+        return {
+          success: false,
+          message: `Cannot update an event that is ${event.status}`,
+          statusCode: 400,
+        };
+      }
+
+      const fields = [
+        "title",
+        "description",
+        "venue",
+        "auction_type",
+        "starts_at",
+        "first_lot_ends_at",
+        "lot_interval_minutes",
+      ];
+      fields.forEach((field) => {
+        if (updateData[field] !== undefined) event[field] = updateData[field];
+      });
+
+      const scheduleError = this.validateSchedule(event);
+      if (scheduleError) {
+        return scheduleError;
+      }
+
+      await event.save();
+      await this.restaggerLots(event);
+
+      return {
+        success: true,
+        data: event,
+        message: "Auction event updated successfully",
+      };
+    } catch (error) {
+      console.error("Update auction event error:", error);
+      throw new Error(error.message || "Failed to update auction event");
+    }
+  }
+
+  /**
+   * Add lots to an event; each lot is created as a draft auction
+   */
+  static async addLots(eventId, lots, user) {
+    try {
+      if (!Array.isArray(lots) || lots.length === 0) {
+        return {
+          success: false,
+          message: "lots must be a non-empty array",
+          statusCode: 400,
+        };
+      }
+
+      const event = await AuctionEvent.findById(eventId);
+
+      if (!event) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!["draft", "scheduled"].includes(event.status)) {
+        return {
+          success: false,
+          message: `Cannot add lots to an event that is ${event.status}`,
+          statusCode: 400,
+        };
+      }
+
+      const created = [];
+      const errors = [];
+
+      for (const lot of lots) {
+        // Reserve the lot number atomically so concurrent adds never collide
+        const numbered = await AuctionEvent.findByIdAndUpdate(
+          event._id,
+          { $inc: { lot_count: 1 } },
+          { new: true }
+        );
+
+        const result = await AuctionService.createAuction(
+          {
+            asset: lot.asset,
+            starting_bid_amount: lot.starting_bid_amount,
+            reserve_price: lot.reserve_price,
+            increment_tiers: lot.increment_tiers,
+            soft_close: lot.soft_close,
+            registration: lot.registration,
+            payment_window_hours: lot.payment_window_hours,
+            sealed: lot.sealed,
+            auction_type: event.auction_type,
+            starts_at: event.starts_at,
+            ends_at: this.getLotEndsAt(event, numbered.lot_count - 1),
+            event: event._id,
+            lot_number: numbered.lot_count,
+          },
+          user._id
+        );
+
+        if (result.success) {
+          created.push(result.data);
+        } else {
+          errors.push({ asset: lot.asset, message: result.message });
+        }
+      }
+
+      await this.restaggerLots(event);
+
+      if (created.length === 0) {
+        return {
+          success: false,
+          message: "No lots were added",
+          errors,
+          statusCode: 400,
+        };
+      }
+
+      return {
+        success: true,
+        data: await Auction.find({ _id: { $in: created.map((lot) => lot._id) } }).sort({
+          lot_number: 1,
+        }),
+        errors,
+        message: `${created.length} lot(s) added`,
+      };
+    } catch (error) {
+      console.error("Add lots error:", error);
+      throw new Error(error.message || "Failed to add lots");
+    }
+  }
+
+  /**
+   * Remove a draft lot from its event
+   */
+  static async removeLot(eventId, auctionId, user) {
+    try {
+      const lot = await Auction.findOne({ _id: auctionId, event: eventId });
+
+      if (!lot) {
+        return {
+          success: false,
+          message: "Lot not found in this event",
+          statusCode: 404,
+        };
+      }
+
+      if (lot.status !== "draft") {
+        return {
+          success: false,
+          message: "Only draft lots can be removed",
+          statusCode: 400,
+        };
+      }
+
+      const result = await AuctionService.deleteAuction(lot._id, user);
+      if (!result.success) {
+        return result;
+      }
+
+      const event = await AuctionEvent.findById(eventId);
+      if (event) await this.restaggerLots(event);
+
+      return {
+        success: true,
+        message: "Lot removed successfully",
+      };
+    } catch (error) {
+      console.error("Remove lot error:", error);
+      throw new Error(error.message || "Failed to remove lot");
+    }
+  }
+
+  /**
+   * Publish (draft -> scheduled) or cancel an event
+   */
+  static async updateEventStatus(eventId, status, user) {
+    try {
+      const event = await AuctionEvent.findById(eventId);
+
+      if (!event) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      const validTransitions = {
+        draft: ["scheduled", "cancelled"],
+        scheduled: ["draft", "cancelled"],
+        live: ["cancelled"],
+        closed: [],
+        cancelled: [],
+      };
+
+      if (!validTransitions[event.status].includes(status)) {
+        return {
+          success: false,
+          message: `Invalid status transition from ${event.status} to ${status}`,
+          statusCode: 400,
+        };
+      }
+
+      if (status === "scheduled") {
+        const lotCount = await Auction.countDocuments({ event: event._id, status: "draft" });
+        if (lotCount === 0) {
+          return {
+            success: false,
+            message: "Add at least one lot before publishing",
+            statusCode: 400,
+          };
+        }
+        event.published_at = new Date();
+      }
+
+      if (status === "cancelled") {
+        const openLots = await Auction.find({
+          event: event._id,
+          status: { $in: ["draft", "live"] },
+        }).select("_id");
+
+        for (const lot of openLots) {
+          await AuctionService.updateAuctionStatus(lot._id, "cancelled", user);
+        }
+        event.cancelled_at = new Date();
+      }
+
+      event.status = status;
+      await event.save();
+
+      return {
+        success: true,
+        data: event,
+        message: `Auction event ${status}`,
+      };
+    } catch (error) {
+      console.error("Update auction event status error:", error);
+      throw new Error(error.message || "Failed to update auction event status");
+    }
+  }
+
+  /**
+   * Move a published event to live/closed as its lots start and finish
+   */
+  static async refreshStatus(eventId) {
+    const event = await AuctionEvent.findById(eventId).select("status");
+    if (!event || !["scheduled", "live"].includes(event.status)) return null;
+
+    const counts = await Auction.aggregate([
+      { $match: { event: event._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const byStatus = Object.fromEntries(counts.map((row) => [row._id, row.count]));
+
+    let next = event.status;
+    if (!byStatus.draft && !byStatus.live && byStatus.closed) {
+      next = "closed";
+    } else if (byStatus.live || byStatus.closed) {
+      next = "live";
+    }
+
+    if (next === event.status) return event;
+
+    return AuctionEvent.findOneAndUpdate(
+      { _id: event._id, status: event.status },
+      { $set: { status: next, ...(next === "closed" ? { closed_at: new Date() } : {}) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Public catalogue: every lot with photos, current price and closing time
+   */
+  static async getCatalogue(eventId) {
+    try {
+      const event = await AuctionEvent.findById(eventId).select(
+        "event_no title description auction_type venue starts_at first_lot_ends_at lot_interval_minutes status"
+      );
+
+      if (!event || ["draft", "cancelled"].includes(event.status)) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      const lots = await Auction.find({ event: event._id, status: { $ne: "cancelled" } })
+        .select(
+          "auction_no lot_number asset auction_type sealed starting_bid_amount increment_tiers reserve_price status outcome starts_at ends_at registration"
+        )
+        .populate({
+          path: "asset",
+          select: "asset_no title description category condition",
+          populate: {
+            path: "attachments",
+            select: "filename url mime_type",
+            match: { category: "asset_photos" },
+          },
+        })
+        .sort({ lot_number: 1 });
+
+      const catalogue = await Promise.all(
+        lots.map(async (lot) => {
+          const [highestBid, bidCount] = await Promise.all([
+            AuctionService.getHighestBid(lot._id),
+            Bid.countDocuments({ auction: lot._id }),
+          ]);
+
+          const { reserve_price, increment_tiers, ...rest } = lot.toObject();
+          const visibleBid = AuctionService.isSealedOpen(lot) ? null : highestBid;
+
+          return {
+            ...rest,
+            // The reserve amount stays private; bidders only learn whether it is met
+            has_reserve: Boolean(reserve_price),
+            reserve_met: reserve_price && !AuctionService.isSealedOpen(lot)
+              ? Boolean(highestBid && highestBid.amount >= reserve_price)
+              : null,
+            photos: lot.asset?.attachments || [],
+            current_bid_amount: visibleBid ? visibleBid.amount : null,
+            bid_count: bidCount,
+            next_minimum_bid: AuctionService.getNextMinimumBid(lot, highestBid),
+          };
+        })
+      );
+
+      return {
+        success: true,
+        data: { event, lots: catalogue },
+      };
+    } catch (error) {
+      console.error("Get event catalogue error:", error);
+      throw new Error(error.message || "Failed to fetch event catalogue");
+    }
+  }
+
+  /**
+   * Event-level results: sell-through rate and proceeds
+   */
+  static async getEventReport(eventId) {
+    try {
+      const event = await AuctionEvent.findById(eventId);
+
+      if (!event) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      const lots = await Auction.find({ event: event._id }).select(
+        "status outcome winning_bid_amount"
+      );
+      const lotIds = lots.map((lot) => lot._id);
+
+      const count = (predicate) => lots.filter(predicate).length;
+      const closed = lots.filter((lot) => lot.status === "closed");
+      const sold = closed.filter((lot) => lot.outcome === "sold");
+
+      const [payments] = await BidPayment.aggregate([
+        {
+          $match: {
+            auction: { $in: lotIds },
+            purpose: { $ne: "deposit" },
+            status: "success",
+          },
+        },
+        { $group: { _id: null, total: { $sum: "$amount" }, count: { $sum: 1 } } },
+      ]);
+
+      const hammerTotal = sold.reduce((sum, lot) => sum + (lot.winning_bid_amount || 0), 0);
+
+      return {
+        success: true,
+        data: {
+          event_id: event._id,
+          event_no: event.event_no,
+          status: event.status,
+          lots: {
+            total: lots.length,
+            draft: count((lot) => lot.status === "draft"),
+            live: count((lot) => lot.status === "live"),
+            closed: closed.length,
+            cancelled: count((lot) => lot.status === "cancelled"),
+            sold: sold.length,
+            reserve_not_met: count((lot) => lot.outcome === "reserve_not_met"),
+            no_bids: count((lot) => lot.outcome === "no_bids"),
+            passed: count((lot) => lot.outcome === "passed"),
+            payment_defaulted: count((lot) => lot.outcome === "payment_defaulted"),
+          },
+          // Share of closed lots that sold
+          sell_through_rate: closed.length
+            ? Math.round((sold.length / closed.length) * 10000) / 100
+            : 0,
+          hammer_total: hammerTotal,
+          proceeds_collected: payments ? payments.total : 0,
+          paid_lots: payments ? payments.count : 0,
+          outstanding: Math.max(0, hammerTotal - (payments ? payments.total : 0)),
+          generated_at: new Date(),
+        },
+      };
+    } catch (error) {
+      console.error("Get event report error:", error);
+      throw new Error(error.message || "Failed to build event report");
+    }
+  }
+
+  /**
+   * Keep event status in step with its lots
+   */
+  static register() {
+    const onLotChanged = async (payload) => {
+      const lot = await Auction.findById(payload.auction_id).select("event");
+      if (lot && lot.event) await this.refreshStatus(lot.event);
+    };
+
+    subscribe(EVENTS.AUCTION_STATUS_CHANGED, onLotChanged);
+    subscribe(EVENTS.AUCTION_CLOSED, onLotChanged);
+  }
+}
+
+module.exports = AuctionEventService;
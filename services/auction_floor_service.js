@@ -0,0 +1,583 @@
+const Auction = require("../models/auction.model");
+const AuctionEvent = require("../models/auctionEvent.model");
+const AuctionPaddle = require("../models/auctionPaddle.model");
+const Asset = require("../models/asset.model");
+const Bid = require("../models/bid.model");
+const User = require("../models/user.model");
+const AuctionService = require("./auction_service");
+const BidPaymentService = require("./bid_payment_service");
+
+const HAMMER_RESULTS = ["sold", "passed", "withdrawn"];
+
+/**
+ * Auction Floor Service
+ * Clerk console for in-person auctions: paddle registration, hammer bids,
+ * lot results and payments taken at the sale. Floor bids produce the same
+ * Bid, BidPayment and settlement records as online bidding.
+ */
+class AuctionFloorService {
+  /**
+   * Paddles are issued per event, or per auction when it is sold on its own
+   */
+  static getSaleScope(auction) {
+    return auction.event ? { event: auction.event } : { auction: auction._id };
+  }
+
+  /**
+   * Load the sale (event or single auction) a paddle request refers to
+   */
+  static async loadScope({ eventId, auctionId }) {
+    if (eventId) {
+      const event = await AuctionEvent.findById(eventId).select("status auction_type");
+      if (!event) {
+        return {
+          success: false,
+          message: "Auction event not found",
+          statusCode: 404,
+        };
+      }
+
+      return { success: true, data: { scope: { event: event._id }, sale: event } };
+    }
+
+    const auction = await Auction.findById(auctionId).select("status auction_type event");
+    if (!auction) {
+      return {
+        success: false,
+        message: "Auction not found",
+        statusCode: 404,
+      };
+    }
+
+    return { success: true, data: { scope: this.getSaleScope(auction), sale: auction } };
+  }
+
+  /**
+   * Find the account a paddle is issued to. Walk-in buyers are matched on
+   * national ID or email, and get a customer account when they have none.
+   * The clerk checks identity at the door, so online KYC does not apply.
+   */
+  static async resolveBidder(data) {
+    if (data.user_id) {
+      const user = await User.findById(data.user_id);
+
+      if (!user) {
+        return {
+          success: false,
+          message: "User not found",
+          statusCode: 404,
+        };
+      }
+
+      if (["suspended", "deleted"].includes(user.status)) {
+        return {
+          success: false,
+          message: `User account is ${user.status}`,
+          statusCode: 400,
+        };
+      }
+
+      return { success: true, data: { user, walk_in: false } };
+    }
+
+    const buyer = data.buyer || {};
+    if (
+      !buyer.first_name ||
+      !buyer.last_name ||
+      !buyer.phone ||
+      !buyer.national_id_number
+    ) {
+      return {
+        success: false,
+        message:
+          "user_id, or buyer first_name, last_name, phone and national_id_number are required",
+        statusCode: 400,
+      };
+    }
+
+    // Walk-ins without an email get a placeholder address that never delivers
+    const email = (
+      buyer.email ||
+      `walk-in.${String(buyer.phone).replace(/\D/g, "")}@walk-in.invalid`
+    ).toLowerCase();
+
+    let user = await User.findOne({
+      $or: [{ national_id_number: buyer.national_id_number }, { email }],
+    });
+
+    if (user && ["suspended", "deleted"].includes(user.status)) {
+      return {
+        success: false,
+        message: `User account is ${user.status}`,
+        statusCode: 400,
+      };
+    }
+
+    if (!user) {
+      user = await User.create({
+        email,
+        phone: buyer.phone,
+        first_name: buyer.first_name,
+        last_name: buyer.last_name,
+        full_name: `${buyer.first_name} ${buyer.last_name}`.trim(),
+        national_id_number: buyer.national_id_number,
+        roles: ["customer"],
+        status: "active",
+      });
+    }
+
+    return { success: true, data: { user, walk_in: true, buyer: { ...buyer, email } } };
+  }
+
+  /**
+   * Issue a paddle number for a sale
+   */
+  static async registerPaddle(target, data, clerk) {
+    try {
+      const scopeResult = await this.loadScope(target);
+      if (!scopeResult.success) {
+        return scopeResult;
+      }
+
+      const { scope, sale } = scopeResult.data;
+
+      if (sale.auction_type !== "in_person") {
+        return {
+          success: false,
+          message: "Paddles are only issued for in-person auctions",
+          statusCode: 400,
+        };
+      }
+
+      if (["closed", "cancelled"].includes(sale.status)) {
+        return {
+          success: false,
+          message: `Cannot register paddles for a sale that is ${sale.status}`,
+          statusCode: 400,
+        };
+      }
+
+      const bidderResult = await this.resolveBidder(data);
+      if (!bidderResult.success) {
+        return bidderResult;
+      }
+
+      const { user, walk_in, buyer } = bidderResult.data;
+
+      const existing = await AuctionPaddle.findOne({
+        ...scope,
+        bidder_user: user._id,
+        status: "active",
+      });
+
+      if (existing) {
+        return {
+          success: false,
+          message: `Bidder already holds paddle ${existing.paddle_number}`,
+          statusCode: 409,
+        };
+      }
+
+      let paddleNumber = parseInt(data.paddle_number);
+      if (data.paddle_number !== undefined && !(paddleNumber >= 1)) {
+        return {
+          success: false,
+          message: "paddle_number must be a positive whole number",
+          statusCode: 400,
+        };
+      }
+
+      if (!paddleNumber) {
+        const last = await AuctionPaddle.findOne(scope)
+          .sort({ paddle_number: -1 })
+          .select("paddle_number");
+        paddleNumber = last ? last.paddle_number + 1 : 1;
+      }
+
+      try {
+        const paddle = await AuctionPaddle.create({
+          ...scope,
+          paddle_number: paddleNumber,
+          bidder_user: user._id,
+          walk_in,
+          buyer: walk_in
+            ? buyer
+            : {
+                first_name: user.first_name,
+                last_name: user.last_name,
+                phone: user.phone,
+                email: user.email,
+                national_id_number: user.national_id_number,
+              },
+          notes: data.notes,
+          registered_by: clerk._id,
+        });
+
+        return {
+          success: true,
+          data: paddle,
+          message: `Paddle ${paddle.paddle_number} registered`,
+        };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        return {
+          success: false,
+          message: error.keyPattern?.paddle_number
+            ? `Paddle ${paddleNumber} is already taken`
+            : "Bidder already holds a paddle for this sale",
+          statusCode: 409,
+        };
+      }
+    } catch (error) {
+      console.error("Register paddle error:", error);
+      throw new Error(error.message || "Failed to register paddle");
+    }
+  }
+
+  /**
+   * List the paddles of a sale
+   */
+  static async getPaddles(target, filters = {}) {
+    try {
+      const scopeResult = await this.loadScope(target);
+      if (!scopeResult.success) {
+        return scopeResult;
+      }
+
+      const query = { ...scopeResult.data.scope };
+      if (filters.status) query.status = filters.status;
+
+      const paddles = await AuctionPaddle.find(query)
+        .populate("bidder_user", "first_name last_name email phone")
+        .sort({ paddle_number: 1 });
+
+      return {
+        success: true,
+        data: paddles,
+      };
+    } catch (error) {
+      console.error("Get paddles error:", error);
+      throw new Error(error.message || "Failed to fetch paddles");
+    }
+  }
+
+  /**
+   * Revoke a paddle; its number is not reissued
+   */
+  static async revokePaddle(paddleId, clerk) {
+    try {
+      const paddle = await AuctionPaddle.findOneAndUpdate(
+        { _id: paddleId, status: "active" },
+        { $set: { status: "revoked", revoked_by: clerk._id, revoked_at: new Date() } },
+        { new: true }
+      );
+
+      if (!paddle) {
+        return {
+          success: false,
+          message: "Active paddle not found",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: paddle,
+        message: `Paddle ${paddle.paddle_number} revoked`,
+      };
+    } catch (error) {
+      console.error("Revoke paddle error:", error);
+      throw new Error(error.message || "Failed to revoke paddle");
+    }
+  }
+
+  /**
+   * Load a live in-person auction for the clerk
+   */
+  static async loadFloorAuction(auctionId) {
+    const auction = await Auction.findById(auctionId);
+
+    if (!auction) {
+      return {
+        success: false,
+        message: "Auction not found",
+        statusCode: 404,
+      };
+    }
+
+    if (auction.auction_type !== "in_person") {
+      return {
+        success: false,
+        message: "Only in-person auctions are run from the clerk console",
+        statusCode: 400,
+      };
+    }
+
+    return { success: true, data: auction };
+  }
+
+  /**
+   * Record a bid called on the floor against a paddle
+   */
+  static async recordFloorBid(auctionId, bidData, clerk) {
+    try {
+      const loaded = await this.loadFloorAuction(auctionId);
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      const auction = loaded.data;
+
+      if (auction.status !== "live") {
+        return {
+          success: false,
+          message: "Auction is not live",
+          statusCode: 400,
+        };
+      }
+
+      const amount = Number(bidData.amount);
+      if (!bidData.paddle_number || !Number.isFinite(amount) || amount <= 0) {
+        return {
+          success: false,
+          message: "paddle_number and a positive amount are required",
+          statusCode: 400,
+        };
+      }
+
+      const paddle = await AuctionPaddle.findOne({
+        ...this.getSaleScope(auction),
+        paddle_number: parseInt(bidData.paddle_number),
+        status: "active",
+      });
+
+      if (!paddle) {
+        return {
+          success: false,
+          message: `Paddle ${bidData.paddle_number} is not registered for this sale`,
+          statusCode: 404,
+        };
+      }
+
+      const asset = await Asset.findById(auction.asset).select("owner_user");
+      if (asset && asset.owner_user && asset.owner_user.equals(paddle.bidder_user)) {
+        return {
+          success: false,
+          message: "The asset owner cannot bid on their own asset",
+          statusCode: 400,
+        };
+      }
+
+      const now = new Date();
+      const highestBid = await AuctionService.getHighestBid(auction._id);
+      const nextMinimum = AuctionService.getNextMinimumBid(auction, highestBid);
+
+      if (amount < nextMinimum) {
+        return {
+          success: false,
+          message: `Bid must be at least ${nextMinimum}`,
+          next_minimum_bid: nextMinimum,
+          statusCode: 400,
+        };
+      }
+
+      const bid = await Bid.create({
+        auction: auction._id,
+        bidder_user: paddle.bidder_user,
+        amount,
+        placed_at: now,
+        meta: {
+          source: "floor",
+          paddle: paddle._id,
+          paddle_number: paddle.paddle_number,
+          recorded_by: clerk._id,
+        },
+      });
+
+      await AuctionService.announceBids(auction, [bid], highestBid, now);
+
+      return {
+        success: true,
+        data: bid,
+        next_minimum_bid: AuctionService.getNextMinimumBid(auction, bid),
+        message: `Bid of ${amount} recorded for paddle ${paddle.paddle_number}`,
+      };
+    } catch (error) {
+      console.error("Record floor bid error:", error);
+      throw new Error(error.message || "Failed to record floor bid");
+    }
+  }
+
+  /**
+   * Bring the hammer down on a lot: sold to the highest paddle, passed
+   * unsold, or withdrawn from the sale
+   */
+  static async hammerLot(auctionId, hammerData, clerk) {
+    try {
+      const { result, notes } = hammerData;
+
+      if (!HAMMER_RESULTS.includes(result)) {
+        return {
+          success: false,
+          message: `result must be one of: ${HAMMER_RESULTS.join(", ")}`,
+          statusCode: 400,
+        };
+      }
+
+      const loaded = await this.loadFloorAuction(auctionId);
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      const auction = loaded.data;
+      const hammer = {
+        result,
+        notes,
+        recorded_by: clerk._id,
+        recorded_at: new Date(),
+      };
+
+      if (result === "withdrawn") {
+        const withdrawn = await AuctionService.updateAuctionStatus(
+          auction._id,
+          "cancelled",
+          clerk
+        );
+        if (withdrawn.success) {
+          await Auction.updateOne({ _id: auction._id }, { $set: { "meta.hammer": hammer } });
+        }
+        return withdrawn;
+      }
+
+      if (auction.status !== "live") {
+        return {
+          success: false,
+          message: "Auction is not live",
+          statusCode: 400,
+        };
+      }
+
+      if (result === "sold") {
+        const highestBid = await AuctionService.getHighestBid(auction._id);
+
+        if (!highestBid) {
+          return {
+            success: false,
+            message: "No bids recorded; pass the lot instead",
+            statusCode: 400,
+          };
+        }
+
+        if (auction.reserve_price && highestBid.amount < auction.reserve_price) {
+          return {
+            success: false,
+            message: "Highest bid is below the reserve; pass the lot instead",
+            statusCode: 400,
+          };
+        }
+      }
+
+      // The hammer ends bidding now, whatever the scheduled end time
+      const now = new Date();
+      const claimed = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: "live" },
+        {
+          $set: {
+            ends_at: now,
+            original_ends_at: auction.original_ends_at || auction.ends_at,
+            "meta.hammer": hammer,
+          },
+        },
+        { new: true }
+      );
+
+      if (!claimed) {
+        return {
+          success: false,
+          message: "Auction is no longer live",
+          statusCode: 409,
+        };
+      }
+
+      const closed = await AuctionService.closeAuction(
+        auction._id,
+        { user: clerk, trigger: "clerk" },
+        { passed: result === "passed" }
+      );
+
+      if (!closed.success) {
+        return closed;
+      }
+
+      return {
+        success: true,
+        data: closed.data,
+        message: result === "sold" ? "Lot sold" : "Lot passed",
+      };
+    } catch (error) {
+      console.error("Hammer lot error:", error);
+      throw new Error(error.message || "Failed to record lot result");
+    }
+  }
+
+  /**
+   * Record payment taken at the sale for a lot sold on the floor
+   */
+  static async recordFloorPayment(auctionId, paymentData, clerk) {
+    try {
+      const loaded = await this.loadFloorAuction(auctionId);
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      const auction = loaded.data;
+
+      if (auction.status !== "closed" || !auction.winner_user) {
+        return {
+          success: false,
+          message: "Only sold lots can be paid for",
+          statusCode: 400,
+        };
+      }
+
+      const winningBid = await Bid.findOne({
+        auction: auction._id,
+        bidder_user: auction.winner_user,
+        amount: auction.winning_bid_amount,
+      }).sort({ placed_at: 1 });
+
+      if (!winningBid) {
+        return {
+          success: false,
+          message: "Winning bid not found",
+          statusCode: 404,
+        };
+      }
+
+      try {
+        return await BidPaymentService.recordFloorPayment(
+          winningBid,
+          auction,
+          paymentData,
+          clerk
+        );
+      } catch (paymentError) {
+        // The payment service reports expected failures as { status, message }
+        if (paymentError.status && paymentError.status < 500) {
+          return {
+            success: false,
+            message: paymentError.message,
+            statusCode: paymentError.status,
+          };
+        }
+        throw paymentError;
+      }
+    } catch (error) {
+      console.error("Record floor payment error:", error);
+      throw new Error(error.message || "Failed to record floor payment");
+    }
+  }
+}
+
+module.exports = AuctionFloorService;
@@ -0,0 +1,536 @@
+const AuctionFraudFlag = require("../models/auctionFraudFlag.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const Bid = require("../models/bid.model");
+const User = require("../models/user.model");
+const { EVENTS, publish, subscribe } = require("../utils/event_bus");
+
+// Roles that see and review fraud flags
+const FRAUD_STAFF_ROLES = [
+  "loan_officer_processor",
+  "loan_officer_approval",
+  "admin_pawn_limited",
+  "management",
+  "super_admin_vendor",
+];
+
+const RULE_SEVERITY = {
+  owner_shared_phone: "high",
+  owner_shared_national_id: "high",
+  new_account: "medium",
+  retraction_history: "medium",
+  dispute_history: "medium",
+  alternating_bid_war: "high",
+};
+
+// Severities whose open flags hold settlement until reviewed
+const HOLD_SEVERITIES = (process.env.AUCTION_FRAUD_HOLD_SEVERITIES || "high")
+  .split(",")
+  .map((value) => value.trim())
+  .filter(Boolean);
+const NEW_ACCOUNT_HOURS = parseInt(process.env.AUCTION_FRAUD_NEW_ACCOUNT_HOURS) || 24;
+const RETRACTION_THRESHOLD = parseInt(process.env.AUCTION_FRAUD_RETRACTION_THRESHOLD) || 2;
+const DISPUTE_THRESHOLD = parseInt(process.env.AUCTION_FRAUD_DISPUTE_THRESHOLD) || 2;
+const BID_WAR_MIN_BIDS = parseInt(process.env.AUCTION_FRAUD_BID_WAR_MIN_BIDS) || 6;
+const BID_WAR_GAP_SECONDS = parseInt(process.env.AUCTION_FRAUD_BID_WAR_GAP_SECONDS) || 120;
+
+// Disputes that were not upheld
+const COUNTED_DISPUTES = ["raised", "under_review", "resolved_invalid"];
+
+const normalisePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  // Compare the subscriber number so +263 77… and 077… match
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+
+const normaliseNationalId = (id) => {
+  const value = String(id || "").replace(/[^a-z0-9]/gi, "").toUpperCase();
+  return value || null;
+};
+
+/**
+ * Auction Fraud Service
+ * Flags shill bidding and other suspicious patterns on auctions, shows
+ * them to staff on auction and bid views and holds settlement until
+ * the serious ones are reviewed
+ */
+class AuctionFraudService {
+  /**
+   * Whether the user may see and review fraud flags
+   */
+  static isFraudStaff(user) {
+    return Boolean(user) && (user.roles || []).some((role) => FRAUD_STAFF_ROLES.includes(role));
+  }
+
+  /**
+   * Record a flag once per auction, bidder and rule
+   */
+  static async raiseFlag(auction, bidderUser, rule, details = {}, bid = null) {
+    const severity = RULE_SEVERITY[rule];
+
+    try {
+      const flag = await AuctionFraudFlag.create({
+        auction: auction._id,
+        bidder_user: bidderUser,
+        bid: bid?._id,
+        rule,
+        severity,
+        details,
+        hold_settlement: HOLD_SEVERITIES.includes(severity),
+      });
+
+      publish(EVENTS.AUCTION_FRAUD_FLAGGED, {
+        flag_id: flag._id,
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        bidder_user: bidderUser,
+        rule,
+        severity,
+        hold_settlement: flag.hold_settlement,
+      });
+
+      return flag;
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Rules about the bidder themselves: links to the seller, a brand new
+   * account, or a history of walking away from wins or disputing bids
+   */
+  static async checkBidder(auction, owner, bidderId, firstBid) {
+    const bidder = await User.findById(bidderId).select(
+      "phone national_id_number created_at"
+    );
+    if (!bidder) return [];
+
+    const flags = [];
+
+    if (owner && !owner._id.equals(bidder._id)) {
+      const phone = normalisePhone(bidder.phone);
+      if (phone && phone === normalisePhone(owner.phone)) {
+        flags.push(["owner_shared_phone", { owner_user: owner._id }]);
+      }
+
+      const nationalId = normaliseNationalId(bidder.national_id_number);
+      if (nationalId && nationalId === normaliseNationalId(owner.national_id_number)) {
+        flags.push(["owner_shared_national_id", { owner_user: owner._id }]);
+      }
+    }
+
+    // Clerks create accounts for walk-in floor bidders on the spot
+    if (firstBid && firstBid.meta?.source !== "floor" && bidder.created_at) {
+      const ageHours = (firstBid.placed_at - bidder.created_at) / (60 * 60 * 1000);
+      if (ageHours < NEW_ACCOUNT_HOURS) {
+        flags.push([
+          "new_account",
+          {
+            account_created_at: bidder.created_at,
+            first_bid_at: firstBid.placed_at,
+            age_hours: Math.round(ageHours * 10) / 10,
+          },
+        ]);
+      }
+    }
+
+    // Bids cannot be withdrawn, so forfeited wins are the retractions
+    const [forfeits, disputes] = await Promise.all([
+      Bid.countDocuments({ bidder_user: bidder._id, payment_status: "forfeited" }),
+      Bid.countDocuments({
+        "dispute.raised_by": bidder._id,
+        "dispute.status": { $in: COUNTED_DISPUTES },
+      }),
+    ]);
+
+    if (forfeits >= RETRACTION_THRESHOLD) {
+      flags.push(["retraction_history", { forfeited_wins: forfeits }]);
+    }
+    if (disputes >= DISPUTE_THRESHOLD) {
+      flags.push(["dispute_history", { disputes }]);
+    }
+
+    const raised = [];
+    for (const [rule, details] of flags) {
+      const flag = await this.raiseFlag(auction, bidder._id, rule, details, firstBid);
+      if (flag) raised.push(flag);
+    }
+
+    return raised;
+  }
+
+  /**
+   * Runs of manual bids that alternate between the same two accounts in
+   * quick succession. Proxy bids are left out: a proxy answering a manual
+   * bidder is expected to alternate.
+   */
+  static findBidWars(bids) {
+    const manual = bids.filter((bid) => !bid.is_proxy);
+    const wars = [];
+    let start = 0;
+
+    const closeRun = (end) => {
+      const length = end - start + 1;
+      if (length >= BID_WAR_MIN_BIDS) {
+        wars.push({
+          users: [manual[start].bidder_user, manual[start + 1].bidder_user],
+          bid_count: length,
+          first_bid: manual[start],
+          last_bid: manual[end],
+        });
+      }
+    };
+
+    for (let i = 1; i < manual.length; i++) {
+      const bid = manual[i];
+      const previous = manual[i - 1];
+      const gapSeconds = (bid.placed_at - previous.placed_at) / 1000;
+
+      const alternates =
+        String(bid.bidder_user) !== String(previous.bidder_user) &&
+        (i - start < 2 || String(bid.bidder_user) === String(manual[i - 2].bidder_user)) &&
+        gapSeconds <= BID_WAR_GAP_SECONDS;
+
+      if (!alternates) {
+        closeRun(i - 1);
+        // A new run may start with the previous bid
+        start =
+          String(bid.bidder_user) !== String(previous.bidder_user) &&
+          gapSeconds <= BID_WAR_GAP_SECONDS
+            ? i - 1
+            : i;
+      }
+    }
+
+    if (manual.length > 0) closeRun(manual.length - 1);
+
+    return wars;
+  }
+
+  /**
+   * Flag both accounts of every bid war on an auction
+   */
+  static async checkBidWars(auction) {
+    // Sealed bidders cannot see each other, so there is nothing to answer
+    if (auction.auction_type === "sealed") return [];
+
+    const bids = await Bid.find({ auction: auction._id })
+      .select("bidder_user amount placed_at is_proxy")
+      .sort({ placed_at: 1, _id: 1 });
+
+    const raised = [];
+    for (const war of this.findBidWars(bids)) {
+      const [first, second] = war.users;
+      const details = {
+        bid_count: war.bid_count,
+        from: war.first_bid.placed_at,
+        to: war.last_bid.placed_at,
+        max_gap_seconds: BID_WAR_GAP_SECONDS,
+      };
+
+      for (const [bidder, counterpart] of [[first, second], [second, first]]) {
+        const flag = await this.raiseFlag(
+          auction,
+          bidder,
+          "alternating_bid_war",
+          { ...details, counterpart_user: counterpart },
+          war.last_bid
+        );
+        if (flag) raised.push(flag);
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Load an auction with its asset owner's identity
+   */
+  static async loadAuction(auctionId) {
+    const auction = await Auction.findById(auctionId).select(
+      "auction_no auction_type asset status"
+    );
+    if (!auction) return { auction: null, owner: null };
+
+    const asset = await Asset.findById(auction.asset).select("owner_user");
+    const owner = asset?.owner_user
+      ? await User.findById(asset.owner_user).select("phone national_id_number")
+      : null;
+
+    return { auction, owner };
+  }
+
+  /**
+   * Check a freshly placed bid
+   */
+  static async analyzeBid(event) {
+    const { auction, owner } = await this.loadAuction(event.auction_id);
+    if (!auction) return [];
+
+    // Bidder rules run once, on the bidder's first bid on the auction
+    const firstBid = await Bid.findOne({
+      auction: auction._id,
+      bidder_user: event.bidder_user,
+    })
+      .select("placed_at meta")
+      .sort({ placed_at: 1 });
+
+    const raised = [];
+    if (firstBid && String(firstBid._id) === String(event.bid_id)) {
+      raised.push(...(await this.checkBidder(auction, owner, event.bidder_user, firstBid)));
+    }
+
+    raised.push(...(await this.checkBidWars(auction)));
+
+    return raised;
+  }
+
+  /**
+   * Re-run every rule over an auction's bids (staff)
+   */
+  static async scanAuction(auctionId) {
+    try {
+      const { auction, owner } = await this.loadAuction(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const firstBids = await Bid.aggregate([
+        { $match: { auction: auction._id } },
+        { $sort: { placed_at: 1 } },
+        {
+          $group: {
+            _id: "$bidder_user",
+            bid_id: { $first: "$_id" },
+            placed_at: { $first: "$placed_at" },
+            meta: { $first: "$meta" },
+          },
+        },
+      ]);
+
+      const raised = [];
+      for (const first of firstBids) {
+        const bid = { _id: first.bid_id, placed_at: first.placed_at, meta: first.meta };
+        raised.push(...(await this.checkBidder(auction, owner, first._id, bid)));
+      }
+      raised.push(...(await this.checkBidWars(auction)));
+
+      const flags = await this.getAuctionFlags(auction._id);
+
+      return {
+        success: true,
+        data: flags.data,
+        message: `Scan complete, ${raised.length} new flag(s) raised`,
+      };
+    } catch (error) {
+      console.error("Scan auction for fraud error:", error);
+      throw new Error(error.message || "Failed to scan auction");
+    }
+  }
+
+  /**
+   * Get the fraud flags of an auction (staff)
+   */
+  static async getAuctionFlags(auctionId, filters = {}) {
+    try {
+      const query = { auction: auctionId };
+      if (filters.status) query.status = filters.status;
+
+      const flags = await AuctionFraudFlag.find(query)
+        .populate("bidder_user", "first_name last_name email phone")
+        .populate("reviewed_by", "first_name last_name email")
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: flags,
+      };
+    } catch (error) {
+      console.error("Get auction fraud flags error:", error);
+      throw new Error(error.message || "Failed to fetch fraud flags");
+    }
+  }
+
+  /**
+   * Review queue of fraud flags across auctions (staff)
+   */
+  static async getFlags(filters = {}) {
+    try {
+      const { page = 1, limit = 10, status = "open", severity, rule, auction_id } = filters;
+      const query = {};
+
+      if (status !== "all") query.status = status;
+      if (severity) query.severity = severity;
+      if (rule) query.rule = rule;
+      if (auction_id) query.auction = auction_id;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [flags, total] = await Promise.all([
+        AuctionFraudFlag.find(query)
+          .populate("auction", "auction_no status outcome winner_user")
+          .populate("bidder_user", "first_name last_name email phone")
+          .populate("reviewed_by", "first_name last_name email")
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuctionFraudFlag.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: flags,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get fraud flags error:", error);
+      throw new Error(error.message || "Failed to fetch fraud flags");
+    }
+  }
+
+  /**
+   * Clear or confirm a flag; reviewed flags no longer hold settlement
+   */
+  static async reviewFlag(flagId, reviewData = {}, user) {
+    try {
+      const { status, notes } = reviewData;
+
+      if (!["cleared", "confirmed"].includes(status)) {
+        return {
+          success: false,
+          message: "status must be cleared or confirmed",
+          statusCode: 400,
+        };
+      }
+
+      const flag = await AuctionFraudFlag.findOneAndUpdate(
+        { _id: flagId, status: "open" },
+        {
+          $set: {
+            status,
+            review_notes: notes,
+            reviewed_by: user._id,
+            reviewed_at: new Date(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!flag) {
+        const exists = await AuctionFraudFlag.exists({ _id: flagId });
+        return {
+          success: false,
+          message: exists ? "Flag has already been reviewed" : "Fraud flag not found",
+          statusCode: exists ? 409 : 404,
+        };
+      }
+
+      const held = await this.hasSettlementHold(flag.auction);
+
+      publish(EVENTS.AUCTION_FRAUD_REVIEWED, {
+        flag_id: flag._id,
+        auction_id: flag.auction,
+        bidder_user: flag.bidder_user,
+        rule: flag.rule,
+        status,
+        settlement_held: held,
+        actor_user: user._id,
+      });
+
+      return {
+        success: true,
+        data: flag,
+        message: `Flag ${status}`,
+      };
+    } catch (error) {
+      console.error("Review fraud flag error:", error);
+      throw new Error(error.message || "Failed to review fraud flag");
+    }
+  }
+
+  /**
+   * Whether open flags hold an auction's settlement
+   */
+  static async hasSettlementHold(auctionId) {
+    const flag = await AuctionFraudFlag.exists({
+      auction: auctionId,
+      status: "open",
+      hold_settlement: true,
+    });
+
+    return Boolean(flag);
+  }
+
+  /**
+   * Auctions whose settlement is held
+   */
+  static async getHeldAuctionIds() {
+    return AuctionFraudFlag.distinct("auction", { status: "open", hold_settlement: true });
+  }
+
+  /**
+   * Summary of an auction's flags for the auction view (staff)
+   */
+  static async getFlagSummary(auctionId) {
+    const flags = await AuctionFraudFlag.find({ auction: auctionId })
+      .select("bidder_user rule severity status hold_settlement created_at")
+      .sort({ created_at: -1 });
+
+    return {
+      open: flags.filter((flag) => flag.status === "open").length,
+      settlement_held: flags.some((flag) => flag.status === "open" && flag.hold_settlement),
+      flags,
+    };
+  }
+
+  /**
+   * Attach each bidder's open flags to a list of bids (staff bid views)
+   */
+  static async attachFlags(bids) {
+    if (bids.length === 0) return bids;
+
+    const auctionIds = [
+      ...new Set(bids.map((bid) => String(bid.auction?._id || bid.auction))),
+    ];
+    const flags = await AuctionFraudFlag.find({
+      auction: { $in: auctionIds },
+      status: "open",
+    }).select("auction bidder_user rule severity hold_settlement");
+
+    const key = (auctionId, userId) => `${auctionId}:${userId}`;
+    const byBidder = new Map();
+    flags.forEach((flag) => {
+      const k = key(flag.auction, flag.bidder_user);
+      if (!byBidder.has(k)) byBidder.set(k, []);
+      byBidder.get(k).push(flag);
+    });
+
+    return bids.map((bid) => {
+      const plain = typeof bid.toObject === "function" ? bid.toObject() : { ...bid };
+      const auctionId = bid.auction?._id || bid.auction;
+      const bidderId = bid.bidder_user?._id || bid.bidder_user;
+      plain.fraud_flags = byBidder.get(key(auctionId, bidderId)) || [];
+      return plain;
+    });
+  }
+
+  /**
+   * Analyse every bid as it is placed
+   */
+  static register() {
+    subscribe(EVENTS.BID_PLACED, (payload) => this.analyzeBid(payload));
+  }
+}
+
+module.exports = AuctionFraudService;
@@ -0,0 +1,348 @@
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const Bid = require("../models/bid.model");
+const BidPayment = require("../models/bidPayment.model");
+const User = require("../models/user.model");
+const AuctionService = require("./auction_service");
+const AuctionRegistrationService = require("./auction_registration_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+const REMINDER_HOURS = parseFloat(process.env.AUCTION_PAYMENT_REMINDER_HOURS) || 12;
+const PENDING_GRACE_MINUTES =
+  parseFloat(process.env.AUCTION_PAYMENT_PENDING_GRACE_MINUTES) || 30;
+const RELIST_DELAY_HOURS = parseFloat(process.env.AUCTION_RELIST_DELAY_HOURS) || 24;
+const BATCH_SIZE = parseInt(process.env.AUCTION_PAYMENT_BATCH_SIZE) || 50;
+
+const OPEN_PAYMENT_STATUSES = ["initiated", "pending"];
+// Disputed bids, and bids voided by an upheld dispute, cannot be promoted
+const BLOCKING_DISPUTES = ["raised", "under_review", "resolved_valid"];
+const OPEN_DISPUTES = ["raised", "under_review"];
+
+/**
+ * Auction Payment Deadline Service
+ * Reminds winners before their payment window ends, forfeits unpaid
+ * winning bids, and hands the lot to the next-highest valid bid or
+ * re-lists the asset when nobody is left
+ */
+class AuctionPaymentDeadlineService {
+  /**
+   * Query for closed auctions whose winner has not paid yet
+   */
+  static unpaidWinnerQuery(extra = {}) {
+    return {
+      status: "closed",
+      winner_user: { $ne: null },
+      "meta.payment_received": { $ne: true },
+      ...extra,
+    };
+  }
+
+  /**
+   * Remind winners whose payment window closes soon (once per winner)
+   */
+  static async sendReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000);
+    let sent = 0;
+
+    const auctions = await Auction.find(
+      this.unpaidWinnerQuery({
+        payment_due_at: { $gt: now, $lte: horizon },
+        payment_reminder_sent_at: null,
+      })
+    )
+      .select("_id")
+      .limit(BATCH_SIZE);
+
+    for (const { _id } of auctions) {
+      const auction = await Auction.findOneAndUpdate(
+        { _id, payment_reminder_sent_at: null },
+        { $set: { payment_reminder_sent_at: now } },
+        { new: true }
+      );
+      if (!auction) continue;
+
+      publish(EVENTS.AUCTION_PAYMENT_REMINDER, {
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        winner_user: auction.winner_user,
+        winning_bid_amount: auction.winning_bid_amount,
+        payment_due_at: auction.payment_due_at,
+      });
+      sent += 1;
+    }
+
+    return sent;
+  }
+
+  /**
+   * A payment started before the deadline gets a short grace period
+   */
+  static async hasPaymentInProgress(auction, now) {
+    const graceEnds = new Date(
+      auction.payment_due_at.getTime() + PENDING_GRACE_MINUTES * 60 * 1000
+    );
+    if (now >= graceEnds) return false;
+
+    const openPayment = await BidPayment.exists({
+      auction: auction._id,
+      payer_user: auction.winner_user,
+      purpose: { $ne: "deposit" },
+      status: { $in: OPEN_PAYMENT_STATUSES },
+    });
+
+    return Boolean(openPayment);
+  }
+
+  /**
+   * Forfeit the current winner and move the lot on
+   */
+  static async forfeitWinner(auctionId) {
+    const now = new Date();
+    const current = await Auction.findById(auctionId);
+
+    if (!current || !current.winner_user || !current.payment_due_at) {
+      return null;
+    }
+
+    if (await this.hasPaymentInProgress(current, now)) {
+      return null;
+    }
+
+    const winnerId = current.winner_user;
+    const winningBid = await Bid.findOne({
+      auction: auctionId,
+      bidder_user: winnerId,
+      payment_status: "pending",
+    }).sort({ amount: -1 });
+
+    // The payment window restarts once the dispute is resolved
+    if (winningBid && OPEN_DISPUTES.includes(winningBid.dispute?.status)) {
+      return null;
+    }
+
+    // Claim the forfeit so only one run (or instance) processes it
+    const auction = await Auction.findOneAndUpdate(
+      this.unpaidWinnerQuery({
+        _id: auctionId,
+        winner_user: winnerId,
+        payment_due_at: { $lte: now },
+      }),
+      {
+        $set: {
+          winner_user: null,
+          winning_bid_amount: null,
+          payment_due_at: null,
+          payment_reminder_sent_at: null,
+        },
+        $push: {
+          forfeits: {
+            bid: winningBid ? winningBid._id : null,
+            bidder_user: winnerId,
+            amount: current.winning_bid_amount,
+            payment_due_at: current.payment_due_at,
+            forfeited_at: now,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!auction) return null;
+
+    // None of the defaulting bidder's bids can win this lot again
+    await Bid.updateMany(
+      {
+        auction: auctionId,
+        bidder_user: winnerId,
+        payment_status: { $in: ["unpaid", "pending"] },
+      },
+      { $set: { payment_status: "forfeited" } }
+    );
+
+    if (winningBid) {
+      await BidPayment.updateMany(
+        { bid: winningBid._id, status: { $in: OPEN_PAYMENT_STATUSES } },
+        { $set: { status: "cancelled", notes: "Payment window expired" } }
+      );
+    }
+
+    await AuctionRegistrationService.forfeitDeposit(auction, winnerId);
+
+    const defaulter = await User.findByIdAndUpdate(
+      winnerId,
+      {
+        $push: {
+          auction_strikes: {
+            auction: auction._id,
+            bid: winningBid ? winningBid._id : null,
+            amount: current.winning_bid_amount,
+            reason: "payment_default",
+            created_at: now,
+          },
+        },
+      },
+      { new: true }
+    ).select("auction_strikes");
+
+    publish(EVENTS.AUCTION_PAYMENT_DEFAULTED, {
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      bidder_user: winnerId,
+      bid_id: winningBid ? winningBid._id : null,
+      amount: current.winning_bid_amount,
+      payment_due_at: current.payment_due_at,
+      strike_count: defaulter ? defaulter.auction_strikes.length : null,
+    });
+
+    await AuctionService.auditTransition(
+      auction,
+      "auction.payment_forfeit",
+      {
+        winner_user: winnerId,
+        winning_bid_amount: current.winning_bid_amount,
+        payment_due_at: current.payment_due_at,
+      },
+      { trigger: "scheduler" }
+    );
+
+    const promoted = await this.promoteNextBidder(auction, winnerId);
+    if (!promoted) {
+      await this.relistUnpaid(auction);
+    }
+
+    return auction;
+  }
+
+  /**
+   * Make the next-highest valid bid the winner with a fresh payment window
+   */
+  static async promoteNextBidder(auction, previousWinner) {
+    const excluded = (auction.forfeits || []).map((entry) => entry.bidder_user);
+
+    const nextBid = await Bid.findOne({
+      auction: auction._id,
+      bidder_user: { $nin: excluded },
+      payment_status: { $in: ["unpaid", "pending"] },
+      "dispute.status": { $nin: BLOCKING_DISPUTES },
+      "meta.second_chance_offer": { $exists: false },
+    }).sort({ amount: -1, placed_at: 1 });
+
+    if (!nextBid) return null;
+    if (auction.reserve_price && nextBid.amount < auction.reserve_price) {
+      return null;
+    }
+
+    const price =
+      auction.auction_type === "sealed"
+        ? await AuctionService.getSealedPrice(auction, nextBid, excluded)
+        : nextBid.amount;
+
+    const now = new Date();
+    const promoted = await Auction.findOneAndUpdate(
+      { _id: auction._id, status: "closed", winner_user: null },
+      {
+        $set: {
+          outcome: "sold",
+          winner_user: nextBid.bidder_user,
+          winning_bid_amount: price,
+          payment_due_at: AuctionService.getPaymentDueAt(auction, now),
+          payment_reminder_sent_at: null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!promoted) return null;
+
+    await Bid.findByIdAndUpdate(nextBid._id, { payment_status: "pending" });
+
+    publish(EVENTS.AUCTION_WINNER_REASSIGNED, {
+      auction_id: promoted._id,
+      auction_no: promoted.auction_no,
+      previous_winner: previousWinner,
+      winner_user: promoted.winner_user,
+      winning_bid_amount: promoted.winning_bid_amount,
+      bid_id: nextBid._id,
+      payment_due_at: promoted.payment_due_at,
+    });
+
+    await AuctionService.auditTransition(
+      promoted,
+      "auction.winner_reassign",
+      { winner_user: previousWinner },
+      { trigger: "scheduler" }
+    );
+
+    return promoted;
+  }
+
+  /**
+   * No valid bidder left: mark the lot unsold and re-list the asset
+   */
+  static async relistUnpaid(auction) {
+    await Auction.updateOne(
+      { _id: auction._id },
+      { $set: { outcome: "payment_defaulted" } }
+    );
+    await Asset.findByIdAndUpdate(auction.asset, { status: "overdue" });
+
+    const duration = auction.ends_at - auction.starts_at;
+    const startsAt = new Date(Date.now() + RELIST_DELAY_HOURS * 60 * 60 * 1000);
+
+    const result = await AuctionService.relistAuction(
+      auction._id,
+      {
+        starts_at: startsAt,
+        ends_at: new Date(startsAt.getTime() + duration),
+      },
+      auction.created_by
+    );
+
+    if (!result.success) {
+      console.error(
+        `Auto re-list of auction ${auction.auction_no} failed:`,
+        result.message
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Forfeit every winner whose payment window has passed
+   */
+  static async processOverdueWinners() {
+    const now = new Date();
+    let forfeited = 0;
+
+    const overdue = await Auction.find(
+      this.unpaidWinnerQuery({ payment_due_at: { $lte: now } })
+    )
+      .select("_id")
+      .sort({ payment_due_at: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const { _id } of overdue) {
+      try {
+        const result = await this.forfeitWinner(_id);
+        if (result) forfeited += 1;
+      } catch (error) {
+        console.error(`Forfeit auction ${_id} error:`, error);
+      }
+    }
+
+    return forfeited;
+  }
+
+  /**
+   * One scheduler tick
+   */
+  static async runDeadlineCycle() {
+    const reminded = await this.sendReminders();
+    const forfeited = await this.processOverdueWinners();
+    return { reminded, forfeited };
+  }
+}
+
+module.exports = AuctionPaymentDeadlineService;
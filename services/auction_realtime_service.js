@@ -0,0 +1,265 @@
+const AuctionService = require("./auction_service");
+const Bid = require("../models/bid.model");
+const { EVENTS, subscribe } = require("../utils/event_bus");
+const {
+  getIO,
+  onConnection,
+  emitToUser,
+  emitToRoom,
+  STAFF_ROLES,
+} = require("../configs/socket_config");
+
+const TICK_INTERVAL_MS = parseInt(process.env.AUCTION_TICK_INTERVAL_MS) || 1000;
+const BID_THROTTLE_MS = parseInt(process.env.AUCTION_BID_THROTTLE_MS) || 500;
+const ROOM_PREFIX = "auction:";
+
+const auctionRoom = (auctionId) => `${ROOM_PREFIX}${auctionId}`;
+
+// Countdown cache of auctions that have sockets in their room
+const countdowns = new Map();
+
+/**
+ * Auction Realtime Service
+ * Per-auction Socket.IO rooms: live price, bid counts, outbid alerts,
+ * countdown ticks and bidding over the socket
+ */
+class AuctionRealtimeService {
+  /**
+   * Remember the end time of an auction for countdown ticks
+   */
+  static trackCountdown(state) {
+    countdowns.set(String(state.auction_id), {
+      status: state.status,
+      ends_at: new Date(state.ends_at),
+      ended_emitted: false,
+    });
+  }
+
+  /**
+   * Join an auction room and return its current state
+   */
+  static async joinAuction(socket, auctionId) {
+    const result = await AuctionService.getLiveState(auctionId);
+    if (!result.success) {
+      return result;
+    }
+
+    const isStaff = (socket.user.roles || []).some((role) =>
+      STAFF_ROLES.includes(role)
+    );
+
+    if (!isStaff && !["live", "closed"].includes(result.data.status)) {
+      return {
+        success: false,
+        message: "Auction is not open to bidders",
+        statusCode: 403,
+      };
+    }
+
+    socket.join(auctionRoom(auctionId));
+    this.trackCountdown(result.data);
+
+    return result;
+  }
+
+  /**
+   * Place a bid from a socket, using the same rules as the REST endpoint
+   */
+  static async placeBid(socket, payload = {}) {
+    const now = Date.now();
+    if (socket.data.lastBidAt && now - socket.data.lastBidAt < BID_THROTTLE_MS) {
+      return {
+        success: false,
+        message: "You are bidding too fast, please wait a moment",
+        statusCode: 429,
+      };
+    }
+    socket.data.lastBidAt = now;
+
+    const amount = Number(payload.amount);
+    if (!payload.auction_id || !Number.isFinite(amount) || amount <= 0) {
+      return {
+        success: false,
+        message: "auction_id and a positive amount are required",
+        statusCode: 400,
+      };
+    }
+
+    return AuctionService.placeBid(payload.auction_id, { amount }, socket.user);
+  }
+
+  /**
+   * Wire socket handlers for one connection
+   */
+  static handleConnection(socket) {
+    const reply = (ack, result) => {
+      if (typeof ack === "function") ack(result);
+    };
+
+    const safely = (handler) => async (payload, ack) => {
+      try {
+        reply(ack, await handler(payload));
+      } catch (error) {
+        console.error("Auction socket error:", error);
+        reply(ack, { success: false, message: error.message || "Request failed" });
+      }
+    };
+
+    socket.on(
+      "auction:join",
+      safely((payload = {}) => this.joinAuction(socket, payload.auction_id))
+    );
+
+    socket.on("auction:leave", (payload = {}, ack) => {
+      socket.leave(auctionRoom(payload.auction_id));
+      reply(ack, { success: true });
+    });
+
+    socket.on(
+      "auction:bid",
+      safely((payload) => this.placeBid(socket, payload))
+    );
+  }
+
+  /**
+   * Broadcast a new highest bid to the room and alert the outbid user
+   */
+  static async onBidPlaced(event) {
+    const bidCount = await Bid.countDocuments({ auction: event.auction_id });
+
+    // Sealed auctions only show that bidding activity happened
+    if (event.sealed) {
+      emitToRoom(auctionRoom(event.auction_id), "auction:bid", {
+        auction_id: event.auction_id,
+        sealed: true,
+        bid_count: bidCount,
+        placed_at: event.placed_at,
+      });
+      return;
+    }
+
+    emitToRoom(auctionRoom(event.auction_id), "auction:bid", {
+      auction_id: event.auction_id,
+      bid_id: event.bid_id,
+      amount: event.amount,
+      bidder_user: event.bidder_user,
+      is_proxy: event.is_proxy,
+      bid_count: bidCount,
+      next_minimum_bid: event.next_minimum_bid,
+      placed_at: event.placed_at,
+      ends_at: event.ends_at,
+    });
+
+    if (
+      event.previous_bidder &&
+      String(event.previous_bidder) !== String(event.bidder_user)
+    ) {
+      emitToUser(event.previous_bidder, "auction:outbid", {
+        auction_id: event.auction_id,
+        auction_no: event.auction_no,
+        amount: event.amount,
+        your_amount: event.previous_amount,
+      });
+    }
+
+    if (event.extended) {
+      emitToRoom(auctionRoom(event.auction_id), "auction:extended", {
+        auction_id: event.auction_id,
+        ends_at: event.ends_at,
+        extension_count: event.extension_count,
+        bid_id: event.bid_id,
+      });
+    }
+
+    const cached = countdowns.get(String(event.auction_id));
+    if (cached && event.ends_at) {
+      cached.ends_at = new Date(event.ends_at);
+      cached.ended_emitted = false;
+    }
+  }
+
+  /**
+   * Broadcast auction lifecycle changes to the room
+   */
+  static onAuctionStatusChanged(event) {
+    emitToRoom(auctionRoom(event.auction_id), "auction:status", {
+      auction_id: event.auction_id,
+      status: event.to,
+      starts_at: event.starts_at,
+      ends_at: event.ends_at,
+    });
+
+    const cached = countdowns.get(String(event.auction_id));
+    if (cached) {
+      cached.status = event.to;
+      if (event.ends_at) cached.ends_at = new Date(event.ends_at);
+    }
+  }
+
+  /**
+   * Broadcast the final result when an auction closes
+   */
+  static onAuctionClosed(event) {
+    emitToRoom(auctionRoom(event.auction_id), "auction:closed", {
+      auction_id: event.auction_id,
+      winner_user: event.winner_user,
+      winning_bid_amount: event.winning_bid_amount,
+      outcome: event.outcome,
+    });
+  }
+
+  /**
+   * Emit countdown ticks to every occupied auction room on this instance
+   */
+  static tick() {
+    const io = getIO();
+    if (!io) return;
+
+    const now = new Date();
+    const rooms = io.sockets.adapter.rooms;
+
+    for (const [auctionId, state] of countdowns) {
+      if (!rooms.has(auctionRoom(auctionId))) {
+        countdowns.delete(auctionId);
+        continue;
+      }
+
+      if (state.status !== "live") continue;
+
+      const remaining = Math.max(0, state.ends_at - now);
+
+      if (remaining > 0) {
+        emitToRoom(auctionRoom(auctionId), "auction:tick", {
+          auction_id: auctionId,
+          ends_at: state.ends_at,
+          server_time: now,
+          time_remaining_ms: remaining,
+        });
+      } else if (!state.ended_emitted) {
+        state.ended_emitted = true;
+        emitToRoom(auctionRoom(auctionId), "auction:ended", {
+          auction_id: auctionId,
+          ends_at: state.ends_at,
+        });
+      }
+    }
+  }
+
+  /**
+   * Register socket handlers, event subscriptions and the countdown ticker
+   */
+  static register() {
+    onConnection((socket) => this.handleConnection(socket));
+
+    subscribe(EVENTS.BID_PLACED, (payload) => this.onBidPlaced(payload));
+    subscribe(EVENTS.AUCTION_STATUS_CHANGED, (payload) =>
+      this.onAuctionStatusChanged(payload)
+    );
+    subscribe(EVENTS.AUCTION_CLOSED, (payload) => this.onAuctionClosed(payload));
+
+    const ticker = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    if (ticker.unref) ticker.unref();
+  }
+}
+
+module.exports = AuctionRealtimeService;
@@ -0,0 +1,468 @@
+const AuctionRegistration = require("../models/auctionRegistration.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const BidPayment = require("../models/bidPayment.model");
+const User = require("../models/user.model");
+const BidPaymentService = require("./bid_payment_service");
+const { EVENTS, publish, subscribe } = require("../utils/event_bus");
+
+// An approved identity document is required; proof of address is optional
+const KYC_IDENTITY_DOCUMENTS = ["national_id", "passport"];
+const REFUND_BATCH_SIZE = parseInt(process.env.AUCTION_DEPOSIT_REFUND_BATCH_SIZE) || 50;
+
+/**
+ * Auction Registration Service
+ * Bidder registration for auctions that require it: verified email,
+ * approved KYC documents and an optional refundable deposit
+ */
+class AuctionRegistrationService {
+  /**
+   * Check the user can register; returns an error result or null
+   */
+  static async checkEligibility(userId) {
+    const user = await User.findById(userId).select("status email_verified documents");
+
+    if (!user || user.status !== "active") {
+      return {
+        success: false,
+        message: "Your account must be active to register for auctions",
+        statusCode: 403,
+      };
+    }
+
+    if (!user.email_verified) {
+      return {
+        success: false,
+        message: "Verify your email address before registering for auctions",
+        statusCode: 403,
+      };
+    }
+
+    const approved = (user.documents || []).filter((doc) => doc.status === "approved");
+    if (!approved.some((doc) => KYC_IDENTITY_DOCUMENTS.includes(doc.type))) {
+      return {
+        success: false,
+        message: "An approved national ID or passport is required to register for this auction",
+        statusCode: 403,
+      };
+    }
+
+    return { success: true, data: approved.map((doc) => doc.type) };
+  }
+
+  /**
+   * Whether the user may bid on an auction that requires registration
+   */
+  static async isRegistered(auctionId, userId) {
+    const registration = await AuctionRegistration.exists({
+      auction: auctionId,
+      bidder_user: userId,
+      status: "approved",
+    });
+
+    return Boolean(registration);
+  }
+
+  /**
+   * Register the current user for an auction
+   */
+  static async register(auctionId, user) {
+    try {
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!auction.registration?.enabled) {
+        return {
+          success: false,
+          message: "This auction does not require registration",
+          statusCode: 400,
+        };
+      }
+
+      if (!["draft", "live"].includes(auction.status) || auction.ends_at <= new Date()) {
+        return {
+          success: false,
+          message: "Registration is closed for this auction",
+          statusCode: 400,
+        };
+      }
+
+      const asset = await Asset.findById(auction.asset).select("owner_user");
+      if (asset?.owner_user && asset.owner_user.equals(user._id)) {
+        return {
+          success: false,
+          message: "Cannot register for the auction of your own asset",
+          statusCode: 400,
+        };
+      }
+
+      const eligibility = await this.checkEligibility(user._id);
+      if (!eligibility.success) {
+        return eligibility;
+      }
+
+      const existing = await AuctionRegistration.findOne({
+        auction: auction._id,
+        bidder_user: user._id,
+      });
+
+      if (existing && existing.status !== "withdrawn") {
+        return {
+          success: true,
+          data: existing,
+          message: "You are already registered for this auction",
+        };
+      }
+
+      const depositAmount = auction.registration.deposit_amount || 0;
+      const registration = existing || new AuctionRegistration({
+        auction: auction._id,
+        bidder_user: user._id,
+      });
+
+      registration.kyc_documents = eligibility.data;
+      registration.withdrawn_at = undefined;
+      registration.deposit = {
+        amount: depositAmount,
+        currency: "USD",
+        status: depositAmount > 0 ? "unpaid" : "not_required",
+      };
+
+      if (depositAmount > 0) {
+        registration.status = "pending_deposit";
+        registration.approved_at = undefined;
+      } else {
+        registration.status = "approved";
+        registration.approved_at = new Date();
+      }
+
+      await registration.save();
+
+      return {
+        success: true,
+        data: registration,
+        message:
+          depositAmount > 0
+            ? "Registration received. Pay the deposit to start bidding"
+            : "Registered for auction successfully",
+      };
+    } catch (error) {
+      console.error("Register for auction error:", error);
+      throw new Error(error.message || "Failed to register for auction");
+    }
+  }
+
+  /**
+   * Start the deposit payment for the current user's registration
+   */
+  static async payDeposit(auctionId, paymentData, user) {
+    try {
+      const registration = await AuctionRegistration.findOne({
+        auction: auctionId,
+        bidder_user: user._id,
+        status: "pending_deposit",
+      });
+
+      if (!registration) {
+        return {
+          success: false,
+          message: "No registration awaiting a deposit for this auction",
+          statusCode: 404,
+        };
+      }
+
+      // Only one deposit payment in flight; a failed one may be retried
+      if (registration.deposit.status === "pending" && registration.deposit.payment) {
+        const current = await BidPayment.findById(registration.deposit.payment).select("status");
+        if (current && ["initiated", "pending"].includes(current.status)) {
+          return {
+            success: false,
+            message: "A deposit payment is already in progress",
+            statusCode: 409,
+          };
+        }
+      }
+
+      const auction = await Auction.findById(auctionId).select("auction_no status ends_at");
+
+      if (!auction || !["draft", "live"].includes(auction.status)) {
+        return {
+          success: false,
+          message: "Registration is closed for this auction",
+          statusCode: 400,
+        };
+      }
+
+      try {
+        return await BidPaymentService.createDepositPayment(
+          registration,
+          auction,
+          paymentData,
+          user
+        );
+      } catch (paymentError) {
+        // The payment service reports expected failures as { status, message }
+        if (paymentError.status && paymentError.status < 500) {
+          return {
+            success: false,
+            message: paymentError.message,
+            statusCode: paymentError.status,
+          };
+        }
+        throw paymentError;
+      }
+    } catch (error) {
+      console.error("Pay deposit error:", error);
+      throw new Error(error.message || "Failed to start deposit payment");
+    }
+  }
+
+  /**
+   * Get the current user's registration for an auction
+   */
+  static async getMyRegistration(auctionId, user) {
+    try {
+      const registration = await AuctionRegistration.findOne({
+        auction: auctionId,
+        bidder_user: user._id,
+      }).populate("deposit.payment", "receipt_no status method amount poll_url redirect_url");
+
+      if (!registration) {
+        return {
+          success: false,
+          message: "You are not registered for this auction",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: registration,
+      };
+    } catch (error) {
+      console.error("Get my registration error:", error);
+      throw new Error(error.message || "Failed to fetch registration");
+    }
+  }
+
+  /**
+   * Get registrations for an auction (staff)
+   */
+  static async getAuctionRegistrations(auctionId, filters = {}) {
+    try {
+      const query = { auction: auctionId };
+      if (filters.status) query.status = filters.status;
+      if (filters.deposit_status) query["deposit.status"] = filters.deposit_status;
+
+      const registrations = await AuctionRegistration.find(query)
+        .populate("bidder_user", "first_name last_name email phone")
+        .populate("deposit.payment", "receipt_no status method amount")
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: registrations,
+      };
+    } catch (error) {
+      console.error("Get auction registrations error:", error);
+      throw new Error(error.message || "Failed to fetch registrations");
+    }
+  }
+
+  /**
+   * Withdraw a registration before the auction goes live
+   */
+  static async withdraw(auctionId, user) {
+    try {
+      const auction = await Auction.findById(auctionId).select("status");
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      if (auction.status === "live") {
+        return {
+          success: false,
+          message: "Cannot withdraw once the auction is live",
+          statusCode: 400,
+        };
+      }
+
+      const registration = await AuctionRegistration.findOneAndUpdate(
+        {
+          auction: auctionId,
+          bidder_user: user._id,
+          status: { $in: ["pending_deposit", "approved"] },
+        },
+        { $set: { status: "withdrawn", withdrawn_at: new Date() } },
+        { new: true }
+      );
+
+      if (!registration) {
+        return {
+          success: false,
+          message: "You are not registered for this auction",
+          statusCode: 404,
+        };
+      }
+
+      await this.refundDeposit(registration, "Registration withdrawn");
+
+      return {
+        success: true,
+        data: await AuctionRegistration.findById(registration._id),
+        message: "Registration withdrawn",
+      };
+    } catch (error) {
+      console.error("Withdraw registration error:", error);
+      throw new Error(error.message || "Failed to withdraw registration");
+    }
+  }
+
+  /**
+   * Queue a paid deposit for refund; the registration is claimed first so it
+   * is queued once even when several triggers race. Staff complete the refund
+   * through the bid payment refund endpoint.
+   */
+  static async refundDeposit(registration, reason) {
+    const now = new Date();
+    const claimed = await AuctionRegistration.findOneAndUpdate(
+      { _id: registration._id, "deposit.status": "paid" },
+      { $set: { "deposit.status": "refund_pending", "deposit.refund_requested_at": now } },
+      { new: true }
+    );
+
+    if (!claimed) return null;
+
+    await BidPaymentService.requestDepositRefund(claimed.deposit.payment, reason);
+
+    const auction = await Auction.findById(claimed.auction).select("auction_no");
+
+    publish(EVENTS.AUCTION_DEPOSIT_REFUND_PENDING, {
+      registration_id: claimed._id,
+      auction_id: claimed.auction,
+      auction_no: auction ? auction.auction_no : null,
+      bidder_user: claimed.bidder_user,
+      amount: claimed.deposit.amount,
+      currency: claimed.deposit.currency,
+      reason,
+    });
+
+    return claimed;
+  }
+
+  /**
+   * Keep the deposit of a winner who did not pay
+   */
+  static async forfeitDeposit(auction, userId) {
+    const registration = await AuctionRegistration.findOneAndUpdate(
+      { auction: auction._id, bidder_user: userId, "deposit.status": "paid" },
+      { $set: { "deposit.status": "forfeited", "deposit.forfeited_at": new Date() } },
+      { new: true }
+    );
+
+    if (!registration) return null;
+
+    publish(EVENTS.AUCTION_DEPOSIT_FORFEITED, {
+      registration_id: registration._id,
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      bidder_user: userId,
+      amount: registration.deposit.amount,
+      currency: registration.deposit.currency,
+    });
+
+    return registration;
+  }
+
+  /**
+   * Refund the deposits an auction no longer needs to hold: every bidder
+   * when it is cancelled, losing bidders once it closes, and the winner
+   * once their payment is in
+   */
+  static async refundDeposits(auctionId) {
+    const auction = await Auction.findById(auctionId).select(
+      "status winner_user meta"
+    );
+
+    if (!auction || !["closed", "cancelled"].includes(auction.status)) {
+      return 0;
+    }
+
+    const registrations = await AuctionRegistration.find({
+      auction: auction._id,
+      "deposit.status": "paid",
+    });
+
+    let refunded = 0;
+    for (const registration of registrations) {
+      let reason = null;
+
+      if (auction.status === "cancelled") {
+        reason = "Auction cancelled";
+      } else if (!auction.winner_user || !auction.winner_user.equals(registration.bidder_user)) {
+        reason = "Auction closed without a win";
+      } else if (auction.meta?.payment_received) {
+        reason = "Winning bid paid";
+      }
+
+      if (reason && (await this.refundDeposit(registration, reason))) {
+        refunded += 1;
+      }
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Refund deposits held on finished auctions (catches missed events)
+   */
+  static async runRefundCycle() {
+    const auctionIds = await AuctionRegistration.distinct("auction", {
+      "deposit.status": "paid",
+    });
+
+    const finished = await Auction.find({
+      _id: { $in: auctionIds },
+      status: { $in: ["closed", "cancelled"] },
+    })
+      .select("_id")
+      .limit(REFUND_BATCH_SIZE);
+
+    let refunded = 0;
+    for (const { _id } of finished) {
+      try {
+        refunded += await this.refundDeposits(_id);
+      } catch (error) {
+        console.error(`Deposit refunds for auction ${_id} failed:`, error.message);
+      }
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Refund deposits as soon as an auction closes, is cancelled or is paid
+   */
+  static registerSubscribers() {
+    subscribe(EVENTS.AUCTION_CLOSED, (payload) => this.refundDeposits(payload.auction_id));
+    subscribe(EVENTS.AUCTION_STATUS_CHANGED, async (payload) => {
+      if (payload.to !== "cancelled") return;
+      await this.refundDeposits(payload.auction_id);
+    });
+    subscribe(EVENTS.BID_PAYMENT_SUCCEEDED, (payload) => this.refundDeposits(payload.auction_id));
+  }
+}
+
+module.exports = AuctionRegistrationService;
@@ -1,8 +1,60 @@
 const Auction = require("../models/auction.model");
 const Asset = require("../models/asset.model");
 const Bid = require("../models/bid.model");
+const ProxyBid = require("../models/proxyBid.model");
+const SecondChanceOffer = require("../models/secondChanceOffer.model");
+const AuctionSettlement = require("../models/auctionSettlement.model");
+const AuctionEvent = require("../models/auctionEvent.model");
+const AuctionWatch = require("../models/auctionWatch.model");
+const AuctionRegistration = require("../models/auctionRegistration.model");
 const User = require("../models/user.model");
 const mongoose = require("mongoose");
+const AuditLogService = require("./audit_log_service");
+const AuctionRegistrationService = require("./auction_registration_service");
+const AuctionFraudService = require("./auction_fraud_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+// Global minimum raise by price band, used unless an auction sets its own.
+// Override with AUCTION_INCREMENT_TIERS, e.g. [{"up_to":100,"increment":5},...]
+const DEFAULT_INCREMENT_TIERS = [
+  { up_to: 100, increment: 5 },
+  { up_to: 1000, increment: 25 },
+  { up_to: 5000, increment: 50 },
+  { up_to: null, increment: 100 },
+];
+
+const loadIncrementTiers = () => {
+  if (!process.env.AUCTION_INCREMENT_TIERS) return DEFAULT_INCREMENT_TIERS;
+
+  try {
+    return JSON.parse(process.env.AUCTION_INCREMENT_TIERS);
+  } catch (error) {
+    console.error("Invalid AUCTION_INCREMENT_TIERS, using defaults:", error.message);
+    return DEFAULT_INCREMENT_TIERS;
+  }
+};
+
+const INCREMENT_TIERS = loadIncrementTiers();
+
+const PAYMENT_WINDOW_HOURS =
+  parseFloat(process.env.AUCTION_PAYMENT_WINDOW_HOURS) || 48;
+
+// Asset categories whose auctions require bidder registration by default
+const REGISTRATION_CATEGORIES = (
+  process.env.AUCTION_REGISTRATION_CATEGORIES || "vehicle,jewellery"
+)
+  .split(",")
+  .map((category) => category.trim())
+  .filter(Boolean);
+
+const LIFECYCLE_BATCH_SIZE =
+  parseInt(process.env.AUCTION_LIFECYCLE_BATCH_SIZE) || 50;
+
+const SEALED_PRICING = ["first_price", "second_price"];
+
+// Bids voided by an upheld dispute never set the price or win
+const NOT_VOIDED = { "dispute.status": { $ne: "resolved_valid" } };
+
 (async () => {
   ({ v4: uuidv4 } = await import("uuid"));
 })();
@@ -71,6 +123,90 @@ class AuctionService {
     }
   }
 
+  /**
+   * Validate soft-close (anti-sniping) settings
+   * Returns an error result, or null when the settings are usable
+   */
+  static validateSoftClose(softClose) {
+    if (!softClose) return null;
+
+    const numericFields = ["window_minutes", "extension_minutes", "max_extensions"];
+    for (const field of numericFields) {
+      if (softClose[field] === undefined) continue;
+
+      const value = Number(softClose[field]);
+      const valid =
+        Number.isFinite(value) &&
+        (field === "max_extensions"
+          ? Number.isInteger(value) && value >= 0
+          : value > 0);
+
+      if (!valid) {
+        return {
+          success: false,
+          message:
+            field === "max_extensions"
+              ? "soft_close.max_extensions must be a whole number of 0 or more"
+              : `soft_close.${field} must be greater than 0`,
+          statusCode: 400,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extend the end time when a bid lands inside the soft-close window.
+   * The update is conditional on the end time we read, so concurrent
+   * bids extend the auction once per window rather than once per bid.
+   * Returns the new end time, or null when no extension applied.
+   */
+  static async applySoftClose(auction, bid, now) {
+    const rules = auction.soft_close || {};
+
+    if (auction.auction_type !== "online" || rules.enabled === false) {
+      return null;
+    }
+
+    const windowMs = (rules.window_minutes ?? 2) * 60 * 1000;
+    const extensionMs = (rules.extension_minutes ?? 2) * 60 * 1000;
+    const maxExtensions = rules.max_extensions ?? 10;
+
+    if (auction.ends_at - now > windowMs) return null;
+    if ((auction.extension_count || 0) >= maxExtensions) return null;
+
+    const newEndsAt = new Date(auction.ends_at.getTime() + extensionMs);
+
+    const updated = await Auction.findOneAndUpdate(
+      {
+        _id: auction._id,
+        status: "live",
+        ends_at: auction.ends_at,
+        extension_count: { $lt: maxExtensions },
+      },
+      {
+        $set: {
+          ends_at: newEndsAt,
+          original_ends_at: auction.original_ends_at || auction.ends_at,
+        },
+        $inc: { extension_count: 1 },
+        $push: {
+          extensions: {
+            extended_at: now,
+            previous_ends_at: auction.ends_at,
+            new_ends_at: newEndsAt,
+            bid: bid._id,
+            bidder_user: bid.bidder_user,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    return updated || null;
+  }
+
   /**
    * Create a new auction
    */
@@ -118,11 +254,53 @@ class AuctionService {
         };
       }
 
+      const softCloseError = this.validateSoftClose(auctionData.soft_close);
+      if (softCloseError) {
+        return softCloseError;
+      }
+
+      const tiersError = this.validateIncrementTiers(auctionData.increment_tiers);
+      if (tiersError) {
+        return tiersError;
+      }
+
+      const registrationError = this.validateRegistration(auctionData.registration);
+      if (registrationError) {
+        return registrationError;
+      }
+
+      const sealedError = this.validateSealed(auctionData.sealed);
+      if (sealedError) {
+        return sealedError;
+      }
+
+      if (
+        auctionData.payment_window_hours !== undefined &&
+        !(Number(auctionData.payment_window_hours) >= 1)
+      ) {
+        return {
+          success: false,
+          message: "payment_window_hours must be at least 1",
+          statusCode: 400,
+        };
+      }
+
+      const buyerChargesError = this.validateBuyerCharges(auctionData);
+      if (buyerChargesError) {
+        return buyerChargesError;
+      }
+
       // Generate auction number
       const auctionNo = await this.generateAuctionNumber();
 
       const auction = new Auction({
         ...auctionData,
+        registration: {
+          enabled: REGISTRATION_CATEGORIES.includes(assetValidation.data?.category),
+          ...auctionData.registration,
+        },
+        // Reveal time is set at close, never by the caller
+        sealed: { pricing: auctionData.sealed?.pricing },
         auction_no: auctionNo,
         created_by: createdBy,
         status: "draft",
@@ -138,6 +316,17 @@ class AuctionService {
       // Populate with detailed asset data
       const populatedAuction = await this.getAuctionWithDetails(auction._id);
 
+      publish(EVENTS.AUCTION_CREATED, {
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        asset_id: auction.asset,
+        asset_owner: assetValidation.data?.owner_user,
+        starts_at: auction.starts_at,
+        ends_at: auction.ends_at,
+        starting_bid_amount: auction.starting_bid_amount,
+        actor_user: createdBy,
+      });
+
       return {
         success: true,
         data: populatedAuction,
@@ -262,10 +451,15 @@ class AuctionService {
         Auction.countDocuments(query),
       ]);
 
+      const watcherCounts = await this.getWatcherCounts(auctions.map((a) => a._id));
+
       return {
         success: true,
         data: {
-          auctions,
+          auctions: auctions.map((auction) => ({
+            ...auction.toObject(),
+            watcher_count: watcherCounts[String(auction._id)] || 0,
+          })),
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -296,16 +490,28 @@ class AuctionService {
       }
 
       // Get current highest bid
-      const highestBid = await Bid.findOne({ auction: id })
-        .sort({ amount: -1 })
-        .populate("bidder_user", "name email");
+      const [highestBid, watcherCount] = await Promise.all([
+        Bid.findOne({ auction: id, ...NOT_VOIDED })
+          .sort({ amount: -1, placed_at: 1 })
+          .populate("bidder_user", "name email"),
+        AuctionWatch.countDocuments({ auction: id }),
+      ]);
+
+      const data = {
+        auction,
+        current_bid: this.isSealedOpen(auction) ? null : highestBid,
+        next_minimum_bid: this.getNextMinimumBid(auction, highestBid),
+        watcher_count: watcherCount,
+      };
+
+      // Suspicious bidding is only shown to staff
+      if (AuctionFraudService.isFraudStaff(user)) {
+        data.fraud_review = await AuctionFraudService.getFlagSummary(auction._id);
+      }
 
       return {
         success: true,
-        data: {
-          auction,
-          current_bid: highestBid,
-        },
+        data,
       };
     } catch (error) {
       console.error("Get auction error:", error);
@@ -313,6 +519,68 @@ class AuctionService {
     }
   }
 
+  /**
+   * Get the live bidding state of an auction (used by realtime rooms)
+   */
+  static async getLiveState(auctionId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(auctionId)) {
+        return {
+          success: false,
+          message: "Invalid auction ID",
+          statusCode: 400,
+        };
+      }
+
+      const auction = await Auction.findById(auctionId).select(
+        "auction_no auction_type sealed status starting_bid_amount increment_tiers starts_at ends_at original_ends_at extension_count soft_close winner_user winning_bid_amount"
+      );
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const [highestBid, bidCount] = await Promise.all([
+        this.getHighestBid(auction._id),
+        Bid.countDocuments({ auction: auction._id }),
+      ]);
+
+      const now = new Date();
+      const visibleBid = this.isSealedOpen(auction) ? null : highestBid;
+
+      return {
+        success: true,
+        data: {
+          auction_id: auction._id,
+          auction_no: auction.auction_no,
+          auction_type: auction.auction_type,
+          status: auction.status,
+          starting_bid_amount: auction.starting_bid_amount,
+          current_bid_amount: visibleBid ? visibleBid.amount : null,
+          highest_bidder: visibleBid ? visibleBid.bidder_user : null,
+          bid_count: bidCount,
+          next_minimum_bid: this.getNextMinimumBid(auction, highestBid),
+          starts_at: auction.starts_at,
+          ends_at: auction.ends_at,
+          server_time: now,
+          time_remaining_ms: Math.max(0, auction.ends_at - now),
+          original_ends_at: auction.original_ends_at || auction.ends_at,
+          extension_count: auction.extension_count || 0,
+          soft_close: auction.soft_close,
+          winner_user: auction.winner_user || null,
+          winning_bid_amount: auction.winning_bid_amount || null,
+        },
+      };
+    } catch (error) {
+      console.error("Get live state error:", error);
+      throw new Error(error.message || "Failed to fetch auction state");
+    }
+  }
+
   /**
    * Update auction
    */
@@ -359,6 +627,82 @@ class AuctionService {
         }
       }
 
+      // Extension history, outcome, re-listing and event links are set by the services
+      [
+        "original_ends_at",
+        "extension_count",
+        "extensions",
+        "outcome",
+        "relisted_from",
+        "relisted_as",
+        "payment_due_at",
+        "payment_reminder_sent_at",
+        "forfeits",
+        "event",
+        "lot_number",
+      ].forEach((field) => delete updateData[field]);
+
+      if (updateData.soft_close) {
+        const softCloseError = this.validateSoftClose(updateData.soft_close);
+        if (softCloseError) {
+          return softCloseError;
+        }
+
+        updateData.soft_close = {
+          ...auction.toObject().soft_close,
+          ...updateData.soft_close,
+        };
+      }
+
+      const tiersError = this.validateIncrementTiers(updateData.increment_tiers);
+      if (tiersError) {
+        return tiersError;
+      }
+
+      const costsError = this.validateCosts(updateData.costs);
+      if (costsError) {
+        return costsError;
+      }
+
+      if (updateData.registration) {
+        const registrationError = this.validateRegistration(updateData.registration);
+        if (registrationError) {
+          return registrationError;
+        }
+
+        updateData.registration = {
+          ...auction.toObject().registration,
+          ...updateData.registration,
+        };
+      }
+
+      if (updateData.sealed) {
+        const sealedError = this.validateSealed(updateData.sealed);
+        if (sealedError) {
+          return sealedError;
+        }
+
+        updateData.sealed = {
+          pricing: updateData.sealed.pricing || auction.sealed?.pricing,
+        };
+      }
+
+      if (
+        updateData.payment_window_hours !== undefined &&
+        !(Number(updateData.payment_window_hours) >= 1)
+      ) {
+        return {
+          success: false,
+          message: "payment_window_hours must be at least 1",
+          statusCode: 400,
+        };
+      }
+
+      const buyerChargesError = this.validateBuyerCharges(updateData);
+      if (buyerChargesError) {
+        return buyerChargesError;
+      }
+
       // Update auction
       Object.assign(auction, updateData);
       await auction.save();
@@ -376,6 +720,266 @@ class AuctionService {
     }
   }
 
+  /**
+   * Audit a lifecycle transition; failures are logged, never thrown
+   */
+  static async auditTransition(auction, action, before, actor) {
+    try {
+      await AuditLogService.createAuditLog({
+        actor_user: actor.user?._id,
+        actor_roles: actor.user?.roles,
+        action,
+        entity_type: "Auction",
+        entity_id: auction._id,
+        before,
+        after: {
+          status: auction.status,
+          outcome: auction.outcome,
+          winner_user: auction.winner_user,
+          winning_bid_amount: auction.winning_bid_amount,
+          starts_at: auction.starts_at,
+          ends_at: auction.ends_at,
+        },
+        meta: { trigger: actor.trigger || "manual", auction_no: auction.auction_no },
+      });
+    } catch (error) {
+      console.error("Auction audit log error:", error);
+    }
+  }
+
+  /**
+   * Move a draft auction to live.
+   * The draft -> live update is conditional, so concurrent callers
+   * (staff and scheduler, or two instances) start it only once.
+   * @param {Object} actor - { user } for staff, { trigger: "scheduler" } for jobs
+   */
+  static async startAuction(auctionId, actor = {}) {
+    const now = new Date();
+    const current = await Auction.findById(auctionId).select("starts_at");
+    if (!current) {
+      return {
+        success: false,
+        message: "Auction not found",
+        statusCode: 404,
+      };
+    }
+
+    const update = { status: "live" };
+    if (current.starts_at > now) {
+      update.starts_at = now; // Auto-start if scheduled for future
+    }
+
+    const auction = await Auction.findOneAndUpdate(
+      { _id: auctionId, status: "draft", ends_at: { $gt: now } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!auction) {
+      return {
+        success: false,
+        message: "Auction is no longer a startable draft",
+        statusCode: 409,
+      };
+    }
+
+    await Asset.findByIdAndUpdate(auction.asset, {
+      status: "auction",
+    });
+
+    publish(EVENTS.AUCTION_STATUS_CHANGED, {
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      asset_id: auction.asset,
+      from: "draft",
+      to: "live",
+      starts_at: auction.starts_at,
+      ends_at: auction.ends_at,
+      actor_user: actor.user?._id,
+      watchers: await this.getWatchers(auction._id),
+      registered_bidders: await AuctionRegistration.distinct("bidder_user", {
+        auction: auction._id,
+        status: "approved",
+      }),
+    });
+
+    await this.auditTransition(
+      auction,
+      "auction.start",
+      { status: "draft", starts_at: current.starts_at },
+      actor
+    );
+
+    return { success: true, data: auction };
+  }
+
+  /**
+   * Close a live auction whose end time has passed and settle its outcome.
+   * The close is claimed against the stored end time, so a last-second bid
+   * that extended the auction keeps it open, and only one caller settles it.
+   * @param {Object} actor - { user } for staff, { trigger: "scheduler" } for jobs
+   * @param {Object} options - { passed: true } when the auctioneer passes the lot unsold
+   */
+  static async closeAuction(auctionId, actor = {}, options = {}) {
+    const now = new Date();
+
+    const auction = await Auction.findOneAndUpdate(
+      { _id: auctionId, status: "live", ends_at: { $lte: now } },
+      { $set: { status: "closed" } },
+      { new: true }
+    );
+
+    if (!auction) {
+      const latest = await Auction.findById(auctionId).select("status ends_at");
+      return {
+        success: false,
+        message:
+          latest && latest.status === "live"
+            ? `Auction was extended and now ends at ${latest.ends_at.toISOString()}`
+            : "Auction is no longer live",
+        statusCode: 409,
+      };
+    }
+
+    // Sealed bids become visible to everyone once bidding is over
+    if (auction.auction_type === "sealed") {
+      await Bid.updateMany(
+        { auction: auction._id, sealed: true },
+        { $set: { sealed: false } }
+      );
+      auction.sealed.revealed_at = now;
+    }
+
+    // Determine winner if there are bids and the reserve is met
+    const highestBid = await this.getHighestBid(auction._id);
+    const reserveMet =
+      !auction.reserve_price ||
+      (highestBid && highestBid.amount >= auction.reserve_price);
+
+    if (highestBid && reserveMet && !options.passed) {
+      auction.outcome = "sold";
+      auction.winner_user = highestBid.bidder_user;
+      auction.winning_bid_amount =
+        auction.auction_type === "sealed"
+          ? await this.getSealedPrice(auction, highestBid)
+          : highestBid.amount;
+      auction.payment_due_at = this.getPaymentDueAt(auction, now);
+
+      // Update asset status to sold
+      await Asset.findByIdAndUpdate(auction.asset, {
+        status: "sold",
+      });
+
+      // Update bid payment status
+      await Bid.findByIdAndUpdate(highestBid._id, {
+        payment_status: "pending",
+      });
+    } else {
+      // Unsold: staff can send second-chance offers or re-list
+      if (options.passed) {
+        auction.outcome = "passed";
+      } else {
+        auction.outcome = highestBid ? "reserve_not_met" : "no_bids";
+      }
+      await Asset.findByIdAndUpdate(auction.asset, {
+        status: "overdue",
+      });
+    }
+
+    await auction.save();
+
+    // Proxy maximums are spent once bidding is over
+    await ProxyBid.updateMany(
+      { auction: auction._id, status: "active" },
+      { $set: { status: "outbid" } }
+    );
+
+    publish(EVENTS.AUCTION_STATUS_CHANGED, {
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      asset_id: auction.asset,
+      from: "live",
+      to: "closed",
+      starts_at: auction.starts_at,
+      ends_at: auction.ends_at,
+      actor_user: actor.user?._id,
+    });
+
+    const [bidders, watchers] = await Promise.all([
+      Bid.distinct("bidder_user", { auction: auction._id }),
+      this.getWatchers(auction._id),
+    ]);
+
+    publish(EVENTS.AUCTION_CLOSED, {
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      asset_id: auction.asset,
+      winner_user: auction.winner_user || null,
+      winning_bid_amount: auction.winning_bid_amount || null,
+      outcome: auction.outcome,
+      reserve_price: auction.reserve_price || null,
+      payment_due_at: auction.payment_due_at || null,
+      bidders,
+      watchers,
+    });
+
+    await this.auditTransition(auction, "auction.close", { status: "live" }, actor);
+
+    return { success: true, data: auction };
+  }
+
+  /**
+   * Start due drafts and close ended auctions (scheduler job)
+   */
+  static async runLifecycle() {
+    const now = new Date();
+    const actor = { trigger: "scheduler" };
+    const summary = { started: 0, closed: 0 };
+
+    // Lots of events that are not published yet stay in draft
+    const heldEvents = await AuctionEvent.distinct("_id", {
+      status: { $in: ["draft", "cancelled"] },
+    });
+
+    const dueToStart = await Auction.find({
+      status: "draft",
+      starts_at: { $lte: now },
+      ends_at: { $gt: now },
+      event: { $nin: heldEvents },
+    })
+      .select("_id")
+      .limit(LIFECYCLE_BATCH_SIZE);
+
+    for (const { _id } of dueToStart) {
+      try {
+        const result = await this.startAuction(_id, actor);
+        if (result.success) summary.started += 1;
+      } catch (error) {
+        console.error(`Auto-start auction ${_id} error:`, error);
+      }
+    }
+
+    // Floor auctions end on the clerk's hammer, not the clock
+    const dueToClose = await Auction.find({
+      status: "live",
+      ends_at: { $lte: now },
+      auction_type: { $ne: "in_person" },
+    })
+      .select("_id")
+      .limit(LIFECYCLE_BATCH_SIZE);
+
+    for (const { _id } of dueToClose) {
+      try {
+        const result = await this.closeAuction(_id, actor);
+        if (result.success) summary.closed += 1;
+      } catch (error) {
+        console.error(`Auto-close auction ${_id} error:`, error);
+      }
+    }
+
+    return summary;
+  }
+
   /**
    * Update auction status
    */
@@ -410,72 +1014,63 @@ class AuctionService {
         };
       }
 
-      // Additional validations for live status
-      if (status === "live") {
-        const now = new Date();
-        if (auction.ends_at <= now) {
-          return {
-            success: false,
-            message: "Cannot start an auction that has already ended",
-            statusCode: 400,
-          };
-        }
+      const now = new Date();
 
-        if (auction.starts_at > now) {
-          auction.starts_at = now; // Auto-start if scheduled for future
-        }
+      // Additional validations for live status
+      if (status === "live" && auction.ends_at <= now) {
+        return {
+          success: false,
+          message: "Cannot start an auction that has already ended",
+          statusCode: 400,
+        };
       }
 
       // Additional validations for closed status
-      if (status === "closed") {
-        const now = new Date();
-        if (auction.ends_at > now) {
-          return {
-            success: false,
-            message: "Cannot close an auction before its end time",
-            statusCode: 400,
-          };
-        }
-
-        // Determine winner if there are bids
-        const highestBid = await Bid.findOne({ auction: id }).sort({
-          amount: -1,
-        });
+      if (status === "closed" && auction.ends_at > now) {
+        return {
+          success: false,
+          message: "Cannot close an auction before its end time",
+          statusCode: 400,
+        };
+      }
 
-        if (highestBid) {
-          auction.winner_user = highestBid.bidder_user;
-          auction.winning_bid_amount = highestBid.amount;
+      if (status === "live" || status === "closed") {
+        const result =
+          status === "live"
+            ? await this.startAuction(id, { user })
+            : await this.closeAuction(id, { user });
 
-          // Update asset status to sold
-          await Asset.findByIdAndUpdate(auction.asset, {
-            status: "sold",
-          });
+        if (!result.success) {
+          return result;
+        }
+      } else {
+        const previousStatus = auction.status;
+        auction.status = status;
+        await auction.save();
 
-          // Update bid payment status
-          await Bid.findByIdAndUpdate(highestBid._id, {
-            payment_status: "pending",
-          });
-        } else {
-          // No bids, mark asset as available for re-auction
+        if (status === "cancelled") {
           await Asset.findByIdAndUpdate(auction.asset, {
             status: "overdue",
           });
         }
-      }
-
-      // Update status
-      auction.status = status;
-      await auction.save();
 
-      // Update asset status based on auction status
-      if (status === "live") {
-        await Asset.findByIdAndUpdate(auction.asset, {
-          status: "auction",
-        });
-      } else if (status === "cancelled") {
-        await Asset.findByIdAndUpdate(auction.asset, {
-          status: "overdue",
+        publish(EVENTS.AUCTION_STATUS_CHANGED, {
+          auction_id: auction._id,
+          auction_no: auction.auction_no,
+          asset_id: auction.asset,
+          from: previousStatus,
+          to: status,
+          starts_at: auction.starts_at,
+          ends_at: auction.ends_at,
+          actor_user: user?._id,
         });
+
+        await this.auditTransition(
+          auction,
+          `auction.${status === "cancelled" ? "cancel" : "reopen"}`,
+          { status: previousStatus },
+          { user }
+        );
       }
 
       const populatedAuction = await this.getAuctionWithDetails(auction._id);
@@ -492,11 +1087,12 @@ class AuctionService {
   }
 
   /**
-   * Place a bid
+   * Re-list the asset of an unsold auction as a new draft auction.
+   * Settings are copied from the original unless overridden.
    */
-  static async placeBid(auctionId, bidData, user) {
+  static async relistAuction(id, relistData, user) {
     try {
-      const auction = await Auction.findById(auctionId);
+      const auction = await Auction.findById(id);
 
       if (!auction) {
         return {
@@ -506,93 +1102,724 @@ class AuctionService {
         };
       }
 
-      // Check if auction is live
-      if (auction.status !== "live") {
+      if (auction.status !== "closed" || auction.winner_user) {
         return {
           success: false,
-          message: "Auction is not live",
+          message: "Only closed auctions without a winner can be re-listed",
           statusCode: 400,
         };
       }
 
-      // Check if auction has started
-      const now = new Date();
-      if (auction.starts_at > now) {
+      if (auction.relisted_as) {
         return {
           success: false,
-          message: "Auction has not started yet",
+          message: "Auction has already been re-listed",
           statusCode: 400,
         };
       }
 
-      // Check if auction has ended
-      if (auction.ends_at <= now) {
+      if (!relistData.starts_at || !relistData.ends_at) {
         return {
           success: false,
-          message: "Auction has ended",
+          message: "Start date and end date are required",
           statusCode: 400,
         };
       }
 
-      // Get current highest bid
-      const highestBid = await Bid.findOne({ auction: auctionId }).sort({
-        amount: -1,
-      });
-
-      const currentHighest = highestBid
-        ? highestBid.amount
-        : auction.starting_bid_amount;
+      const original = auction.toObject();
+      const pick = (field) =>
+        relistData[field] !== undefined ? relistData[field] : original[field];
 
-      // Validate bid amount
-      if (bidData.amount <= currentHighest) {
-        return {
-          success: false,
-          message: `Bid must be higher than current highest bid (${currentHighest})`,
-          statusCode: 400,
-        };
-      }
+      const result = await this.createAuction(
+        {
+          asset: auction.asset,
+          starting_bid_amount: pick("starting_bid_amount"),
+          reserve_price: pick("reserve_price") || undefined,
+          auction_type: pick("auction_type"),
+          soft_close: pick("soft_close"),
+          increment_tiers: pick("increment_tiers"),
+          payment_window_hours: pick("payment_window_hours"),
+          buyer_premium_percent: pick("buyer_premium_percent"),
+          buyer_fees: pick("buyer_fees"),
+          registration: pick("registration"),
+          sealed: pick("sealed"),
+          starts_at: relistData.starts_at,
+          ends_at: relistData.ends_at,
+          relisted_from: auction._id,
+        },
+        user
+      );
 
-      // Check if user is the owner of the asset (cannot bid on own asset)
-      const asset = await Asset.findById(auction.asset);
-      if (asset.owner_user.equals(user._id)) {
-        return {
-          success: false,
-          message: "Cannot bid on your own asset",
-          statusCode: 400,
-        };
+      if (!result.success) {
+        return result;
       }
 
-      // Check if user has any pending disputes on this auction
-      const existingDisputedBid = await Bid.findOne({
-        auction: auctionId,
-        bidder_user: user._id,
-        "dispute.status": { $in: ["raised", "under_review"] },
-      });
+      auction.relisted_as = result.data._id;
+      await auction.save();
 
-      if (existingDisputedBid) {
-        return {
-          success: false,
-          message: "Cannot place bid while you have a pending dispute",
-          statusCode: 400,
-        };
-      }
+      // Open offers on the old auction no longer apply
+      await SecondChanceOffer.updateMany(
+        { auction: auction._id, status: "pending" },
+        { $set: { status: "withdrawn", responded_at: new Date() } }
+      );
 
-      // Create bid
-      const bid = new Bid({
+      return {
+        success: true,
+        data: result.data,
+        message: "Asset re-listed as a new draft auction",
+      };
+    } catch (error) {
+      console.error("Relist auction error:", error);
+      throw new Error(error.message || "Failed to re-list auction");
+    }
+  }
+
+  /**
+   * Validate an increment table: positive increments, ascending bands,
+   * and only the last band may be open-ended
+   * Returns an error result, or null when the table is usable
+   */
+  static validateIncrementTiers(tiers) {
+    if (tiers === undefined) return null;
+
+    const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+    if (!Array.isArray(tiers)) {
+      return invalid("increment_tiers must be an array");
+    }
+
+    let previousUpTo = 0;
+    for (let i = 0; i < tiers.length; i++) {
+      const tier = tiers[i] || {};
+      const increment = Number(tier.increment);
+      const isLast = i === tiers.length - 1;
+      const openEnded = tier.up_to === null || tier.up_to === undefined;
+
+      if (!Number.isFinite(increment) || increment <= 0) {
+        return invalid("Each increment tier needs an increment greater than 0");
+      }
+
+      if (openEnded) {
+        if (!isLast) {
+          return invalid("Only the last increment tier may omit up_to");
+        }
+        continue;
+      }
+
+      const upTo = Number(tier.up_to);
+      if (!Number.isFinite(upTo) || upTo <= previousUpTo) {
+        return invalid("Increment tiers must have ascending up_to amounts");
+      }
+      previousUpTo = upTo;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate sealed-bid settings
+   */
+  static validateSealed(sealed) {
+    if (!sealed || sealed.pricing === undefined) return null;
+
+    if (!SEALED_PRICING.includes(sealed.pricing)) {
+      return {
+        success: false,
+        message: `sealed.pricing must be one of: ${SEALED_PRICING.join(", ")}`,
+        statusCode: 400,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate bidder registration settings
+   */
+  static validateRegistration(registration) {
+    if (registration === undefined) return null;
+
+    const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+    if (!registration || typeof registration !== "object") {
+      return invalid("registration must be an object");
+    }
+
+    if (registration.enabled !== undefined && typeof registration.enabled !== "boolean") {
+      return invalid("registration.enabled must be a boolean");
+    }
+
+    if (registration.deposit_amount !== undefined) {
+      const deposit = Number(registration.deposit_amount);
+      if (!Number.isFinite(deposit) || deposit < 0) {
+        return invalid("registration.deposit_amount must be 0 or more");
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate selling costs recorded against an auction
+   */
+  static validateCosts(costs) {
+    if (costs === undefined) return null;
+
+    const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+    if (!Array.isArray(costs)) {
+      return invalid("costs must be an array");
+    }
+
+    for (const cost of costs) {
+      if (!cost || typeof cost.label !== "string" || !cost.label.trim()) {
+        return invalid("Each cost needs a label");
+      }
+
+      const amount = Number(cost.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return invalid("Each cost needs an amount of 0 or more");
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the buyer's premium and fees charged to the winner
+   */
+  static validateBuyerCharges(data) {
+    const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+    if (data.buyer_premium_percent !== undefined) {
+      const percent = Number(data.buyer_premium_percent);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        return invalid("buyer_premium_percent must be between 0 and 100");
+      }
+    }
+
+    if (data.buyer_fees === undefined) return null;
+
+    if (!Array.isArray(data.buyer_fees)) {
+      return invalid("buyer_fees must be an array");
+    }
+
+    for (const fee of data.buyer_fees) {
+      if (!fee || typeof fee.label !== "string" || !fee.label.trim()) {
+        return invalid("Each buyer fee needs a label");
+      }
+
+      const amount = Number(fee.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return invalid("Each buyer fee needs an amount of 0 or more");
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the selling costs of an auction; locked once it is settled
+   */
+  static async updateAuctionCosts(id, costs, user) {
+    try {
+      const costsError = this.validateCosts(costs);
+      if (costsError) {
+        return costsError;
+      }
+
+      const auction = await Auction.findById(id);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const settled = await AuctionSettlement.exists({
+        auction: auction._id,
+        status: { $in: ["processing", "settled"] },
+      });
+
+      if (settled) {
+        return {
+          success: false,
+          message: "Costs cannot change after the auction is settled",
+          statusCode: 409,
+        };
+      }
+
+      const before = { costs: auction.costs };
+      auction.costs = costs.map((cost) => ({
+        label: cost.label.trim(),
+        amount: Number(cost.amount),
+      }));
+      await auction.save();
+
+      await this.auditTransition(auction, "auction.costs_updated", before, { user });
+
+      return {
+        success: true,
+        data: auction,
+        message: "Auction costs updated successfully",
+      };
+    } catch (error) {
+      console.error("Update auction costs error:", error);
+      throw new Error(error.message || "Failed to update auction costs");
+    }
+  }
+
+  /**
+   * Deadline for the winner to pay, counted from when they became winner
+   */
+  static getPaymentDueAt(auction, from = new Date()) {
+    const hours = auction.payment_window_hours || PAYMENT_WINDOW_HOURS;
+    return new Date(from.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Smallest step a new bid must add over the current highest bid
+   */
+  static getBidIncrement(currentAmount, auction) {
+    const tiers =
+      auction && auction.increment_tiers && auction.increment_tiers.length > 0
+        ? auction.increment_tiers
+        : INCREMENT_TIERS;
+
+    const tier = tiers.find(
+      (band) => band.up_to === null || band.up_to === undefined || currentAmount < band.up_to
+    );
+
+    // Amounts above a closed table keep its last increment
+    return (tier || tiers[tiers.length - 1]).increment;
+  }
+
+  /**
+   * Lowest amount the next bid may be: the starting bid when there are
+   * no bids yet (or the bids are sealed), otherwise the highest bid plus
+   * its increment
+   */
+  static getNextMinimumBid(auction, highestBid) {
+    if (!highestBid || auction.auction_type === "sealed") {
+      return auction.starting_bid_amount;
+    }
+
+    return highestBid.amount + this.getBidIncrement(highestBid.amount, auction);
+  }
+
+  /**
+   * Current highest bid; equal amounts go to the earliest bid
+   */
+  static async getHighestBid(auctionId) {
+    return Bid.findOne({ auction: auctionId, ...NOT_VOIDED }).sort({
+      amount: -1,
+      placed_at: 1,
+    });
+  }
+
+  /**
+   * Users watching an auction
+   */
+  static async getWatchers(auctionId) {
+    return AuctionWatch.distinct("user", { auction: auctionId });
+  }
+
+  /**
+   * Watcher counts keyed by auction id
+   */
+  static async getWatcherCounts(auctionIds) {
+    if (auctionIds.length === 0) return {};
+
+    const counts = await AuctionWatch.aggregate([
+      { $match: { auction: { $in: auctionIds } } },
+      { $group: { _id: "$auction", count: { $sum: 1 } } },
+    ]);
+
+    return Object.fromEntries(counts.map((row) => [String(row._id), row.count]));
+  }
+
+  /**
+   * Whether an auction's bid amounts are still hidden
+   */
+  static isSealedOpen(auction) {
+    return auction.auction_type === "sealed" && !auction.sealed?.revealed_at;
+  }
+
+  /**
+   * Mask sealed bids: only the bidder sees their own amount, and nobody
+   * else learns who placed it
+   */
+  static hideSealedBids(bids, user) {
+    return bids.map((bid) => {
+      if (!bid.sealed) return bid;
+
+      const bidderId = bid.bidder_user?._id || bid.bidder_user;
+      if (user && bidderId && String(bidderId) === String(user._id)) return bid;
+
+      const masked = typeof bid.toObject === "function" ? bid.toObject() : { ...bid };
+      masked.amount = null;
+      masked.bidder_user = null;
+      return masked;
+    });
+  }
+
+  /**
+   * Price the winner of a sealed auction pays: their own bid (first price)
+   * or the best bid of any other bidder (second price), never below the
+   * reserve or starting bid
+   */
+  static async getSealedPrice(auction, winningBid, excludedBidders = []) {
+    if (auction.sealed?.pricing !== "second_price") return winningBid.amount;
+
+    const runnerUp = await Bid.findOne({
+      auction: auction._id,
+      bidder_user: { $nin: [winningBid.bidder_user, ...excludedBidders] },
+      ...NOT_VOIDED,
+    }).sort({ amount: -1, placed_at: 1 });
+
+    const price = Math.max(
+      runnerUp ? runnerUp.amount : 0,
+      auction.reserve_price || 0,
+      auction.starting_bid_amount || 0
+    );
+
+    return Math.min(price, winningBid.amount);
+  }
+
+  /**
+   * Check that a user may bid on an auction right now
+   * Returns an error result, or null when bidding is allowed
+   */
+  static async checkBiddingOpen(auction, user, now) {
+    if (auction.status !== "live") {
+      return {
+        success: false,
+        message: "Auction is not live",
+        statusCode: 400,
+      };
+    }
+
+    if (auction.auction_type === "in_person") {
+      return {
+        success: false,
+        message: "Bids for in-person auctions are recorded by the auction clerk",
+        statusCode: 400,
+      };
+    }
+
+    if (auction.starts_at > now) {
+      return {
+        success: false,
+        message: "Auction has not started yet",
+        statusCode: 400,
+      };
+    }
+
+    if (auction.ends_at <= now) {
+      return {
+        success: false,
+        message: "Auction has ended",
+        statusCode: 400,
+      };
+    }
+
+    // Cannot bid on own asset
+    const asset = await Asset.findById(auction.asset);
+    if (asset.owner_user.equals(user._id)) {
+      return {
+        success: false,
+        message: "Cannot bid on your own asset",
+        statusCode: 400,
+      };
+    }
+
+    if (
+      auction.registration?.enabled &&
+      !(await AuctionRegistrationService.isRegistered(auction._id, user._id))
+    ) {
+      return {
+        success: false,
+        message: "You must register for this auction before bidding",
+        statusCode: 403,
+      };
+    }
+
+    // Check if user has any pending disputes on this auction
+    const existingDisputedBid = await Bid.findOne({
+      auction: auction._id,
+      bidder_user: user._id,
+      "dispute.status": { $in: ["raised", "under_review"] },
+    });
+
+    if (existingDisputedBid) {
+      return {
+        success: false,
+        message: "Cannot place bid while you have a pending dispute",
+        statusCode: 400,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Bid automatically for proxy bidders until no proxy can outbid the
+   * current leader. The strongest proxy bids the smallest increment over
+   * its strongest rival; equal maximums go to the one set first, including
+   * a manual bid matching a maximum committed before it. A proxy bid that
+   * wins on a tie is dated from when its maximum was set, so it ranks ahead
+   * of the later bid at the same amount.
+   * Returns the bids placed, in order.
+   */
+  static async resolveProxyBids(auction, now) {
+    const placed = [];
+
+    const bidFor = async (proxy, amount, placedAt = now) => {
+      const bid = new Bid({
+        auction: auction._id,
+        bidder_user: proxy.bidder_user,
+        amount,
+        placed_at: placedAt,
+        is_proxy: true,
+        proxy_bid: proxy._id,
+      });
+      await bid.save();
+
+      await ProxyBid.updateOne(
+        { _id: proxy._id },
+        { $set: { last_bid: bid._id }, $inc: { auto_bid_count: 1 } }
+      );
+
+      placed.push(bid);
+      return bid;
+    };
+
+    // Each round settles the top two proxies, so a few rounds always suffice
+    for (let round = 0; round < 5; round++) {
+      const highestBid = await this.getHighestBid(auction._id);
+      const floor = highestBid ? highestBid.amount : 0;
+      const minimum = this.getNextMinimumBid(auction, highestBid);
+      const holder = highestBid ? String(highestBid.bidder_user) : null;
+
+      // A manual bid equal to an earlier maximum loses the tie to that proxy
+      if (highestBid && !highestBid.is_proxy) {
+        const earlier = await ProxyBid.findOne({
+          auction: auction._id,
+          status: "active",
+          bidder_user: { $ne: highestBid.bidder_user },
+          max_amount: highestBid.amount,
+          max_set_at: { $lt: highestBid.placed_at },
+        }).sort({ max_set_at: 1 });
+
+        if (earlier) {
+          await bidFor(earlier, earlier.max_amount, earlier.max_set_at);
+          continue;
+        }
+      }
+
+      const proxies = await ProxyBid.find({
+        auction: auction._id,
+        status: "active",
+      }).sort({ max_amount: -1, max_set_at: 1 });
+
+      const contenders = [];
+      const exhausted = [];
+      proxies.forEach((proxy) => {
+        if (proxy.max_amount >= minimum || String(proxy.bidder_user) === holder) {
+          contenders.push(proxy);
+        } else {
+          exhausted.push(proxy._id);
+        }
+      });
+
+      if (exhausted.length > 0) {
+        await ProxyBid.updateMany(
+          { _id: { $in: exhausted } },
+          { $set: { status: "outbid" } }
+        );
+      }
+
+      const leader = contenders[0];
+      if (!leader) break;
+
+      const leaderUser = String(leader.bidder_user);
+      const rival = contenders.find(
+        (proxy) => String(proxy.bidder_user) !== leaderUser
+      );
+
+      if (!rival) {
+        if (holder === leaderUser) break;
+        await bidFor(leader, minimum);
+        continue;
+      }
+
+      if (rival.max_amount < leader.max_amount) {
+        // The rival's proxy goes all in before the leader answers it
+        if (rival.max_amount >= minimum) {
+          await bidFor(rival, rival.max_amount);
+        }
+
+        // The leader may finish on its maximum even if that is short of a
+        // full increment over the rival
+        const competing = Math.max(rival.max_amount, floor);
+        const amount = Math.min(
+          leader.max_amount,
+          competing + this.getBidIncrement(competing, auction)
+        );
+
+        // A manual bid above the leader's own maximum already leads
+        if (amount <= competing) break;
+        await bidFor(leader, amount);
+      } else {
+        // Same maximum: the earlier proxy takes it at that amount
+        await bidFor(leader, leader.max_amount, leader.max_set_at);
+      }
+    }
+
+    return placed;
+  }
+
+  /**
+   * Record the bids from one bidding action: apply soft close once for
+   * the action and publish a BID_PLACED event per bid
+   */
+  static async announceBids(auction, bids, previousHighest, now) {
+    if (bids.length === 0) return null;
+
+    if (auction.auction_type === "sealed") {
+      // Sealed bids only confirm receipt; nobody learns where they rank
+      bids.forEach((bid) => {
+        publish(EVENTS.BID_PLACED, {
+          auction_id: auction._id,
+          auction_no: auction.auction_no,
+          bid_id: bid._id,
+          bidder_user: bid.bidder_user,
+          amount: bid.amount,
+          sealed: true,
+          placed_at: bid.placed_at,
+          ends_at: auction.ends_at,
+        });
+      });
+      return null;
+    }
+
+    const extended = await this.applySoftClose(auction, bids[bids.length - 1], now);
+    const endsAt = extended ? extended.ends_at : auction.ends_at;
+    const extensionCount = extended
+      ? extended.extension_count
+      : auction.extension_count || 0;
+
+    // Nobody is told they were outbid if their proxy took the lead back
+    const leadingBid = bids[bids.length - 1];
+    const leader = String(leadingBid.bidder_user);
+    const nextMinimum = this.getNextMinimumBid(auction, leadingBid);
+
+    let previous = previousHighest;
+    bids.forEach((bid, index) => {
+      const isLast = index === bids.length - 1;
+      const outbidUser =
+        previous && String(previous.bidder_user) !== leader ? previous : null;
+
+      publish(EVENTS.BID_PLACED, {
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        bid_id: bid._id,
+        bidder_user: bid.bidder_user,
+        amount: bid.amount,
+        is_proxy: bid.is_proxy,
+        placed_at: bid.placed_at,
+        previous_bidder: outbidUser ? outbidUser.bidder_user : null,
+        previous_amount: outbidUser ? outbidUser.amount : null,
+        ends_at: endsAt,
+        leading: isLast,
+        extended: isLast && Boolean(extended),
+        extension_count: extensionCount,
+        next_minimum_bid: nextMinimum,
+      });
+
+      previous = bid;
+    });
+
+    return extended;
+  }
+
+  /**
+   * Place a bid
+   */
+  static async placeBid(auctionId, bidData, user) {
+    try {
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const now = new Date();
+      const biddingError = await this.checkBiddingOpen(auction, user, now);
+      if (biddingError) {
+        return biddingError;
+      }
+
+      // Get current highest bid
+      const highestBid = await this.getHighestBid(auctionId);
+      const nextMinimum = this.getNextMinimumBid(auction, highestBid);
+
+      // Validate bid amount against the increment table
+      if (bidData.amount < nextMinimum) {
+        return {
+          success: false,
+          message: `Bid must be at least ${nextMinimum}`,
+          next_minimum_bid: nextMinimum,
+          statusCode: 400,
+        };
+      }
+
+      const sealed = auction.auction_type === "sealed";
+
+      // Create bid
+      const bid = new Bid({
         auction: auctionId,
         bidder_user: user._id,
         amount: bidData.amount,
         placed_at: now,
+        sealed,
       });
 
       await bid.save();
 
+      if (sealed) {
+        await this.announceBids(auction, [bid], null, now);
+
+        return {
+          success: true,
+          data: bid,
+          outbid: false,
+          message: "Sealed bid submitted; bids are revealed when the auction closes",
+        };
+      }
+
+      const proxyBids = await this.resolveProxyBids(auction, now);
+      await this.announceBids(auction, [bid, ...proxyBids], highestBid, now);
+
       await bid.populate("bidder_user", "name email");
 
+      const outbid = proxyBids.some(
+        (proxyBid) => !proxyBid.bidder_user.equals(user._id)
+      );
+
       return {
         success: true,
         data: bid,
-        message: "Bid placed successfully",
+        outbid,
+        message: outbid
+          ? "Bid placed, but another bidder's maximum bid is higher"
+          : "Bid placed successfully",
       };
     } catch (error) {
       console.error("Place bid error:", error);
@@ -600,6 +1827,143 @@ class AuctionService {
     }
   }
 
+  /**
+   * Set or raise the caller's confidential maximum bid on an auction
+   */
+  static async setProxyBid(auctionId, maxAmount, user) {
+    try {
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const now = new Date();
+      const biddingError = await this.checkBiddingOpen(auction, user, now);
+      if (biddingError) {
+        return biddingError;
+      }
+
+      if (auction.auction_type === "sealed") {
+        return {
+          success: false,
+          message: "Maximum bids are not available for sealed auctions",
+          statusCode: 400,
+        };
+      }
+
+      const highestBid = await this.getHighestBid(auctionId);
+      const isLeading = highestBid && highestBid.bidder_user.equals(user._id);
+
+      // The current leader only has to cover their own bid
+      const minimum = isLeading
+        ? highestBid.amount
+        : this.getNextMinimumBid(auction, highestBid);
+
+      if (maxAmount < minimum) {
+        return {
+          success: false,
+          message: `Maximum bid must be at least ${minimum}`,
+          next_minimum_bid: minimum,
+          statusCode: 400,
+        };
+      }
+
+      const existing = await ProxyBid.findOne({
+        auction: auctionId,
+        bidder_user: user._id,
+      });
+
+      const proxy = existing || new ProxyBid({ auction: auctionId, bidder_user: user._id });
+
+      // Keep tie priority when the maximum is unchanged
+      if (!existing || existing.max_amount !== maxAmount || existing.status !== "active") {
+        proxy.max_set_at = now;
+      }
+      proxy.max_amount = maxAmount;
+      proxy.status = "active";
+      await proxy.save();
+
+      const proxyBids = await this.resolveProxyBids(auction, now);
+      await this.announceBids(auction, proxyBids, highestBid, now);
+
+      return this.getProxyBid(auctionId, user);
+    } catch (error) {
+      console.error("Set proxy bid error:", error);
+      throw new Error(error.message || "Failed to set maximum bid");
+    }
+  }
+
+  /**
+   * Get the caller's own maximum bid and whether they are leading
+   */
+  static async getProxyBid(auctionId, user) {
+    try {
+      const proxy = await ProxyBid.findOne({
+        auction: auctionId,
+        bidder_user: user._id,
+      }).select("-last_bid");
+
+      if (!proxy) {
+        return {
+          success: false,
+          message: "No maximum bid set for this auction",
+          statusCode: 404,
+        };
+      }
+
+      const highestBid = await this.getHighestBid(auctionId);
+
+      return {
+        success: true,
+        data: {
+          ...proxy.toObject(),
+          current_bid_amount: highestBid ? highestBid.amount : null,
+          is_leading: Boolean(
+            highestBid && highestBid.bidder_user.equals(user._id)
+          ),
+        },
+      };
+    } catch (error) {
+      console.error("Get proxy bid error:", error);
+      throw new Error(error.message || "Failed to fetch maximum bid");
+    }
+  }
+
+  /**
+   * Stop automatic bidding; bids already placed remain valid
+   */
+  static async cancelProxyBid(auctionId, user) {
+    try {
+      const proxy = await ProxyBid.findOneAndUpdate(
+        { auction: auctionId, bidder_user: user._id, status: "active" },
+        { $set: { status: "cancelled" } },
+        { new: true }
+      );
+
+      if (!proxy) {
+        return {
+          success: false,
+          message: "No active maximum bid for this auction",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: proxy,
+        message: "Maximum bid cancelled",
+      };
+    } catch (error) {
+      console.error("Cancel proxy bid error:", error);
+      throw new Error(error.message || "Failed to cancel maximum bid");
+    }
+  }
+
   /**
    * Get bids for an auction
    */
@@ -615,13 +1979,22 @@ class AuctionService {
         };
       }
 
+      // Proxy maximums live in ProxyBid and are never exposed here;
+      // bids only carry the is_proxy flag. Sealed bids are listed in the
+      // order received so their ranking stays hidden too.
+      const sealedOpen = this.isSealedOpen(auction);
       const bids = await Bid.find({ auction: auctionId })
         .populate("bidder_user", "name email phone")
-        .sort({ amount: -1 });
+        .sort(sealedOpen ? { placed_at: 1 } : { amount: -1, placed_at: 1 });
+
+      let data = sealedOpen ? this.hideSealedBids(bids, user) : bids;
+      if (AuctionFraudService.isFraudStaff(user)) {
+        data = await AuctionFraudService.attachFlags(data);
+      }
 
       return {
         success: true,
-        data: bids,
+        data,
       };
     } catch (error) {
       console.error("Get auction bids error:", error);
@@ -672,13 +2045,14 @@ class AuctionService {
       // Get current highest bids for each auction
       const auctionsWithBids = await Promise.all(
         auctions.map(async (auction) => {
-          const highestBid = await Bid.findOne({ auction: auction._id })
-            .sort({ amount: -1 })
+          const highestBid = await Bid.findOne({ auction: auction._id, ...NOT_VOIDED })
+            .sort({ amount: -1, placed_at: 1 })
             .populate("bidder_user", "name");
 
           return {
             ...auction.toObject(),
-            current_bid: highestBid,
+            current_bid: this.isSealedOpen(auction) ? null : highestBid,
+            next_minimum_bid: this.getNextMinimumBid(auction, highestBid),
           };
         })
       );
@@ -813,7 +2187,7 @@ class AuctionService {
   /**
    * Get user's bidding history
    */
-  static async getUserBiddingHistory(userId, filters = {}) {
+  static async getUserBiddingHistory(userId, filters = {}, requestingUser) {
     try {
       const { status, page = 1, limit = 10 } = filters;
       const skip = (page - 1) * limit;
@@ -847,7 +2221,10 @@ class AuctionService {
       return {
         success: true,
         data: {
-          bids: bids.filter((bid) => bid.auction), // Filter out bids where auction was removed
+          bids: this.hideSealedBids(
+            bids.filter((bid) => bid.auction), // Filter out bids where auction was removed
+            requestingUser
+          ),
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
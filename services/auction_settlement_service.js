@@ -0,0 +1,570 @@
+const AuctionSettlement = require("../models/auctionSettlement.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const BidPayment = require("../models/bidPayment.model");
+const BuyerInvoice = require("../models/buyerInvoice.model");
+const Loan = require("../models/loan.model");
+const LoanService = require("./loan_service");
+const LoanAccrualService = require("./loan_accrual_service");
+const LedgerEntryService = require("./ledger_entry_service");
+const AuctionService = require("./auction_service");
+const AuctionFraudService = require("./auction_fraud_service");
+const { EVENTS, publish, subscribe } = require("../utils/event_bus");
+
+// Loan states in which the collateral may be sold
+const DEFAULTED_LOAN_STATUSES = ["overdue", "in_grace", "auction"];
+// Roles that see every settlement; borrowers only see their own statements
+const SETTLEMENT_STAFF_ROLES = [
+  "loan_officer_processor",
+  "loan_officer_approval",
+  "admin_pawn_limited",
+  "management",
+  "super_admin_vendor",
+];
+const SWEEP_BATCH_SIZE = parseInt(process.env.AUCTION_SETTLEMENT_BATCH_SIZE) || 20;
+const SETTLEMENT_LEASE_MS = parseInt(process.env.AUCTION_SETTLEMENT_LEASE_MS) || 10 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isSettlementStaff = (user) =>
+  (user.roles || []).some((role) => SETTLEMENT_STAFF_ROLES.includes(role));
+
+/**
+ * Auction Settlement Service
+ * Applies auction proceeds to the defaulted loan the asset secured,
+ * closes the loan, posts the sale to the ledger and produces the
+ * borrower's surplus/deficit statement
+ */
+class AuctionSettlementService {
+  /**
+   * Generate unique statement number
+   */
+  static generateStatementNumber() {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const random = Math.floor(100000 + Math.random() * 900000);
+    return `STL-${year}${month}-${random}`;
+  }
+
+  /**
+   * Apply proceeds in order: auction costs, penalty, storage, interest, principal
+   */
+  static allocate(saleAmount, costsTotal, position) {
+    let remaining = round2(saleAmount);
+    const take = (due) => {
+      const applied = round2(Math.min(remaining, Math.max(0, due)));
+      remaining = round2(remaining - applied);
+      return applied;
+    };
+
+    const applied = {
+      auction_costs: take(costsTotal),
+      penalty: take(position.penalty),
+      storage: take(position.storage),
+      interest: take(position.interest),
+      principal: take(position.principal),
+    };
+
+    const owed = round2(costsTotal + position.total);
+    const appliedTotal = round2(
+      Object.values(applied).reduce((sum, value) => sum + value, 0)
+    );
+
+    return {
+      applied,
+      surplus: remaining,
+      deficit: round2(Math.max(0, owed - appliedTotal)),
+    };
+  }
+
+  /**
+   * Move the loan through auction and sold to closed using the loan service rules
+   */
+  static async closeLoan(loan, userId) {
+    const notes = "Collateral sold at auction";
+    const path = ["auction", "sold", "closed"];
+    const from = path.indexOf(loan.status);
+
+    for (const status of path.slice(from + 1)) {
+      await LoanService.updateLoanStatus(loan._id, status, notes, userId);
+    }
+  }
+
+  /**
+   * Post the sale to the ledger: revenue kept by the business and the
+   * carrying value of the collateral (outstanding principal) as COGS.
+   * Interest, storage and penalties were booked as income as they accrued,
+   * so the proceeds applied to them settle those accruals instead of
+   * counting as revenue again.
+   */
+  static async postLedgerEntries(settlement, auction, asset, userId) {
+    const entries = [];
+    const currency = ["USD", "ZWG"].includes(settlement.currency)
+      ? settlement.currency
+      : "USD";
+    const refs = { asset_id: asset?._id, loan_id: settlement.loan || undefined };
+
+    // A surplus belongs to the borrower, so it is not revenue
+    const applied = settlement.applied || {};
+    const accruedCharges = round2(
+      (applied.penalty || 0) + (applied.storage || 0) + (applied.interest || 0)
+    );
+    const revenue = round2(settlement.sale_amount - settlement.surplus - accruedCharges);
+    if (revenue > 0) {
+      const result = await LedgerEntryService.createLedgerEntry(
+        {
+          entry_date: settlement.settled_at,
+          category: "asset_sale_revenue",
+          amount: revenue,
+          currency,
+          refs,
+          memo: `Auction ${auction.auction_no} sale of ${asset?.asset_no || "asset"}${accruedCharges > 0 ? ` (${accruedCharges} settled accrued loan charges)` : ""}${settlement.surplus > 0 ? ` (surplus ${settlement.surplus} payable to borrower)` : ""}`,
+        },
+        userId
+      );
+      entries.push(result.data._id);
+    }
+
+    const carryingValue = settlement.loan
+      ? settlement.loan_position.principal
+      : round2(asset?.evaluated_value);
+    if (carryingValue > 0) {
+      const result = await LedgerEntryService.createLedgerEntry(
+        {
+          entry_date: settlement.settled_at,
+          category: "asset_sale_cogs",
+          amount: -carryingValue,
+          currency,
+          refs,
+          memo: `Carrying value of ${asset?.asset_no || "asset"} sold at auction ${auction.auction_no}`,
+        },
+        userId
+      );
+      entries.push(result.data._id);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Settle a paid auction. Safe to call more than once: the settlement
+   * document is unique per auction and a settled one is returned as is.
+   */
+  static async settleAuction(auctionId, options = {}) {
+    try {
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      if (auction.status !== "closed" || !auction.winner_user || !auction.meta?.payment_received) {
+        return {
+          success: false,
+          message: "Auction has not been paid for yet",
+          statusCode: 400,
+        };
+      }
+
+      if (await AuctionFraudService.hasSettlementHold(auction._id)) {
+        return {
+          success: false,
+          message: "Settlement is on hold until flagged bids are reviewed",
+          statusCode: 409,
+        };
+      }
+
+      const payment = await BidPayment.findOne({
+        auction: auction._id,
+        payer_user: auction.winner_user,
+        purpose: { $ne: "deposit" },
+        status: "success",
+      }).sort({ paid_at: -1, created_at: -1 });
+
+      // The buyer's premium and fees on top of the hammer price are not proceeds
+      const invoice = await BuyerInvoice.findOne({
+        auction: auction._id,
+        buyer_user: auction.winner_user,
+        status: { $ne: "void" },
+      });
+
+      // Claim the settlement (or retry a failed or abandoned one)
+      const now = new Date();
+      let settlement;
+      try {
+        settlement = await AuctionSettlement.create({
+          statement_no: this.generateStatementNumber(),
+          auction: auction._id,
+          bid_payment: payment?._id,
+          asset: auction.asset,
+          sale_amount: invoice
+            ? invoice.hammer_price
+            : payment
+              ? payment.amount
+              : auction.winning_bid_amount,
+          currency: payment?.currency || "USD",
+          status: "processing",
+          attempts: 1,
+          claimed_at: now,
+        });
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.auction) throw error;
+
+        settlement = await AuctionSettlement.findOneAndUpdate(
+          {
+            auction: auction._id,
+            $or: [{ status: "failed" }, this.abandonedClaimFilter(now)],
+          },
+          {
+            $set: { status: "processing", last_error: null, claimed_at: now },
+            $inc: { attempts: 1 },
+          },
+          { new: true }
+        );
+
+        if (!settlement) {
+          const existing = await AuctionSettlement.findOne({ auction: auction._id });
+          return {
+            success: true,
+            data: existing,
+            message:
+              existing.status === "settled"
+                ? "Auction already settled"
+                : "Settlement is already in progress",
+          };
+        }
+      }
+
+      try {
+        await this.applySettlement(settlement, auction, options.user);
+      } catch (error) {
+        // Undo partial accrual settlements so the retry applies them whole
+        await LoanAccrualService.unsettleAccruals({ auction_settlement: settlement._id });
+        settlement.status = "failed";
+        settlement.last_error = error.message || String(error);
+        await settlement.save();
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: settlement,
+        message: "Auction settled successfully",
+      };
+    } catch (error) {
+      console.error("Settle auction error:", error);
+      throw new Error(error.message || "Failed to settle auction");
+    }
+  }
+
+  /**
+   * Compute the waterfall, settle the loan's accrued charges, close the loan
+   * and post ledger entries. Each step is persisted so a retry resumes where
+   * a failure stopped.
+   */
+  static async applySettlement(settlement, auction, user) {
+    const userId = user?._id;
+    const asset = await Asset.findById(auction.asset);
+
+    const loan = settlement.loan
+      ? await Loan.findById(settlement.loan)
+      : await Loan.findOne({
+          asset: auction.asset,
+          status: { $in: [...DEFAULTED_LOAN_STATUSES, "sold"] },
+        }).sort({ created_at: -1 });
+
+    if (!settlement.settled_at) {
+      const costs = (auction.costs || []).map((cost) => ({
+        label: cost.label,
+        amount: round2(cost.amount),
+      }));
+      const costsTotal = round2(costs.reduce((sum, cost) => sum + cost.amount, 0));
+
+      const position = { principal: 0, interest: 0, storage: 0, penalty: 0, total: 0 };
+
+      if (loan) {
+        // Bring the accruals up to the sale before reading the position
+        await LoanAccrualService.accrueLoan(loan);
+        const charges = await LoanService.calculateLoanCharges(loan._id);
+        position.principal = round2(charges.data.current_balance);
+        position.interest = round2(charges.data.interest_accrued);
+        position.storage = round2(charges.data.storage_charge);
+        position.penalty = round2(charges.data.penalty);
+        position.total = round2(
+          position.principal + position.interest + position.storage + position.penalty
+        );
+      }
+
+      const { applied, surplus, deficit } = this.allocate(
+        settlement.sale_amount,
+        costsTotal,
+        position
+      );
+
+      settlement.loan = loan ? loan._id : null;
+      settlement.customer_user = loan ? loan.customer_user : asset?.owner_user;
+      settlement.currency = loan?.currency || settlement.currency;
+      settlement.loan_position = position;
+      settlement.auction_costs = costs;
+      settlement.applied = applied;
+      settlement.surplus = loan ? surplus : 0;
+      settlement.deficit = loan ? deficit : 0;
+      settlement.surplus_status = loan && surplus > 0 ? "payable" : "none";
+      settlement.settled_at = new Date();
+      settlement.settled_by = userId;
+      await settlement.save();
+    }
+
+    if (loan) {
+      // Settling again with the same settlement is a no-op
+      await LoanAccrualService.postToLedger(loan);
+      for (const kind of ["penalty", "storage", "interest"]) {
+        if (!(settlement.applied[kind] > 0)) continue;
+        await LoanAccrualService.settleAccruals(loan._id, kind, settlement.applied[kind], {
+          auction_settlement: settlement._id,
+        });
+      }
+    }
+
+    if (loan && loan.status !== "closed") {
+      await Loan.findByIdAndUpdate(loan._id, {
+        $set: {
+          current_balance: round2(
+            Math.max(0, settlement.loan_position.principal - settlement.applied.principal)
+          ),
+          "meta.auction_settlement": settlement._id,
+        },
+      });
+
+      await this.closeLoan(loan, userId);
+    }
+
+    // Closing the loan marks the asset closed; it has left with the buyer
+    await Asset.findByIdAndUpdate(auction.asset, { status: "sold" });
+
+    if (!settlement.ledger_entries || settlement.ledger_entries.length === 0) {
+      settlement.ledger_entries = await this.postLedgerEntries(
+        settlement,
+        auction,
+        asset,
+        userId
+      );
+    }
+
+    settlement.status = "settled";
+    settlement.last_error = null;
+    await settlement.save();
+
+    await AuctionService.auditTransition(
+      auction,
+      "auction.settle",
+      { loan_status: loan?.status },
+      { user, trigger: user ? "manual" : "payment" }
+    );
+
+    publish(EVENTS.AUCTION_SETTLED, {
+      settlement_id: settlement._id,
+      statement_no: settlement.statement_no,
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      loan_id: settlement.loan,
+      customer_user: settlement.customer_user,
+      sale_amount: settlement.sale_amount,
+      surplus: settlement.surplus,
+      deficit: settlement.deficit,
+      currency: settlement.currency,
+    });
+  }
+
+  /**
+   * Processing settlements whose claim is older than the lease
+   */
+  static abandonedClaimFilter(now) {
+    const cutoff = new Date(now.getTime() - SETTLEMENT_LEASE_MS);
+    return {
+      status: "processing",
+      $or: [
+        { claimed_at: { $lte: cutoff } },
+        { claimed_at: null, updated_at: { $lte: cutoff } },
+      ],
+    };
+  }
+
+  /**
+   * Settle paid auctions that have no settlement yet, failed ones and ones
+   * abandoned mid-way (missed events, retries, crashes)
+   */
+  static async settlePendingAuctions() {
+    const [settledOrBusy, held] = await Promise.all([
+      AuctionSettlement.distinct("auction", {
+        $or: [
+          { status: "settled" },
+          { status: "processing", $nor: [this.abandonedClaimFilter(new Date())] },
+        ],
+      }),
+      AuctionFraudService.getHeldAuctionIds(),
+    ]);
+
+    const auctions = await Auction.find({
+      _id: { $nin: [...settledOrBusy, ...held] },
+      status: "closed",
+      winner_user: { $ne: null },
+      "meta.payment_received": true,
+    })
+      .select("_id")
+      .limit(SWEEP_BATCH_SIZE);
+
+    let settled = 0;
+    for (const { _id } of auctions) {
+      try {
+        const result = await this.settleAuction(_id);
+        if (result.success) settled += 1;
+      } catch (error) {
+        console.error(`Settlement sweep for auction ${_id} failed:`, error.message);
+      }
+    }
+
+    return settled;
+  }
+
+  /**
+   * Get the settlement statement of an auction
+   * Staff see any statement; borrowers only their own
+   */
+  static async getAuctionSettlement(auctionId, user) {
+    try {
+      const settlement = await AuctionSettlement.findOne({ auction: auctionId })
+        .populate("auction", "auction_no winning_bid_amount ends_at")
+        .populate("asset", "asset_no title category")
+        .populate("loan", "loan_no principal_amount status currency")
+        .populate("customer_user", "first_name last_name email phone");
+
+      if (!settlement) {
+        return {
+          success: false,
+          message: "Settlement not found",
+          statusCode: 404,
+        };
+      }
+
+      const ownerId = settlement.customer_user?._id || settlement.customer_user;
+      if (!isSettlementStaff(user) && (!ownerId || !ownerId.equals(user._id))) {
+        return {
+          success: false,
+          message: "Access denied",
+          statusCode: 403,
+        };
+      }
+
+      return {
+        success: true,
+        data: settlement,
+      };
+    } catch (error) {
+      console.error("Get settlement error:", error);
+      throw new Error(error.message || "Failed to fetch settlement");
+    }
+  }
+
+  /**
+   * List settlements; `mine` (and every non-staff user) only gets their own
+   */
+  static async getSettlements(filters = {}, user, mine = false) {
+    try {
+      const { page = 1, limit = 10, status, loan, surplus_status } = filters;
+      const query = {};
+
+      if (mine || !isSettlementStaff(user)) query.customer_user = user._id;
+      if (surplus_status) query.surplus_status = surplus_status;
+      if (status) query.status = status;
+      if (loan) query.loan = loan;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [settlements, total] = await Promise.all([
+        AuctionSettlement.find(query)
+          .populate("auction", "auction_no")
+          .populate("loan", "loan_no")
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuctionSettlement.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: settlements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get settlements error:", error);
+      throw new Error(error.message || "Failed to fetch settlements");
+    }
+  }
+
+  /**
+   * Record that a surplus was paid out to the borrower
+   */
+  static async markSurplusPaid(settlementId, user) {
+    try {
+      const settlement = await AuctionSettlement.findOneAndUpdate(
+        { _id: settlementId, surplus_status: "payable" },
+        {
+          $set: {
+            surplus_status: "paid_out",
+            surplus_paid_at: new Date(),
+            surplus_paid_by: user._id,
+          },
+        },
+        { new: true }
+      );
+
+      if (!settlement) {
+        return {
+          success: false,
+          message: "No payable surplus for this settlement",
+          statusCode: 400,
+        };
+      }
+
+      return {
+        success: true,
+        data: settlement,
+        message: "Surplus marked as paid out",
+      };
+    } catch (error) {
+      console.error("Mark surplus paid error:", error);
+      throw new Error(error.message || "Failed to update settlement");
+    }
+  }
+
+  /**
+   * Settle as soon as the winning payment succeeds
+   */
+  static register() {
+    subscribe(EVENTS.BID_PAYMENT_SUCCEEDED, async (payload) => {
+      if (!payload.auction_id) return;
+      await this.settleAuction(payload.auction_id);
+    });
+
+    // Settle once the last held flag on a paid auction is reviewed
+    subscribe(EVENTS.AUCTION_FRAUD_REVIEWED, async (payload) => {
+      if (payload.settlement_held) return;
+      const auction = await Auction.findById(payload.auction_id).select("status meta");
+      if (auction?.status !== "closed" || !auction.meta?.payment_received) return;
+      await this.settleAuction(payload.auction_id, { user: { _id: payload.actor_user } });
+    });
+  }
+}
+
+module.exports = AuctionSettlementService;
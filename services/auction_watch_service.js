@@ -0,0 +1,264 @@
+const AuctionWatch = require("../models/auctionWatch.model");
+const Auction = require("../models/auction.model");
+const Bid = require("../models/bid.model");
+const AuctionService = require("./auction_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+// Default ending-soon lead times, in minutes before the close
+const DEFAULT_LEAD_MINUTES = (process.env.AUCTION_ENDING_SOON_LEAD_MINUTES || "60,10")
+  .split(",")
+  .map((value) => parseInt(value))
+  .filter((value) => value > 0);
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+const MAX_LEAD_TIMES = 5;
+const ALERT_BATCH_SIZE = parseInt(process.env.AUCTION_ENDING_SOON_BATCH_SIZE) || 100;
+
+/**
+ * Auction Watch Service
+ * Watchlists: users follow auctions and get start, ending-soon and
+ * close notifications for them
+ */
+class AuctionWatchService {
+  /**
+   * Normalise requested lead times; returns an error result or the list
+   */
+  static validateLeadMinutes(leadMinutes) {
+    if (leadMinutes === undefined || leadMinutes === null) {
+      return { success: true, data: DEFAULT_LEAD_MINUTES };
+    }
+
+    const values = Array.isArray(leadMinutes) ? leadMinutes : [leadMinutes];
+    const minutes = values.map(Number);
+
+    if (
+      minutes.length === 0 ||
+      minutes.length > MAX_LEAD_TIMES ||
+      minutes.some((value) => !Number.isInteger(value) || value < 1 || value > MAX_LEAD_MINUTES)
+    ) {
+      return {
+        success: false,
+        message: `lead_minutes must be 1 to ${MAX_LEAD_TIMES} whole minutes between 1 and ${MAX_LEAD_MINUTES}`,
+        statusCode: 400,
+      };
+    }
+
+    return {
+      success: true,
+      data: [...new Set(minutes)].sort((a, b) => b - a),
+    };
+  }
+
+  /**
+   * Add an auction to the current user's watchlist, or update its lead times
+   */
+  static async watch(auctionId, data = {}, user) {
+    try {
+      const auction = await Auction.findById(auctionId).select("status ends_at");
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!["draft", "live"].includes(auction.status) || auction.ends_at <= new Date()) {
+        return {
+          success: false,
+          message: "Only upcoming or live auctions can be watched",
+          statusCode: 400,
+        };
+      }
+
+      const leadMinutes = this.validateLeadMinutes(data.lead_minutes);
+      if (!leadMinutes.success) {
+        return leadMinutes;
+      }
+
+      const watch = await AuctionWatch.findOneAndUpdate(
+        { auction: auction._id, user: user._id },
+        { $set: { lead_minutes: leadMinutes.data } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      return {
+        success: true,
+        data: watch,
+        message: "Auction added to your watchlist",
+      };
+    } catch (error) {
+      console.error("Watch auction error:", error);
+      throw new Error(error.message || "Failed to watch auction");
+    }
+  }
+
+  /**
+   * Remove an auction from the current user's watchlist
+   */
+  static async unwatch(auctionId, user) {
+    try {
+      const watch = await AuctionWatch.findOneAndDelete({
+        auction: auctionId,
+        user: user._id,
+      });
+
+      if (!watch) {
+        return {
+          success: false,
+          message: "Auction is not on your watchlist",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        message: "Auction removed from your watchlist",
+      };
+    } catch (error) {
+      console.error("Unwatch auction error:", error);
+      throw new Error(error.message || "Failed to unwatch auction");
+    }
+  }
+
+  /**
+   * List the auctions the current user watches, with their current price
+   */
+  static async getMyWatchlist(user, filters = {}) {
+    try {
+      const { page = 1, limit = 10, status } = filters;
+      const query = { user: user._id };
+
+      if (status) {
+        const auctions = await Auction.find({ status }).select("_id");
+        query.auction = { $in: auctions.map((a) => a._id) };
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [watches, total] = await Promise.all([
+        AuctionWatch.find(query)
+          .populate({
+            path: "auction",
+            select:
+              "auction_no auction_type status starts_at ends_at starting_bid_amount winning_bid_amount outcome sealed increment_tiers",
+            populate: {
+              path: "asset",
+              select: "asset_no title category condition",
+              populate: {
+                path: "attachments",
+                select: "filename url mime_type",
+                match: { category: "asset_photos" },
+                limit: 1,
+              },
+            },
+          })
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuctionWatch.countDocuments(query),
+      ]);
+
+      const items = await Promise.all(
+        watches
+          .filter((watch) => watch.auction)
+          .map(async (watch) => {
+            const auction = watch.auction;
+            const highestBid = await AuctionService.getHighestBid(auction._id);
+            const sealedOpen = AuctionService.isSealedOpen(auction);
+
+            return {
+              _id: watch._id,
+              lead_minutes: watch.lead_minutes,
+              watched_at: watch.created_at,
+              auction,
+              current_bid_amount: sealedOpen ? null : highestBid?.amount || null,
+              bid_count: await Bid.countDocuments({ auction: auction._id }),
+              next_minimum_bid:
+                auction.status === "live"
+                  ? AuctionService.getNextMinimumBid(auction, highestBid)
+                  : null,
+            };
+          })
+      );
+
+      return {
+        success: true,
+        data: items,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get watchlist error:", error);
+      throw new Error(error.message || "Failed to fetch watchlist");
+    }
+  }
+
+  /**
+   * Alert watchers of live auctions that are about to close
+   * (once per watcher and lead time)
+   */
+  static async sendEndingSoonAlerts() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000);
+    let sent = 0;
+
+    // In-person lots close at the hammer, not at ends_at
+    const auctions = await Auction.find({
+      status: "live",
+      auction_type: { $ne: "in_person" },
+      ends_at: { $gt: now, $lte: horizon },
+    })
+      .select("auction_no ends_at")
+      .sort({ ends_at: 1 })
+      .limit(ALERT_BATCH_SIZE);
+
+    for (const auction of auctions) {
+      const remainingMinutes = (auction.ends_at - now) / (60 * 1000);
+      const watches = await AuctionWatch.find({ auction: auction._id }).select(
+        "user lead_minutes alerts_sent"
+      );
+
+      // Watchers grouped by the lead time they are alerted for
+      const byLead = new Map();
+
+      for (const watch of watches) {
+        const leads = watch.lead_minutes?.length ? watch.lead_minutes : DEFAULT_LEAD_MINUTES;
+        const due = leads.filter(
+          (lead) => remainingMinutes <= lead && !(watch.alerts_sent || []).includes(lead)
+        );
+        if (due.length === 0) continue;
+
+        // Claim every due lead time, but only alert for the closest one
+        const claimed = await AuctionWatch.findOneAndUpdate(
+          { _id: watch._id, alerts_sent: { $nin: due } },
+          { $addToSet: { alerts_sent: { $each: due } } }
+        );
+        if (!claimed) continue;
+
+        const lead = Math.min(...due);
+        if (!byLead.has(lead)) byLead.set(lead, []);
+        byLead.get(lead).push(watch.user);
+      }
+
+      for (const [lead, watchers] of byLead) {
+        publish(EVENTS.AUCTION_ENDING_SOON, {
+          auction_id: auction._id,
+          auction_no: auction.auction_no,
+          ends_at: auction.ends_at,
+          lead_minutes: lead,
+          watchers,
+        });
+        sent += watchers.length;
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = AuctionWatchService;
@@ -3,8 +3,11 @@ const Bid = require("../models/bid.model");
 const Auction = require("../models/auction.model");
 const User = require("../models/user.model");
 const Asset = require("../models/asset.model");
+const AuctionRegistration = require("../models/auctionRegistration.model");
 const { Paynow } = require("paynow");
 const mongoose = require("mongoose");
+const BuyerInvoiceService = require("./buyer_invoice_service");
+const { EVENTS, publish } = require("../utils/event_bus");
 require("dotenv").config();
 
 /**
@@ -167,11 +170,13 @@ class BidPaymentService {
         throw this.handleError(400, "Only winning bid can be paid for");
       }
 
-      // Check bid amount matches
-      if (parseFloat(amount) !== parseFloat(bid.amount)) {
+      // Check the amount due: the invoice total of hammer price, buyer's
+      // premium and fees (second-price sealed winners pay less than their bid)
+      const amountDue = await BuyerInvoiceService.getAmountDue(auction, bid);
+      if (parseFloat(amount) !== parseFloat(amountDue)) {
         throw this.handleError(
           400,
-          `Payment amount (${amount}) must match bid amount (${bid.amount})`
+          `Payment amount (${amount}) must match amount due (${amountDue})`
         );
       }
 
@@ -180,13 +185,13 @@ class BidPaymentService {
       const disputeActive = [
         "raised",
         "under_review",
-        "resolved_invalid",
+        "resolved_valid",
       ].includes(disputeStatus);
 
       if (disputeActive) {
         throw this.handleError(
           400,
-          "Cannot process payment for bid with active or invalid dispute"
+          "Cannot process payment for bid with an active or upheld dispute"
         );
       }
 
@@ -235,7 +240,11 @@ class BidPaymentService {
         ["paynow", "ecocash", "onemoney", "telecash"].includes(method) &&
         this.paynowIntegration
       ) {
-        return await this.initiatePayNowPayment(payment, bid, user);
+        return await this.initiatePayNowPayment(
+          payment,
+          `Bid Payment - Auction #${bid.auction.auction_no}`,
+          user
+        );
       }
 
       // For other payment methods (cash, bank, card), just return the saved payment
@@ -256,10 +265,141 @@ class BidPaymentService {
     }
   }
 
+  /**
+   * Create the deposit payment for an auction registration
+   */
+  async createDepositPayment(registration, auction, paymentData, user) {
+    try {
+      const { method, provider, payer_phone, redirect_url, notes } = paymentData;
+
+      if (!method) {
+        throw this.handleError(400, "Payment method is required");
+      }
+
+      // Validate phone number for mobile payments
+      let validatedPhone = null;
+      if (["ecocash", "onemoney", "telecash"].includes(method)) {
+        validatedPhone = this.constructor.validatePhoneNumber(
+          payer_phone || user.phone,
+          method
+        );
+      }
+
+      const receiptNo = await BidPaymentService.generateReceiptNumber();
+      const online = ["paynow", "ecocash", "onemoney", "telecash"].includes(method);
+
+      const payment = new BidPayment({
+        purpose: "deposit",
+        registration: registration._id,
+        auction: auction._id,
+        payer_user: user._id,
+        amount: registration.deposit.amount,
+        currency: registration.deposit.currency || "USD",
+        status: online ? "initiated" : "pending",
+        method,
+        provider: provider || method,
+        payer_phone: validatedPhone,
+        redirect_url,
+        receipt_no: receiptNo,
+        notes,
+      });
+
+      await payment.save();
+
+      await AuctionRegistration.findByIdAndUpdate(registration._id, {
+        $set: { "deposit.status": "pending", "deposit.payment": payment._id },
+      });
+
+      if (online && this.paynowIntegration) {
+        return await this.initiatePayNowPayment(
+          payment,
+          `Auction Deposit - Auction #${auction.auction_no}`,
+          user
+        );
+      }
+
+      // Cash, bank and card deposits are confirmed by staff
+      const populatedPayment = await this.getPaymentWithDetails(payment._id);
+
+      return {
+        success: true,
+        data: {
+          payment: populatedPayment,
+          poll_url: null,
+          redirect_url: payment.redirect_url || null,
+        },
+        message: "Deposit payment created successfully",
+      };
+    } catch (error) {
+      console.error("Create deposit payment error:", error);
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Record a winning-bid payment taken by the clerk at a floor auction.
+   * The payment is on the winner's account and succeeds immediately.
+   */
+  async recordFloorPayment(bid, auction, paymentData, clerk) {
+    try {
+      const { method, receipt_no, notes } = paymentData;
+
+      if (!["cash", "bank", "card"].includes(method)) {
+        throw this.handleError(400, "Floor payments must be cash, bank or card");
+      }
+
+      const amountDue = await BuyerInvoiceService.getAmountDue(auction, bid);
+      if (parseFloat(paymentData.amount) !== parseFloat(amountDue)) {
+        throw this.handleError(
+          400,
+          `Payment amount (${paymentData.amount}) must match amount due (${amountDue})`
+        );
+      }
+
+      const existingPayment = await BidPayment.findOne({
+        bid: bid._id,
+        status: "success",
+      });
+
+      if (existingPayment) {
+        throw this.handleError(400, "Bid already has a successful payment");
+      }
+
+      const payment = new BidPayment({
+        bid: bid._id,
+        auction: auction._id,
+        payer_user: bid.bidder_user,
+        amount: amountDue,
+        currency: bid.currency || "USD",
+        status: "success",
+        method,
+        provider: method,
+        receipt_no: receipt_no || (await BidPaymentService.generateReceiptNumber()),
+        notes,
+        paid_at: new Date(),
+        meta: { source: "floor", recorded_by: clerk._id },
+      });
+
+      await payment.save();
+      await this.applySuccessfulPayment(payment);
+
+      const populatedPayment = await this.getPaymentWithDetails(payment._id);
+
+      return {
+        success: true,
+        data: populatedPayment,
+        message: "Floor payment recorded successfully",
+      };
+    } catch (error) {
+      console.error("Record floor payment error:", error);
+      throw this.handleMongoError(error);
+    }
+  }
+
   /**
    * Initiate PayNow payment (including mobile payments)
    */
-  async initiatePayNowPayment(payment, bid, user) {
+  async initiatePayNowPayment(payment, description, user) {
     try {
       // Get payer details
       const payer = await User.findById(user._id);
@@ -273,10 +413,7 @@ class BidPaymentService {
         payer.email || "customer@example.com"
       );
 
-      paynowPayment.add(
-        `Bid Payment - Auction #${bid.auction.auction_no}`,
-        parseFloat(payment.amount)
-      );
+      paynowPayment.add(description, parseFloat(payment.amount));
 
       // For mobile payments, set the auth email to phone number format
       if (["ecocash", "onemoney", "telecash"].includes(payment.method)) {
@@ -320,9 +457,11 @@ class BidPaymentService {
         await payment.save();
 
         // Update bid payment status
-        await Bid.findByIdAndUpdate(payment.bid, {
-          payment_status: "pending",
-        });
+        if (payment.bid) {
+          await Bid.findByIdAndUpdate(payment.bid, {
+            payment_status: "pending",
+          });
+        }
 
         const populatedPayment = await this.getPaymentWithDetails(payment._id);
 
@@ -678,8 +817,9 @@ class BidPaymentService {
         const validTransitions = {
           initiated: ["pending", "cancelled"],
           pending: ["success", "failed", "cancelled"],
-          success: ["refunded"],
+          success: ["refund_pending", "refunded"],
           failed: ["pending", "cancelled"],
+          refund_pending: ["refunded"],
           refunded: [],
           cancelled: [],
         };
@@ -701,21 +841,15 @@ class BidPaymentService {
       }
 
       // Update payment
+      const previousStatus = payment.status;
       Object.assign(payment, updateData);
       await payment.save();
 
       // Update bid payment status if payment is successful
-      if (updateData.status === "success") {
-        await Bid.findByIdAndUpdate(payment.bid, {
-          payment_status: "paid",
-          paid_amount: payment.amount,
-          paid_at: new Date(),
-        });
-
-        // Update auction winner payment status
-        await Auction.findByIdAndUpdate(payment.auction, {
-          $set: { "meta.payment_received": true },
-        });
+      if (updateData.status === "success" && previousStatus !== "success") {
+        await this.applySuccessfulPayment(payment);
+      } else if (updateData.status === "failed" && previousStatus !== "failed") {
+        this.publishPaymentFailed(payment);
       }
 
       const populatedPayment = await this.getPaymentWithDetails(payment._id);
@@ -778,6 +912,7 @@ class BidPaymentService {
       };
 
       const newStatus = mapStatus(response.status);
+      const previousStatus = payment.status;
 
       // Update payment status
       payment.status = newStatus;
@@ -800,12 +935,12 @@ class BidPaymentService {
       await payment.save();
 
       // Update bid payment status if successful
-      if (newStatus === "success") {
-        await Bid.findByIdAndUpdate(payment.bid, {
-          payment_status: "paid",
-          paid_amount: payment.amount,
-          paid_at: new Date(),
-        });
+      if (newStatus !== previousStatus) {
+        if (newStatus === "success") {
+          await this.applySuccessfulPayment(payment);
+        } else if (newStatus === "failed" || newStatus === "cancelled") {
+          this.publishPaymentFailed(payment);
+        }
       }
 
       return {
@@ -830,6 +965,137 @@ class BidPaymentService {
     }
   }
 
+  /**
+   * Mark the bid as paid once its payment succeeds and publish the event
+   */
+  async applySuccessfulPayment(payment) {
+    if (payment.purpose === "deposit") {
+      return this.applySuccessfulDeposit(payment);
+    }
+
+    await Bid.findByIdAndUpdate(payment.bid, {
+      payment_status: "paid",
+      paid_amount: payment.amount,
+      paid_at: new Date(),
+    });
+
+    // Update auction winner payment status
+    await Auction.findByIdAndUpdate(payment.auction, {
+      $set: { "meta.payment_received": true },
+    });
+
+    const auction = await Auction.findById(payment.auction).select("auction_no");
+
+    publish(EVENTS.BID_PAYMENT_SUCCEEDED, {
+      payment_id: payment._id,
+      receipt_no: payment.receipt_no,
+      bid_id: payment.bid,
+      auction_id: payment.auction,
+      auction_no: auction ? auction.auction_no : null,
+      payer_user: payment.payer_user,
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+  }
+
+  /**
+   * Approve the registration once its deposit is paid
+   */
+  async applySuccessfulDeposit(payment) {
+    const now = new Date();
+    const registration = await AuctionRegistration.findOneAndUpdate(
+      { _id: payment.registration, "deposit.status": { $in: ["unpaid", "pending"] } },
+      {
+        $set: {
+          status: "approved",
+          approved_at: now,
+          "deposit.status": "paid",
+          "deposit.payment": payment._id,
+          "deposit.paid_at": now,
+        },
+      },
+      { new: true }
+    );
+
+    if (!registration) return;
+
+    const auction = await Auction.findById(payment.auction).select("auction_no");
+
+    publish(EVENTS.AUCTION_DEPOSIT_PAID, {
+      registration_id: registration._id,
+      payment_id: payment._id,
+      receipt_no: payment.receipt_no,
+      auction_id: payment.auction,
+      auction_no: auction ? auction.auction_no : null,
+      bidder_user: payment.payer_user,
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+  }
+
+  /**
+   * Queue a deposit payment for refund (automatic refunds after close).
+   * PayNow has no refund API, so staff return the money and complete the
+   * refund through refundBidPayment.
+   */
+  async requestDepositRefund(paymentId, notes) {
+    const payment = await BidPayment.findOneAndUpdate(
+      { _id: paymentId, purpose: "deposit", status: "success" },
+      { $set: { status: "refund_pending" } },
+      { new: true }
+    );
+
+    if (!payment) return null;
+
+    payment.notes = `${payment.notes || ""}\nRefund requested: ${notes}`;
+    await payment.save();
+
+    return payment;
+  }
+
+  /**
+   * Cancel open payments and queue successful ones for refund on a bid
+   * voided by an upheld dispute; staff complete each refund through
+   * refundBidPayment
+   */
+  async refundVoidedBidPayments(bidId, notes) {
+    const cancelled = await BidPayment.updateMany(
+      { bid: bidId, purpose: { $ne: "deposit" }, status: { $in: ["initiated", "pending"] } },
+      { $set: { status: "cancelled", notes: `Cancelled: ${notes}` } }
+    );
+
+    const payments = await BidPayment.find({
+      bid: bidId,
+      purpose: { $ne: "deposit" },
+      status: "success",
+    });
+
+    for (const payment of payments) {
+      payment.status = "refund_pending";
+      payment.notes = `${payment.notes || ""}\nRefund requested: ${notes}`;
+      await payment.save();
+    }
+
+    return { cancelled: cancelled.modifiedCount || 0, refund_pending: payments.length };
+  }
+
+  /**
+   * Publish a failed/cancelled bid payment
+   */
+  publishPaymentFailed(payment) {
+    publish(EVENTS.BID_PAYMENT_FAILED, {
+      purpose: payment.purpose,
+      payment_id: payment._id,
+      receipt_no: payment.receipt_no,
+      bid_id: payment.bid,
+      auction_id: payment.auction,
+      payer_user: payment.payer_user,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+    });
+  }
+
   /**
    * Process PayNow webhook/callback
    */
@@ -870,6 +1136,7 @@ class BidPaymentService {
         };
 
         const newStatus = mapStatus(status);
+        const previousStatus = payment.status;
         payment.status = newStatus;
         if (newStatus === "success" && !payment.paid_at) {
           payment.paid_at = new Date();
@@ -888,12 +1155,12 @@ class BidPaymentService {
         await payment.save();
 
         // Update bid payment status if successful
-        if (newStatus === "success") {
-          await Bid.findByIdAndUpdate(payment.bid, {
-            payment_status: "paid",
-            paid_amount: payment.amount,
-            paid_at: new Date(),
-          });
+        if (newStatus !== previousStatus) {
+          if (newStatus === "success") {
+            await this.applySuccessfulPayment(payment);
+          } else if (newStatus === "failed" || newStatus === "cancelled") {
+            this.publishPaymentFailed(payment);
+          }
         }
 
         return {
@@ -930,7 +1197,7 @@ class BidPaymentService {
         throw this.handleError(404, "Payment not found");
       }
 
-      if (payment.status !== "success") {
+      if (!["success", "refund_pending"].includes(payment.status)) {
         throw this.handleError(
           400,
           "Cannot refund a payment that is not successful"
@@ -965,9 +1232,29 @@ class BidPaymentService {
       await payment.save();
 
       // Update bid payment status
-      await Bid.findByIdAndUpdate(payment.bid, {
-        payment_status: "refunded",
-      });
+      if (payment.purpose === "deposit") {
+        const registration = await AuctionRegistration.findByIdAndUpdate(
+          payment.registration,
+          { $set: { "deposit.status": "refunded", "deposit.refunded_at": new Date() } },
+          { new: true }
+        );
+        const auction = await Auction.findById(payment.auction).select("auction_no");
+
+        publish(EVENTS.AUCTION_DEPOSIT_REFUNDED, {
+          registration_id: payment.registration,
+          payment_id: payment._id,
+          auction_id: payment.auction,
+          auction_no: auction ? auction.auction_no : null,
+          bidder_user: registration ? registration.bidder_user : payment.payer_user,
+          amount: payment.amount,
+          currency: payment.currency,
+          reason: refundData.notes || "Refund processed",
+        });
+      } else {
+        await Bid.findByIdAndUpdate(payment.bid, {
+          payment_status: "refunded",
+        });
+      }
 
       // If PayNow/mobile payment, initiate refund through provider
       if (
@@ -3,6 +3,9 @@ const Auction = require("../models/auction.model");
 const Asset = require("../models/asset.model");
 const User = require("../models/user.model");
 const mongoose = require("mongoose");
+const AuctionService = require("./auction_service");
+const AuctionFraudService = require("./auction_fraud_service");
+const DisputeCaseService = require("./dispute_case_service");
 
 /**
  * Bid Service
@@ -80,6 +83,9 @@ class BidService {
       // Role-based filtering
       if (user.roles.includes("customer")) {
         query.bidder_user = user._id; // Customers can only see their own bids
+      } else if (min_amount || max_amount || sort_by === "amount") {
+        // Amount filters and ordering would leak sealed bids
+        query.sealed = { $ne: true };
       }
 
       // Search functionality (by payment reference)
@@ -118,10 +124,15 @@ class BidService {
         Bid.countDocuments(query)
       ]);
 
+      let visibleBids = AuctionService.hideSealedBids(bids, user);
+      if (AuctionFraudService.isFraudStaff(user)) {
+        visibleBids = await AuctionFraudService.attachFlags(visibleBids);
+      }
+
       return {
         success: true,
         data: {
-          bids,
+          bids: visibleBids,
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -167,6 +178,9 @@ class BidService {
       // Role-based filtering
       if (user.roles.includes("customer")) {
         query.bidder_user = user._id;
+      } else if (min_amount || max_amount) {
+        // Amount filters would leak sealed bids
+        query.sealed = { $ne: true };
       }
 
       // Execute query
@@ -191,7 +205,7 @@ class BidService {
 
       return {
         success: true,
-        data: bids
+        data: AuctionService.hideSealedBids(bids, user)
       };
     } catch (error) {
       console.error("Get all bids error:", error);
@@ -250,9 +264,14 @@ class BidService {
         };
       }
 
+      let [visibleBid] = AuctionService.hideSealedBids([bid], user);
+      if (AuctionFraudService.isFraudStaff(user)) {
+        [visibleBid] = await AuctionFraudService.attachFlags([visibleBid]);
+      }
+
       return {
         success: true,
-        data: bid
+        data: visibleBid
       };
     } catch (error) {
       console.error("Get bid error:", error);
@@ -293,8 +312,9 @@ class BidService {
         const validTransitions = {
           "unpaid": ["pending", "cancelled"],
           "pending": ["paid", "failed", "cancelled"],
-          "paid": ["refunded"],
+          "paid": ["refund_pending", "refunded"],
           "failed": ["pending", "cancelled"],
+          "refund_pending": ["refunded"],
           "refunded": [],
           "cancelled": []
         };
@@ -317,22 +337,8 @@ class BidService {
         }
       }
 
-      // Validate dispute update
-      if (updateData.dispute) {
-        // Only staff can update dispute
-        if (!user.roles.some(role => 
-          ["loan_officer_approval", "admin_pawn_limited", "management", "super_admin_vendor"].includes(role)
-        )) {
-          delete updateData.dispute;
-        } else {
-          // If resolving dispute, set resolved_by and resolved_at
-          if (updateData.dispute.status === "resolved_valid" || 
-              updateData.dispute.status === "resolved_invalid") {
-            updateData.dispute.resolved_by = user._id;
-            updateData.dispute.resolved_at = new Date();
-          }
-        }
-      }
+      // Disputes are worked through their dispute case
+      delete updateData.dispute;
 
       // Update bid
       Object.assign(bid, updateData);
@@ -391,8 +397,9 @@ class BidService {
       const validTransitions = {
         "unpaid": ["pending", "cancelled"],
         "pending": ["paid", "failed", "cancelled"],
-        "paid": ["refunded"],
+        "paid": ["refund_pending", "refunded"],
         "failed": ["pending", "cancelled"],
+        "refund_pending": ["refunded"],
         "refunded": [],
         "cancelled": []
       };
@@ -408,12 +415,12 @@ class BidService {
 
       // Check dispute status
       const disputeStatus = bid.dispute?.status || "none";
-      const disputeActive = ["raised", "under_review", "resolved_invalid"].includes(disputeStatus);
+      const disputeActive = ["raised", "under_review", "resolved_valid"].includes(disputeStatus);
 
-      if (disputeActive && ["paid", "refunded"].includes(paymentData.payment_status)) {
+      if (disputeActive && paymentData.payment_status === "paid") {
         return {
           success: false,
-          message: "Cannot set bid as paid/refunded while dispute is active or invalid",
+          message: "Cannot set bid as paid while dispute is active or upheld",
           statusCode: 400
         };
       }
@@ -449,141 +456,30 @@ class BidService {
   }
 
   /**
-   * Raise a dispute on a bid
+   * Raise a dispute on a bid (opens a dispute case)
    */
   static async raiseDispute(bidId, disputeData, user) {
-    try {
-      const bid = await Bid.findById(bidId);
-      
-      if (!bid) {
-        return {
-          success: false,
-          message: "Bid not found",
-          statusCode: 404
-        };
-      }
-
-      // Check if bidder is raising the dispute
-      if (!bid.bidder_user.equals(user._id)) {
-        return {
-          success: false,
-          message: "Only the bidder can raise a dispute",
-          statusCode: 403
-        };
-      }
-
-      // Check if dispute can be raised
-      if (bid.dispute?.status !== "none") {
-        return {
-          success: false,
-          message: "Dispute already exists for this bid",
-          statusCode: 400
-        };
-      }
-
-      // Check if auction is still active
-      const auction = await Auction.findById(bid.auction);
-      if (auction.status === "closed" || auction.status === "cancelled") {
-        return {
-          success: false,
-          message: "Cannot raise dispute for closed or cancelled auction",
-          statusCode: 400
-        };
-      }
-
-      // Update dispute
-      bid.dispute = {
-        status: "raised",
-        reason: disputeData.reason,
-        raised_by: user._id,
-        raised_at: new Date()
-      };
-
-      await bid.save();
-
-      await bid.populate("dispute.raised_by", "name email");
-
-      return {
-        success: true,
-        data: bid,
-        message: "Dispute raised successfully"
-      };
-    } catch (error) {
-      console.error("Raise dispute error:", error);
-      throw new Error(error.message || "Failed to raise dispute");
-    }
+    return DisputeCaseService.openCase(bidId, disputeData, user);
   }
 
   /**
-   * Resolve a dispute
+   * Resolve a dispute through its dispute case
    */
   static async resolveDispute(bidId, resolutionData, user) {
-    try {
-      const bid = await Bid.findById(bidId);
-      
-      if (!bid) {
-        return {
-          success: false,
-          message: "Bid not found",
-          statusCode: 404
-        };
-      }
-
-      // Check permission (staff only)
-      const canResolve = user.roles.some(role => 
-        ["loan_officer_approval", "admin_pawn_limited", "management", "super_admin_vendor"].includes(role)
-      );
-
-      if (!canResolve) {
-        return {
-          success: false,
-          message: "Insufficient permissions to resolve disputes",
-          statusCode: 403
-        };
-      }
-
-      // Check if dispute exists
-      if (!bid.dispute || bid.dispute.status === "none") {
-        return {
-          success: false,
-          message: "No active dispute found for this bid",
-          statusCode: 400
-        };
-      }
-
-      // Check if dispute is already resolved
-      if (bid.dispute.status === "resolved_valid" || bid.dispute.status === "resolved_invalid") {
-        return {
-          success: false,
-          message: "Dispute already resolved",
-          statusCode: 400
-        };
-      }
-
-      // Update dispute resolution
-      bid.dispute.status = resolutionData.status;
-      bid.dispute.resolution_notes = resolutionData.resolution_notes;
-      bid.dispute.resolved_by = user._id;
-      bid.dispute.resolved_at = new Date();
-
-      // If dispute resolved as invalid, update payment status if needed
-      if (resolutionData.status === "resolved_invalid" && bid.payment_status === "paid") {
-        bid.payment_status = "refunded";
-      }
-
-      await bid.save();
-
-      await bid.populate("dispute.resolved_by", "name email");
+    // Check permission (staff only)
+    const canResolve = user.roles.some(role => 
+      ["loan_officer_approval", "admin_pawn_limited", "management", "super_admin_vendor"].includes(role)
+    );
 
+    if (!canResolve) {
       return {
-        success: true,
-        data: bid,
-        message: "Dispute resolved successfully"
+        success: false,
+        message: "Insufficient permissions to resolve disputes",
+        statusCode: 403
       };
-    } catch (error) {
-      console.error("Resolve dispute error:", error);
-      throw new Error(error.message || "Failed to resolve dispute");
     }
+
+    return DisputeCaseService.resolveBidDispute(bidId, resolutionData, user);
   }
 
   /**
@@ -615,7 +511,7 @@ class BidService {
       }
 
       // Check if bid can be deleted
-      if (bid.payment_status === "paid" || bid.payment_status === "refunded") {
+      if (["paid", "refund_pending", "refunded"].includes(bid.payment_status)) {
         return {
           success: false,
           message: "Cannot delete bid with completed payment",
@@ -656,9 +552,11 @@ class BidService {
       if (filters.auction_id) query.auction = filters.auction_id;
       if (filters.bidder_user) query.bidder_user = filters.bidder_user;
 
-      // Role-based filtering
+      // Role-based filtering; sealed bids stay out of staff totals until revealed
       if (user.roles.includes("customer")) {
         query.bidder_user = user._id;
+      } else {
+        query.sealed = { $ne: true };
       }
 
       const stats = await Bid.aggregate([
@@ -774,11 +672,16 @@ class BidService {
           }
         })
         .populate("bidder_user", "name email phone")
-        .sort({ amount: -1 });
+        .sort(AuctionService.isSealedOpen(auction) ? { placed_at: 1 } : { amount: -1 });
+
+      let visibleBids = AuctionService.hideSealedBids(bids, user);
+      if (AuctionFraudService.isFraudStaff(user)) {
+        visibleBids = await AuctionFraudService.attachFlags(visibleBids);
+      }
 
       return {
         success: true,
-        data: bids
+        data: visibleBids
       };
     } catch (error) {
       console.error("Get bids by auction error:", error);
@@ -820,7 +723,7 @@ class BidService {
 
       return {
         success: true,
-        data: bids
+        data: AuctionService.hideSealedBids(bids, requestingUser)
       };
     } catch (error) {
       console.error("Get bids by user error:", error);
@@ -877,7 +780,7 @@ class BidService {
 
       return {
         success: true,
-        data: bids
+        data: AuctionService.hideSealedBids(bids, user)
       };
     } catch (error) {
       console.error("Search bids error:", error);
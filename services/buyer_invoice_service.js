@@ -0,0 +1,703 @@
+const BuyerInvoice = require("../models/buyerInvoice.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const Bid = require("../models/bid.model");
+const User = require("../models/user.model");
+const Attachment = require("../models/attachment.model");
+const LedgerEntryService = require("./ledger_entry_service");
+const AuditLogService = require("./audit_log_service");
+const AuctionFraudService = require("./auction_fraud_service");
+const { EVENTS, publish, subscribe } = require("../utils/event_bus");
+
+const BUYER_PREMIUM_PERCENT = parseFloat(process.env.AUCTION_BUYER_PREMIUM_PERCENT) || 0;
+// Days a paid lot can wait for collection before storage is charged
+const COLLECTION_DAYS = parseFloat(process.env.BUYER_COLLECTION_DAYS) || 7;
+const STORAGE_FEE_PER_DAY = parseFloat(process.env.BUYER_STORAGE_FEE_PER_DAY) || 5;
+const STORAGE_BATCH_SIZE = parseInt(process.env.BUYER_STORAGE_BATCH_SIZE) || 50;
+
+// Roles that see every invoice and release lots
+const INVOICE_STAFF_ROLES = [
+  "loan_officer_processor",
+  "loan_officer_approval",
+  "admin_pawn_limited",
+  "management",
+  "super_admin_vendor",
+];
+const ID_DOCUMENT_TYPES = ["national_id", "passport", "drivers_license"];
+const OPEN_DISPUTES = ["raised", "under_review"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeId = (value) => String(value || "").replace(/[\s-]/g, "").toUpperCase();
+
+const isInvoiceStaff = (user) =>
+  (user.roles || []).some((role) => INVOICE_STAFF_ROLES.includes(role));
+
+/**
+ * Buyer Invoice Service
+ * Invoices the winner of a lot (hammer price, buyer's premium and fees),
+ * tracks collection of paid lots, charges storage on lots left
+ * uncollected and records the release of the lot to the buyer
+ */
+class BuyerInvoiceService {
+  /**
+   * Generate unique invoice number
+   */
+  static generateInvoiceNumber() {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const random = Math.floor(100000 + Math.random() * 900000);
+    return `INV-${year}${month}-${random}`;
+  }
+
+  /**
+   * Invoice lines for a hammer price under the auction's buyer charges
+   */
+  static buildCharges(auction, hammerPrice) {
+    const percent =
+      auction.buyer_premium_percent !== undefined && auction.buyer_premium_percent !== null
+        ? auction.buyer_premium_percent
+        : BUYER_PREMIUM_PERCENT;
+    const premium = round2((hammerPrice * percent) / 100);
+    const fees = (auction.buyer_fees || []).map((fee) => ({
+      kind: "fee",
+      label: fee.label,
+      amount: round2(fee.amount),
+    }));
+    const feesTotal = round2(fees.reduce((sum, fee) => sum + fee.amount, 0));
+
+    const lines = [{ kind: "hammer", label: "Hammer price", amount: round2(hammerPrice) }];
+    if (premium > 0) {
+      lines.push({ kind: "buyer_premium", label: `Buyer's premium (${percent}%)`, amount: premium });
+    }
+    lines.push(...fees);
+
+    return {
+      hammer_price: round2(hammerPrice),
+      buyer_premium_percent: percent,
+      buyer_premium: premium,
+      fees_total: feesTotal,
+      lines,
+      amount_due: round2(hammerPrice + premium + feesTotal),
+    };
+  }
+
+  /**
+   * Issue (or refresh) the invoice for the current winner of a closed
+   * auction. A paid invoice is returned unchanged.
+   */
+  static async issueInvoice(auction, bid = null) {
+    if (auction.status !== "closed" || !auction.winner_user || !auction.winning_bid_amount) {
+      return null;
+    }
+
+    const existing = await BuyerInvoice.findOne({
+      auction: auction._id,
+      buyer_user: auction.winner_user,
+    });
+    if (existing && existing.status === "paid") return existing;
+
+    const winningBid =
+      bid ||
+      (await Bid.findOne({
+        auction: auction._id,
+        bidder_user: auction.winner_user,
+        payment_status: { $in: ["pending", "paid"] },
+        "dispute.status": { $ne: "resolved_valid" },
+      }).sort({ amount: -1 }));
+
+    const charges = this.buildCharges(auction, auction.winning_bid_amount);
+    const fields = {
+      ...charges,
+      bid: winningBid ? winningBid._id : null,
+      asset: auction.asset,
+      currency: winningBid?.currency || "USD",
+      status: "issued",
+      void_reason: null,
+      voided_at: null,
+    };
+
+    if (existing) {
+      Object.assign(existing, fields);
+      return existing.save();
+    }
+
+    try {
+      return await BuyerInvoice.create({
+        ...fields,
+        invoice_no: this.generateInvoiceNumber(),
+        auction: auction._id,
+        buyer_user: auction.winner_user,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.auction) throw error;
+      return BuyerInvoice.findOne({ auction: auction._id, buyer_user: auction.winner_user });
+    }
+  }
+
+  /**
+   * Amount the winner must pay for a bid (hammer price plus buyer charges)
+   */
+  static async getAmountDue(auction, bid) {
+    const invoice = await this.issueInvoice(auction, bid);
+    return invoice ? invoice.amount_due : auction.winning_bid_amount || bid.amount;
+  }
+
+  /**
+   * Mark the invoice paid and open the collection window
+   */
+  static async markPaid(payment) {
+    const auction = await Auction.findById(payment.auction);
+    if (!auction) return null;
+
+    let invoice = await BuyerInvoice.findOne({
+      auction: auction._id,
+      buyer_user: payment.payer_user,
+    });
+    if (!invoice && auction.winner_user?.equals(payment.payer_user)) {
+      invoice = await this.issueInvoice(auction);
+    }
+    if (!invoice) return null;
+
+    const now = new Date();
+    const paid = await BuyerInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: "issued" },
+      {
+        $set: {
+          status: "paid",
+          bid_payment: payment._id,
+          paid_at: now,
+          "storage.daily_fee": STORAGE_FEE_PER_DAY,
+          "handover.status": "awaiting_collection",
+          "handover.due_at": new Date(now.getTime() + COLLECTION_DAYS * DAY_MS),
+        },
+      },
+      { new: true }
+    );
+    if (!paid) return null;
+
+    // The hammer price is booked at settlement; buyer charges are kept by the business
+    const charges = round2(paid.buyer_premium + paid.fees_total);
+    if (charges > 0) {
+      const result = await LedgerEntryService.createLedgerEntry({
+        entry_date: now,
+        category: "asset_sale_revenue",
+        amount: charges,
+        currency: ["USD", "ZWG"].includes(paid.currency) ? paid.currency : "USD",
+        refs: { asset_id: paid.asset },
+        memo: `Buyer's premium and fees on invoice ${paid.invoice_no} (auction ${auction.auction_no})`,
+      });
+      paid.ledger_entries.push(result.data._id);
+      await paid.save();
+    }
+
+    publish(EVENTS.BUYER_INVOICE_PAID, {
+      invoice_id: paid._id,
+      invoice_no: paid.invoice_no,
+      auction_id: auction._id,
+      auction_no: auction.auction_no,
+      buyer_user: paid.buyer_user,
+      amount: paid.amount_due,
+      currency: paid.currency,
+      collection_due_at: paid.handover.due_at,
+      storage_fee_per_day: paid.storage.daily_fee,
+    });
+
+    return paid;
+  }
+
+  /**
+   * Void the invoice of a buyer who no longer owns the lot
+   * (payment default or an upheld dispute)
+   */
+  static async voidInvoice(auctionId, buyerUser, reason) {
+    const invoice = await BuyerInvoice.findOneAndUpdate(
+      {
+        auction: auctionId,
+        buyer_user: buyerUser,
+        status: { $ne: "void" },
+        "handover.status": { $ne: "collected" },
+      },
+      {
+        $set: {
+          status: "void",
+          void_reason: reason,
+          voided_at: new Date(),
+          "handover.status": "not_ready",
+        },
+      },
+      { new: true }
+    );
+    if (!invoice) return null;
+
+    // Reverse the buyer charges booked when the invoice was paid
+    const charges = round2(invoice.buyer_premium + invoice.fees_total);
+    if (invoice.paid_at && charges > 0) {
+      const result = await LedgerEntryService.createLedgerEntry({
+        entry_date: invoice.voided_at,
+        category: "adjustment",
+        amount: -charges,
+        currency: ["USD", "ZWG"].includes(invoice.currency) ? invoice.currency : "USD",
+        refs: { asset_id: invoice.asset },
+        memo: `Reversal of buyer charges on void invoice ${invoice.invoice_no}`,
+      });
+      invoice.ledger_entries.push(result.data._id);
+      await invoice.save();
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Bring the storage charge of an uncollected lot up to date.
+   * Returns true when days were added.
+   */
+  static async accrueStorage(invoice, now = new Date()) {
+    const dueAt = invoice.handover?.due_at;
+    const dailyFee = invoice.storage?.daily_fee || 0;
+    if (!dueAt || dailyFee <= 0 || now <= dueAt) return false;
+
+    const days = Math.ceil((now - dueAt) / DAY_MS);
+    const charged = invoice.storage.days_charged || 0;
+    if (days <= charged) return false;
+
+    const updated = await BuyerInvoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        "handover.status": "awaiting_collection",
+        "storage.days_charged": charged,
+      },
+      {
+        $set: {
+          "storage.days_charged": days,
+          "storage.amount": round2(days * dailyFee),
+          "storage.last_charged_at": now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    invoice.storage = updated.storage;
+
+    if (charged === 0) {
+      publish(EVENTS.BUYER_STORAGE_FEES_STARTED, {
+        invoice_id: updated._id,
+        invoice_no: updated.invoice_no,
+        auction_id: updated.auction,
+        buyer_user: updated.buyer_user,
+        daily_fee: dailyFee,
+        currency: updated.currency,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Charge storage on paid lots left past their collection deadline
+   */
+  static async chargeStorageFees() {
+    const now = new Date();
+    let charged = 0;
+
+    const invoices = await BuyerInvoice.find({
+      status: "paid",
+      "handover.status": "awaiting_collection",
+      "handover.due_at": { $lte: now },
+      "storage.daily_fee": { $gt: 0 },
+      $or: [
+        { "storage.last_charged_at": null },
+        { "storage.last_charged_at": { $lte: new Date(now.getTime() - DAY_MS) } },
+      ],
+    })
+      .sort({ "handover.due_at": 1 })
+      .limit(STORAGE_BATCH_SIZE);
+
+    for (const invoice of invoices) {
+      try {
+        if (await this.accrueStorage(invoice, now)) charged += 1;
+      } catch (error) {
+        console.error(`Storage charge for invoice ${invoice.invoice_no} failed:`, error.message);
+      }
+    }
+
+    return charged;
+  }
+
+  /**
+   * Get the invoice for an auction; the winner gets theirs issued on demand
+   */
+  static async getAuctionInvoice(auctionId, user) {
+    try {
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      const staff = isInvoiceStaff(user);
+      const buyer = staff ? auction.winner_user : user._id;
+
+      if (buyer && auction.winner_user?.equals(buyer)) {
+        await this.issueInvoice(auction);
+      }
+
+      const query = { auction: auction._id };
+      if (buyer) query.buyer_user = buyer;
+      else query.status = { $ne: "void" };
+
+      const invoice = await BuyerInvoice.findOne(query)
+        .sort({ created_at: -1 })
+        .populate("auction", "auction_no ends_at")
+        .populate("asset", "asset_no title category")
+        .populate("buyer_user", "first_name last_name email phone");
+
+      if (!invoice) {
+        return {
+          success: false,
+          message: "Invoice not found",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: invoice,
+      };
+    } catch (error) {
+      console.error("Get auction invoice error:", error);
+      throw new Error(error.message || "Failed to fetch invoice");
+    }
+  }
+
+  /**
+   * Get an invoice by ID; buyers only see their own
+   */
+  static async getInvoiceById(invoiceId, user) {
+    try {
+      const invoice = await BuyerInvoice.findById(invoiceId)
+        .populate("auction", "auction_no ends_at")
+        .populate("asset", "asset_no title category storage_location")
+        .populate("buyer_user", "first_name last_name email phone")
+        .populate("handover.released_by", "first_name last_name")
+        .populate("handover.signature", "filename url mime_type");
+
+      if (!invoice) {
+        return {
+          success: false,
+          message: "Invoice not found",
+          statusCode: 404,
+        };
+      }
+
+      const buyerId = invoice.buyer_user?._id || invoice.buyer_user;
+      if (!isInvoiceStaff(user) && !buyerId.equals(user._id)) {
+        return {
+          success: false,
+          message: "Access denied",
+          statusCode: 403,
+        };
+      }
+
+      return {
+        success: true,
+        data: invoice,
+      };
+    } catch (error) {
+      console.error("Get invoice error:", error);
+      throw new Error(error.message || "Failed to fetch invoice");
+    }
+  }
+
+  /**
+   * List invoices; `mine` (and every non-staff user) only gets their own
+   */
+  static async getInvoices(filters = {}, user, mine = false) {
+    try {
+      const { page = 1, limit = 10, status, handover_status, overdue } = filters;
+      const query = {};
+
+      if (mine || !isInvoiceStaff(user)) query.buyer_user = user._id;
+      if (status) query.status = status;
+      if (handover_status) query["handover.status"] = handover_status;
+      if (overdue === "true") {
+        query["handover.status"] = "awaiting_collection";
+        query["handover.due_at"] = { $lte: new Date() };
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [invoices, total] = await Promise.all([
+        BuyerInvoice.find(query)
+          .populate("auction", "auction_no")
+          .populate("asset", "asset_no title")
+          .populate("buyer_user", "first_name last_name email")
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        BuyerInvoice.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get invoices error:", error);
+      throw new Error(error.message || "Failed to fetch invoices");
+    }
+  }
+
+  /**
+   * Hand a paid lot to the buyer: check their identity, take the
+   * signature, collect any storage owed and move the asset out of storage
+   */
+  static async releaseLot(invoiceId, releaseData, user) {
+    try {
+      const {
+        id_document_type,
+        id_document_number,
+        collected_by_name,
+        signature_attachment_id,
+        storage_payment_method,
+        storage_payment_reference,
+        notes,
+      } = releaseData;
+
+      if (!ID_DOCUMENT_TYPES.includes(id_document_type) || !id_document_number) {
+        return {
+          success: false,
+          message: `id_document_type (${ID_DOCUMENT_TYPES.join(", ")}) and id_document_number are required`,
+          statusCode: 400,
+        };
+      }
+
+      if (!signature_attachment_id) {
+        return {
+          success: false,
+          message: "signature_attachment_id is required",
+          statusCode: 400,
+        };
+      }
+
+      const invoice = await BuyerInvoice.findById(invoiceId);
+
+      if (!invoice) {
+        return {
+          success: false,
+          message: "Invoice not found",
+          statusCode: 404,
+        };
+      }
+
+      if (invoice.status !== "paid" || invoice.handover.status !== "awaiting_collection") {
+        return {
+          success: false,
+          message:
+            invoice.handover.status === "collected"
+              ? "Lot has already been collected"
+              : "Only paid lots can be released",
+          statusCode: 400,
+        };
+      }
+
+      if (await AuctionFraudService.hasSettlementHold(invoice.auction)) {
+        return {
+          success: false,
+          message: "Lot cannot be released until flagged bids are reviewed",
+          statusCode: 409,
+        };
+      }
+
+      const disputed = await Bid.exists({
+        auction: invoice.auction,
+        bidder_user: invoice.buyer_user,
+        "dispute.status": { $in: OPEN_DISPUTES },
+      });
+      if (disputed) {
+        return {
+          success: false,
+          message: "Lot cannot be released while the buyer's bid is disputed",
+          statusCode: 409,
+        };
+      }
+
+      const signature = await Attachment.exists({
+        _id: signature_attachment_id,
+        entity_type: "BuyerInvoice",
+        entity_id: invoice._id,
+      });
+      if (!signature) {
+        return {
+          success: false,
+          message: "Signature must be uploaded as an attachment of this invoice",
+          statusCode: 400,
+        };
+      }
+
+      // The buyer's ID on file must match when they present a national ID
+      const buyer = await User.findById(invoice.buyer_user).select(
+        "first_name last_name national_id_number"
+      );
+      let idMatchesBuyer = null;
+      if (id_document_type === "national_id" && buyer?.national_id_number) {
+        idMatchesBuyer =
+          normalizeId(buyer.national_id_number) === normalizeId(id_document_number);
+        if (!idMatchesBuyer) {
+          return {
+            success: false,
+            message: "ID number does not match the buyer on record",
+            statusCode: 400,
+          };
+        }
+      }
+
+      const now = new Date();
+      await this.accrueStorage(invoice, now);
+
+      const storageOwed = invoice.storage.amount > 0 && !invoice.storage.paid_at;
+      if (storageOwed && !storage_payment_method) {
+        return {
+          success: false,
+          message: `Storage fees of ${invoice.currency} ${invoice.storage.amount.toFixed(2)} must be paid before release (storage_payment_method)`,
+          statusCode: 400,
+        };
+      }
+
+      const asset = await Asset.findById(invoice.asset).select("asset_no storage_location");
+
+      const set = {
+        "handover.status": "collected",
+        "handover.collected_at": now,
+        "handover.released_by": user._id,
+        "handover.collected_by_name":
+          collected_by_name || [buyer?.first_name, buyer?.last_name].filter(Boolean).join(" "),
+        "handover.id_document_type": id_document_type,
+        "handover.id_document_number": id_document_number,
+        "handover.id_matches_buyer": idMatchesBuyer,
+        "handover.signature": signature_attachment_id,
+        "handover.released_from_location": asset?.storage_location,
+        "handover.notes": notes,
+      };
+      if (storageOwed) {
+        set["storage.paid_at"] = now;
+        set["storage.payment_method"] = storage_payment_method;
+        set["storage.payment_reference"] = storage_payment_reference;
+      }
+
+      // Claim the release so the lot is handed over once
+      const released = await BuyerInvoice.findOneAndUpdate(
+        { _id: invoice._id, "handover.status": "awaiting_collection" },
+        { $set: set },
+        { new: true }
+      );
+
+      if (!released) {
+        return {
+          success: false,
+          message: "Lot has already been collected",
+          statusCode: 409,
+        };
+      }
+
+      if (storageOwed) {
+        const result = await LedgerEntryService.createLedgerEntry(
+          {
+            entry_date: now,
+            category: "storage_income",
+            amount: released.storage.amount,
+            currency: ["USD", "ZWG"].includes(released.currency) ? released.currency : "USD",
+            refs: { asset_id: released.asset },
+            memo: `Storage on uncollected lot, invoice ${released.invoice_no} (${released.storage.days_charged} days)`,
+          },
+          user._id
+        );
+        released.ledger_entries.push(result.data._id);
+        await released.save();
+      }
+
+      // The lot has left the premises
+      await Asset.findByIdAndUpdate(released.asset, {
+        $set: { status: "sold" },
+        $unset: { storage_location: "" },
+      });
+
+      try {
+        await AuditLogService.createAuditLog({
+          actor_user: user._id,
+          actor_roles: user.roles,
+          action: "buyer_invoice.lot_released",
+          entity_type: "BuyerInvoice",
+          entity_id: released._id,
+          before: { handover_status: "awaiting_collection", storage_location: asset?.storage_location },
+          after: { handover_status: "collected", storage_fees: released.storage.amount },
+          meta: { invoice_no: released.invoice_no, asset_no: asset?.asset_no },
+        });
+      } catch (error) {
+        console.error("Lot release audit log error:", error);
+      }
+
+      publish(EVENTS.BUYER_LOT_COLLECTED, {
+        invoice_id: released._id,
+        invoice_no: released.invoice_no,
+        auction_id: released.auction,
+        buyer_user: released.buyer_user,
+        asset_no: asset?.asset_no,
+        storage_fees: released.storage.amount,
+        currency: released.currency,
+      });
+
+      return {
+        success: true,
+        data: released,
+        message: "Lot released to the buyer",
+      };
+    } catch (error) {
+      console.error("Release lot error:", error);
+      throw new Error(error.message || "Failed to release lot");
+    }
+  }
+
+  /**
+   * Keep invoices in step with payments, defaults and disputes
+   */
+  static register() {
+    subscribe(EVENTS.BID_PAYMENT_SUCCEEDED, async (payload) => {
+      if (!payload.auction_id) return;
+      await this.markPaid({
+        _id: payload.payment_id,
+        auction: payload.auction_id,
+        payer_user: payload.payer_user,
+      });
+    });
+
+    subscribe(EVENTS.AUCTION_PAYMENT_DEFAULTED, async (payload) => {
+      await this.voidInvoice(payload.auction_id, payload.bidder_user, "Payment window expired");
+    });
+
+    subscribe(EVENTS.DISPUTE_RESOLVED, async (payload) => {
+      if (payload.status !== "resolved_valid") return;
+      await this.voidInvoice(
+        payload.auction_id,
+        payload.bidder_user,
+        `Bid voided by dispute ${payload.case_no}`
+      );
+    });
+  }
+}
+
+module.exports = BuyerInvoiceService;
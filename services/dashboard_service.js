@@ -0,0 +1,74 @@
+const LoanApplication = require("../models/loanApplication.model");
+const Loan = require("../models/loan.model");
+const Payment = require("../models/payment.model");
+const BidPayment = require("../models/bidPayment.model");
+const SupportTicket = require("../models/supportTicket.model");
+const Auction = require("../models/auction.model");
+
+/**
+ * Dashboard Service
+ * Live counters for staff dashboards
+ */
+class DashboardService {
+  /**
+   * Get the current dashboard counters
+   */
+  static async getCounters() {
+    try {
+      const [
+        newApplications,
+        processingApplications,
+        pendingLoanPayments,
+        pendingBidPayments,
+        openTickets,
+        inProgressTickets,
+        liveAuctions,
+        overdueLoans,
+        inGraceLoans,
+      ] = await Promise.all([
+        LoanApplication.countDocuments({ status: "submitted" }),
+        LoanApplication.countDocuments({ status: "processing" }),
+        Payment.countDocuments({
+          payment_status: { $in: ["pending", "awaiting_confirmation"] },
+        }),
+        BidPayment.countDocuments({ status: { $in: ["initiated", "pending"] } }),
+        SupportTicket.countDocuments({ status: "open" }),
+        SupportTicket.countDocuments({ status: "in_progress" }),
+        Auction.countDocuments({ status: "live" }),
+        Loan.countDocuments({ status: "overdue" }),
+        Loan.countDocuments({ status: "in_grace" }),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          applications: {
+            new: newApplications,
+            processing: processingApplications,
+          },
+          payments: {
+            pending_loan_payments: pendingLoanPayments,
+            pending_bid_payments: pendingBidPayments,
+          },
+          tickets: {
+            open: openTickets,
+            in_progress: inProgressTickets,
+          },
+          auctions: {
+            live: liveAuctions,
+          },
+          loans: {
+            overdue: overdueLoans,
+            in_grace: inGraceLoans,
+          },
+          generated_at: new Date(),
+        },
+      };
+    } catch (error) {
+      console.error("Get dashboard counters error:", error);
+      throw new Error(error.message || "Failed to fetch dashboard counters");
+    }
+  }
+}
+
+module.exports = DashboardService;
@@ -0,0 +1,784 @@
+const DisputeCase = require("../models/disputeCase.model");
+const Bid = require("../models/bid.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const Attachment = require("../models/attachment.model");
+const AuctionSettlement = require("../models/auctionSettlement.model");
+const BuyerInvoice = require("../models/buyerInvoice.model");
+const User = require("../models/user.model");
+const AuctionService = require("./auction_service");
+const AuctionPaymentDeadlineService = require("./auction_payment_deadline_service");
+const BidPaymentService = require("./bid_payment_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+// Roles that work dispute cases
+const DISPUTE_STAFF_ROLES = [
+  "loan_officer_approval",
+  "admin_pawn_limited",
+  "management",
+  "super_admin_vendor",
+];
+const OPEN_STATUSES = ["raised", "under_review"];
+
+const RESPONSE_SLA_HOURS = parseFloat(process.env.DISPUTE_RESPONSE_SLA_HOURS) || 24;
+const RESOLUTION_SLA_HOURS = parseFloat(process.env.DISPUTE_RESOLUTION_SLA_HOURS) || 120;
+// How long after an auction closes its bids can still be disputed
+const DISPUTE_WINDOW_HOURS = parseFloat(process.env.AUCTION_DISPUTE_WINDOW_HOURS) || 72;
+const SLA_BATCH_SIZE = parseInt(process.env.DISPUTE_SLA_BATCH_SIZE) || 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isDisputeStaff = (user) =>
+  (user.roles || []).some((role) => DISPUTE_STAFF_ROLES.includes(role));
+
+/**
+ * Dispute Case Service
+ * Bid disputes worked as cases: a message thread between the bidder and
+ * staff, evidence attachments, a reviewer, SLA timers and an outcome that
+ * adjusts the bid, its payments and the auction winner
+ */
+class DisputeCaseService {
+  /**
+   * Generate unique case number
+   */
+  static generateCaseNumber() {
+    const dateStr = new Date().toISOString().slice(2, 10).replace(/-/g, "");
+    const random = Math.floor(1000 + Math.random() * 9000);
+    return `DSP-${dateStr}-${random}`;
+  }
+
+  /**
+   * Load a case the user may see; returns an error result or the case
+   */
+  static async loadCase(caseId, user) {
+    const disputeCase = await DisputeCase.findById(caseId);
+
+    if (!disputeCase) {
+      return {
+        success: false,
+        message: "Dispute case not found",
+        statusCode: 404,
+      };
+    }
+
+    if (!isDisputeStaff(user) && !disputeCase.bidder_user.equals(user._id)) {
+      return {
+        success: false,
+        message: "Access denied to this dispute case",
+        statusCode: 403,
+      };
+    }
+
+    return { success: true, data: disputeCase };
+  }
+
+  /**
+   * Check attachments were uploaded for this case (entity_type DisputeCase)
+   */
+  static async validateAttachments(disputeCase, attachmentIds = []) {
+    if (attachmentIds.length === 0) return { success: true, data: [] };
+
+    const ids = [...new Set(attachmentIds.map(String))];
+    const count = await Attachment.countDocuments({
+      _id: { $in: ids },
+      entity_type: "DisputeCase",
+      entity_id: disputeCase._id,
+    });
+
+    if (count !== ids.length) {
+      return {
+        success: false,
+        message: "Evidence must be uploaded as attachments of this dispute case",
+        statusCode: 400,
+      };
+    }
+
+    return { success: true, data: ids };
+  }
+
+  /**
+   * Keep the dispute summary on the bid in step with the case
+   */
+  static async syncBid(disputeCase) {
+    const set = {
+      "dispute.status": disputeCase.status,
+      "dispute.case": disputeCase._id,
+    };
+
+    if (disputeCase.resolution?.resolved_at) {
+      set["dispute.resolution_notes"] = disputeCase.resolution.notes;
+      set["dispute.resolved_by"] = disputeCase.resolution.resolved_by;
+      set["dispute.resolved_at"] = disputeCase.resolution.resolved_at;
+    }
+
+    await Bid.updateOne({ _id: disputeCase.bid }, { $set: set });
+  }
+
+  /**
+   * Open a dispute case on the bidder's own bid
+   */
+  static async openCase(bidId, disputeData, user) {
+    try {
+      const bid = await Bid.findById(bidId);
+
+      if (!bid) {
+        return {
+          success: false,
+          message: "Bid not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!bid.bidder_user.equals(user._id)) {
+        return {
+          success: false,
+          message: "Only the bidder can raise a dispute",
+          statusCode: 403,
+        };
+      }
+
+      if (bid.dispute?.status && bid.dispute.status !== "none") {
+        return {
+          success: false,
+          message: "Dispute already exists for this bid",
+          statusCode: 400,
+        };
+      }
+
+      const auction = await Auction.findById(bid.auction);
+      const now = new Date();
+
+      if (!auction || auction.status === "cancelled") {
+        return {
+          success: false,
+          message: "Cannot raise dispute for a cancelled auction",
+          statusCode: 400,
+        };
+      }
+
+      if (
+        auction.status === "closed" &&
+        auction.ends_at.getTime() + DISPUTE_WINDOW_HOURS * HOUR_MS < now.getTime()
+      ) {
+        return {
+          success: false,
+          message: "The dispute window for this auction has closed",
+          statusCode: 400,
+        };
+      }
+
+      let disputeCase;
+      try {
+        disputeCase = await DisputeCase.create({
+          case_no: this.generateCaseNumber(),
+          bid: bid._id,
+          auction: auction._id,
+          bidder_user: user._id,
+          reason: disputeData.reason,
+          messages: [{ author: user._id, body: disputeData.reason }],
+          sla: {
+            response_due_at: new Date(now.getTime() + RESPONSE_SLA_HOURS * HOUR_MS),
+            resolution_due_at: new Date(now.getTime() + RESOLUTION_SLA_HOURS * HOUR_MS),
+          },
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return {
+          success: false,
+          message: "Dispute already exists for this bid",
+          statusCode: 409,
+        };
+      }
+
+      // Updated directly: a paid bid may still be disputed
+      await Bid.updateOne(
+        { _id: bid._id },
+        {
+          $set: {
+            dispute: {
+              status: "raised",
+              reason: disputeData.reason,
+              raised_by: user._id,
+              raised_at: now,
+              case: disputeCase._id,
+            },
+          },
+        }
+      );
+
+      publish(EVENTS.DISPUTE_OPENED, {
+        case_id: disputeCase._id,
+        case_no: disputeCase.case_no,
+        bid_id: bid._id,
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        bidder_user: user._id,
+        response_due_at: disputeCase.sla.response_due_at,
+      });
+
+      return {
+        success: true,
+        data: disputeCase,
+        message: "Dispute raised successfully",
+      };
+    } catch (error) {
+      console.error("Open dispute case error:", error);
+      throw new Error(error.message || "Failed to raise dispute");
+    }
+  }
+
+  /**
+   * List dispute cases: staff see all, bidders their own
+   */
+  static async getCases(filters = {}, user) {
+    try {
+      const { page = 1, limit = 10, status, assigned_to, auction_id, breached } = filters;
+      const query = {};
+
+      if (!isDisputeStaff(user)) {
+        query.bidder_user = user._id;
+      } else if (assigned_to) {
+        query.assigned_to = assigned_to === "me" ? user._id : assigned_to;
+      }
+
+      if (status === "open") {
+        query.status = { $in: OPEN_STATUSES };
+      } else if (status) {
+        query.status = status;
+      }
+      if (auction_id) query.auction = auction_id;
+      if (breached === "true") {
+        query.$or = [
+          { "sla.response_breached_at": { $ne: null } },
+          { "sla.resolution_breached_at": { $ne: null } },
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [cases, total] = await Promise.all([
+        DisputeCase.find(query)
+          .select("-messages")
+          .populate("auction", "auction_no status")
+          .populate("bid", "amount placed_at payment_status")
+          .populate("bidder_user", "first_name last_name email")
+          .populate("assigned_to", "first_name last_name email")
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        DisputeCase.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: cases,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      };
+    } catch (error) {
+      console.error("Get dispute cases error:", error);
+      throw new Error(error.message || "Failed to fetch dispute cases");
+    }
+  }
+
+  /**
+   * Get a dispute case with its thread and evidence
+   * Bidders never see internal staff notes
+   */
+  static async getCaseById(caseId, user) {
+    try {
+      const loaded = await this.loadCase(caseId, user);
+      if (!loaded.success) return loaded;
+
+      const disputeCase = await DisputeCase.findById(caseId)
+        .populate("auction", "auction_no status winner_user winning_bid_amount")
+        .populate("bid", "amount placed_at payment_status is_proxy")
+        .populate("bidder_user", "first_name last_name email phone")
+        .populate("assigned_to", "first_name last_name email")
+        .populate("resolution.resolved_by", "first_name last_name email")
+        .populate("messages.author", "first_name last_name")
+        .populate("messages.attachments", "filename url mime_type")
+        .populate("evidence", "filename url mime_type owner_user created_at");
+
+      const data = disputeCase.toObject();
+      if (!isDisputeStaff(user)) {
+        data.messages = data.messages.filter((message) => !message.internal);
+      }
+
+      return {
+        success: true,
+        data,
+      };
+    } catch (error) {
+      console.error("Get dispute case error:", error);
+      throw new Error(error.message || "Failed to fetch dispute case");
+    }
+  }
+
+  /**
+   * Post to the case thread. The first public staff reply stops the
+   * response SLA clock and moves the case under review.
+   */
+  static async addMessage(caseId, messageData = {}, user) {
+    try {
+      const loaded = await this.loadCase(caseId, user);
+      if (!loaded.success) return loaded;
+      const disputeCase = loaded.data;
+
+      if (!OPEN_STATUSES.includes(disputeCase.status)) {
+        return {
+          success: false,
+          message: "Dispute case is closed",
+          statusCode: 400,
+        };
+      }
+
+      const body = String(messageData.body || "").trim();
+      if (!body) {
+        return {
+          success: false,
+          message: "Message body is required",
+          statusCode: 400,
+        };
+      }
+
+      const attachments = await this.validateAttachments(
+        disputeCase,
+        messageData.attachments || []
+      );
+      if (!attachments.success) return attachments;
+
+      const fromStaff = isDisputeStaff(user);
+      const internal = fromStaff && Boolean(messageData.internal);
+
+      disputeCase.messages.push({
+        author: user._id,
+        from_staff: fromStaff,
+        body,
+        attachments: attachments.data,
+        internal,
+      });
+      attachments.data.forEach((id) => disputeCase.evidence.addToSet(id));
+
+      if (fromStaff && !internal) {
+        if (!disputeCase.sla.first_response_at) {
+          disputeCase.sla.first_response_at = new Date();
+        }
+        disputeCase.status = "under_review";
+      }
+
+      await disputeCase.save();
+      await this.syncBid(disputeCase);
+
+      publish(EVENTS.DISPUTE_MESSAGE_ADDED, {
+        case_id: disputeCase._id,
+        case_no: disputeCase.case_no,
+        bidder_user: disputeCase.bidder_user,
+        assigned_to: disputeCase.assigned_to || null,
+        author_user: user._id,
+        from_staff: fromStaff,
+        internal,
+      });
+
+      return {
+        success: true,
+        data: disputeCase.messages[disputeCase.messages.length - 1],
+        message: "Message added",
+      };
+    } catch (error) {
+      console.error("Add dispute message error:", error);
+      throw new Error(error.message || "Failed to add message");
+    }
+  }
+
+  /**
+   * Link uploaded evidence to the case
+   */
+  static async addEvidence(caseId, evidenceData = {}, user) {
+    try {
+      const loaded = await this.loadCase(caseId, user);
+      if (!loaded.success) return loaded;
+      const disputeCase = loaded.data;
+
+      if (!OPEN_STATUSES.includes(disputeCase.status)) {
+        return {
+          success: false,
+          message: "Dispute case is closed",
+          statusCode: 400,
+        };
+      }
+
+      const ids = evidenceData.attachment_ids || [];
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return {
+          success: false,
+          message: "attachment_ids must be a non-empty array",
+          statusCode: 400,
+        };
+      }
+
+      const attachments = await this.validateAttachments(disputeCase, ids);
+      if (!attachments.success) return attachments;
+
+      attachments.data.forEach((id) => disputeCase.evidence.addToSet(id));
+      await disputeCase.save();
+
+      return {
+        success: true,
+        data: disputeCase.evidence,
+        message: "Evidence added",
+      };
+    } catch (error) {
+      console.error("Add dispute evidence error:", error);
+      throw new Error(error.message || "Failed to add evidence");
+    }
+  }
+
+  /**
+   * Assign a reviewer
+   */
+  static async assignCase(caseId, assigneeId, user) {
+    try {
+      const disputeCase = await DisputeCase.findById(caseId);
+
+      if (!disputeCase) {
+        return {
+          success: false,
+          message: "Dispute case not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!OPEN_STATUSES.includes(disputeCase.status)) {
+        return {
+          success: false,
+          message: "Dispute case is closed",
+          statusCode: 400,
+        };
+      }
+
+      const assignee = await User.findById(assigneeId).select("roles status");
+      if (!assignee || assignee.status !== "active" || !isDisputeStaff(assignee)) {
+        return {
+          success: false,
+          message: "Assignee must be an active staff member who can resolve disputes",
+          statusCode: 400,
+        };
+      }
+
+      disputeCase.assigned_to = assignee._id;
+      disputeCase.assigned_at = new Date();
+      disputeCase.status = "under_review";
+      await disputeCase.save();
+      await this.syncBid(disputeCase);
+
+      publish(EVENTS.DISPUTE_ASSIGNED, {
+        case_id: disputeCase._id,
+        case_no: disputeCase.case_no,
+        assigned_to: assignee._id,
+        assigned_by: user._id,
+        resolution_due_at: disputeCase.sla.resolution_due_at,
+      });
+
+      return {
+        success: true,
+        data: disputeCase,
+        message: "Dispute case assigned",
+      };
+    } catch (error) {
+      console.error("Assign dispute case error:", error);
+      throw new Error(error.message || "Failed to assign dispute case");
+    }
+  }
+
+  /**
+   * Take the voided winning bid out of the auction and promote the
+   * next valid bid, or leave the lot unsold for staff to re-list
+   */
+  static async reselectWinner(auction, bid, user) {
+    const cleared = await Auction.findOneAndUpdate(
+      { _id: auction._id, status: "closed", winner_user: bid.bidder_user },
+      {
+        $set: {
+          winner_user: null,
+          winning_bid_amount: null,
+          payment_due_at: null,
+          payment_reminder_sent_at: null,
+          "meta.payment_received": false,
+        },
+      },
+      { new: true }
+    );
+    if (!cleared) return [];
+
+    const promoted = await AuctionPaymentDeadlineService.promoteNextBidder(
+      cleared,
+      bid.bidder_user
+    );
+    if (promoted) return ["winner_reassigned"];
+
+    const remaining = await AuctionService.getHighestBid(auction._id);
+    cleared.outcome = remaining ? "reserve_not_met" : "no_bids";
+    await cleared.save();
+    await Asset.findByIdAndUpdate(cleared.asset, { status: "overdue" });
+
+    await AuctionService.auditTransition(
+      cleared,
+      "auction.winner_voided",
+      { winner_user: bid.bidder_user, winning_bid_amount: auction.winning_bid_amount },
+      { user }
+    );
+
+    return ["winner_cleared"];
+  }
+
+  /**
+   * Apply a resolution to the bid, its payments and the auction
+   * resolved_valid: the bidder is right, the bid is void
+   * resolved_invalid: the bid stands
+   */
+  static async applyOutcome(disputeCase, bid, auction, status, user) {
+    const actions = [];
+    const wasWinning =
+      auction.status === "closed" &&
+      auction.winner_user &&
+      auction.winner_user.equals(bid.bidder_user) &&
+      ["pending", "paid"].includes(bid.payment_status);
+
+    if (status === "resolved_valid") {
+      const payments = await BidPaymentService.refundVoidedBidPayments(
+        bid._id,
+        `Dispute ${disputeCase.case_no} upheld`
+      );
+
+      actions.push("bid_voided");
+      if (payments.cancelled > 0) actions.push("payment_cancelled");
+      if (payments.refund_pending > 0) actions.push("refund_requested");
+
+      await Bid.updateOne(
+        { _id: bid._id },
+        { $set: { payment_status: payments.refund_pending > 0 ? "refund_pending" : "cancelled" } }
+      );
+
+      if (wasWinning) {
+        actions.push(...(await this.reselectWinner(auction, bid, user)));
+      }
+    } else if (wasWinning && bid.payment_status === "pending") {
+      // The winner could not pay while the dispute was open
+      await Auction.updateOne(
+        { _id: auction._id, winner_user: bid.bidder_user },
+        {
+          $set: {
+            payment_due_at: AuctionService.getPaymentDueAt(auction),
+            payment_reminder_sent_at: null,
+          },
+        }
+      );
+      actions.push("payment_window_reset");
+    }
+
+    return actions;
+  }
+
+  /**
+   * Resolve a case and apply its outcome
+   */
+  static async resolveCase(caseId, resolutionData, user) {
+    try {
+      const { status, resolution_notes } = resolutionData;
+
+      if (!["resolved_valid", "resolved_invalid"].includes(status)) {
+        return {
+          success: false,
+          message: "status must be resolved_valid or resolved_invalid",
+          statusCode: 400,
+        };
+      }
+
+      const current = await DisputeCase.findById(caseId);
+      if (!current) {
+        return {
+          success: false,
+          message: "Dispute case not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!OPEN_STATUSES.includes(current.status)) {
+        return {
+          success: false,
+          message: "Dispute already resolved",
+          statusCode: 400,
+        };
+      }
+
+      const [bid, auction] = await Promise.all([
+        Bid.findById(current.bid),
+        Auction.findById(current.auction),
+      ]);
+
+      if (
+        status === "resolved_valid" &&
+        (await AuctionSettlement.exists({ auction: auction._id, status: "settled" }))
+      ) {
+        return {
+          success: false,
+          message: "The auction has already been settled; reverse the settlement before upholding this dispute",
+          statusCode: 409,
+        };
+      }
+
+      if (
+        status === "resolved_valid" &&
+        (await BuyerInvoice.exists({
+          auction: auction._id,
+          buyer_user: current.bidder_user,
+          "handover.status": "collected",
+        }))
+      ) {
+        return {
+          success: false,
+          message: "The lot has already been collected by the bidder",
+          statusCode: 409,
+        };
+      }
+
+      // Claim the resolution so it is applied once
+      const now = new Date();
+      const disputeCase = await DisputeCase.findOneAndUpdate(
+        { _id: current._id, status: { $in: OPEN_STATUSES } },
+        {
+          $set: {
+            status,
+            "resolution.notes": resolution_notes,
+            "resolution.resolved_by": user._id,
+            "resolution.resolved_at": now,
+          },
+        },
+        { new: true }
+      );
+
+      if (!disputeCase) {
+        return {
+          success: false,
+          message: "Dispute already resolved",
+          statusCode: 409,
+        };
+      }
+
+      await this.syncBid(disputeCase);
+
+      const actions = await this.applyOutcome(disputeCase, bid, auction, status, user);
+      disputeCase.resolution.actions = actions;
+      await disputeCase.save();
+
+      publish(EVENTS.DISPUTE_RESOLVED, {
+        case_id: disputeCase._id,
+        case_no: disputeCase.case_no,
+        bid_id: bid._id,
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        bidder_user: disputeCase.bidder_user,
+        status,
+        actions,
+      });
+
+      return {
+        success: true,
+        data: disputeCase,
+        message: "Dispute resolved successfully",
+      };
+    } catch (error) {
+      console.error("Resolve dispute case error:", error);
+      throw new Error(error.message || "Failed to resolve dispute");
+    }
+  }
+
+  /**
+   * Resolve the dispute case of a bid
+   */
+  static async resolveBidDispute(bidId, resolutionData, user) {
+    const bid = await Bid.findById(bidId).select("dispute");
+
+    if (!bid) {
+      return {
+        success: false,
+        message: "Bid not found",
+        statusCode: 404,
+      };
+    }
+
+    if (!bid.dispute?.case) {
+      return {
+        success: false,
+        message: "No active dispute found for this bid",
+        statusCode: 400,
+      };
+    }
+
+    return this.resolveCase(bid.dispute.case, resolutionData, user);
+  }
+
+  /**
+   * Mark cases that missed their response or resolution deadline
+   * (once per deadline)
+   */
+  static async checkSlaBreaches() {
+    const now = new Date();
+    let breached = 0;
+
+    const deadlines = [
+      {
+        kind: "response",
+        due: "sla.response_due_at",
+        mark: "sla.response_breached_at",
+        extra: { "sla.first_response_at": null },
+      },
+      {
+        kind: "resolution",
+        due: "sla.resolution_due_at",
+        mark: "sla.resolution_breached_at",
+        extra: {},
+      },
+    ];
+
+    for (const { kind, due, mark, extra } of deadlines) {
+      const query = {
+        status: { $in: OPEN_STATUSES },
+        [due]: { $lte: now },
+        [mark]: null,
+        ...extra,
+      };
+
+      const cases = await DisputeCase.find(query).select("_id").limit(SLA_BATCH_SIZE);
+
+      for (const { _id } of cases) {
+        const disputeCase = await DisputeCase.findOneAndUpdate(
+          { ...query, _id },
+          { $set: { [mark]: now } },
+          { new: true }
+        );
+        if (!disputeCase) continue;
+
+        publish(EVENTS.DISPUTE_SLA_BREACHED, {
+          case_id: disputeCase._id,
+          case_no: disputeCase.case_no,
+          kind,
+          assigned_to: disputeCase.assigned_to || null,
+          due_at: kind === "response"
+            ? disputeCase.sla.response_due_at
+            : disputeCase.sla.resolution_due_at,
+        });
+        breached += 1;
+      }
+    }
+
+    return breached;
+  }
+}
+
+module.exports = DisputeCaseService;
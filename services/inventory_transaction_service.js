@@ -33,8 +33,9 @@ class InventoryTransactionService {
 
   /**
    * Create a new inventory transaction
+   * Pass a session to record it inside a caller's transaction
    */
-  async createTransaction(transactionData, userId) {
+  async createTransaction(transactionData, userId, session = null) {
     try {
       const {
         type,
@@ -54,7 +55,9 @@ class InventoryTransactionService {
         throw this.handleError(400, "Transaction type and amount are required");
       }
 
-      if (amount <= 0) {
+      // Cash outflows are recorded as negative amounts
+      const outflowTypes = ["loan_disbursement", "asset_purchase", "expense"];
+      if (amount <= 0 && !outflowTypes.includes(type)) {
         throw this.handleError(
           400,
           "Transaction amount must be greater than 0"
@@ -98,11 +101,12 @@ class InventoryTransactionService {
         meta,
       });
 
-      await transaction.save();
+      await transaction.save({ session });
 
       // Populate related data
       const populatedTransaction = await this.populateTransaction(
-        transaction._id
+        transaction._id,
+        session
       );
 
       return {
@@ -119,11 +123,12 @@ class InventoryTransactionService {
   /**
    * Create transaction for loan disbursement
    */
-  async createLoanDisbursementTransaction(loanId, userId) {
+  async createLoanDisbursementTransaction(loanId, userId, session = null) {
     try {
       const loan = await Loan.findById(loanId)
         .populate("customer_user", "first_name last_name email")
-        .populate("asset", "asset_no title");
+        .populate("asset", "asset_no title")
+        .session(session);
 
       if (!loan) {
         throw this.handleError(404, `Loan with ID ${loanId} not found`);
@@ -137,7 +142,7 @@ class InventoryTransactionService {
       const existingDisbursement = await InventoryTransaction.findOne({
         type: "loan_disbursement",
         loan: loanId,
-      });
+      }).session(session);
 
       if (existingDisbursement) {
         throw this.handleError(
@@ -163,12 +168,12 @@ class InventoryTransactionService {
         },
       };
 
-      const result = await this.createTransaction(transactionData, userId);
+      const result = await this.createTransaction(transactionData, userId, session);
 
       // Update loan with disbursement date if not set
       if (!loan.disbursed_at) {
         loan.disbursed_at = new Date();
-        await loan.save();
+        await loan.save({ session });
       }
 
       return result;
@@ -999,9 +1004,10 @@ class InventoryTransactionService {
   /**
    * Populate transaction with related data
    */
-  async populateTransaction(transactionId) {
+  async populateTransaction(transactionId, session = null) {
     try {
       const transaction = await InventoryTransaction.findById(transactionId)
+        .session(session)
         .populate({
           path: "asset",
           select: "asset_no title category status evaluated_value",
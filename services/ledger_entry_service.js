@@ -150,6 +150,16 @@ class LedgerEntryService {
         throw this.handleError(400, `Cannot map inventory transaction type ${inventoryTxn.type} to ledger category`);
       }
 
+      // Loan income is booked from the daily accruals
+      if (inventoryTxn.loan && ["interest_income", "storage_income", "penalty_income"].includes(category)) {
+        throw this.handleError(400, `${category.replace("_", " ")} on loans is booked from accruals, not from transactions`);
+      }
+
+      // Principal repayments are posted when the payment is allocated
+      if (inventoryTxn.loan && category === "loan_principal_repayment") {
+        throw this.handleError(400, "Loan repayments are posted to the ledger when the payment is allocated");
+      }
+
       // For asset sale, we need to create two entries: revenue and COGS
       if (inventoryTxn.type === "asset_sale") {
         return await this.createAssetSaleLedgerEntries(inventoryTxn, userId);
@@ -276,6 +286,12 @@ class LedgerEntryService {
         throw this.handleError(400, "Only paid payments can create ledger entries");
       }
 
+      // Allocated payments are posted when they are applied to the loan,
+      // and retried by the payment_ledger job if that fails
+      if (payment.meta?.ledger_processed || payment.allocated_at) {
+        throw this.handleError(409, "Ledger entries already exist for this payment");
+      }
+
       const loan = payment.loan;
       if (!loan) {
         throw this.handleError(404, "Associated loan not found");
@@ -299,50 +315,8 @@ class LedgerEntryService {
         entries.push(principalEntry);
       }
 
-      if (payment.interest_component > 0) {
-        const interestEntry = {
-          entry_date: payment.paid_at,
-          category: "interest_income",
-          amount: payment.interest_component,
-          currency: payment.currency,
-          refs: {
-            loan_id: loan._id,
-            payment_id: payment._id
-          },
-          memo: `Interest income from loan ${loan.loan_no}`
-        };
-        entries.push(interestEntry);
-      }
-
-      if (payment.storage_component > 0) {
-        const storageEntry = {
-          entry_date: payment.paid_at,
-          category: "storage_income",
-          amount: payment.storage_component,
-          currency: payment.currency,
-          refs: {
-            loan_id: loan._id,
-            payment_id: payment._id
-          },
-          memo: `Storage charges from loan ${loan.loan_no}`
-        };
-        entries.push(storageEntry);
-      }
-
-      if (payment.penalty_component > 0) {
-        const penaltyEntry = {
-          entry_date: payment.paid_at,
-          category: "penalty_income",
-          amount: payment.penalty_component,
-          currency: payment.currency,
-          refs: {
-            loan_id: loan._id,
-            payment_id: payment._id
-          },
-          memo: `Penalty income from loan ${loan.loan_no}`
-        };
-        entries.push(penaltyEntry);
-      }
+      // Interest, storage and penalty income is booked as it accrues
+      // (loan_accrual_service), so only principal is recorded here
 
       // Create all ledger entries
       const createdEntries = [];
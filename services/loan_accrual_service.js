@@ -0,0 +1,499 @@
+const mongoose = require("mongoose");
+const Loan = require("../models/loan.model");
+const LoanTerm = require("../models/loanTerm.model");
+const LoanAccrual = require("../models/loanAccrual.model");
+const Payment = require("../models/payment.model");
+const LedgerEntryService = require("./ledger_entry_service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loans that keep accruing charges until they are redeemed, sold or closed
+const ACCRUING_STATUSES = ["active", "overdue", "in_grace", "auction"];
+
+const ACCRUAL_BATCH_SIZE = parseInt(process.env.LOAN_ACCRUAL_BATCH_SIZE) || 200;
+
+// How long a run may hold accruals it is booking before another run retakes them
+const LEDGER_CLAIM_LEASE_MS = parseInt(process.env.LOAN_ACCRUAL_LEDGER_LEASE_MS) || 10 * 60 * 1000;
+
+const LEDGER_CATEGORIES = {
+  interest: "interest_income",
+  storage: "storage_income",
+  penalty: "penalty_income",
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class LoanAccrualService {
+  /**
+   * Accrue every loan that has whole days not yet charged
+   */
+  async runAccrualCycle(now = new Date()) {
+    const today = this.startOfDay(now);
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    let accrued = 0;
+
+    const loans = await Loan.find({
+      status: { $in: ACCRUING_STATUSES },
+      start_date: { $lt: today },
+      $or: [{ accrued_through: null }, { accrued_through: { $lt: yesterday } }],
+    })
+      .sort({ accrued_through: 1 })
+      .limit(ACCRUAL_BATCH_SIZE);
+
+    for (const loan of loans) {
+      try {
+        const records = await this.accrueLoan(loan, now);
+        if (records.length > 0) accrued += 1;
+      } catch (error) {
+        console.error(`Accrual for loan ${loan.loan_no} failed:`, error.message);
+      }
+    }
+
+    return accrued;
+  }
+
+  /**
+   * Write the charges for each whole day since the loan was last accrued.
+   *
+   * Interest is interest_rate_percent of the balance per interest_period_days
+   * and storage is storage_charge_percent of the term's opening balance per
+   * period, both spread evenly over the days of the period. The late penalty
+   * is charged once per term, on the first day after its due date. Days
+   * caught up after the fact are charged on the balance owed on that day.
+   */
+  async accrueLoan(loan, now = new Date()) {
+    if (!ACCRUING_STATUSES.includes(loan.status)) return [];
+
+    const today = this.startOfDay(now);
+    let day = loan.accrued_through
+      ? new Date(this.startOfDay(loan.accrued_through).getTime() + DAY_MS)
+      : this.startOfDay(loan.start_date);
+
+    if (day >= today) return [];
+
+    const terms = await LoanTerm.find({ loan: loan._id }).sort({ term_no: 1 });
+    const repayments = await Payment.find({
+      loan: loan._id,
+      payment_status: "paid",
+      principal_component: { $gt: 0 },
+    }).select("paid_at principal_component");
+    const penalisedDueDates = new Set(
+      (
+        await LoanAccrual.find({ loan: loan._id, kind: "penalty" }).select("due_date")
+      ).map((record) => record.due_date?.getTime())
+    );
+
+    const records = [];
+    let lastDay = null;
+
+    for (; day < today; day = new Date(day.getTime() + DAY_MS)) {
+      const term = this.termOn(terms, day);
+      const rates = term || loan;
+      const dueDate = term ? term.due_date : loan.due_date;
+      const periodDays = rates.interest_period_days;
+
+      const base = {
+        loan: loan._id,
+        loan_term: term?._id,
+        accrual_date: day,
+        due_date: dueDate,
+        currency: loan.currency,
+      };
+
+      const balance = this.balanceOn(loan, terms, repayments, term, day);
+
+      const interestBase = balance;
+      const interest = round2(
+        (interestBase * rates.interest_rate_percent) / 100 / periodDays
+      );
+      if (interest > 0) {
+        records.push({
+          ...base,
+          kind: "interest",
+          base_amount: interestBase,
+          rate_percent: rates.interest_rate_percent,
+          period_days: periodDays,
+          amount: interest,
+        });
+      }
+
+      const storageBase = term ? term.opening_balance : loan.principal_amount;
+      const storage = round2(
+        (storageBase * rates.storage_charge_percent) / 100 / periodDays
+      );
+      if (storage > 0) {
+        records.push({
+          ...base,
+          kind: "storage",
+          base_amount: storageBase,
+          rate_percent: rates.storage_charge_percent,
+          period_days: periodDays,
+          amount: storage,
+        });
+      }
+
+      const penaltyPercent = rates.penalty_percent ?? loan.penalty_percent;
+      if (
+        dueDate &&
+        day > this.startOfDay(dueDate) &&
+        penaltyPercent > 0 &&
+        !penalisedDueDates.has(dueDate.getTime())
+      ) {
+        penalisedDueDates.add(dueDate.getTime());
+        records.push({
+          ...base,
+          kind: "penalty",
+          base_amount: balance,
+          rate_percent: penaltyPercent,
+          amount: round2((balance * penaltyPercent) / 100),
+        });
+      }
+
+      lastDay = day;
+    }
+
+    try {
+      await LoanAccrual.insertMany(records, { ordered: false });
+    } catch (error) {
+      // Days already written by an overlapping run are skipped
+      if (error.code !== 11000) throw error;
+    }
+
+    await Loan.updateOne(
+      {
+        _id: loan._id,
+        $or: [{ accrued_through: null }, { accrued_through: { $lt: lastDay } }],
+      },
+      { $set: { accrued_through: lastDay } }
+    );
+    loan.accrued_through = lastDay;
+
+    await this.postToLedger(loan);
+
+    return records;
+  }
+
+  /**
+   * Principal owed at the start of a day. Days in the current term work back
+   * from today's balance by the principal repaid since; days in an earlier
+   * term work forward from the balance that term was renewed at.
+   */
+  balanceOn(loan, terms, repayments, term, day) {
+    const repaid = (from, to = null) =>
+      repayments
+        .filter((payment) => payment.paid_at >= from && (!to || payment.paid_at < to))
+        .reduce((sum, payment) => sum + payment.principal_component, 0);
+
+    const latest = terms[terms.length - 1];
+    if (term && !term._id.equals(latest._id)) {
+      return round2(Math.max(0, term.closing_balance - repaid(term.start_date, day)));
+    }
+
+    return round2(loan.current_balance + repaid(day));
+  }
+
+  /**
+   * Book accruals not yet in the ledger as income, one entry per kind. The
+   * accruals are claimed first so a run only books the ones it took.
+   */
+  async postToLedger(loan) {
+    const claim = new mongoose.Types.ObjectId().toString();
+    const claimedAt = new Date();
+
+    await LoanAccrual.updateMany(
+      {
+        loan: loan._id,
+        ledger_entry: null,
+        $or: [
+          { ledger_claim: null },
+          { ledger_claimed_at: { $lt: new Date(claimedAt.getTime() - LEDGER_CLAIM_LEASE_MS) } },
+        ],
+      },
+      { $set: { ledger_claim: claim, ledger_claimed_at: claimedAt } }
+    );
+
+    try {
+      const pending = await LoanAccrual.find({
+        loan: loan._id,
+        ledger_entry: null,
+        ledger_claim: claim,
+      }).sort({ accrual_date: 1 });
+
+      for (const kind of Object.keys(LEDGER_CATEGORIES)) {
+        const records = pending.filter((record) => record.kind === kind);
+        const amount = round2(records.reduce((sum, record) => sum + record.amount, 0));
+        if (amount <= 0) continue;
+
+        const from = this.formatDay(records[0].accrual_date);
+        const to = this.formatDay(records[records.length - 1].accrual_date);
+
+        const result = await LedgerEntryService.createLedgerEntry({
+          entry_date: records[records.length - 1].accrual_date,
+          category: LEDGER_CATEGORIES[kind],
+          amount,
+          currency: ["USD", "ZWG"].includes(loan.currency) ? loan.currency : "USD",
+          refs: { loan_id: loan._id, asset_id: loan.asset },
+          memo:
+            kind === "penalty"
+              ? `Late penalty on loan ${loan.loan_no}`
+              : `${kind === "interest" ? "Interest" : "Storage"} accrued on loan ${loan.loan_no} for ${from === to ? from : `${from} to ${to}`}`,
+        });
+
+        await LoanAccrual.updateMany(
+          { _id: { $in: records.map((record) => record._id) }, ledger_claim: claim },
+          {
+            $set: { ledger_entry: result.data._id },
+            $unset: { ledger_claim: 1, ledger_claimed_at: 1 },
+          }
+        );
+      }
+    } finally {
+      // Hand back anything left unbooked so the next run picks it up
+      await LoanAccrual.updateMany(
+        { loan: loan._id, ledger_entry: null, ledger_claim: claim },
+        { $set: { ledger_claim: null }, $unset: { ledger_claimed_at: 1 } }
+      );
+    }
+  }
+
+  /**
+   * Settle an amount of one kind of charge against the accruals, oldest
+   * first. source names what settled it: { payment } or
+   * { auction_settlement }. Settling the same source and kind again is a
+   * no-op. Returns the income entries settled.
+   */
+  async settleAccruals(loanId, kind, amount, source) {
+    const [field, sourceId] = Object.entries(source)[0];
+    const ledgerEntries = new Set();
+
+    const settled = await LoanAccrual.find({
+      loan: loanId,
+      kind,
+      [`settlements.${field}`]: sourceId,
+    }).select("ledger_entry");
+    if (settled.length > 0) {
+      return [...new Set(settled.filter((r) => r.ledger_entry).map((r) => String(r.ledger_entry)))];
+    }
+
+    let remaining = round2(amount);
+    while (remaining > 0) {
+      const record = await LoanAccrual.findOne({
+        loan: loanId,
+        kind,
+        $expr: { $lt: ["$paid_amount", "$amount"] },
+      }).sort({ accrual_date: 1 });
+      if (!record) break;
+
+      const applied = round2(Math.min(remaining, record.amount - record.paid_amount));
+      if (applied <= 0) break;
+
+      // Conditional on the amount read, so concurrent settlements cannot overpay a charge
+      const result = await LoanAccrual.updateOne(
+        { _id: record._id, paid_amount: record.paid_amount },
+        {
+          $set: { paid_amount: round2(record.paid_amount + applied) },
+          $push: { settlements: { [field]: sourceId, amount: applied, settled_at: new Date() } },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      if (record.ledger_entry) ledgerEntries.add(String(record.ledger_entry));
+      remaining = round2(remaining - applied);
+    }
+
+    return [...ledgerEntries];
+  }
+
+  /**
+   * Reverse everything a payment or auction settlement settled
+   */
+  async unsettleAccruals(source) {
+    const [field, sourceId] = Object.entries(source)[0];
+
+    const records = await LoanAccrual.find({ [`settlements.${field}`]: sourceId });
+    for (const record of records) {
+      const amount = round2(
+        record.settlements
+          .filter((settlement) => settlement[field] && settlement[field].equals(sourceId))
+          .reduce((sum, settlement) => sum + settlement.amount, 0)
+      );
+
+      await LoanAccrual.updateOne(
+        { _id: record._id },
+        {
+          $inc: { paid_amount: -amount },
+          $pull: { settlements: { [field]: sourceId } },
+        }
+      );
+    }
+  }
+
+  /**
+   * Charges accrued on a loan, what has been settled, and what is outstanding
+   */
+  async getAccruedCharges(loanId) {
+    const accrued = await LoanAccrual.aggregate([
+      { $match: { loan: new mongoose.Types.ObjectId(String(loanId)) } },
+      {
+        $group: {
+          _id: "$kind",
+          amount: { $sum: "$amount" },
+          paid: { $sum: "$paid_amount" },
+        },
+      },
+    ]);
+
+    const charges = {};
+    for (const kind of Object.keys(LEDGER_CATEGORIES)) {
+      const row = accrued.find((item) => item._id === kind);
+      const accruedAmount = round2(row?.amount);
+      const paidAmount = round2(row?.paid);
+      charges[kind] = {
+        accrued: accruedAmount,
+        paid: paidAmount,
+        outstanding: round2(Math.max(0, accruedAmount - paidAmount)),
+      };
+    }
+
+    return charges;
+  }
+
+  /**
+   * Loan statement: accruals summarised per term and kind, and payments received
+   */
+  async getLoanStatement(loanId) {
+    try {
+      const loan = await Loan.findById(loanId).populate(
+        "customer_user",
+        "first_name last_name email phone"
+      );
+      if (!loan) {
+        throw {
+          status: 404,
+          message: `Loan with ID ${loanId} not found`,
+        };
+      }
+
+      const [accrualLines, payments, charges] = await Promise.all([
+        LoanAccrual.aggregate([
+          { $match: { loan: loan._id } },
+          { $sort: { accrual_date: 1 } },
+          {
+            $group: {
+              _id: { loan_term: "$loan_term", kind: "$kind" },
+              from: { $min: "$accrual_date" },
+              to: { $max: "$accrual_date" },
+              days: { $sum: 1 },
+              rate_percent: { $last: "$rate_percent" },
+              amount: { $sum: "$amount" },
+            },
+          },
+          { $sort: { from: 1, "_id.kind": 1 } },
+        ]),
+        Payment.find({ loan: loan._id, payment_status: "paid" })
+          .sort({ paid_at: 1 })
+          .select(
+            "receipt_no amount currency paid_at method principal_component interest_component storage_component penalty_component"
+          ),
+        this.getAccruedCharges(loan._id),
+      ]);
+
+      const terms = await LoanTerm.find({ loan: loan._id }).select("term_no");
+      const termNo = (termId) =>
+        terms.find((term) => termId && term._id.equals(termId))?.term_no || null;
+
+      const outstanding = round2(
+        loan.current_balance +
+          charges.interest.outstanding +
+          charges.storage.outstanding +
+          charges.penalty.outstanding
+      );
+
+      return {
+        success: true,
+        data: {
+          loan: {
+            _id: loan._id,
+            loan_no: loan.loan_no,
+            customer_user: loan.customer_user,
+            principal_amount: loan.principal_amount,
+            current_balance: loan.current_balance,
+            currency: loan.currency,
+            start_date: loan.start_date,
+            due_date: loan.due_date,
+            status: loan.status,
+          },
+          accrued_through: loan.accrued_through || null,
+          charges: accrualLines.map((line) => ({
+            term_no: termNo(line._id.loan_term),
+            kind: line._id.kind,
+            from: line.from,
+            to: line.to,
+            days: line.days,
+            rate_percent: line.rate_percent,
+            amount: round2(line.amount),
+          })),
+          payments,
+          totals: {
+            ...charges,
+            principal_outstanding: loan.current_balance,
+            total_outstanding: outstanding,
+          },
+        },
+        message: "Loan statement retrieved successfully",
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Term in force on a day: the latest one already started
+   */
+  termOn(terms, day) {
+    let current = null;
+    for (const term of terms) {
+      if (this.startOfDay(term.start_date) <= day) current = term;
+    }
+    return current;
+  }
+
+  startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  formatDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Handle MongoDB errors
+   */
+  handleMongoError(error) {
+    console.error("Loan Accrual Service Error:", error);
+
+    // If it's already a custom error, return it
+    if (error.status && error.message) {
+      return error;
+    }
+
+    // Handle CastError (invalid ObjectId)
+    if (error.name === "CastError") {
+      return {
+        status: 400,
+        message: `Invalid ${error.path}: ${error.value}`,
+      };
+    }
+
+    // Default error
+    return {
+      status: 500,
+      message: "Internal server error",
+      detail: error.message,
+    };
+  }
+}
+
+module.exports = new LoanAccrualService();
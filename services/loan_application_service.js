@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
   ({ v4: uuidv4 } = await import("uuid"));
 })();
 const emailService = require('../utils/emails_util');
+const { EVENTS, publish } = require('../utils/event_bus');
 
 class LoanApplicationService {
   /**
@@ -158,6 +159,14 @@ class LoanApplicationService {
           // Don't throw - email failure shouldn't break the application
         }
 
+        publish(EVENTS.LOAN_APPLICATION_SUBMITTED, {
+          application_id: loanApplication._id,
+          application_no: loanApplication.application_no,
+          customer_user: loanApplication.customer_user._id,
+          requested_loan_amount: loanApplication.requested_loan_amount,
+          collateral_category: loanApplication.collateral_category
+        });
+
         return {
           success: true,
           data: loanApplication,
@@ -376,6 +385,7 @@ class LoanApplicationService {
         }
 
         // Update application
+        const previousStatus = application.status;
         application.status = status;
         application.updated_at = new Date();
         
@@ -408,6 +418,16 @@ class LoanApplicationService {
           console.error('Failed to send status update email:', emailError);
         }
 
+        publish(EVENTS.LOAN_APPLICATION_STATUS_CHANGED, {
+          application_id: application._id,
+          application_no: application.application_no,
+          customer_user: application.customer_user._id,
+          from: previousStatus,
+          to: status,
+          notes,
+          actor_user: user._id
+        });
+
         return {
           success: true,
           data: application,
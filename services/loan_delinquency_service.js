@@ -0,0 +1,175 @@
+const Loan = require("../models/loan.model");
+const LoanService = require("./loan_service");
+const AuditLogService = require("./audit_log_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DELINQUENCY_BATCH_SIZE = parseInt(process.env.LOAN_DELINQUENCY_BATCH_SIZE) || 200;
+
+class LoanDelinquencyService {
+  /**
+   * Move loans along active -> overdue -> in_grace -> auction.
+   *
+   * A loan is overdue once its due date passes. Its grace period starts the
+   * day after the due date (when the late penalty is charged) and runs for
+   * the loan's grace_days; when it ends the loan and its asset go to auction.
+   * Later stages run first so a loan moves at most one step per cycle and
+   * the customer gets each notice in turn.
+   */
+  async runDelinquencyCycle(now = new Date()) {
+    const moved = { auction: 0, in_grace: 0, overdue: 0 };
+
+    const expired = await Loan.find({
+      status: "in_grace",
+      grace_ends_at: { $lte: now },
+    })
+      .sort({ grace_ends_at: 1 })
+      .limit(DELINQUENCY_BATCH_SIZE);
+
+    for (const loan of expired) {
+      const updated = await this.transition(loan, "auction", {}, "Grace period ended");
+      if (updated) moved.auction += 1;
+    }
+
+    const lapsed = await Loan.find({
+      status: "overdue",
+      due_date: { $lt: this.startOfDay(now) },
+    })
+      .sort({ due_date: 1 })
+      .limit(DELINQUENCY_BATCH_SIZE);
+
+    for (const loan of lapsed) {
+      const graceEndsAt = this.graceEndsAt(loan);
+      const updated = await this.transition(
+        loan,
+        "in_grace",
+        { grace_ends_at: graceEndsAt },
+        `Grace period until ${graceEndsAt.toISOString().slice(0, 10)}`
+      );
+      if (updated) moved.in_grace += 1;
+    }
+
+    const pastDue = await Loan.find({
+      status: "active",
+      due_date: { $lt: now },
+    })
+      .sort({ due_date: 1 })
+      .limit(DELINQUENCY_BATCH_SIZE);
+
+    for (const loan of pastDue) {
+      const updated = await this.transition(loan, "overdue", {}, "Due date passed");
+      if (updated) moved.overdue += 1;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Move a loan between its delinquency statuses, update its asset, notify
+   * the customer and record the change in the loan's status history and the
+   * audit log. The update is conditional on the status and due date read, so
+   * a payment or renewal landing meanwhile wins and the loan is left alone.
+   * options.unset lists fields to clear, options.user the staff member
+   * behind the change (none for the scheduler) and options.trigger what
+   * caused it. Returns the updated loan, or null when it was not moved.
+   */
+  async transition(loan, status, fields, notes, options = {}) {
+    const { unset = [], user = null, trigger = "scheduler" } = options;
+
+    try {
+      LoanService.validateStatusTransition(loan.status, status, loan);
+
+      const update = {
+        $set: { status, ...fields },
+        $push: {
+          status_history: {
+            from: loan.status,
+            to: status,
+            changed_by: user?._id || user,
+            changed_at: new Date(),
+            notes,
+          },
+        },
+      };
+      if (unset.length > 0) {
+        update.$unset = Object.fromEntries(unset.map((field) => [field, 1]));
+      }
+
+      const updated = await Loan.findOneAndUpdate(
+        { _id: loan._id, status: loan.status, due_date: loan.due_date },
+        update,
+        { new: true }
+      );
+      if (!updated) return null;
+
+      await LoanService.updateAssetStatusBasedOnLoan(updated);
+
+      publish(EVENTS.LOAN_STATUS_CHANGED, {
+        loan_id: updated._id,
+        loan_no: updated.loan_no,
+        customer_user: updated.customer_user,
+        from: loan.status,
+        to: status,
+        current_balance: updated.current_balance,
+        currency: updated.currency,
+        due_date: updated.due_date,
+        grace_ends_at: updated.grace_ends_at || null,
+        notes,
+        actor_user: user?._id || user,
+      });
+
+      await this.audit(loan, updated, notes, { user, trigger });
+
+      return updated;
+    } catch (error) {
+      console.error(`Delinquency update for loan ${loan.loan_no} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write the status change to the audit log
+   */
+  async audit(before, loan, notes, { user = null, trigger = "scheduler" } = {}) {
+    try {
+      await AuditLogService.createAuditLog({
+        actor_user: user?._id || user || undefined,
+        actor_roles: user?.roles,
+        action: `loan.${loan.status}`,
+        entity_type: "Loan",
+        entity_id: loan._id,
+        before: {
+          status: before.status,
+          grace_ends_at: before.grace_ends_at || null,
+        },
+        after: {
+          status: loan.status,
+          due_date: loan.due_date,
+          grace_ends_at: loan.grace_ends_at || null,
+          current_balance: loan.current_balance,
+          asset: loan.asset,
+        },
+        meta: { trigger, loan_no: loan.loan_no, notes },
+      });
+    } catch (error) {
+      console.error("Loan audit log error:", error);
+    }
+  }
+
+  /**
+   * End of the grace period: grace_days whole days after the due date
+   */
+  graceEndsAt(loan) {
+    const graceDays = loan.grace_days ?? 0;
+    return new Date(this.startOfDay(loan.due_date).getTime() + (graceDays + 1) * DAY_MS);
+  }
+
+  startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+}
+
+module.exports = new LoanDelinquencyService();
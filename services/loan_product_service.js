@@ -0,0 +1,445 @@
+const LoanProduct = require("../models/loanProduct.model");
+
+const COLLATERAL_CATEGORIES = ["small_loans", "motor_vehicle", "jewellery"];
+
+class LoanProductService {
+  /**
+   * Create a loan product with its first version
+   */
+  async createProduct(productData, userId) {
+    try {
+      const { code, name, description, collateral_category, currency, is_default, version } =
+        productData;
+
+      if (!code || !name || !COLLATERAL_CATEGORIES.includes(collateral_category)) {
+        throw {
+          status: 400,
+          message: `code, name and collateral_category (${COLLATERAL_CATEGORIES.join(", ")}) are required`,
+        };
+      }
+
+      if (!version) {
+        throw {
+          status: 400,
+          message: "An initial version with rate table and limits is required",
+        };
+      }
+
+      const firstVersion = this.buildVersion(version, 1, userId);
+
+      const product = new LoanProduct({
+        code,
+        name,
+        description,
+        collateral_category,
+        currency,
+        is_default: Boolean(is_default),
+        versions: [firstVersion],
+        created_by: userId,
+      });
+      await product.save();
+
+      return {
+        success: true,
+        data: this.withActiveVersion(product),
+        message: "Loan product created successfully",
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Get loan products, optionally by category or status
+   */
+  async getProducts(filters = {}) {
+    try {
+      const query = {};
+      if (filters.collateral_category) query.collateral_category = filters.collateral_category;
+      if (filters.status) query.status = filters.status;
+
+      const products = await LoanProduct.find(query)
+        .sort({ collateral_category: 1, code: 1 })
+        .populate("created_by", "first_name last_name email");
+
+      return {
+        success: true,
+        data: products.map((product) => this.withActiveVersion(product)),
+        message: "Loan products retrieved successfully",
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Get loan product by ID with its version history
+   */
+  async getProductById(productId) {
+    try {
+      const product = await LoanProduct.findById(productId)
+        .populate("created_by", "first_name last_name email")
+        .populate("versions.created_by", "first_name last_name email");
+
+      if (!product) {
+        throw {
+          status: 404,
+          message: `Loan product with ID ${productId} not found`,
+        };
+      }
+
+      return {
+        success: true,
+        data: this.withActiveVersion(product),
+        message: "Loan product retrieved successfully",
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Update product details. Pricing and limits change only through a new version.
+   */
+  async updateProduct(productId, updateData) {
+    try {
+      const product = await LoanProduct.findById(productId);
+      if (!product) {
+        throw {
+          status: 404,
+          message: `Loan product with ID ${productId} not found`,
+        };
+      }
+
+      ["name", "description", "is_default", "status"].forEach((field) => {
+        if (updateData[field] !== undefined) product[field] = updateData[field];
+      });
+
+      if (product.status === "retired") {
+        product.is_default = false;
+      }
+
+      await product.save();
+
+      return {
+        success: true,
+        data: this.withActiveVersion(product),
+        message: "Loan product updated successfully",
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Add a pricing version; it applies to loans started on or after its
+   * effective date. Versions cannot be back-dated.
+   */
+  async addVersion(productId, versionData, userId) {
+    try {
+      const product = await LoanProduct.findById(productId);
+      if (!product) {
+        throw {
+          status: 404,
+          message: `Loan product with ID ${productId} not found`,
+        };
+      }
+
+      const latest = product.versions[product.versions.length - 1];
+      const version = this.buildVersion(
+        versionData,
+        latest ? latest.version_no + 1 : 1,
+        userId
+      );
+
+      const now = new Date();
+      if (version.effective_from < now) {
+        version.effective_from = now;
+      }
+
+      if (latest && version.effective_from <= latest.effective_from) {
+        throw {
+          status: 400,
+          message: `effective_from must be after version ${latest.version_no} (${latest.effective_from.toISOString()})`,
+        };
+      }
+
+      product.versions.push(version);
+      await product.save();
+
+      return {
+        success: true,
+        data: this.withActiveVersion(product),
+        message: `Version ${version.version_no} added`,
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Check and normalise version data
+   */
+  buildVersion(versionData, versionNo, userId) {
+    const invalid = (message) => ({ status: 400, message });
+    const number = (value) => (value === undefined || value === null ? undefined : Number(value));
+
+    const termDays = (versionData.term_days || []).map(Number);
+    if (termDays.length === 0 || termDays.some((days) => !Number.isInteger(days) || days < 1)) {
+      throw invalid("term_days must list at least one term length in whole days");
+    }
+
+    const minPrincipal = number(versionData.min_principal) || 0;
+    const maxPrincipal = number(versionData.max_principal);
+    if (minPrincipal < 0 || (maxPrincipal !== undefined && !(maxPrincipal >= minPrincipal))) {
+      throw invalid("max_principal must be at least min_principal");
+    }
+
+    const maxLtv = number(versionData.max_ltv_percent);
+    if (maxLtv !== undefined && !(maxLtv > 0 && maxLtv <= 100)) {
+      throw invalid("max_ltv_percent must be between 0 and 100");
+    }
+
+    const rateTable = versionData.rate_table || [];
+    if (!Array.isArray(rateTable) || rateTable.length === 0) {
+      throw invalid("rate_table must have at least one rate");
+    }
+
+    const tiers = rateTable.map((tier) => ({
+      term_days: number(tier.term_days),
+      min_principal: number(tier.min_principal) || 0,
+      max_principal: number(tier.max_principal),
+      interest_rate_percent: number(tier.interest_rate_percent),
+      storage_charge_percent: number(tier.storage_charge_percent),
+    }));
+
+    for (const tier of tiers) {
+      if (!(tier.interest_rate_percent >= 0) || !(tier.storage_charge_percent >= 0)) {
+        throw invalid("Each rate needs interest_rate_percent and storage_charge_percent of 0 or more");
+      }
+      if (tier.term_days !== undefined && !termDays.includes(tier.term_days)) {
+        throw invalid(`Rate for ${tier.term_days} days is not one of the term lengths`);
+      }
+      if (tier.max_principal !== undefined && tier.max_principal < tier.min_principal) {
+        throw invalid("Each rate's max_principal must be at least its min_principal");
+      }
+    }
+
+    const effectiveFrom = versionData.effective_from
+      ? new Date(versionData.effective_from)
+      : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      throw invalid("effective_from is not a valid date");
+    }
+
+    return {
+      version_no: versionNo,
+      effective_from: effectiveFrom,
+      min_principal: minPrincipal,
+      max_principal: maxPrincipal,
+      max_ltv_percent: maxLtv,
+      term_days: termDays,
+      rate_table: tiers,
+      penalty_percent: number(versionData.penalty_percent) ?? 10,
+      grace_days: number(versionData.grace_days) ?? 7,
+      notes: versionData.notes,
+      created_by: userId,
+    };
+  }
+
+  /**
+   * Version in force at a date: the latest one already effective
+   */
+  getActiveVersion(product, at = new Date()) {
+    return (
+      [...product.versions]
+        .filter((version) => version.effective_from <= at)
+        .sort((a, b) => b.effective_from - a.effective_from)[0] || null
+    );
+  }
+
+  /**
+   * Product as JSON with the version in force today
+   */
+  withActiveVersion(product) {
+    return {
+      ...product.toObject(),
+      active_version: this.getActiveVersion(product),
+    };
+  }
+
+  /**
+   * Find the product for a loan: the one chosen, or the category default
+   */
+  async findProduct(productId, collateralCategory) {
+    const product = productId
+      ? await LoanProduct.findById(productId)
+      : await LoanProduct.findOne({
+          collateral_category: collateralCategory,
+          is_default: true,
+          status: "active",
+        });
+
+    if (!product) {
+      throw {
+        status: 400,
+        message: productId
+          ? `Loan product with ID ${productId} not found`
+          : `No default loan product is configured for ${collateralCategory}`,
+      };
+    }
+
+    if (product.collateral_category !== collateralCategory) {
+      throw {
+        status: 400,
+        message: `Loan product ${product.code} is for ${product.collateral_category}, not ${collateralCategory}`,
+      };
+    }
+
+    return product;
+  }
+
+  /**
+   * Terms snapshot for a loan or renewal from the product version in
+   * force at `at`. Principal limits and the LTV cap only apply when a
+   * loan is originated (`asset` given).
+   */
+  async resolveTerms({ productId, collateralCategory, principal, termDays, asset, at = new Date() }) {
+    const product = await this.findProduct(productId, collateralCategory);
+
+    if (asset && product.status !== "active") {
+      throw {
+        status: 400,
+        message: `Loan product ${product.code} is retired`,
+      };
+    }
+
+    const version = this.getActiveVersion(product, at);
+    if (!version) {
+      throw {
+        status: 400,
+        message: `Loan product ${product.code} has no version in force on ${at.toISOString().slice(0, 10)}`,
+      };
+    }
+
+    const amount = Number(principal);
+    const days = termDays ? Number(termDays) : version.term_days[0];
+
+    if (!version.term_days.includes(days)) {
+      throw {
+        status: 400,
+        message: `Term of ${days} days is not offered; choose one of ${version.term_days.join(", ")}`,
+      };
+    }
+
+    if (asset) {
+      if (
+        amount < version.min_principal ||
+        (version.max_principal !== undefined && version.max_principal !== null && amount > version.max_principal)
+      ) {
+        throw {
+          status: 400,
+          message: `Principal must be between ${version.min_principal} and ${version.max_principal ?? "no limit"} for ${product.code}`,
+        };
+      }
+
+      if (version.max_ltv_percent) {
+        const value = asset.evaluated_value || 0;
+        if (!value) {
+          throw {
+            status: 400,
+            message: "The asset must be valued before a loan is priced against it",
+          };
+        }
+
+        const ltv = (amount / value) * 100;
+        if (ltv > version.max_ltv_percent) {
+          throw {
+            status: 400,
+            message: `Loan-to-value of ${ltv.toFixed(1)}% exceeds the ${version.max_ltv_percent}% cap (maximum principal ${Math.floor((value * version.max_ltv_percent) / 100)})`,
+          };
+        }
+      }
+    }
+
+    const rate = version.rate_table.find(
+      (tier) =>
+        (tier.term_days === undefined || tier.term_days === null || tier.term_days === days) &&
+        amount >= tier.min_principal &&
+        (tier.max_principal === undefined || tier.max_principal === null || amount <= tier.max_principal)
+    );
+
+    if (!rate) {
+      throw {
+        status: 400,
+        message: `Loan product ${product.code} has no rate for a principal of ${amount} over ${days} days`,
+      };
+    }
+
+    return {
+      product,
+      version,
+      terms: {
+        product: product._id,
+        product_version: version.version_no,
+        interest_rate_percent: rate.interest_rate_percent,
+        interest_period_days: days,
+        storage_charge_percent: rate.storage_charge_percent,
+        penalty_percent: version.penalty_percent,
+        grace_days: version.grace_days,
+      },
+    };
+  }
+
+  /**
+   * Handle MongoDB errors
+   */
+  handleMongoError(error) {
+    console.error("Loan Product Service Error:", error);
+
+    // If it's already a custom error, return it
+    if (error.status && error.message) {
+      return error;
+    }
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return {
+        status: 409,
+        message:
+          field === "collateral_category"
+            ? "Another product is already the default for this category"
+            : `${field.replace("_", " ")} already exists`,
+        field,
+      };
+    }
+
+    // Handle validation errors
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return {
+        status: 400,
+        message: "Validation failed",
+        errors,
+      };
+    }
+
+    // Handle CastError (invalid ObjectId)
+    if (error.name === "CastError") {
+      return {
+        status: 400,
+        message: `Invalid ${error.path}: ${error.value}`,
+      };
+    }
+
+    // Default error
+    return {
+      status: 500,
+      message: "Internal server error",
+      detail: error.message,
+    };
+  }
+}
+
+module.exports = new LoanProductService();
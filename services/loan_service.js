@@ -1,8 +1,24 @@
+const mongoose = require("mongoose");
 const Loan = require("../models/loan.model");
 const LoanApplication = require("../models/loanApplication.model");
+const LoanTerm = require("../models/loanTerm.model");
+const Payment = require("../models/payment.model");
 const User = require("../models/user.model");
 const Asset = require("../models/asset.model");
+const AssetValuation = require("../models/asset-valuation.model");
 const Attachment = require("../models/attachment.model");
+const DocumentTemplate = require("../models/document-template.model");
+const LoanProductService = require("./loan_product_service");
+const LoanAccrualService = require("./loan_accrual_service");
+const inventoryTransactionService = require("./inventory_transaction_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+// Asset category expected for each loan collateral category
+const COLLATERAL_ASSET_CATEGORIES = {
+  small_loans: "electronics",
+  motor_vehicle: "vehicle",
+  jewellery: "jewellery",
+};
 
 class LoanService {
   /**
@@ -12,11 +28,7 @@ class LoanService {
     try {
       // Generate loan number if not provided
       if (!loanData.loan_no) {
-        const date = new Date();
-        const year = date.getFullYear().toString().slice(-2);
-        const month = (date.getMonth() + 1).toString().padStart(2, "0");
-        const random = Math.floor(1000 + Math.random() * 9000);
-        loanData.loan_no = `LON${year}${month}${random}`;
+        loanData.loan_no = this.generateLoanNo();
       }
 
       // Set created_by if not provided
@@ -29,6 +41,9 @@ class LoanService {
         loanData.current_balance = loanData.principal_amount;
       }
 
+      // Price the loan from its product; rates are never taken from the request
+      await this.applyProductTerms(loanData);
+
       // Validate required dates
       this.validateLoanDates(loanData);
 
@@ -64,6 +79,17 @@ class LoanService {
         });
       }
 
+      publish(EVENTS.LOAN_CREATED, {
+        loan_id: loan._id,
+        loan_no: loan.loan_no,
+        customer_user: loan.customer_user,
+        status: loan.status,
+        principal_amount: loan.principal_amount,
+        currency: loan.currency,
+        due_date: loan.due_date,
+        actor_user: userId,
+      });
+
       return {
         success: true,
         data: populatedLoan,
@@ -74,6 +100,294 @@ class LoanService {
     }
   }
 
+  /**
+   * Originate a loan from an approved application and its valued asset.
+   * The loan, initial term, asset pledge, disbursement and pawn contract
+   * are written in one transaction.
+   */
+  async originateLoan(applicationId, originationData, user) {
+    try {
+      const userId = user?._id || user?.id;
+
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      let loan;
+      try {
+        const application = await LoanApplication.findById(applicationId).session(session);
+        if (!application) {
+          throw {
+            status: 404,
+            message: `Loan application with ID ${applicationId} not found`,
+          };
+        }
+
+        if (application.status !== "approved") {
+          throw {
+            status: 400,
+            message: `Only approved applications can be converted to a loan (status: ${application.status})`,
+          };
+        }
+
+        const existingLoan = await Loan.findOne({ application: application._id }).session(session);
+        if (existingLoan) {
+          throw {
+            status: 409,
+            message: `Application ${application.application_no} already has loan ${existingLoan.loan_no}`,
+          };
+        }
+
+        const { asset, valuation } = await this.getOriginationAsset(
+          originationData.asset,
+          application,
+          session
+        );
+
+        // Price and create the loan
+        const loanData = {
+          loan_no: this.generateLoanNo(),
+          customer_user: application.customer_user,
+          application: application._id,
+          asset: asset._id,
+          collateral_category: application.collateral_category,
+          principal_amount: Number(
+            originationData.principal_amount || application.requested_loan_amount
+          ),
+          currency: valuation.currency,
+          product_id: originationData.product_id,
+          term_days: originationData.term_days,
+          start_date: originationData.start_date,
+          status: "active",
+          created_by: userId,
+          processed_by: userId,
+        };
+        loanData.current_balance = loanData.principal_amount;
+
+        await this.applyProductTerms(loanData, asset);
+
+        loan = new Loan(loanData);
+        await loan.save({ session });
+
+        const initialTerm = new LoanTerm({
+          loan: loan._id,
+          term_no: 1,
+          start_date: loan.start_date,
+          due_date: loan.due_date,
+          opening_balance: loan.principal_amount,
+          closing_balance: loan.principal_amount,
+          product: loan.product,
+          product_version: loan.product_version,
+          interest_rate_percent: loan.interest_rate_percent,
+          interest_period_days: loan.interest_period_days,
+          storage_charge_percent: loan.storage_charge_percent,
+          penalty_percent: loan.penalty_percent,
+          grace_days: loan.grace_days,
+          renewal_type: "initial",
+          approved_by: userId,
+          approved_at: new Date(),
+        });
+        await initialTerm.save({ session });
+
+        // Pledge the asset
+        asset.status = "pawned";
+        asset.active_loan = loan._id;
+        await asset.save({ session });
+
+        await inventoryTransactionService.createLoanDisbursementTransaction(
+          loan._id,
+          userId,
+          session
+        );
+
+        const contract = await this.generatePawnContract(
+          loan,
+          application,
+          asset,
+          userId,
+          session
+        );
+        await Loan.updateOne(
+          { _id: loan._id },
+          { $push: { attachments: contract._id } },
+          { session }
+        );
+
+        const note = `[${new Date().toISOString()}] ${user?.first_name || "System"}: Converted to loan ${loan.loan_no}`;
+        application.internal_notes = application.internal_notes
+          ? `${application.internal_notes}\n${note}`
+          : note;
+        application.updated_at = new Date();
+        await application.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+
+      const result = await this.getLoanById(loan._id);
+
+      publish(EVENTS.LOAN_CREATED, {
+        loan_id: loan._id,
+        loan_no: loan.loan_no,
+        customer_user: loan.customer_user,
+        status: loan.status,
+        principal_amount: loan.principal_amount,
+        currency: loan.currency,
+        due_date: loan.due_date,
+        actor_user: userId,
+      });
+
+      return {
+        success: true,
+        data: result.data,
+        message: `Loan ${loan.loan_no} originated successfully`,
+      };
+    } catch (error) {
+      throw this.handleMongoError(error);
+    }
+  }
+
+  /**
+   * Load the asset for origination and check it is the applicant's,
+   * matches the collateral category, is free, and has a completed final valuation
+   */
+  async getOriginationAsset(assetId, application, session) {
+    if (!assetId) {
+      throw {
+        status: 400,
+        message: "asset is required",
+      };
+    }
+
+    const asset = await Asset.findById(assetId).session(session);
+    if (!asset) {
+      throw {
+        status: 404,
+        message: `Asset with ID ${assetId} not found`,
+      };
+    }
+
+    if (asset.owner_user && !asset.owner_user.equals(application.customer_user)) {
+      throw {
+        status: 400,
+        message: "The asset does not belong to the applicant",
+      };
+    }
+
+    const expectedCategory = COLLATERAL_ASSET_CATEGORIES[application.collateral_category];
+    if (asset.category !== expectedCategory) {
+      throw {
+        status: 400,
+        message: `A ${application.collateral_category} loan needs a ${expectedCategory} asset, not ${asset.category}`,
+      };
+    }
+
+    if (asset.active_loan || ["pawned", "auction", "sold"].includes(asset.status)) {
+      throw {
+        status: 409,
+        message: `Asset ${asset.asset_no} is already pledged or sold`,
+      };
+    }
+
+    const valuation = await AssetValuation.findOne({
+      asset: asset._id,
+      stage: "final",
+      status: "completed",
+    })
+      .sort({ updated_at: -1 })
+      .session(session);
+
+    if (!valuation || !valuation.final_value) {
+      throw {
+        status: 400,
+        message: `Asset ${asset.asset_no} has no completed final valuation`,
+      };
+    }
+
+    // Loans are priced against the final valuation
+    asset.evaluated_value = valuation.final_value;
+    asset.evaluated_by = asset.evaluated_by || valuation.valued_by_user;
+    asset.evaluated_at = asset.evaluated_at || valuation.assessment_date || valuation.updated_at;
+    if (!asset.owner_user) {
+      asset.owner_user = application.customer_user;
+    }
+
+    return { asset, valuation };
+  }
+
+  /**
+   * Generate the pawn contract for a loan from the active template of its
+   * collateral category, with the agreed terms recorded on the attachment
+   */
+  async generatePawnContract(loan, application, asset, userId, session) {
+    const templateCode =
+      loan.collateral_category === "motor_vehicle"
+        ? "PAWN_CONTRACT_MOTOR_VEHICLE"
+        : "PAWN_CONTRACT_OTHER_MOVABLES";
+
+    const template = await DocumentTemplate.findOne({
+      code: templateCode,
+      is_active: true,
+    }).session(session);
+
+    if (!template) {
+      throw {
+        status: 400,
+        message: `No active ${templateCode} template is configured`,
+      };
+    }
+
+    const isPdf = /\.pdf($|\?)/i.test(template.file_url);
+
+    const [contract] = await Attachment.create(
+      [
+        {
+          owner_user: loan.customer_user,
+          entity_type: "Loan",
+          entity_id: loan._id,
+          category: "contract",
+          filename: `${loan.loan_no}-contract.${isPdf ? "pdf" : "docx"}`,
+          mime_type: isPdf
+            ? "application/pdf"
+            : "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+          storage: "url",
+          url: template.file_url,
+          signed: false,
+          meta: {
+            template_id: template._id,
+            template_code: template.code,
+            template_version: template.version,
+            generated_by: userId,
+            fields: {
+              loan_no: loan.loan_no,
+              application_no: application.application_no,
+              borrower_name: application.full_name,
+              borrower_national_id: application.national_id_number,
+              asset_no: asset.asset_no,
+              asset_title: asset.title,
+              evaluated_value: asset.evaluated_value,
+              principal_amount: loan.principal_amount,
+              currency: loan.currency,
+              interest_rate_percent: loan.interest_rate_percent,
+              interest_period_days: loan.interest_period_days,
+              storage_charge_percent: loan.storage_charge_percent,
+              penalty_percent: loan.penalty_percent,
+              grace_days: loan.grace_days,
+              start_date: loan.start_date,
+              due_date: loan.due_date,
+            },
+          },
+        },
+      ],
+      { session }
+    );
+
+    return contract;
+  }
+
   /**
    * Get loan by ID with full population
    */
@@ -288,6 +602,24 @@ class LoanService {
         };
       }
 
+      // Terms are snapshotted from the loan product and cannot be edited
+      const pricedFields = [
+        "product",
+        "product_version",
+        "interest_rate_percent",
+        "interest_period_days",
+        "storage_charge_percent",
+        "penalty_percent",
+        "grace_days",
+      ].filter((field) => updateData[field] !== undefined);
+
+      if (pricedFields.length > 0) {
+        throw {
+          status: 400,
+          message: `${pricedFields.join(", ")} come from the loan product and cannot be changed`,
+        };
+      }
+
       // Check if loan status allows updates
       if (
         existingLoan.status === "closed" ||
@@ -396,6 +728,19 @@ class LoanService {
       // Update associated asset status
       await this.updateAssetStatusBasedOnLoan(updatedLoan);
 
+      publish(EVENTS.LOAN_STATUS_CHANGED, {
+        loan_id: updatedLoan._id,
+        loan_no: updatedLoan.loan_no,
+        customer_user: updatedLoan.customer_user?._id || updatedLoan.customer_user,
+        from: loan.status,
+        to: status,
+        current_balance: updatedLoan.current_balance,
+        currency: updatedLoan.currency,
+        due_date: updatedLoan.due_date,
+        notes,
+        actor_user: userId,
+      });
+
       return {
         success: true,
         data: updatedLoan,
@@ -591,25 +936,14 @@ class LoanService {
         (dueDate - startDate) / (1000 * 60 * 60 * 24)
       );
 
-      // Calculate interest
-      const dailyInterestRate = loan.interest_rate_percent / 100 / 365;
-      const interestAccrued =
-        loan.principal_amount * dailyInterestRate * daysElapsed;
-
-      // Calculate storage charge
-      const storageCharge =
-        (loan.principal_amount * loan.storage_charge_percent) / 100;
-
-      // Calculate penalty if overdue
-      let penalty = 0;
-      if (now > dueDate && loan.status === "overdue") {
-        const overdueDays = Math.ceil((now - dueDate) / (1000 * 60 * 60 * 24));
-        penalty =
-          loan.current_balance * (loan.penalty_percent / 100) * overdueDays;
-      }
+      // Charges come from the persisted daily accruals, less what payments covered
+      const charges = await LoanAccrualService.getAccruedCharges(loan._id);
 
       const totalDue =
-        loan.current_balance + interestAccrued + storageCharge + penalty;
+        loan.current_balance +
+        charges.interest.outstanding +
+        charges.storage.outstanding +
+        charges.penalty.outstanding;
 
       return {
         success: true,
@@ -619,11 +953,14 @@ class LoanService {
           days_elapsed: daysElapsed,
           total_loan_days: totalLoanDays,
           interest_rate: loan.interest_rate_percent,
-          interest_accrued: parseFloat(interestAccrued.toFixed(2)),
+          interest_period_days: loan.interest_period_days,
+          interest_accrued: charges.interest.outstanding,
           storage_charge_percent: loan.storage_charge_percent,
-          storage_charge: parseFloat(storageCharge.toFixed(2)),
+          storage_charge: charges.storage.outstanding,
           penalty_percent: loan.penalty_percent,
-          penalty: parseFloat(penalty.toFixed(2)),
+          penalty: charges.penalty.outstanding,
+          charges,
+          accrued_through: loan.accrued_through || null,
           total_due: parseFloat(totalDue.toFixed(2)),
           due_date: loan.due_date,
           is_overdue: now > dueDate,
@@ -641,8 +978,9 @@ class LoanService {
 
   /**
    * Process loan payment
+   * Records a cash payment and applies it through the allocation waterfall
    */
-  async processPayment(loanId, paymentData) {
+  async processPayment(loanId, paymentData, userId) {
     try {
       const loan = await Loan.findById(loanId);
       if (!loan) {
@@ -652,7 +990,7 @@ class LoanService {
         };
       }
 
-      if (loan.status !== "active" && loan.status !== "overdue") {
+      if (!["active", "overdue", "in_grace"].includes(loan.status)) {
         throw {
           status: 400,
           message: `Cannot process payment for loan with status: ${loan.status}`,
@@ -668,56 +1006,51 @@ class LoanService {
         };
       }
 
-      // Calculate charges first
-      const charges = await this.calculateLoanCharges(loanId);
-
-      // Update loan balance
-      const newBalance = Math.max(0, loan.current_balance - amount);
-
-      const updateData = {
-        current_balance: newBalance,
-        updated_at: new Date(),
-        $push: {
-          payment_history: {
-            amount,
-            payment_method,
-            notes,
-            paid_at: new Date(),
-            previous_balance: loan.current_balance,
-            new_balance: newBalance,
-          },
-        },
-      };
-
-      // Update status if fully paid
-      if (newBalance === 0) {
-        updateData.status = "redeemed";
-        updateData.closed_at = new Date();
-      }
-
-      const updatedLoan = await Loan.findByIdAndUpdate(loanId, updateData, {
-        new: true,
+      const date = new Date();
+      const year = date.getFullYear().toString().slice(-2);
+      const month = (date.getMonth() + 1).toString().padStart(2, "0");
+      const random = Math.floor(1000 + Math.random() * 9000);
+
+      const payment = new Payment({
+        loan: loan._id,
+        amount,
+        currency: loan.currency,
+        provider: "cash",
+        payment_method_label: payment_method,
+        payment_status: "paid",
+        paid_at: date,
+        received_by: userId,
+        receipt_no: `RCPT${year}${month}${random}`,
+        meta: notes ? { notes } : undefined,
       });
+      await payment.save();
 
-      // Update asset status if loan is redeemed
-      if (newBalance === 0 && loan.asset) {
-        await Asset.findByIdAndUpdate(loan.asset, {
-          status: "redeemed",
-          $unset: { active_loan: "" },
-        });
-      }
+      // Loaded here: payment_service initialises the payment gateway on require
+      const paymentService = require("./payment_service");
+      await paymentService.updateLoanBalance(payment, userId);
+
+      const updatedLoan = await Loan.findById(loanId);
 
       return {
         success: true,
         data: {
           loan: updatedLoan,
           payment: {
+            _id: payment._id,
+            receipt_no: payment.receipt_no,
             amount,
             payment_method,
             previous_balance: loan.current_balance,
-            new_balance: newBalance,
-            remaining_balance: newBalance,
-            fully_paid: newBalance === 0,
+            new_balance: updatedLoan.current_balance,
+            remaining_balance: updatedLoan.current_balance,
+            fully_paid: updatedLoan.current_balance === 0,
+            allocation: {
+              penalty: payment.penalty_component,
+              storage: payment.storage_component,
+              interest: payment.interest_component,
+              principal: payment.principal_component,
+              unallocated: payment.unallocated_amount,
+            },
           },
         },
         message: `Payment of ${amount} processed successfully`,
@@ -734,8 +1067,8 @@ class LoanService {
     const validTransitions = {
       draft: ["active", "cancelled"],
       active: ["overdue", "in_grace", "redeemed", "closed"],
-      overdue: ["in_grace", "auction", "redeemed", "closed"],
-      in_grace: ["auction", "redeemed", "closed"],
+      overdue: ["active", "in_grace", "auction", "redeemed", "closed"],
+      in_grace: ["active", "auction", "redeemed", "closed"],
       auction: ["sold", "closed"],
       sold: ["closed"],
       redeemed: ["closed"],
@@ -781,6 +1114,59 @@ class LoanService {
     }
   }
 
+  /**
+   * Snapshot rates and limits from the product version in force at the
+   * start date, and set the due date from the chosen term length
+   */
+  async applyProductTerms(loanData, asset = null) {
+    if (!loanData.collateral_category) {
+      throw {
+        status: 400,
+        message: "collateral_category is required",
+      };
+    }
+
+    asset = asset || (await Asset.findById(loanData.asset).select("evaluated_value"));
+    if (!asset) {
+      throw {
+        status: 404,
+        message: `Asset with ID ${loanData.asset} not found`,
+      };
+    }
+
+    const startDate = loanData.start_date ? new Date(loanData.start_date) : new Date();
+
+    const { terms } = await LoanProductService.resolveTerms({
+      productId: loanData.product_id || loanData.product,
+      collateralCategory: loanData.collateral_category,
+      principal: loanData.principal_amount,
+      termDays: loanData.term_days,
+      asset,
+      at: startDate,
+    });
+
+    delete loanData.product_id;
+    delete loanData.term_days;
+    Object.assign(loanData, terms);
+
+    const dueDate = new Date(startDate);
+    dueDate.setDate(dueDate.getDate() + terms.interest_period_days);
+
+    loanData.start_date = startDate;
+    loanData.due_date = dueDate;
+  }
+
+  /**
+   * Generate loan number
+   */
+  generateLoanNo() {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const random = Math.floor(1000 + Math.random() * 9000);
+    return `LON${year}${month}${random}`;
+  }
+
   /**
    * Validate loan dates
    */
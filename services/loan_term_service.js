@@ -1,6 +1,19 @@
 const LoanTerm = require("../models/loanTerm.model");
 const Loan = require("../models/loan.model");
 const User = require("../models/user.model");
+const LoanProductService = require("./loan_product_service");
+const LoanDelinquencyService = require("./loan_delinquency_service");
+
+// Term pricing, snapshotted from the loan product version
+const PRICED_FIELDS = [
+  "product",
+  "product_version",
+  "interest_rate_percent",
+  "interest_period_days",
+  "storage_charge_percent",
+  "penalty_percent",
+  "grace_days",
+];
 
 class LoanTermService {
   /**
@@ -25,6 +38,14 @@ class LoanTermService {
         termData.term_no = lastTerm ? lastTerm.term_no + 1 : 1;
       }
 
+      // Rates come only from the loan's product snapshot
+      this.rejectPricedFields(termData);
+      PRICED_FIELDS.forEach((field) => {
+        if (loan[field] !== undefined) {
+          termData[field] = loan[field];
+        }
+      });
+
       // Set approved_by and approved_at if status indicates approval
       if (termData.status === "approved" && userId) {
         termData.approved_by = userId;
@@ -52,7 +73,7 @@ class LoanTermService {
 
       // If this is an approved renewal, update the loan
       if (loanTerm.renewal_type !== "initial" && loanTerm.approved_by) {
-        await this.updateLoanForRenewal(loanTerm);
+        await this.updateLoanForRenewal(loanTerm, userId);
       }
 
       return {
@@ -291,6 +312,8 @@ class LoanTermService {
         };
       }
 
+      this.rejectPricedFields(updateData);
+
       // If approving, set approved_by and approved_at
       if (
         updateData.status === "approved" &&
@@ -378,7 +401,7 @@ class LoanTermService {
 
       // If this is a renewal, update the loan
       if (approvedTerm.renewal_type !== "initial") {
-        await this.updateLoanForRenewal(approvedTerm);
+        await this.updateLoanForRenewal(approvedTerm, userId);
       }
 
       return {
@@ -545,11 +568,21 @@ class LoanTermService {
 
       const nextTermNo = lastTerm.term_no + 1;
 
+      // Reprice from the product version in force when the new term starts
+      const { terms } = await LoanProductService.resolveTerms({
+        productId: loan.product,
+        collateralCategory: loan.collateral_category,
+        principal: lastTerm.closing_balance,
+        termDays: renewalData.term_days || loan.interest_period_days,
+        at: new Date(lastTerm.due_date),
+      });
+
       // Calculate new dates based on renewal type
       const newTermData = this.calculateRenewalTermData(
         lastTerm,
         renewalData,
-        nextTermNo
+        nextTermNo,
+        terms
       );
 
       // Create the renewal term
@@ -589,12 +622,12 @@ class LoanTermService {
   /**
    * Calculate renewal term data
    */
-  calculateRenewalTermData(lastTerm, renewalData, nextTermNo) {
+  calculateRenewalTermData(lastTerm, renewalData, nextTermNo, terms) {
     const startDate = new Date(lastTerm.due_date);
     const dueDate = new Date(startDate);
 
     // Calculate new due date based on interest period
-    dueDate.setDate(dueDate.getDate() + lastTerm.interest_period_days);
+    dueDate.setDate(dueDate.getDate() + terms.interest_period_days);
 
     // Calculate balances based on renewal type
     let openingBalance = lastTerm.closing_balance;
@@ -625,16 +658,14 @@ class LoanTermService {
       due_date: dueDate,
       opening_balance: openingBalance,
       closing_balance: closingBalance,
-      interest_rate_percent: lastTerm.interest_rate_percent,
-      interest_period_days: lastTerm.interest_period_days,
-      storage_charge_percent: lastTerm.storage_charge_percent,
+      ...terms,
     };
   }
 
   /**
    * Update loan for renewal
    */
-  async updateLoanForRenewal(loanTerm) {
+  async updateLoanForRenewal(loanTerm, userId) {
     const loanUpdate = {
       current_balance: loanTerm.closing_balance,
       start_date: loanTerm.start_date,
@@ -642,6 +673,19 @@ class LoanTermService {
       updated_at: new Date(),
     };
 
+    // The loan carries the terms of its current product version
+    if (loanTerm.product_version !== undefined) {
+      Object.assign(loanUpdate, {
+        product: loanTerm.product,
+        product_version: loanTerm.product_version,
+        interest_rate_percent: loanTerm.interest_rate_percent,
+        interest_period_days: loanTerm.interest_period_days,
+        storage_charge_percent: loanTerm.storage_charge_percent,
+        penalty_percent: loanTerm.penalty_percent,
+        grace_days: loanTerm.grace_days,
+      });
+    }
+
     // Update loan status if fully settled
     if (
       loanTerm.renewal_type === "full_settlement" &&
@@ -650,7 +694,38 @@ class LoanTermService {
       loanUpdate.status = "redeemed";
     }
 
-    await Loan.findByIdAndUpdate(loanTerm.loan._id, loanUpdate);
+    const loan = await Loan.findByIdAndUpdate(loanTerm.loan._id, loanUpdate, {
+      new: true,
+    });
+
+    // Renewing past the new due date brings an overdue loan back to active
+    if (
+      loan &&
+      ["overdue", "in_grace"].includes(loan.status) &&
+      new Date(loanTerm.due_date) > new Date()
+    ) {
+      await LoanDelinquencyService.transition(
+        loan,
+        "active",
+        {},
+        `Renewed with term ${loanTerm.term_no}`,
+        { unset: ["grace_ends_at"], user: userId, trigger: "renewal" }
+      );
+    }
+  }
+
+  /**
+   * Terms are priced from the loan product and cannot be set by hand
+   */
+  rejectPricedFields(termData) {
+    const priced = PRICED_FIELDS.filter((field) => termData[field] !== undefined);
+
+    if (priced.length > 0) {
+      throw {
+        status: 400,
+        message: `${priced.join(", ")} come from the loan product and cannot be set`,
+      };
+    }
   }
 
   /**
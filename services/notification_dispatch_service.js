@@ -0,0 +1,535 @@
+const Notification = require("../models/notifications_model");
+const NotificationDelivery = require("../models/notificationDelivery.model");
+const User = require("../models/user.model");
+const { sendEmail, generateDocumentTemplate } = require("../utils/emails_util");
+const { sendSms } = require("../utils/sms_util");
+const { sendPush } = require("../utils/push_util");
+const { INSTANCE_ID } = require("../utils/scheduler_util");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+const EXTERNAL_CHANNELS = ["email", "sms", "push"];
+
+const DISPATCH_LEASE_MS = parseInt(process.env.NOTIFICATION_DISPATCH_LEASE_MS) || 5 * 60 * 1000;
+const DISPATCH_BATCH_SIZE = parseInt(process.env.NOTIFICATION_DISPATCH_BATCH_SIZE) || 20;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 60 * 1000;
+const RECIPIENT_BATCH_SIZE = 500;
+
+/**
+ * Notification Dispatch Service
+ * Moves due notifications from scheduled to sent and fans them out
+ * to every recipient on each external channel
+ */
+class NotificationDispatchService {
+  /**
+   * Build the user query for a notification audience
+   */
+  static buildRecipientQuery(audience = {}) {
+    const query = { status: "active" };
+
+    if (audience.scope === "user") {
+      query._id = audience.user_id;
+    } else if (audience.scope === "roles") {
+      query.roles = { $in: audience.roles || [] };
+    }
+
+    return query;
+  }
+
+  /**
+   * Resolve the destination address of a user on a channel
+   */
+  static getDestination(user, channel) {
+    if (channel === "email") return user.email || null;
+    if (channel === "sms") return user.phone || null;
+    if (channel === "push") return String(user._id);
+    return null;
+  }
+
+  /**
+   * Delay before the next attempt (exponential backoff)
+   */
+  static getRetryDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  /**
+   * Cancel scheduled notifications that expired before being dispatched
+   */
+  static async expireNotifications() {
+    const now = new Date();
+
+    const expired = await Notification.find({
+      status: "scheduled",
+      expires_at: { $ne: null, $lte: now },
+    }).select("_id");
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    const ids = expired.map((n) => n._id);
+
+    await Notification.updateMany(
+      { _id: { $in: ids }, status: "scheduled" },
+      {
+        $set: {
+          status: "cancelled",
+          is_active: false,
+          "dispatch.locked_until": null,
+          "dispatch.locked_by": null,
+          "dispatch.last_error": "Notification expired before dispatch",
+        },
+      }
+    );
+
+    await NotificationDelivery.updateMany(
+      { notification: { $in: ids }, status: { $in: ["pending", "retrying"] } },
+      { $set: { status: "failed", last_error: "Notification expired", next_attempt_at: null } }
+    );
+
+    return ids.length;
+  }
+
+  /**
+   * Take the dispatch lease on a due notification
+   */
+  static async claimNotification(filter = {}) {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+      {
+        ...filter,
+        status: "scheduled",
+        is_active: true,
+        send_at: { $lte: now },
+        $and: [
+          { $or: [{ expires_at: null }, { expires_at: { $gt: now } }] },
+          {
+            $or: [
+              { "dispatch.locked_until": null },
+              { "dispatch.locked_until": { $lte: now } },
+            ],
+          },
+        ],
+      },
+      {
+        $set: {
+          "dispatch.locked_until": new Date(now.getTime() + DISPATCH_LEASE_MS),
+          "dispatch.locked_by": INSTANCE_ID,
+          "dispatch.started_at": now,
+        },
+      },
+      { new: true, sort: { send_at: 1 } }
+    );
+  }
+
+  /**
+   * Create delivery records for every recipient on every external channel
+   * Upserts keep this idempotent when a dispatch is resumed
+   */
+  static async expandRecipients(notification) {
+    const channels = (notification.channels || []).filter((c) =>
+      EXTERNAL_CHANNELS.includes(c)
+    );
+
+    let recipients = 0;
+
+    const cursor = User.find(this.buildRecipientQuery(notification.audience))
+      .select("_id email phone")
+      .lean()
+      .cursor();
+
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await NotificationDelivery.bulkWrite(batch, { ordered: false });
+      batch = [];
+    };
+
+    for await (const user of cursor) {
+      recipients += 1;
+
+      for (const channel of channels) {
+        const destination = this.getDestination(user, channel);
+
+        batch.push({
+          updateOne: {
+            filter: { notification: notification._id, user: user._id, channel },
+            update: {
+              $setOnInsert: {
+                destination,
+                status: destination ? "pending" : "skipped",
+                last_error: destination ? null : `No ${channel} destination on user`,
+              },
+            },
+            upsert: true,
+          },
+        });
+      }
+
+      if (batch.length >= RECIPIENT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    return recipients;
+  }
+
+  /**
+   * Send a notification through a single channel adapter
+   */
+  static async sendThroughChannel(notification, delivery, user) {
+    const title = notification.title;
+    const message = notification.message;
+
+    if (delivery.channel === "email") {
+      const fullName = [user.first_name, user.last_name].filter(Boolean).join(" ");
+      const body = `
+        <p style="margin: 0 0 15px 0;">Dear ${fullName || "Customer"},</p>
+        <p style="margin: 0 0 15px 0;">${message}</p>
+      `;
+      const details = notification.action_url
+        ? `<p style="margin: 25px 0;"><a href="${notification.action_url}" style="color: #6ba547; font-weight: bold;">${notification.action_text || "View details"}</a></p>`
+        : null;
+
+      await sendEmail({
+        to: delivery.destination,
+        subject: title,
+        text: message,
+        html: generateDocumentTemplate({ title, message: body, details }),
+      });
+      return { driver: "email" };
+    }
+
+    if (delivery.channel === "sms") {
+      return sendSms({
+        to: delivery.destination,
+        message: `${title}: ${message}`,
+        meta: { notification_id: String(notification._id) },
+      });
+    }
+
+    if (delivery.channel === "push") {
+      return sendPush({
+        userId: user._id,
+        title,
+        body: message,
+        data: {
+          ...(notification.data || {}),
+          notification_id: String(notification._id),
+          type: notification.type,
+          action_url: notification.action_url,
+        },
+      });
+    }
+
+    throw new Error(`Unsupported channel: ${delivery.channel}`);
+  }
+
+  /**
+   * Attempt a single delivery and record the outcome
+   */
+  static async attemptDelivery(notification, deliveryId) {
+    const now = new Date();
+
+    // Claim the delivery so it is only attempted once at a time
+    const delivery = await NotificationDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: { $in: ["pending", "retrying"] } },
+      {
+        $set: { status: "sending", last_attempt_at: now, next_attempt_at: null },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    ).populate("user", "first_name last_name email phone");
+
+    if (!delivery) {
+      return null;
+    }
+
+    try {
+      const response = await this.sendThroughChannel(
+        notification,
+        delivery,
+        delivery.user || {}
+      );
+
+      delivery.status = "sent";
+      delivery.delivered_at = new Date();
+      delivery.last_error = null;
+      delivery.provider_response = response || null;
+    } catch (error) {
+      const canRetry = delivery.attempts < MAX_ATTEMPTS;
+
+      delivery.status = canRetry ? "retrying" : "failed";
+      delivery.last_error = error.message || String(error);
+      delivery.next_attempt_at = canRetry
+        ? new Date(Date.now() + this.getRetryDelay(delivery.attempts))
+        : null;
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Recompute the dispatch summary of a notification from its deliveries
+   */
+  static async refreshSummary(notificationId) {
+    const counts = await NotificationDelivery.aggregate([
+      { $match: { notification: notificationId } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const summary = { delivered: 0, failed: 0, skipped: 0 };
+    counts.forEach((item) => {
+      if (item._id === "sent") summary.delivered = item.count;
+      if (item._id === "failed") summary.failed = item.count;
+      if (item._id === "skipped") summary.skipped = item.count;
+    });
+
+    await Notification.updateOne(
+      { _id: notificationId },
+      {
+        $set: {
+          "dispatch.delivered": summary.delivered,
+          "dispatch.failed": summary.failed,
+          "dispatch.skipped": summary.skipped,
+        },
+      }
+    );
+
+    return summary;
+  }
+
+  /**
+   * Dispatch a claimed notification: fan out, deliver, mark as sent
+   */
+  static async processNotification(notification) {
+    try {
+      const recipients = await this.expandRecipients(notification);
+
+      const pending = NotificationDelivery.find({
+        notification: notification._id,
+        status: "pending",
+      })
+        .select("_id")
+        .lean()
+        .cursor();
+
+      for await (const delivery of pending) {
+        await this.attemptDelivery(notification, delivery._id);
+      }
+
+      const now = new Date();
+      const marked = await Notification.updateOne(
+        { _id: notification._id, status: "scheduled", "dispatch.locked_by": INSTANCE_ID },
+        {
+          $set: {
+            status: "sent",
+            sent_at: now,
+            "dispatch.completed_at": now,
+            "dispatch.recipients": recipients,
+            "dispatch.locked_until": null,
+            "dispatch.locked_by": null,
+            "dispatch.last_error": null,
+          },
+        }
+      );
+
+      await this.refreshSummary(notification._id);
+
+      if (marked.modifiedCount > 0) {
+        publish(EVENTS.NOTIFICATION_SENT, {
+          notification_id: notification._id,
+          title: notification.title,
+          message: notification.message,
+          type: notification.type,
+          priority: notification.priority,
+          audience: notification.audience,
+          channels: notification.channels,
+          action_text: notification.action_text,
+          action_url: notification.action_url,
+          data: notification.data,
+          send_at: notification.send_at,
+          sent_at: now,
+          expires_at: notification.expires_at,
+        });
+      }
+
+      return { notification: notification._id, recipients };
+    } catch (error) {
+      console.error("Dispatch notification error:", error);
+
+      // Release the lease so the next cycle resumes the fan-out
+      await Notification.updateOne(
+        { _id: notification._id, "dispatch.locked_by": INSTANCE_ID },
+        {
+          $set: {
+            "dispatch.locked_until": null,
+            "dispatch.locked_by": null,
+            "dispatch.last_error": error.message || String(error),
+          },
+        }
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Dispatch a single notification right away (used by send-now)
+   */
+  static async dispatchNotification(notificationId) {
+    const notification = await this.claimNotification({ _id: notificationId });
+
+    if (!notification) {
+      return null;
+    }
+
+    return this.processNotification(notification);
+  }
+
+  /**
+   * Dispatch due scheduled notifications
+   */
+  static async dispatchDueNotifications(limit = DISPATCH_BATCH_SIZE) {
+    const results = [];
+
+    for (let i = 0; i < limit; i++) {
+      const notification = await this.claimNotification();
+      if (!notification) break;
+
+      try {
+        results.push(await this.processNotification(notification));
+      } catch (error) {
+        results.push({ notification: notification._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry failed deliveries whose backoff has elapsed
+   */
+  static async retryDueDeliveries(limit = RECIPIENT_BATCH_SIZE) {
+    const now = new Date();
+
+    // Deliveries left in "sending" by a crashed process go back to retrying
+    await NotificationDelivery.updateMany(
+      {
+        status: "sending",
+        last_attempt_at: { $lte: new Date(now.getTime() - DISPATCH_LEASE_MS) },
+      },
+      { $set: { status: "retrying", next_attempt_at: now } }
+    );
+
+    const due = await NotificationDelivery.find({
+      status: "retrying",
+      next_attempt_at: { $lte: now },
+    })
+      .select("_id notification")
+      .sort({ next_attempt_at: 1 })
+      .limit(limit)
+      .lean();
+
+    const notifications = new Map();
+    let retried = 0;
+
+    for (const item of due) {
+      const key = String(item.notification);
+
+      if (!notifications.has(key)) {
+        notifications.set(key, await Notification.findById(item.notification));
+      }
+
+      const notification = notifications.get(key);
+
+      if (!notification || notification.status === "cancelled") {
+        await NotificationDelivery.updateOne(
+          { _id: item._id, status: "retrying" },
+          {
+            $set: {
+              status: "failed",
+              next_attempt_at: null,
+              last_error: "Notification no longer active",
+            },
+          }
+        );
+        continue;
+      }
+
+      await this.attemptDelivery(notification, item._id);
+      retried += 1;
+    }
+
+    for (const notification of notifications.values()) {
+      if (notification) await this.refreshSummary(notification._id);
+    }
+
+    return retried;
+  }
+
+  /**
+   * One full dispatcher cycle, run by the background job
+   */
+  static async runDispatchCycle() {
+    const expired = await this.expireNotifications();
+    const dispatched = await this.dispatchDueNotifications();
+    const retried = await this.retryDueDeliveries();
+
+    if (expired || dispatched.length || retried) {
+      console.log(
+        `Notification dispatch: ${dispatched.length} dispatched, ${retried} retried, ${expired} expired`
+      );
+    }
+
+    return { expired, dispatched, retried };
+  }
+
+  /**
+   * Get delivery records of a notification
+   */
+  static async getDeliveries(notificationId, filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = 20 } = pagination;
+      const query = { notification: notificationId };
+
+      if (filters.status) query.status = filters.status;
+      if (filters.channel) query.channel = filters.channel;
+
+      const skip = (page - 1) * limit;
+
+      const [deliveries, total] = await Promise.all([
+        NotificationDelivery.find(query)
+          .populate("user", "first_name last_name email phone")
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        NotificationDelivery.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          deliveries,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get deliveries error:", error);
+      throw new Error(error.message || "Failed to fetch notification deliveries");
+    }
+  }
+}
+
+module.exports = NotificationDispatchService;
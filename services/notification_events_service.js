@@ -0,0 +1,910 @@
+const NotificationService = require("./notifications_service");
+const { EVENTS, subscribe } = require("../utils/event_bus");
+
+const LOAN_STAFF_ROLES = ["loan_officer_processor", "loan_officer_approval"];
+const AUCTION_STAFF_ROLES = ["admin_pawn_limited", "management"];
+
+const formatAmount = (amount, currency = "USD") =>
+  `${currency || "USD"} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDeadline = (dueAt) =>
+  dueAt
+    ? ` Payment is due by ${new Date(dueAt).toUTCString()}; unpaid wins are forfeited.`
+    : "";
+
+const formatLeadTime = (minutes) =>
+  minutes >= 60 && minutes % 60 === 0
+    ? `${minutes / 60} hour${minutes === 60 ? "" : "s"}`
+    : `${minutes} minute${minutes === 1 ? "" : "s"}`;
+
+/**
+ * Notification Events Service
+ * Subscribes to domain events and turns them into Notification documents
+ * for the affected customer or staff roles
+ */
+class NotificationEventsService {
+  /**
+   * Notify a single user
+   */
+  static notifyUser(userId, notification) {
+    if (!userId) return null;
+
+    return NotificationService.createSystemNotification({
+      ...notification,
+      audience: { scope: "user", user_id: userId },
+    });
+  }
+
+  /**
+   * Notify every user holding one of the roles
+   */
+  static notifyRoles(roles, notification) {
+    return NotificationService.createSystemNotification({
+      ...notification,
+      audience: { scope: "roles", roles },
+    });
+  }
+
+  /**
+   * Loan application submitted
+   */
+  static async onLoanApplicationSubmitted(event) {
+    await this.notifyUser(event.customer_user, {
+      type: "loan_application",
+      title: "Loan application received",
+      message: `Your loan application ${event.application_no} has been submitted and is awaiting review.`,
+      channels: ["in_app"],
+      data: { application_id: event.application_id },
+    });
+
+    await this.notifyRoles(["loan_officer_processor"], {
+      type: "loan_application",
+      title: "New loan application",
+      message: `Loan application ${event.application_no} for ${formatAmount(event.requested_loan_amount)} is ready for processing.`,
+      channels: ["in_app"],
+      data: { application_id: event.application_id },
+    });
+  }
+
+  /**
+   * Loan application status changed by an officer
+   */
+  static async onLoanApplicationStatusChanged(event) {
+    const templates = {
+      processing: {
+        type: "loan_application",
+        title: "Loan application under review",
+        message: `Your loan application ${event.application_no} is now being processed.`,
+      },
+      approved: {
+        type: "loan_approved",
+        title: "Loan application approved",
+        message: `Good news! Your loan application ${event.application_no} has been approved.`,
+        priority: "high",
+      },
+      rejected: {
+        type: "loan_rejected",
+        title: "Loan application declined",
+        message: `Your loan application ${event.application_no} was not approved.${event.notes ? ` Reason: ${event.notes}` : ""}`,
+        priority: "high",
+      },
+      cancelled: {
+        type: "loan_application",
+        title: "Loan application cancelled",
+        message: `Your loan application ${event.application_no} has been cancelled.`,
+      },
+    };
+
+    const template = templates[event.to];
+    if (!template) return;
+
+    // Status emails are already sent by the application service
+    await this.notifyUser(event.customer_user, {
+      ...template,
+      channels: ["in_app", "push"],
+      data: { application_id: event.application_id, status: event.to },
+    });
+
+    if (event.to === "approved") {
+      await this.notifyRoles(LOAN_STAFF_ROLES, {
+        type: "loan_approved",
+        title: "Loan application approved",
+        message: `Loan application ${event.application_no} was approved and is ready for disbursement.`,
+        channels: ["in_app"],
+        data: { application_id: event.application_id },
+      });
+    }
+  }
+
+  /**
+   * Loan created directly in active state (disbursed)
+   */
+  static async onLoanCreated(event) {
+    if (event.status !== "active") return;
+
+    await this.notifyUser(event.customer_user, {
+      type: "loan_disbursed",
+      title: "Loan disbursed",
+      message: `Your loan ${event.loan_no} of ${formatAmount(event.principal_amount, event.currency)} has been disbursed.${event.due_date ? ` It is due on ${new Date(event.due_date).toDateString()}.` : ""}`,
+      priority: "high",
+      channels: ["in_app", "email", "push"],
+      data: { loan_id: event.loan_id },
+    });
+  }
+
+  /**
+   * Loan moved through its lifecycle
+   */
+  static async onLoanStatusChanged(event) {
+    const balance = formatAmount(event.current_balance, event.currency);
+
+    const templates = {
+      active: {
+        type: "loan_disbursed",
+        title: "Loan disbursed",
+        message: `Your loan ${event.loan_no} is now active. Outstanding balance: ${balance}.`,
+        priority: "high",
+        channels: ["in_app", "email", "push"],
+      },
+      overdue: {
+        type: "repayment_overdue",
+        title: "Repayment overdue",
+        message: `Your loan ${event.loan_no} is overdue. Please pay the outstanding balance of ${balance} to avoid penalties.`,
+        priority: "high",
+        channels: ["in_app", "email", "sms", "push"],
+      },
+      in_grace: {
+        type: "collateral_at_risk",
+        title: "Collateral at risk",
+        message: `Your loan ${event.loan_no} is in its grace period. If ${balance} is not settled, your collateral may be sent to auction.`,
+        priority: "critical",
+        channels: ["in_app", "email", "sms", "push"],
+      },
+      auction: {
+        type: "collateral_auctioned",
+        title: "Collateral moved to auction",
+        message: `The collateral for loan ${event.loan_no} has been moved to auction after the grace period expired.`,
+        priority: "critical",
+        channels: ["in_app", "email", "sms"],
+      },
+      sold: {
+        type: "collateral_auctioned",
+        title: "Collateral sold at auction",
+        message: `The collateral for loan ${event.loan_no} has been sold at auction.`,
+        priority: "high",
+        channels: ["in_app", "email"],
+      },
+      redeemed: {
+        type: "collateral_released",
+        title: "Loan redeemed",
+        message: `Your loan ${event.loan_no} is fully paid. Your collateral is ready for collection.`,
+        priority: "high",
+        channels: ["in_app", "email", "sms", "push"],
+      },
+      closed: {
+        type: "loan_closed",
+        title: "Loan closed",
+        message: `Your loan ${event.loan_no} has been closed.`,
+        channels: ["in_app", "email"],
+      },
+    };
+
+    // A renewal bringing an overdue loan back is not a new disbursement
+    if (event.to === "active" && ["overdue", "in_grace"].includes(event.from)) {
+      templates.active = {
+        type: "repayment_due",
+        title: "Loan renewed",
+        message: `Your loan ${event.loan_no} is back in good standing and next due on ${new Date(event.due_date).toUTCString()}. Outstanding balance: ${balance}.`,
+        priority: "high",
+        channels: ["in_app", "email", "sms", "push"],
+      };
+    }
+
+    const template = templates[event.to];
+    if (!template) return;
+
+    await this.notifyUser(event.customer_user, {
+      ...template,
+      data: { loan_id: event.loan_id, status: event.to },
+    });
+
+    // Staff follow-up on delinquent loans
+    if (event.to === "overdue") {
+      await this.notifyRoles(["call_centre_support", "loan_officer_processor"], {
+        type: "repayment_overdue",
+        title: "Loan overdue",
+        message: `Loan ${event.loan_no} is overdue with ${balance} outstanding.`,
+        channels: ["in_app"],
+        data: { loan_id: event.loan_id },
+      });
+    } else if (event.to === "auction") {
+      await this.notifyRoles(AUCTION_STAFF_ROLES, {
+        type: "collateral_auctioned",
+        title: "Collateral ready for auction",
+        message: `Collateral of loan ${event.loan_no} has been forfeited and can be listed for auction.`,
+        channels: ["in_app"],
+        data: { loan_id: event.loan_id },
+      });
+    }
+  }
+
+  /**
+   * Loan repayment captured
+   */
+  static async onLoanPaymentReceived(event) {
+    await this.notifyUser(event.customer_user, {
+      type: "repayment_received",
+      title: "Payment received",
+      message: `We received your payment of ${formatAmount(event.amount, event.currency)} for loan ${event.loan_no}. New balance: ${formatAmount(event.new_balance, event.currency)}.`,
+      channels: ["in_app", "push"],
+      data: {
+        loan_id: event.loan_id,
+        payment_id: event.payment_id || null,
+        receipt_no: event.receipt_no || null,
+      },
+    });
+  }
+
+  /**
+   * Online loan repayment failed or was cancelled
+   */
+  static async onLoanPaymentFailed(event) {
+    await this.notifyUser(event.customer_user, {
+      type: "repayment_due",
+      title: "Payment not completed",
+      message: `Your payment of ${formatAmount(event.amount, event.currency)} for loan ${event.loan_no} was ${event.status}. Please try again.`,
+      priority: "high",
+      channels: ["in_app", "sms", "push"],
+      data: { loan_id: event.loan_id, payment_id: event.payment_id },
+    });
+  }
+
+  /**
+   * Auction created for a customer's collateral
+   */
+  static async onAuctionCreated(event) {
+    await this.notifyUser(event.asset_owner, {
+      type: "collateral_auctioned",
+      title: "Collateral scheduled for auction",
+      message: `Your collateral has been scheduled for auction ${event.auction_no} starting ${new Date(event.starts_at).toDateString()}.`,
+      priority: "critical",
+      channels: ["in_app", "email", "sms"],
+      data: { auction_id: event.auction_id, asset_id: event.asset_id },
+    });
+  }
+
+  /**
+   * Auction went live: tell its watchers and registered bidders
+   */
+  static async onAuctionStatusChanged(event) {
+    if (event.to === "live") {
+      const watchers = (event.watchers || []).map(String);
+
+      for (const bidder of event.registered_bidders || []) {
+        if (watchers.includes(String(bidder))) continue;
+
+        await this.notifyUser(bidder, {
+          type: "auction_started",
+          title: "Auction is live",
+          message: `Auction ${event.auction_no} you registered for is now live. Bidding closes ${new Date(event.ends_at).toLocaleString()}.`,
+          channels: ["in_app", "push"],
+          expires_at: event.ends_at,
+          data: { auction_id: event.auction_id },
+        });
+      }
+
+      for (const watcher of watchers) {
+        await this.notifyUser(watcher, {
+          type: "auction_started",
+          title: "Watched auction is live",
+          message: `Auction ${event.auction_no} on your watchlist is now live. Bidding closes ${new Date(event.ends_at).toLocaleString()}.`,
+          priority: "high",
+          channels: ["in_app", "email", "push"],
+          expires_at: event.ends_at,
+          data: { auction_id: event.auction_id },
+        });
+      }
+    }
+  }
+
+  /**
+   * Watched auction is about to close
+   */
+  static async onAuctionEndingSoon(event) {
+    for (const watcher of event.watchers || []) {
+      await this.notifyUser(watcher, {
+        type: "auction_ending_soon",
+        title: "Auction ending soon",
+        message: `Auction ${event.auction_no} on your watchlist closes in about ${formatLeadTime(event.lead_minutes)}, at ${new Date(event.ends_at).toLocaleString()}.`,
+        priority: "high",
+        channels: ["in_app", "push"],
+        expires_at: event.ends_at,
+        data: { auction_id: event.auction_id, ends_at: event.ends_at },
+      });
+    }
+  }
+
+  /**
+   * Auction closed: tell the winner, the other bidders, watchers and staff
+   */
+  static async onAuctionClosed(event) {
+    const winnerId = event.winner_user ? String(event.winner_user) : null;
+
+    if (winnerId) {
+      await this.notifyUser(winnerId, {
+        type: "auction_won",
+        title: "You won the auction",
+        message: `Congratulations! You won auction ${event.auction_no} with a bid of ${formatAmount(event.winning_bid_amount)}.`,
+        priority: "high",
+        channels: ["in_app", "email", "push"],
+        data: { auction_id: event.auction_id },
+      });
+
+      await this.notifyUser(winnerId, {
+        type: "bid_payment_due",
+        title: "Auction payment due",
+        message: `Please pay ${formatAmount(event.winning_bid_amount)} for auction ${event.auction_no} to complete your purchase.${formatDeadline(event.payment_due_at)}`,
+        priority: "high",
+        channels: ["in_app", "email", "sms"],
+        data: { auction_id: event.auction_id, payment_due_at: event.payment_due_at },
+      });
+    }
+
+    const reserveNotMet = event.outcome === "reserve_not_met";
+    const passed = event.outcome === "passed";
+
+    let bidderMessage = `Auction ${event.auction_no} has closed and your bid was not the winning bid.`;
+    if (reserveNotMet) {
+      bidderMessage = `Auction ${event.auction_no} has closed without reaching its reserve price, so the item was not sold.`;
+    } else if (passed) {
+      bidderMessage = `Auction ${event.auction_no} was passed by the auctioneer, so the item was not sold.`;
+    }
+
+    for (const bidder of event.bidders || []) {
+      if (String(bidder) === winnerId) continue;
+
+      await this.notifyUser(bidder, {
+        type: "auction_lost",
+        title: "Auction closed",
+        message: bidderMessage,
+        channels: ["in_app"],
+        data: { auction_id: event.auction_id },
+      });
+    }
+
+    // Watchers who did not bid only hear the result
+    const bidderIds = (event.bidders || []).map(String);
+    let watcherMessage = `Auction ${event.auction_no} on your watchlist has closed.`;
+    if (winnerId) {
+      watcherMessage = `Auction ${event.auction_no} on your watchlist has closed with a winning bid of ${formatAmount(event.winning_bid_amount)}.`;
+    } else if (event.outcome) {
+      watcherMessage = `Auction ${event.auction_no} on your watchlist has closed and the item was not sold.`;
+    }
+
+    for (const watcher of event.watchers || []) {
+      if (bidderIds.includes(String(watcher)) || String(watcher) === winnerId) continue;
+
+      await this.notifyUser(watcher, {
+        type: "auction_closed",
+        title: "Watched auction closed",
+        message: watcherMessage,
+        channels: ["in_app"],
+        data: { auction_id: event.auction_id, outcome: event.outcome },
+      });
+    }
+
+    let staffMessage = `Auction ${event.auction_no} closed without any bids.`;
+    if (winnerId) {
+      staffMessage = `Auction ${event.auction_no} closed with a winning bid of ${formatAmount(event.winning_bid_amount)}.`;
+    } else if (reserveNotMet) {
+      staffMessage = `Auction ${event.auction_no} closed below its reserve of ${formatAmount(event.reserve_price)}. Send a second-chance offer or re-list the asset.`;
+    } else if (passed) {
+      staffMessage = `Auction ${event.auction_no} was passed unsold at the hammer. Send a second-chance offer or re-list the asset.`;
+    }
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "auction_closed",
+      title: reserveNotMet ? "Auction reserve not met" : "Auction closed",
+      message: staffMessage,
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, outcome: event.outcome },
+    });
+  }
+
+  /**
+   * Bid placed: confirm to the bidder and warn the previous leader
+   */
+  static async onBidPlaced(event) {
+    if (event.sealed) {
+      await this.notifyUser(event.bidder_user, {
+        type: "bid_placed",
+        title: "Sealed bid received",
+        message: `Your sealed bid of ${formatAmount(event.amount)} on auction ${event.auction_no} was received. Bids are revealed when the auction closes.`,
+        priority: "low",
+        channels: ["in_app"],
+        data: { auction_id: event.auction_id, bid_id: event.bid_id },
+      });
+      return;
+    }
+
+    let message = `Your bid of ${formatAmount(event.amount)} on auction ${event.auction_no} is currently the highest.`;
+    if (event.leading === false) {
+      message = `Your bid of ${formatAmount(event.amount)} on auction ${event.auction_no} was placed, but another bidder's maximum bid is higher.`;
+    } else if (event.is_proxy) {
+      message = `Your maximum bid placed ${formatAmount(event.amount)} for you on auction ${event.auction_no}. You are currently the highest bidder.`;
+    }
+
+    await this.notifyUser(event.bidder_user, {
+      type: "bid_placed",
+      title: "Bid placed",
+      message,
+      priority: "low",
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, bid_id: event.bid_id },
+    });
+
+    if (
+      event.previous_bidder &&
+      String(event.previous_bidder) !== String(event.bidder_user)
+    ) {
+      await this.notifyUser(event.previous_bidder, {
+        type: "bid_outbid",
+        title: "You have been outbid",
+        message: `Someone bid ${formatAmount(event.amount)} on auction ${event.auction_no}. Place a higher bid to stay in the lead.`,
+        priority: "high",
+        channels: ["in_app", "push"],
+        expires_at: event.ends_at,
+        data: { auction_id: event.auction_id },
+      });
+    }
+  }
+
+  /**
+   * Second-chance offer sent to a non-winning bidder
+   */
+  static async onSecondChanceOfferSent(event) {
+    await this.notifyUser(event.offered_user, {
+      type: "bid_second_chance",
+      title: "Second-chance offer",
+      message: `Auction ${event.auction_no} closed without a sale. You can buy the item for ${formatAmount(event.amount, event.currency)} until ${new Date(event.expires_at).toUTCString()}.`,
+      priority: "high",
+      channels: ["in_app", "email", "push"],
+      expires_at: event.expires_at,
+      data: { auction_id: event.auction_id, offer_id: event.offer_id },
+    });
+  }
+
+  /**
+   * Second-chance offer accepted: the bidder now has to pay
+   */
+  static async onSecondChanceOfferAccepted(event) {
+    await this.notifyUser(event.winner_user, {
+      type: "bid_payment_due",
+      title: "Auction payment due",
+      message: `Please pay ${formatAmount(event.winning_bid_amount, event.currency)} for auction ${event.auction_no} to complete your purchase.${formatDeadline(event.payment_due_at)}`,
+      priority: "high",
+      channels: ["in_app", "email", "sms"],
+      data: { auction_id: event.auction_id, bid_id: event.bid_id },
+    });
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "auction_won",
+      title: "Second-chance offer accepted",
+      message: `A second-chance offer of ${formatAmount(event.winning_bid_amount, event.currency)} on auction ${event.auction_no} was accepted.`,
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, offer_id: event.offer_id },
+    });
+  }
+
+  /**
+   * Winner payment window closing soon
+   */
+  static async onAuctionPaymentReminder(event) {
+    await this.notifyUser(event.winner_user, {
+      type: "bid_payment_due",
+      title: "Auction payment reminder",
+      message: `Your payment of ${formatAmount(event.winning_bid_amount)} for auction ${event.auction_no} is still outstanding.${formatDeadline(event.payment_due_at)}`,
+      priority: "high",
+      channels: ["in_app", "email", "sms", "push"],
+      data: { auction_id: event.auction_id, payment_due_at: event.payment_due_at },
+    });
+  }
+
+  /**
+   * Winner missed the payment window and forfeited the lot
+   */
+  static async onAuctionPaymentDefaulted(event) {
+    await this.notifyUser(event.bidder_user, {
+      type: "account_status",
+      title: "Auction win forfeited",
+      message: `You did not pay for auction ${event.auction_no} in time, so your winning bid has been forfeited and a default strike was recorded on your account.`,
+      priority: "high",
+      channels: ["in_app", "email"],
+      data: { auction_id: event.auction_id, strike_count: event.strike_count },
+    });
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "auction_closed",
+      title: "Auction payment defaulted",
+      message: `The winner of auction ${event.auction_no} did not pay ${formatAmount(event.amount)} in time and has been forfeited.`,
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, bidder_user: event.bidder_user },
+    });
+  }
+
+  /**
+   * Lot handed to the next-highest bidder after a default
+   */
+  static async onAuctionWinnerReassigned(event) {
+    await this.notifyUser(event.winner_user, {
+      type: "auction_won",
+      title: "You won the auction",
+      message: `The winning bidder on auction ${event.auction_no} did not pay, so your bid of ${formatAmount(event.winning_bid_amount)} now wins.${formatDeadline(event.payment_due_at)}`,
+      priority: "high",
+      channels: ["in_app", "email", "sms", "push"],
+      data: { auction_id: event.auction_id, bid_id: event.bid_id, payment_due_at: event.payment_due_at },
+    });
+  }
+
+  /**
+   * Auction payment confirmed
+   */
+  static async onBidPaymentSucceeded(event) {
+    await this.notifyUser(event.payer_user, {
+      type: "bid_payment_received",
+      title: "Auction payment received",
+      message: `Your payment of ${formatAmount(event.amount, event.currency)} for auction ${event.auction_no || ""} has been confirmed.`,
+      channels: ["in_app", "email", "push"],
+      data: { auction_id: event.auction_id, payment_id: event.payment_id },
+    });
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "bid_payment_received",
+      title: "Auction payment received",
+      message: `Payment ${event.receipt_no} of ${formatAmount(event.amount, event.currency)} for auction ${event.auction_no || ""} has been confirmed.`,
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, payment_id: event.payment_id },
+    });
+  }
+
+  /**
+   * Registration deposit paid; the bidder may now bid
+   */
+  static async onAuctionDepositPaid(event) {
+    await this.notifyUser(event.bidder_user, {
+      type: "auction_deposit",
+      title: "Deposit received",
+      message: `Your deposit of ${formatAmount(event.amount, event.currency)} for auction ${event.auction_no || ""} has been received. You are approved to bid.`,
+      channels: ["in_app", "email", "push"],
+      data: { auction_id: event.auction_id, registration_id: event.registration_id },
+    });
+  }
+
+  /**
+   * Registration deposit due back: tell the bidder and ask staff to pay it out
+   */
+  static async onAuctionDepositRefundPending(event) {
+    const amount = formatAmount(event.amount, event.currency);
+
+    await this.notifyUser(event.bidder_user, {
+      type: "auction_deposit",
+      title: "Deposit refund in progress",
+      message: `Your deposit of ${amount} for auction ${event.auction_no || ""} is being refunded (${String(event.reason || "").toLowerCase()}). We will let you know once it has been paid back.`,
+      channels: ["in_app", "email"],
+      data: { auction_id: event.auction_id, registration_id: event.registration_id },
+    });
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "auction_deposit",
+      title: "Deposit refund to process",
+      message: `A deposit of ${amount} on auction ${event.auction_no || ""} is awaiting refund (${String(event.reason || "").toLowerCase()}).`,
+      channels: ["in_app"],
+      data: { auction_id: event.auction_id, registration_id: event.registration_id },
+    });
+  }
+
+  /**
+   * Registration deposit refunded
+   */
+  static async onAuctionDepositRefunded(event) {
+    await this.notifyUser(event.bidder_user, {
+      type: "auction_deposit",
+      title: "Deposit refunded",
+      message: `Your deposit of ${formatAmount(event.amount, event.currency)} for auction ${event.auction_no || ""} has been refunded (${String(event.reason || "").toLowerCase()}).`,
+      channels: ["in_app", "email"],
+      data: { auction_id: event.auction_id, registration_id: event.registration_id },
+    });
+  }
+
+  /**
+   * Registration deposit kept after a payment default
+   */
+  static async onAuctionDepositForfeited(event) {
+    await this.notifyUser(event.bidder_user, {
+      type: "auction_deposit",
+      title: "Deposit forfeited",
+      message: `Your deposit of ${formatAmount(event.amount, event.currency)} for auction ${event.auction_no} has been forfeited because the winning bid was not paid in time.`,
+      priority: "high",
+      channels: ["in_app", "email"],
+      data: { auction_id: event.auction_id, registration_id: event.registration_id },
+    });
+  }
+
+  /**
+   * Suspicious bidding flagged: ask staff to review
+   */
+  static async onAuctionFraudFlagged(event) {
+    const hold = event.hold_settlement
+      ? " Settlement is on hold until the flag is reviewed."
+      : "";
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "security_alert",
+      title: "Suspicious bidding flagged",
+      message: `A bidder on auction ${event.auction_no} was flagged for ${event.rule.replace(/_/g, " ")} (${event.severity} severity).${hold}`,
+      priority: event.severity === "high" ? "high" : "normal",
+      channels: ["in_app", "email"],
+      data: { auction_id: event.auction_id, flag_id: event.flag_id, rule: event.rule },
+    });
+  }
+
+  /**
+   * Bid dispute opened: confirm to the bidder, queue for staff
+   */
+  static async onDisputeOpened(event) {
+    await this.notifyUser(event.bidder_user, {
+      type: "bid_dispute",
+      title: "Dispute received",
+      message: `Your dispute ${event.case_no} on auction ${event.auction_no} has been received. Our team will respond by ${new Date(event.response_due_at).toUTCString()}.`,
+      channels: ["in_app", "email"],
+      data: { case_id: event.case_id, bid_id: event.bid_id, auction_id: event.auction_id },
+    });
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "bid_dispute",
+      title: "New bid dispute",
+      message: `Dispute ${event.case_no} was raised on auction ${event.auction_no} and needs a reviewer.`,
+      priority: "high",
+      channels: ["in_app"],
+      data: { case_id: event.case_id, bid_id: event.bid_id, auction_id: event.auction_id },
+    });
+  }
+
+  /**
+   * New message on a dispute thread: tell the other side
+   */
+  static async onDisputeMessageAdded(event) {
+    if (event.internal) return;
+
+    const recipient = event.from_staff ? event.bidder_user : event.assigned_to;
+    if (!recipient) {
+      await this.notifyRoles(AUCTION_STAFF_ROLES, {
+        type: "bid_dispute",
+        title: "Dispute reply",
+        message: `The bidder replied on unassigned dispute ${event.case_no}.`,
+        channels: ["in_app"],
+        data: { case_id: event.case_id },
+      });
+      return;
+    }
+
+    await this.notifyUser(recipient, {
+      type: "bid_dispute",
+      title: "New message on your dispute",
+      message: event.from_staff
+        ? `Our team replied on dispute ${event.case_no}.`
+        : `The bidder replied on dispute ${event.case_no}.`,
+      channels: ["in_app", "push"],
+      data: { case_id: event.case_id },
+    });
+  }
+
+  /**
+   * Dispute assigned to a reviewer
+   */
+  static async onDisputeAssigned(event) {
+    await this.notifyUser(event.assigned_to, {
+      type: "bid_dispute",
+      title: "Dispute assigned to you",
+      message: `Dispute ${event.case_no} has been assigned to you. Resolve it by ${new Date(event.resolution_due_at).toUTCString()}.`,
+      channels: ["in_app", "email"],
+      data: { case_id: event.case_id },
+    });
+  }
+
+  /**
+   * Dispute resolved: tell the bidder the outcome
+   */
+  static async onDisputeResolved(event) {
+    const upheld = event.status === "resolved_valid";
+    const refundRequested = event.actions.includes("refund_requested");
+    const refund = refundRequested
+      ? " Your payment for this bid will be refunded."
+      : "";
+
+    await this.notifyUser(event.bidder_user, {
+      type: "bid_dispute",
+      title: upheld ? "Dispute upheld" : "Dispute rejected",
+      message: upheld
+        ? `Your dispute ${event.case_no} was upheld and your bid on auction ${event.auction_no} has been voided.${refund}`
+        : `Your dispute ${event.case_no} was not upheld; your bid on auction ${event.auction_no} stands.`,
+      priority: "high",
+      channels: ["in_app", "email"],
+      data: { case_id: event.case_id, bid_id: event.bid_id, auction_id: event.auction_id },
+    });
+
+    if (refundRequested) {
+      await this.notifyRoles(AUCTION_STAFF_ROLES, {
+        type: "bid_dispute",
+        title: "Bid payment refund to process",
+        message: `Dispute ${event.case_no} was upheld; the payment for the voided bid on auction ${event.auction_no} is awaiting refund.`,
+        channels: ["in_app"],
+        data: { case_id: event.case_id, bid_id: event.bid_id, auction_id: event.auction_id },
+      });
+    }
+  }
+
+  /**
+   * Dispute missed its response or resolution deadline: escalate
+   */
+  static async onDisputeSlaBreached(event) {
+    const notification = {
+      type: "bid_dispute",
+      title: "Dispute SLA breached",
+      message: `Dispute ${event.case_no} missed its ${event.kind} deadline of ${new Date(event.due_at).toUTCString()}.`,
+      priority: "high",
+      channels: ["in_app", "email"],
+      data: { case_id: event.case_id, kind: event.kind },
+    };
+
+    await this.notifyUser(event.assigned_to, notification);
+    await this.notifyRoles(["management"], notification);
+  }
+
+  /**
+   * Auction proceeds applied to the borrower's loan
+   */
+  static async onAuctionSettled(event) {
+    if (event.loan_id) {
+      let outcome = "Your loan has been fully settled.";
+      if (event.surplus > 0) {
+        outcome = `A surplus of ${formatAmount(event.surplus, event.currency)} is owed to you and will be paid out.`;
+      } else if (event.deficit > 0) {
+        outcome = `A deficit of ${formatAmount(event.deficit, event.currency)} remains owing on your loan.`;
+      }
+
+      await this.notifyUser(event.customer_user, {
+        type: "loan_closed",
+        title: "Collateral sale settled",
+        message: `Your collateral sold at auction ${event.auction_no} for ${formatAmount(event.sale_amount, event.currency)} and the proceeds were applied to your loan. ${outcome} See statement ${event.statement_no}.`,
+        priority: "high",
+        channels: ["in_app", "email"],
+        data: { settlement_id: event.settlement_id, auction_id: event.auction_id, loan_id: event.loan_id },
+      });
+    }
+
+    await this.notifyRoles(AUCTION_STAFF_ROLES, {
+      type: "auction_closed",
+      title: "Auction settled",
+      message: `Auction ${event.auction_no} settled under statement ${event.statement_no} (surplus ${formatAmount(event.surplus, event.currency)}, deficit ${formatAmount(event.deficit, event.currency)}).`,
+      channels: ["in_app"],
+      data: { settlement_id: event.settlement_id, auction_id: event.auction_id },
+    });
+  }
+
+  /**
+   * Lot paid for: tell the buyer when to collect it
+   */
+  static async onBuyerInvoicePaid(event) {
+    const storage =
+      event.storage_fee_per_day > 0
+        ? ` After that, storage is charged at ${formatAmount(event.storage_fee_per_day, event.currency)} per day.`
+        : "";
+
+    await this.notifyUser(event.buyer_user, {
+      type: "lot_collection",
+      title: "Ready for collection",
+      message: `Invoice ${event.invoice_no} for auction ${event.auction_no} is paid. Please collect your lot with your ID by ${new Date(event.collection_due_at).toUTCString()}.${storage}`,
+      channels: ["in_app", "email", "sms"],
+      data: { invoice_id: event.invoice_id, auction_id: event.auction_id },
+    });
+  }
+
+  /**
+   * Lot not collected in time: storage is now being charged
+   */
+  static async onBuyerStorageFeesStarted(event) {
+    await this.notifyUser(event.buyer_user, {
+      type: "lot_collection",
+      title: "Storage fees now apply",
+      message: `Your lot on invoice ${event.invoice_no} was not collected in time and is being charged storage at ${formatAmount(event.daily_fee, event.currency)} per day. Fees are payable at collection.`,
+      priority: "high",
+      channels: ["in_app", "email", "sms"],
+      data: { invoice_id: event.invoice_id, auction_id: event.auction_id },
+    });
+  }
+
+  /**
+   * Lot handed over to the buyer
+   */
+  static async onBuyerLotCollected(event) {
+    await this.notifyUser(event.buyer_user, {
+      type: "lot_collection",
+      title: "Lot collected",
+      message: `Your lot${event.asset_no ? ` (${event.asset_no})` : ""} on invoice ${event.invoice_no} has been released to you.${event.storage_fees > 0 ? ` Storage fees of ${formatAmount(event.storage_fees, event.currency)} were collected.` : ""}`,
+      channels: ["in_app", "email"],
+      data: { invoice_id: event.invoice_id, auction_id: event.auction_id },
+    });
+  }
+
+  /**
+   * Auction payment failed or was cancelled
+   */
+  static async onBidPaymentFailed(event) {
+    if (event.purpose === "deposit") {
+      await this.notifyUser(event.payer_user, {
+        type: "auction_deposit",
+        title: "Auction deposit not completed",
+        message: `Your deposit of ${formatAmount(event.amount, event.currency)} was ${event.status}. Please try again to be approved for bidding.`,
+        channels: ["in_app", "push"],
+        data: { auction_id: event.auction_id, payment_id: event.payment_id },
+      });
+      return;
+    }
+
+    await this.notifyUser(event.payer_user, {
+      type: "bid_payment_due",
+      title: "Auction payment not completed",
+      message: `Your payment of ${formatAmount(event.amount, event.currency)} was ${event.status}. Please try again to secure your purchase.`,
+      priority: "high",
+      channels: ["in_app", "sms", "push"],
+      data: { auction_id: event.auction_id, payment_id: event.payment_id },
+    });
+  }
+
+  /**
+   * Register all event subscriptions
+   */
+  static register() {
+    const handlers = {
+      [EVENTS.LOAN_APPLICATION_SUBMITTED]: "onLoanApplicationSubmitted",
+      [EVENTS.LOAN_APPLICATION_STATUS_CHANGED]: "onLoanApplicationStatusChanged",
+      [EVENTS.LOAN_CREATED]: "onLoanCreated",
+      [EVENTS.LOAN_STATUS_CHANGED]: "onLoanStatusChanged",
+      [EVENTS.LOAN_PAYMENT_RECEIVED]: "onLoanPaymentReceived",
+      [EVENTS.LOAN_PAYMENT_FAILED]: "onLoanPaymentFailed",
+      [EVENTS.AUCTION_CREATED]: "onAuctionCreated",
+      [EVENTS.AUCTION_STATUS_CHANGED]: "onAuctionStatusChanged",
+      [EVENTS.AUCTION_CLOSED]: "onAuctionClosed",
+      [EVENTS.AUCTION_ENDING_SOON]: "onAuctionEndingSoon",
+      [EVENTS.BID_PLACED]: "onBidPlaced",
+      [EVENTS.SECOND_CHANCE_OFFER_SENT]: "onSecondChanceOfferSent",
+      [EVENTS.SECOND_CHANCE_OFFER_ACCEPTED]: "onSecondChanceOfferAccepted",
+      [EVENTS.AUCTION_PAYMENT_REMINDER]: "onAuctionPaymentReminder",
+      [EVENTS.AUCTION_PAYMENT_DEFAULTED]: "onAuctionPaymentDefaulted",
+      [EVENTS.AUCTION_WINNER_REASSIGNED]: "onAuctionWinnerReassigned",
+      [EVENTS.BID_PAYMENT_SUCCEEDED]: "onBidPaymentSucceeded",
+      [EVENTS.BID_PAYMENT_FAILED]: "onBidPaymentFailed",
+      [EVENTS.AUCTION_SETTLED]: "onAuctionSettled",
+      [EVENTS.BUYER_INVOICE_PAID]: "onBuyerInvoicePaid",
+      [EVENTS.BUYER_STORAGE_FEES_STARTED]: "onBuyerStorageFeesStarted",
+      [EVENTS.BUYER_LOT_COLLECTED]: "onBuyerLotCollected",
+      [EVENTS.AUCTION_DEPOSIT_PAID]: "onAuctionDepositPaid",
+      [EVENTS.AUCTION_DEPOSIT_REFUND_PENDING]: "onAuctionDepositRefundPending",
+      [EVENTS.AUCTION_DEPOSIT_REFUNDED]: "onAuctionDepositRefunded",
+      [EVENTS.AUCTION_DEPOSIT_FORFEITED]: "onAuctionDepositForfeited",
+      [EVENTS.AUCTION_FRAUD_FLAGGED]: "onAuctionFraudFlagged",
+      [EVENTS.DISPUTE_OPENED]: "onDisputeOpened",
+      [EVENTS.DISPUTE_MESSAGE_ADDED]: "onDisputeMessageAdded",
+      [EVENTS.DISPUTE_ASSIGNED]: "onDisputeAssigned",
+      [EVENTS.DISPUTE_RESOLVED]: "onDisputeResolved",
+      [EVENTS.DISPUTE_SLA_BREACHED]: "onDisputeSlaBreached",
+    };
+
+    Object.entries(handlers).forEach(([event, method]) => {
+      subscribe(event, (payload) => this[method](payload));
+    });
+  }
+}
+
+module.exports = NotificationEventsService;
@@ -0,0 +1,944 @@
+const Notification = require("../models/notifications_model");
+const NotificationDelivery = require("../models/notificationDelivery.model");
+const User = require("../models/user.model");
+const NotificationDispatchService = require("./notification_dispatch_service");
+const { EVENTS, publish } = require("../utils/event_bus");
+const mongoose = require("mongoose");
+
+const ADMIN_ROLES = ["admin_pawn_limited", "management", "super_admin_vendor"];
+
+/**
+ * Notification Service
+ * Contains all business logic for notifications and user inboxes
+ */
+class NotificationService {
+  /**
+   * Check if user can manage (create/schedule/cancel) notifications
+   */
+  static isAdmin(user) {
+    return (user.roles || []).some((role) => ADMIN_ROLES.includes(role));
+  }
+
+  /**
+   * Validate and normalise the audience block
+   */
+  static async validateAudience(audience = {}) {
+    const scope = audience.scope || "all";
+
+    if (!["all", "user", "roles"].includes(scope)) {
+      return {
+        success: false,
+        message: "Audience scope must be one of: all, user, roles",
+        statusCode: 400,
+      };
+    }
+
+    if (scope === "user") {
+      if (!audience.user_id || !mongoose.Types.ObjectId.isValid(audience.user_id)) {
+        return {
+          success: false,
+          message: "A valid audience.user_id is required when scope is 'user'",
+          statusCode: 400,
+        };
+      }
+
+      const target = await User.findById(audience.user_id).select("_id");
+      if (!target) {
+        return {
+          success: false,
+          message: "Audience user not found",
+          statusCode: 404,
+        };
+      }
+
+      return { success: true, data: { scope, user_id: audience.user_id } };
+    }
+
+    if (scope === "roles") {
+      if (!Array.isArray(audience.roles) || audience.roles.length === 0) {
+        return {
+          success: false,
+          message: "audience.roles must be a non-empty array when scope is 'roles'",
+          statusCode: 400,
+        };
+      }
+
+      return { success: true, data: { scope, roles: audience.roles } };
+    }
+
+    return { success: true, data: { scope: "all" } };
+  }
+
+  /**
+   * Build the query that resolves which notifications a user can see
+   */
+  static buildInboxQuery(user, now = new Date()) {
+    return {
+      is_active: true,
+      $and: [
+        {
+          $or: [
+            { status: "sent" },
+            { status: "scheduled", send_at: { $lte: now } },
+          ],
+        },
+        {
+          $or: [{ expires_at: null }, { expires_at: { $gt: now } }],
+        },
+        {
+          $or: [
+            { "audience.scope": "all" },
+            { "audience.scope": "user", "audience.user_id": user._id },
+            { "audience.scope": "roles", "audience.roles": { $in: user.roles || [] } },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Build the query fragment for notifications the user has not read yet
+   */
+  static buildUnreadClause(userId) {
+    return {
+      acknowledgements: {
+        $not: { $elemMatch: { user_id: userId, read_at: { $ne: null } } },
+      },
+    };
+  }
+
+  /**
+   * Shape a notification for the inbox of a single user
+   */
+  static toInboxItem(notification, userId) {
+    const item = notification.toObject ? notification.toObject() : notification;
+    const ack = (item.acknowledgements || []).find(
+      (a) => a.user_id && a.user_id.toString() === userId.toString()
+    );
+
+    delete item.acknowledgements;
+
+    return {
+      ...item,
+      is_read: Boolean(ack && ack.read_at),
+      read_at: ack ? ack.read_at : null,
+      acted_at: ack ? ack.acted_at : null,
+      action: ack ? ack.action : null,
+    };
+  }
+
+  /**
+   * Hand a due notification to the dispatcher without blocking the request
+   * The background job picks it up if this attempt fails
+   */
+  static triggerDispatch(notificationId) {
+    NotificationDispatchService.dispatchNotification(notificationId).catch((error) => {
+      console.error("Immediate dispatch error:", error);
+    });
+  }
+
+  /**
+   * Create a notification (draft, scheduled or sent immediately)
+   * Immediate notifications are stored as due and handed to the dispatcher
+   */
+  static async createNotification(notificationData, createdBy) {
+    try {
+      const audienceValidation = await this.validateAudience(
+        notificationData.audience
+      );
+      if (!audienceValidation.success) {
+        return audienceValidation;
+      }
+
+      const now = new Date();
+      let status = "scheduled";
+      let sendAt = notificationData.send_at ? new Date(notificationData.send_at) : null;
+      let immediate = false;
+
+      if (notificationData.status === "draft") {
+        status = "draft";
+      } else if (!sendAt || sendAt <= now) {
+        // Due now: the dispatcher marks it sent once fanned out
+        sendAt = now;
+        immediate = true;
+      }
+
+      if (notificationData.expires_at && sendAt &&
+          new Date(notificationData.expires_at) <= sendAt) {
+        return {
+          success: false,
+          message: "Expiry date must be after the send date",
+          statusCode: 400,
+        };
+      }
+
+      const notification = new Notification({
+        ...notificationData,
+        audience: audienceValidation.data,
+        send_at: sendAt,
+        sent_at: null,
+        status,
+        acknowledgements: [],
+        created_by: createdBy || null,
+      });
+
+      await notification.save();
+      await notification.populate("created_by", "first_name last_name email");
+
+      if (immediate) {
+        this.triggerDispatch(notification._id);
+      }
+
+      return {
+        success: true,
+        data: notification,
+        message: immediate
+          ? "Notification queued for immediate delivery"
+          : status === "draft"
+          ? "Notification draft created successfully"
+          : "Notification scheduled successfully",
+      };
+    } catch (error) {
+      console.error("Create notification error:", error);
+      throw new Error(error.message || "Failed to create notification");
+    }
+  }
+
+  /**
+   * Create a notification on behalf of the system (domain events, jobs)
+   * Failures are logged and never propagate to the caller
+   */
+  static async createSystemNotification(notificationData) {
+    try {
+      const result = await this.createNotification(notificationData, null);
+
+      if (!result.success) {
+        console.warn("System notification skipped:", result.message);
+      }
+
+      return result;
+    } catch (error) {
+      console.error("Create system notification error:", error);
+      return { success: false, message: error.message, statusCode: 500 };
+    }
+  }
+
+  /**
+   * Get notifications (admin view) with pagination and filters
+   */
+  static async getNotifications(filters = {}, pagination = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sort_by = "created_at",
+        sort_order = "desc",
+        search,
+      } = pagination;
+
+      const {
+        status,
+        type,
+        priority,
+        scope,
+        user_id,
+        role,
+        channel,
+        is_active,
+        created_from,
+        created_to,
+      } = filters;
+
+      let query = {};
+
+      if (status) query.status = status;
+      if (type) query.type = type;
+      if (priority) query.priority = priority;
+      if (scope) query["audience.scope"] = scope;
+      if (user_id) query["audience.user_id"] = user_id;
+      if (role) query["audience.roles"] = role;
+      if (channel) query.channels = channel;
+      if (is_active !== undefined) query.is_active = is_active === "true" || is_active === true;
+
+      if (created_from || created_to) {
+        query.created_at = {};
+        if (created_from) query.created_at.$gte = new Date(created_from);
+        if (created_to) query.created_at.$lte = new Date(created_to);
+      }
+
+      if (search && search.length >= 2) {
+        query.$or = [
+          { title: { $regex: search, $options: "i" } },
+          { message: { $regex: search, $options: "i" } },
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [notifications, total] = await Promise.all([
+        Notification.find(query)
+          .select("-acknowledgements")
+          .populate("created_by", "first_name last_name email")
+          .populate("audience.user_id", "first_name last_name email")
+          .sort({ [sort_by]: sort_order === "asc" ? 1 : -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          notifications,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get notifications error:", error);
+      throw new Error(error.message || "Failed to fetch notifications");
+    }
+  }
+
+  /**
+   * Get notification by ID
+   * Admins see the full document, everyone else only what is in their inbox
+   */
+  static async getNotificationById(id, user) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return {
+          success: false,
+          message: "Invalid notification ID",
+          statusCode: 400,
+        };
+      }
+
+      if (this.isAdmin(user)) {
+        const notification = await Notification.findById(id)
+          .populate("created_by", "first_name last_name email")
+          .populate("audience.user_id", "first_name last_name email");
+
+        if (!notification) {
+          return {
+            success: false,
+            message: "Notification not found",
+            statusCode: 404,
+          };
+        }
+
+        const readCount = notification.acknowledgements.filter((a) => a.read_at).length;
+        const actedCount = notification.acknowledgements.filter((a) => a.acted_at).length;
+
+        return {
+          success: true,
+          data: {
+            notification,
+            read_count: readCount,
+            acted_count: actedCount,
+          },
+        };
+      }
+
+      const notification = await Notification.findOne({
+        _id: id,
+        ...this.buildInboxQuery(user),
+      });
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: this.toInboxItem(notification, user._id),
+      };
+    } catch (error) {
+      console.error("Get notification error:", error);
+      throw new Error(error.message || "Failed to fetch notification");
+    }
+  }
+
+  /**
+   * Update a draft or scheduled notification
+   */
+  static async updateNotification(id, updateData) {
+    try {
+      const notification = await Notification.findById(id);
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!["draft", "scheduled"].includes(notification.status)) {
+        return {
+          success: false,
+          message: `Cannot update a ${notification.status} notification`,
+          statusCode: 400,
+        };
+      }
+
+      // Lifecycle fields are controlled by dedicated endpoints
+      delete updateData.status;
+      delete updateData.sent_at;
+      delete updateData.acknowledgements;
+      delete updateData.created_by;
+
+      if (updateData.audience) {
+        const audienceValidation = await this.validateAudience(updateData.audience);
+        if (!audienceValidation.success) {
+          return audienceValidation;
+        }
+        updateData.audience = audienceValidation.data;
+      }
+
+      Object.assign(notification, updateData);
+
+      if (notification.status === "scheduled" && !notification.send_at) {
+        return {
+          success: false,
+          message: "A scheduled notification requires send_at",
+          statusCode: 400,
+        };
+      }
+
+      await notification.save();
+
+      return {
+        success: true,
+        data: notification,
+        message: "Notification updated successfully",
+      };
+    } catch (error) {
+      console.error("Update notification error:", error);
+      throw new Error(error.message || "Failed to update notification");
+    }
+  }
+
+  /**
+   * Schedule a draft (or reschedule a scheduled) notification
+   */
+  static async scheduleNotification(id, sendAt) {
+    try {
+      const notification = await Notification.findById(id);
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      if (!["draft", "scheduled"].includes(notification.status)) {
+        return {
+          success: false,
+          message: `Cannot schedule a ${notification.status} notification`,
+          statusCode: 400,
+        };
+      }
+
+      const sendDate = new Date(sendAt);
+      if (isNaN(sendDate.getTime()) || sendDate <= new Date()) {
+        return {
+          success: false,
+          message: "send_at must be a valid date in the future",
+          statusCode: 400,
+        };
+      }
+
+      if (notification.expires_at && notification.expires_at <= sendDate) {
+        return {
+          success: false,
+          message: "send_at must be before the notification expiry",
+          statusCode: 400,
+        };
+      }
+
+      notification.send_at = sendDate;
+      notification.status = "scheduled";
+      await notification.save();
+
+      return {
+        success: true,
+        data: notification,
+        message: "Notification scheduled successfully",
+      };
+    } catch (error) {
+      console.error("Schedule notification error:", error);
+      throw new Error(error.message || "Failed to schedule notification");
+    }
+  }
+
+  /**
+   * Publish a draft or scheduled notification immediately
+   */
+  static async sendNotificationNow(id) {
+    try {
+      const now = new Date();
+      const notification = await Notification.findOneAndUpdate(
+        { _id: id, status: { $in: ["draft", "scheduled"] } },
+        { $set: { status: "scheduled", send_at: now } },
+        { new: true }
+      );
+
+      if (!notification) {
+        const exists = await Notification.exists({ _id: id });
+        return {
+          success: false,
+          message: exists
+            ? "Only draft or scheduled notifications can be sent"
+            : "Notification not found",
+          statusCode: exists ? 400 : 404,
+        };
+      }
+
+      this.triggerDispatch(notification._id);
+
+      return {
+        success: true,
+        data: notification,
+        message: "Notification queued for immediate delivery",
+      };
+    } catch (error) {
+      console.error("Send notification error:", error);
+      throw new Error(error.message || "Failed to send notification");
+    }
+  }
+
+  /**
+   * Cancel a notification
+   * Sent notifications are withdrawn from inboxes by deactivating them
+   */
+  static async cancelNotification(id) {
+    try {
+      const notification = await Notification.findById(id);
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      if (notification.status === "cancelled") {
+        return {
+          success: false,
+          message: "Notification is already cancelled",
+          statusCode: 400,
+        };
+      }
+
+      notification.status = "cancelled";
+      notification.is_active = false;
+      await notification.save();
+
+      publish(EVENTS.NOTIFICATION_CANCELLED, {
+        notification_id: notification._id,
+        audience: notification.audience,
+      });
+
+      // Stop any outstanding channel deliveries
+      await NotificationDelivery.updateMany(
+        { notification: notification._id, status: { $in: ["pending", "retrying"] } },
+        { $set: { status: "failed", next_attempt_at: null, last_error: "Notification cancelled" } }
+      );
+
+      return {
+        success: true,
+        data: notification,
+        message: "Notification cancelled successfully",
+      };
+    } catch (error) {
+      console.error("Cancel notification error:", error);
+      throw new Error(error.message || "Failed to cancel notification");
+    }
+  }
+
+  /**
+   * Get per-recipient delivery outcomes of a notification (admin)
+   */
+  static async getNotificationDeliveries(id, filters = {}, pagination = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return {
+          success: false,
+          message: "Invalid notification ID",
+          statusCode: 400,
+        };
+      }
+
+      const notification = await Notification.findById(id).select("dispatch status");
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      const result = await NotificationDispatchService.getDeliveries(
+        notification._id,
+        filters,
+        pagination
+      );
+
+      return {
+        success: true,
+        data: {
+          status: notification.status,
+          dispatch: notification.dispatch,
+          ...result.data,
+        },
+      };
+    } catch (error) {
+      console.error("Get notification deliveries error:", error);
+      throw new Error(error.message || "Failed to fetch notification deliveries");
+    }
+  }
+
+  /**
+   * Get the current user's inbox feed
+   */
+  static async getInbox(user, filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = 20 } = pagination;
+      const { type, priority, unread_only } = filters;
+
+      const query = this.buildInboxQuery(user);
+
+      if (type) query.type = type;
+      if (priority) query.priority = priority;
+      if (unread_only === "true" || unread_only === true) {
+        Object.assign(query, this.buildUnreadClause(user._id));
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [notifications, total, unread] = await Promise.all([
+        Notification.find(query)
+          .select({
+            title: 1,
+            message: 1,
+            type: 1,
+            priority: 1,
+            channels: 1,
+            send_at: 1,
+            sent_at: 1,
+            expires_at: 1,
+            action_text: 1,
+            action_url: 1,
+            data: 1,
+            created_at: 1,
+            acknowledgements: { $elemMatch: { user_id: user._id } },
+          })
+          .sort({ send_at: -1, created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(query),
+        Notification.countDocuments({
+          ...this.buildInboxQuery(user),
+          ...this.buildUnreadClause(user._id),
+        }),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          notifications: notifications.map((n) => this.toInboxItem(n, user._id)),
+          unread_count: unread,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get inbox error:", error);
+      throw new Error(error.message || "Failed to fetch inbox");
+    }
+  }
+
+  /**
+   * Get unread counts for the current user (total and by type)
+   */
+  static async getUnreadCount(user) {
+    try {
+      const query = {
+        ...this.buildInboxQuery(user),
+        ...this.buildUnreadClause(user._id),
+      };
+
+      const byType = await Notification.aggregate([
+        { $match: query },
+        { $group: { _id: "$type", count: { $sum: 1 } } },
+      ]);
+
+      const types = {};
+      let total = 0;
+      byType.forEach((item) => {
+        types[item._id] = item.count;
+        total += item.count;
+      });
+
+      return {
+        success: true,
+        data: {
+          unread_count: total,
+          by_type: types,
+        },
+      };
+    } catch (error) {
+      console.error("Get unread count error:", error);
+      throw new Error(error.message || "Failed to fetch unread count");
+    }
+  }
+
+  /**
+   * Write (or update) the acknowledgement of a user on one notification
+   */
+  static async acknowledge(id, user, fields) {
+    const baseQuery = { _id: id, ...this.buildInboxQuery(user) };
+
+    const exists = await Notification.exists(baseQuery);
+    if (!exists) {
+      return null;
+    }
+
+    const setFields = {};
+    Object.keys(fields).forEach((key) => {
+      setFields[`acknowledgements.$.${key}`] = fields[key];
+    });
+
+    // Existing acknowledgement for this user
+    const updated = await Notification.findOneAndUpdate(
+      { _id: id, "acknowledgements.user_id": user._id },
+      { $set: setFields },
+      { new: true }
+    );
+
+    if (updated) {
+      return updated;
+    }
+
+    // First interaction: push a new acknowledgement
+    return Notification.findOneAndUpdate(
+      { _id: id, "acknowledgements.user_id": { $ne: user._id } },
+      {
+        $push: {
+          acknowledgements: {
+            user_id: user._id,
+            read_at: null,
+            acted_at: null,
+            action: null,
+            ...fields,
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark a notification as read for the current user
+   */
+  static async markAsRead(id, user) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return {
+          success: false,
+          message: "Invalid notification ID",
+          statusCode: 400,
+        };
+      }
+
+      // Keep the original read time if already read
+      const alreadyRead = await Notification.exists({
+        _id: id,
+        acknowledgements: {
+          $elemMatch: { user_id: user._id, read_at: { $ne: null } },
+        },
+      });
+
+      const notification = alreadyRead
+        ? await Notification.findById(id)
+        : await this.acknowledge(id, user, { read_at: new Date() });
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: this.toInboxItem(notification, user._id),
+        message: "Notification marked as read",
+      };
+    } catch (error) {
+      console.error("Mark as read error:", error);
+      throw new Error(error.message || "Failed to mark notification as read");
+    }
+  }
+
+  /**
+   * Mark a notification as acted upon (e.g. CTA clicked)
+   * Acting on a notification also marks it read
+   */
+  static async markAsActed(id, user, action = null) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return {
+          success: false,
+          message: "Invalid notification ID",
+          statusCode: 400,
+        };
+      }
+
+      const now = new Date();
+      const existing = await Notification.findOne(
+        { _id: id, "acknowledgements.user_id": user._id },
+        { acknowledgements: { $elemMatch: { user_id: user._id } } }
+      );
+      const previous = existing ? existing.acknowledgements[0] : null;
+
+      const notification = await this.acknowledge(id, user, {
+        read_at: (previous && previous.read_at) || now,
+        acted_at: now,
+        action: action || (previous && previous.action) || null,
+      });
+
+      if (!notification) {
+        return {
+          success: false,
+          message: "Notification not found",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: this.toInboxItem(notification, user._id),
+        message: "Notification marked as acted",
+      };
+    } catch (error) {
+      console.error("Mark as acted error:", error);
+      throw new Error(error.message || "Failed to mark notification as acted");
+    }
+  }
+
+  /**
+   * Mark every unread notification in the user's inbox as read
+   */
+  static async markAllAsRead(user) {
+    try {
+      const now = new Date();
+      const inboxQuery = this.buildInboxQuery(user);
+
+      // Users who already have an acknowledgement without read_at
+      const updatedExisting = await Notification.updateMany(
+        {
+          ...inboxQuery,
+          acknowledgements: { $elemMatch: { user_id: user._id, read_at: null } },
+        },
+        { $set: { "acknowledgements.$.read_at": now } }
+      );
+
+      // Users who never interacted with the notification
+      const updatedNew = await Notification.updateMany(
+        {
+          ...inboxQuery,
+          "acknowledgements.user_id": { $ne: user._id },
+        },
+        {
+          $push: {
+            acknowledgements: {
+              user_id: user._id,
+              read_at: now,
+              acted_at: null,
+              action: null,
+            },
+          },
+        }
+      );
+
+      const updated =
+        (updatedExisting.modifiedCount || 0) + (updatedNew.modifiedCount || 0);
+
+      return {
+        success: true,
+        data: { updated },
+        message: `${updated} notification(s) marked as read`,
+      };
+    } catch (error) {
+      console.error("Mark all as read error:", error);
+      throw new Error(error.message || "Failed to mark notifications as read");
+    }
+  }
+
+  /**
+   * Get notification statistics (admin)
+   */
+  static async getNotificationStats() {
+    try {
+      const stats = await Notification.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            draft: { $sum: { $cond: [{ $eq: ["$status", "draft"] }, 1, 0] } },
+            scheduled: { $sum: { $cond: [{ $eq: ["$status", "scheduled"] }, 1, 0] } },
+            sent: { $sum: { $cond: [{ $eq: ["$status", "sent"] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+            acknowledgements: { $sum: { $size: "$acknowledgements" } },
+          },
+        },
+      ]);
+
+      const byType = await Notification.aggregate([
+        { $group: { _id: "$type", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]);
+
+      const result = stats[0] || {
+        total: 0,
+        draft: 0,
+        scheduled: 0,
+        sent: 0,
+        cancelled: 0,
+        acknowledgements: 0,
+      };
+      delete result._id;
+
+      return {
+        success: true,
+        data: {
+          ...result,
+          by_type: byType.map((item) => ({ type: item._id, count: item.count })),
+        },
+      };
+    } catch (error) {
+      console.error("Get notification stats error:", error);
+      throw new Error(error.message || "Failed to fetch notification statistics");
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,222 @@
+const Payment = require("../models/payment.model");
+const Loan = require("../models/loan.model");
+const LedgerEntry = require("../models/ledger-entry.model");
+const LoanAccrualService = require("./loan_accrual_service");
+const LedgerEntryService = require("./ledger_entry_service");
+
+const COMPONENTS = ["penalty", "storage", "interest", "principal"];
+
+// Allocations left unposted this long are picked up by the retry job
+const LEDGER_RETRY_AFTER_MS = parseInt(process.env.PAYMENT_LEDGER_RETRY_AFTER_MS) || 5 * 60 * 1000;
+
+const LEDGER_BATCH_SIZE = parseInt(process.env.PAYMENT_LEDGER_BATCH_SIZE) || 100;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class PaymentAllocationService {
+  /**
+   * Order payments are applied in. PAYMENT_ALLOCATION_ORDER lists the
+   * components comma-separated; any left out follow in the default order
+   * (penalty, storage, interest, principal).
+   */
+  getAllocationOrder() {
+    const configured = String(process.env.PAYMENT_ALLOCATION_ORDER || "")
+      .split(",")
+      .map((part) => part.trim().toLowerCase())
+      .filter((part) => COMPONENTS.includes(part));
+
+    return [...new Set([...configured, ...COMPONENTS])];
+  }
+
+  /**
+   * Split an amount over what the loan owes, in allocation order
+   */
+  split(amount, due) {
+    let remaining = round2(amount);
+    const allocation = {};
+
+    for (const part of this.getAllocationOrder()) {
+      const applied = round2(Math.min(remaining, Math.max(0, due[part] || 0)));
+      allocation[part] = applied;
+      remaining = round2(remaining - applied);
+    }
+
+    allocation.unallocated = remaining;
+    return allocation;
+  }
+
+  /**
+   * Allocate a captured payment into penalty, storage, interest and
+   * principal, settle the charges it covers against the accruals, reduce
+   * the loan balance by the principal portion and post it to the ledger.
+   * A payment is only ever applied once; returns null when it already was.
+   */
+  async allocatePayment(paymentId, userId) {
+    // Claim the payment so repeated status checks or webhooks do not reapply it
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, payment_status: "paid", allocated_at: null },
+      {
+        $set: {
+          allocated_at: new Date(),
+          penalty_component: 0,
+          storage_component: 0,
+          interest_component: 0,
+          principal_component: 0,
+        },
+      },
+      { new: true }
+    );
+    if (!payment) return null;
+
+    let loan;
+    let allocation;
+    let previousBalance;
+    try {
+      loan = await Loan.findById(payment.loan);
+      if (!loan) {
+        throw {
+          status: 404,
+          message: `Loan with ID ${payment.loan} not found`,
+        };
+      }
+
+      // Charge every whole day up to the payment before splitting it
+      await LoanAccrualService.accrueLoan(loan);
+      const charges = await LoanAccrualService.getAccruedCharges(loan._id);
+
+      allocation = this.split(payment.amount, {
+        penalty: charges.penalty.outstanding,
+        storage: charges.storage.outstanding,
+        interest: charges.interest.outstanding,
+        principal: loan.current_balance,
+      });
+
+      const settledEntryIds = {};
+      for (const kind of ["penalty", "storage", "interest"]) {
+        if (!(allocation[kind] > 0)) continue;
+        settledEntryIds[kind] = await LoanAccrualService.settleAccruals(
+          loan._id,
+          kind,
+          allocation[kind],
+          { payment: payment._id }
+        );
+      }
+
+      payment.penalty_component = allocation.penalty;
+      payment.storage_component = allocation.storage;
+      payment.interest_component = allocation.interest;
+      payment.principal_component = allocation.principal;
+      payment.unallocated_amount = allocation.unallocated;
+      payment.meta = { ...payment.meta, settled_income_entry_ids: settledEntryIds };
+      payment.markModified("meta");
+      await payment.save();
+
+      // Only the principal portion reduces the balance
+      previousBalance = loan.current_balance;
+      loan.current_balance = round2(previousBalance - allocation.principal);
+      await loan.save();
+    } catch (error) {
+      // Undo the settlements and release the claim so the payment can be allocated again
+      await LoanAccrualService.unsettleAccruals({ payment: payment._id });
+      await Payment.updateOne({ _id: payment._id }, { $set: { allocated_at: null } });
+      throw error;
+    }
+
+    // The loan is already updated, so a failed posting is left pending for
+    // postPendingPayments to retry rather than undoing the payment
+    try {
+      await this.postToLedger(payment, loan, userId);
+    } catch (error) {
+      console.error(`Ledger posting for payment ${payment.receipt_no} failed:`, error.message);
+    }
+
+    return {
+      payment,
+      loan,
+      allocation,
+      previous_balance: previousBalance,
+      new_balance: loan.current_balance,
+    };
+  }
+
+  /**
+   * Post allocated payments whose ledger posting failed or never ran
+   */
+  async postPendingPayments(now = new Date()) {
+    let posted = 0;
+
+    const payments = await Payment.find({
+      payment_status: "paid",
+      allocated_at: { $ne: null, $lt: new Date(now.getTime() - LEDGER_RETRY_AFTER_MS) },
+      ledger_posted_at: null,
+      "meta.ledger_processed": { $ne: true },
+    })
+      .sort({ allocated_at: 1 })
+      .limit(LEDGER_BATCH_SIZE);
+
+    for (const payment of payments) {
+      try {
+        const loan = await Loan.findById(payment.loan);
+        if (!loan) continue;
+
+        await this.postToLedger(payment, loan, payment.received_by);
+        posted += 1;
+      } catch (error) {
+        console.error(`Ledger posting for payment ${payment.receipt_no} failed:`, error.message);
+      }
+    }
+
+    return posted;
+  }
+
+  /**
+   * Post the payment side of the allocation. Interest, storage and penalty
+   * income is booked from the accruals, which the payment has already
+   * settled, so only the principal is posted, as a repayment. Safe to run
+   * again for the same payment.
+   */
+  async postToLedger(payment, loan, userId) {
+    const entryIds = [];
+
+    // Charges the payment settled must already be booked as income
+    await LoanAccrualService.postToLedger(loan);
+
+    const existing = await LedgerEntry.findOne({
+      "refs.payment_id": payment._id,
+      category: "loan_principal_repayment",
+    }).select("_id");
+
+    if (existing) {
+      entryIds.push(existing._id);
+    } else if (payment.principal_component > 0) {
+      const result = await LedgerEntryService.createLedgerEntry(
+        {
+          entry_date: payment.paid_at || new Date(),
+          category: "loan_principal_repayment",
+          amount: payment.principal_component,
+          currency: ["USD", "ZWG"].includes(loan.currency) ? loan.currency : "USD",
+          refs: {
+            loan_id: loan._id,
+            payment_id: payment._id,
+            asset_id: loan.asset,
+          },
+          memo: `Principal repayment for loan ${loan.loan_no} (receipt ${payment.receipt_no})`,
+        },
+        userId
+      );
+      entryIds.push(result.data._id);
+    }
+
+    payment.meta = {
+      ...payment.meta,
+      ledger_entry_ids: entryIds,
+      ledger_processed: true,
+      ledger_processed_at: new Date(),
+    };
+    payment.markModified("meta");
+    payment.ledger_posted_at = new Date();
+    await payment.save();
+  }
+}
+
+module.exports = new PaymentAllocationService();
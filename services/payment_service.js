@@ -1,7 +1,9 @@
 const Payment = require("../models/payment.model");
 const Loan = require("../models/loan.model");
 const User = require("../models/user.model");
+const PaymentAllocationService = require("./payment_allocation_service");
 const emailService = require("../utils/emails_util");
+const { EVENTS, publish } = require("../utils/event_bus");
 const { Paynow } = require("paynow");
 require("dotenv").config();
 
@@ -152,7 +154,7 @@ class PaymentService {
 
       // If payment is successful, update loan balance
       if (paymentData.payment_status === "paid" && paymentData.amount > 0) {
-        await this.updateLoanBalance(payment);
+        await this.updateLoanBalance(payment, userId);
       }
 
       return {
@@ -553,7 +555,7 @@ class PaymentService {
         updateData.payment_status === "paid" &&
         payment.payment_status !== "paid"
       ) {
-        await this.updateLoanBalance(updatedPayment);
+        await this.updateLoanBalance(updatedPayment, userId);
 
         // Send email notification
         await this.sendPaymentConfirmationEmail(updatedPayment);
@@ -631,10 +633,13 @@ class PaymentService {
 
       await payment.save();
 
-      // Update loan balance if paid
+      // Update loan balance if paid; repeated checks find it already applied
       if (newStatus === "paid") {
-        await this.updateLoanBalance(payment);
-        await this.sendPaymentConfirmationEmail(payment);
+        if (await this.updateLoanBalance(payment)) {
+          await this.sendPaymentConfirmationEmail(payment);
+        }
+      } else if (newStatus === "failed" || newStatus === "cancelled") {
+        await this.publishPaymentFailed(payment);
       }
 
       return {
@@ -720,8 +725,11 @@ class PaymentService {
 
         // Update loan balance if paid
         if (newStatus === "paid") {
-          await this.updateLoanBalance(payment);
-          await this.sendPaymentConfirmationEmail(payment);
+          if (await this.updateLoanBalance(payment)) {
+            await this.sendPaymentConfirmationEmail(payment);
+          }
+        } else if (newStatus === "failed" || newStatus === "cancelled") {
+          await this.publishPaymentFailed(payment);
         }
 
         return {
@@ -938,22 +946,38 @@ class PaymentService {
   }
 
   /**
-   * Update loan balance after payment
+   * Update loan balance after payment.
+   * The payment is split by the allocation waterfall and only its principal
+   * component reduces the balance. Returns null when the payment was
+   * already applied.
    */
-  async updateLoanBalance(payment) {
+  async updateLoanBalance(payment, userId) {
     try {
-      if (!payment.loan) return;
+      if (!payment.loan) return null;
 
-      const loan = await Loan.findById(payment.loan);
-      if (!loan) return;
+      const result = await PaymentAllocationService.allocatePayment(
+        payment._id,
+        userId || payment.received_by
+      );
+      if (!result) return null;
 
-      // Calculate new balance
-      const newBalance = Math.max(0, loan.current_balance - payment.amount);
-      loan.current_balance = newBalance;
+      const { loan, allocation } = result;
+      const previousStatus = loan.status;
+      const previousBalance = result.previous_balance;
+      const newBalance = result.new_balance;
+
+      // Copy the allocation onto the caller's document
+      payment.penalty_component = allocation.penalty;
+      payment.storage_component = allocation.storage;
+      payment.interest_component = allocation.interest;
+      payment.principal_component = allocation.principal;
+      payment.unallocated_amount = allocation.unallocated;
+      payment.allocated_at = result.payment.allocated_at;
 
       // Update loan status if fully paid
       if (newBalance === 0) {
         loan.status = "redeemed";
+        loan.grace_ends_at = undefined;
       }
 
       // Add payment record to loan meta
@@ -962,28 +986,83 @@ class PaymentService {
       loan.meta.payments.push({
         payment_id: payment._id,
         amount: payment.amount,
+        penalty: allocation.penalty,
+        storage: allocation.storage,
+        interest: allocation.interest,
+        principal: allocation.principal,
         date: payment.paid_at || new Date(),
         receipt_no: payment.receipt_no,
         poll_url: payment.poll_url,
       });
+      loan.markModified("meta");
 
       await loan.save();
 
-      // Update associated asset if exists
-      if (loan.asset) {
-        const Asset = require("../models/asset_model");
+      // Release the asset once paid off; a part payment leaves an overdue
+      // or in-grace loan (and its asset) where it is
+      if (loan.asset && newBalance === 0) {
+        const Asset = require("../models/asset.model");
         await Asset.findByIdAndUpdate(loan.asset, {
-          $set: {
-            status: newBalance === 0 ? "redeemed" : "pawned",
-          },
+          $set: { status: "redeemed" },
+        });
+      }
+
+      publish(EVENTS.LOAN_PAYMENT_RECEIVED, {
+        loan_id: loan._id,
+        loan_no: loan.loan_no,
+        customer_user: loan.customer_user,
+        payment_id: payment._id,
+        receipt_no: payment.receipt_no,
+        amount: payment.amount,
+        currency: payment.currency || loan.currency,
+        previous_balance: previousBalance,
+        new_balance: newBalance,
+      });
+
+      if (newBalance === 0 && previousStatus !== "redeemed") {
+        publish(EVENTS.LOAN_STATUS_CHANGED, {
+          loan_id: loan._id,
+          loan_no: loan.loan_no,
+          customer_user: loan.customer_user,
+          from: previousStatus,
+          to: "redeemed",
+          current_balance: 0,
+          currency: loan.currency,
         });
       }
+
+      return result;
     } catch (error) {
       console.error("Failed to update loan balance:", error);
       throw error;
     }
   }
 
+  /**
+   * Publish a failed/cancelled online payment so the customer is told
+   */
+  async publishPaymentFailed(payment) {
+    try {
+      const loan = await Loan.findById(payment.loan).select(
+        "loan_no customer_user currency"
+      );
+      if (!loan) return;
+
+      publish(EVENTS.LOAN_PAYMENT_FAILED, {
+        loan_id: loan._id,
+        loan_no: loan.loan_no,
+        customer_user: loan.customer_user,
+        payment_id: payment._id,
+        receipt_no: payment.receipt_no,
+        amount: payment.amount,
+        currency: payment.currency || loan.currency,
+        status: payment.payment_status,
+      });
+    } catch (error) {
+      console.error("Failed to publish payment failure:", error);
+    }
+  }
+
   /**
    * Send payment confirmation email
    */
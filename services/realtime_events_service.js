@@ -0,0 +1,130 @@
+const DashboardService = require("./dashboard_service");
+const { EVENTS, subscribe } = require("../utils/event_bus");
+const {
+  emitToUser,
+  emitToRoles,
+  emitToAll,
+  emitToRoom,
+  roomSize,
+  DASHBOARD_ROOM,
+} = require("../configs/socket_config");
+
+const DASHBOARD_DEBOUNCE_MS = 2000;
+const DASHBOARD_REFRESH_MS =
+  parseInt(process.env.DASHBOARD_REFRESH_INTERVAL_MS) || 60 * 1000;
+
+// Events that move a dashboard counter
+const DASHBOARD_EVENTS = [
+  EVENTS.LOAN_APPLICATION_SUBMITTED,
+  EVENTS.LOAN_APPLICATION_STATUS_CHANGED,
+  EVENTS.LOAN_CREATED,
+  EVENTS.LOAN_STATUS_CHANGED,
+  EVENTS.LOAN_PAYMENT_RECEIVED,
+  EVENTS.LOAN_PAYMENT_FAILED,
+  EVENTS.AUCTION_STATUS_CHANGED,
+  EVENTS.BID_PAYMENT_SUCCEEDED,
+  EVENTS.BID_PAYMENT_FAILED,
+  EVENTS.SUPPORT_TICKET_CREATED,
+  EVENTS.SUPPORT_TICKET_STATUS_CHANGED,
+];
+
+let dashboardTimer = null;
+
+/**
+ * Realtime Events Service
+ * Bridges domain events to Socket.IO rooms
+ */
+class RealtimeEventsService {
+  /**
+   * Emit a payload to the rooms matching a notification audience
+   */
+  static emitToAudience(audience = {}, event, payload) {
+    if (audience.scope === "user") {
+      emitToUser(audience.user_id, event, payload);
+    } else if (audience.scope === "roles") {
+      emitToRoles(audience.roles, event, payload);
+    } else {
+      emitToAll(event, payload);
+    }
+  }
+
+  /**
+   * Push a freshly sent in-app notification to its audience
+   */
+  static onNotificationSent(event) {
+    if (!(event.channels || []).includes("in_app")) return;
+
+    this.emitToAudience(event.audience, "notification:new", {
+      _id: event.notification_id,
+      title: event.title,
+      message: event.message,
+      type: event.type,
+      priority: event.priority,
+      action_text: event.action_text,
+      action_url: event.action_url,
+      data: event.data,
+      send_at: event.send_at,
+      sent_at: event.sent_at,
+      expires_at: event.expires_at,
+      is_read: false,
+    });
+  }
+
+  /**
+   * Tell clients to drop a cancelled notification from their inbox
+   */
+  static onNotificationCancelled(event) {
+    this.emitToAudience(event.audience, "notification:withdrawn", {
+      _id: event.notification_id,
+    });
+  }
+
+  /**
+   * Recompute counters and push them to subscribed dashboards
+   */
+  static async pushDashboardCounters() {
+    if (roomSize(DASHBOARD_ROOM) === 0) return;
+
+    const result = await DashboardService.getCounters();
+    emitToRoom(DASHBOARD_ROOM, "dashboard:counters", result.data);
+  }
+
+  /**
+   * Debounce counter refreshes so bursts of events cause one query round
+   */
+  static scheduleDashboardRefresh() {
+    if (dashboardTimer) return;
+
+    dashboardTimer = setTimeout(() => {
+      dashboardTimer = null;
+      this.pushDashboardCounters().catch((error) => {
+        console.error("Dashboard push error:", error);
+      });
+    }, DASHBOARD_DEBOUNCE_MS);
+  }
+
+  /**
+   * Register all event subscriptions
+   */
+  static register() {
+    subscribe(EVENTS.NOTIFICATION_SENT, (payload) =>
+      this.onNotificationSent(payload)
+    );
+    subscribe(EVENTS.NOTIFICATION_CANCELLED, (payload) =>
+      this.onNotificationCancelled(payload)
+    );
+
+    DASHBOARD_EVENTS.forEach((event) => {
+      subscribe(event, () => this.scheduleDashboardRefresh());
+    });
+
+    // Periodic refresh catches changes that do not publish events
+    const interval = setInterval(
+      () => this.scheduleDashboardRefresh(),
+      DASHBOARD_REFRESH_MS
+    );
+    if (interval.unref) interval.unref();
+  }
+}
+
+module.exports = RealtimeEventsService;
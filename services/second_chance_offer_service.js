@@ -0,0 +1,369 @@
+const SecondChanceOffer = require("../models/secondChanceOffer.model");
+const Auction = require("../models/auction.model");
+const Asset = require("../models/asset.model");
+const Bid = require("../models/bid.model");
+const AuctionService = require("./auction_service");
+const mongoose = require("mongoose");
+const { EVENTS, publish } = require("../utils/event_bus");
+
+const DEFAULT_OFFER_HOURS =
+  parseInt(process.env.SECOND_CHANCE_OFFER_HOURS) || 48;
+
+/**
+ * Second Chance Offer Service
+ * Lets staff sell an unsold lot to one of its top bidders at a
+ * negotiated price after the auction has closed
+ */
+class SecondChanceOfferService {
+  /**
+   * Mark pending offers past their expiry as expired
+   */
+  static async expireOffers(filter = {}) {
+    await SecondChanceOffer.updateMany(
+      { ...filter, status: "pending", expires_at: { $lte: new Date() } },
+      { $set: { status: "expired" } }
+    );
+  }
+
+  /**
+   * Best bid per bidder on an auction, highest first
+   */
+  static async getTopBidders(auctionId) {
+    return Bid.aggregate([
+      { $match: { auction: new mongoose.Types.ObjectId(String(auctionId)) } },
+      { $sort: { amount: -1, placed_at: 1 } },
+      {
+        $group: {
+          _id: "$bidder_user",
+          bid: { $first: "$_id" },
+          amount: { $first: "$amount" },
+          placed_at: { $first: "$placed_at" },
+        },
+      },
+      { $sort: { amount: -1, placed_at: 1 } },
+    ]);
+  }
+
+  /**
+   * Send offers to the top bidders (or the listed bidders) of an unsold auction
+   */
+  static async createOffers(auctionId, offerData, user) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(auctionId)) {
+        return {
+          success: false,
+          message: "Invalid auction ID",
+          statusCode: 400,
+        };
+      }
+
+      const auction = await Auction.findById(auctionId);
+
+      if (!auction) {
+        return {
+          success: false,
+          message: "Auction not found",
+          statusCode: 404,
+        };
+      }
+
+      if (auction.status !== "closed" || auction.winner_user) {
+        return {
+          success: false,
+          message: "Offers can only be sent for closed auctions without a winner",
+          statusCode: 400,
+        };
+      }
+
+      if (auction.relisted_as) {
+        return {
+          success: false,
+          message: "Auction has been re-listed",
+          statusCode: 400,
+        };
+      }
+
+      const amount = Number(offerData.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return {
+          success: false,
+          message: "A positive offer amount is required",
+          statusCode: 400,
+        };
+      }
+
+      const topBidders = await this.getTopBidders(auctionId);
+
+      let recipients;
+      if (Array.isArray(offerData.bidder_users) && offerData.bidder_users.length > 0) {
+        const wanted = offerData.bidder_users.map(String);
+        recipients = topBidders.filter((entry) => wanted.includes(String(entry._id)));
+
+        if (recipients.length !== wanted.length) {
+          return {
+            success: false,
+            message: "Offers can only be sent to users who bid on this auction",
+            statusCode: 400,
+          };
+        }
+      } else {
+        recipients = topBidders.slice(0, parseInt(offerData.top_n) || 1);
+      }
+
+      if (recipients.length === 0) {
+        return {
+          success: false,
+          message: "Auction has no bidders to make an offer to",
+          statusCode: 400,
+        };
+      }
+
+      const hours = Number(offerData.expires_in_hours) || DEFAULT_OFFER_HOURS;
+      const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+      const recipientIds = recipients.map((entry) => entry._id);
+
+      // A new offer replaces any open one for the same bidder
+      await SecondChanceOffer.updateMany(
+        { auction: auctionId, offered_user: { $in: recipientIds }, status: "pending" },
+        { $set: { status: "withdrawn", responded_at: new Date() } }
+      );
+
+      const offers = await SecondChanceOffer.insertMany(
+        recipients.map((entry) => ({
+          auction: auctionId,
+          bid: entry.bid,
+          offered_user: entry._id,
+          amount,
+          expires_at: expiresAt,
+          offered_by: user?._id,
+          notes: offerData.notes,
+        }))
+      );
+
+      offers.forEach((offer) => {
+        publish(EVENTS.SECOND_CHANCE_OFFER_SENT, {
+          offer_id: offer._id,
+          auction_id: auction._id,
+          auction_no: auction.auction_no,
+          offered_user: offer.offered_user,
+          amount: offer.amount,
+          currency: offer.currency,
+          expires_at: offer.expires_at,
+        });
+      });
+
+      return {
+        success: true,
+        data: offers,
+        message: `${offers.length} second-chance offer(s) sent`,
+      };
+    } catch (error) {
+      console.error("Create second-chance offers error:", error);
+      throw new Error(error.message || "Failed to send second-chance offers");
+    }
+  }
+
+  /**
+   * List offers made on an auction (staff)
+   */
+  static async getAuctionOffers(auctionId) {
+    try {
+      await this.expireOffers({ auction: auctionId });
+
+      const offers = await SecondChanceOffer.find({ auction: auctionId })
+        .populate("offered_user", "name email phone")
+        .populate("offered_by", "name email")
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: offers,
+      };
+    } catch (error) {
+      console.error("Get auction offers error:", error);
+      throw new Error(error.message || "Failed to fetch second-chance offers");
+    }
+  }
+
+  /**
+   * List offers made to the current user
+   */
+  static async getMyOffers(user, filters = {}) {
+    try {
+      await this.expireOffers({ offered_user: user._id });
+
+      const query = { offered_user: user._id };
+      if (filters.status) query.status = filters.status;
+
+      const offers = await SecondChanceOffer.find(query)
+        .populate("auction", "auction_no asset status ends_at")
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: offers,
+      };
+    } catch (error) {
+      console.error("Get my offers error:", error);
+      throw new Error(error.message || "Failed to fetch second-chance offers");
+    }
+  }
+
+  /**
+   * Accept an offer: the bidder becomes the winner at the offer amount
+   */
+  static async acceptOffer(offerId, user) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(offerId)) {
+        return {
+          success: false,
+          message: "Invalid offer ID",
+          statusCode: 400,
+        };
+      }
+
+      const now = new Date();
+
+      // Claim the offer first so a double submit cannot accept it twice
+      const offer = await SecondChanceOffer.findOneAndUpdate(
+        {
+          _id: offerId,
+          offered_user: user._id,
+          status: "pending",
+          expires_at: { $gt: now },
+        },
+        { $set: { status: "accepted", responded_at: now } },
+        { new: true }
+      );
+
+      if (!offer) {
+        await this.expireOffers({ _id: offerId });
+        return {
+          success: false,
+          message: "Offer not found, expired or already answered",
+          statusCode: 404,
+        };
+      }
+
+      const lot = await Auction.findById(offer.auction).select("payment_window_hours");
+
+      // Only one offer per auction can win
+      const auction = await Auction.findOneAndUpdate(
+        { _id: offer.auction, status: "closed", winner_user: null, relisted_as: null },
+        {
+          $set: {
+            outcome: "sold",
+            winner_user: user._id,
+            winning_bid_amount: offer.amount,
+            payment_due_at: AuctionService.getPaymentDueAt(lot || {}, now),
+            payment_reminder_sent_at: null,
+            "meta.second_chance_offer": offer._id,
+          },
+        },
+        { new: true }
+      );
+
+      if (!auction) {
+        offer.status = "withdrawn";
+        await offer.save();
+
+        return {
+          success: false,
+          message: "This lot is no longer available",
+          statusCode: 409,
+        };
+      }
+
+      // The accepted price is settled through the normal bid payment flow
+      const bid = new Bid({
+        auction: auction._id,
+        bidder_user: user._id,
+        amount: offer.amount,
+        currency: offer.currency,
+        placed_at: now,
+        payment_status: "pending",
+        meta: { second_chance_offer: offer._id },
+      });
+      await bid.save();
+
+      offer.resulting_bid = bid._id;
+      await offer.save();
+
+      await SecondChanceOffer.updateMany(
+        { auction: auction._id, status: "pending" },
+        { $set: { status: "withdrawn", responded_at: now } }
+      );
+
+      await Asset.findByIdAndUpdate(auction.asset, { status: "sold" });
+
+      publish(EVENTS.SECOND_CHANCE_OFFER_ACCEPTED, {
+        offer_id: offer._id,
+        auction_id: auction._id,
+        auction_no: auction.auction_no,
+        asset_id: auction.asset,
+        bid_id: bid._id,
+        winner_user: user._id,
+        winning_bid_amount: offer.amount,
+        currency: offer.currency,
+        payment_due_at: auction.payment_due_at,
+      });
+
+      return {
+        success: true,
+        data: { offer, bid },
+        message: "Offer accepted. Please complete payment for your purchase",
+      };
+    } catch (error) {
+      console.error("Accept offer error:", error);
+      throw new Error(error.message || "Failed to accept offer");
+    }
+  }
+
+  /**
+   * Decline an offer (bidder) or withdraw it (staff)
+   */
+  static async closeOffer(offerId, status, filter = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(offerId)) {
+        return {
+          success: false,
+          message: "Invalid offer ID",
+          statusCode: 400,
+        };
+      }
+
+      const offer = await SecondChanceOffer.findOneAndUpdate(
+        { ...filter, _id: offerId, status: "pending" },
+        { $set: { status, responded_at: new Date() } },
+        { new: true }
+      );
+
+      if (!offer) {
+        return {
+          success: false,
+          message: "Offer not found or already answered",
+          statusCode: 404,
+        };
+      }
+
+      return {
+        success: true,
+        data: offer,
+        message: status === "declined" ? "Offer declined" : "Offer withdrawn",
+      };
+    } catch (error) {
+      console.error("Close offer error:", error);
+      throw new Error(error.message || "Failed to update offer");
+    }
+  }
+
+  static async declineOffer(offerId, user) {
+    return this.closeOffer(offerId, "declined", { offered_user: user._id });
+  }
+
+  static async withdrawOffer(offerId) {
+    return this.closeOffer(offerId, "withdrawn");
+  }
+}
+
+module.exports = SecondChanceOfferService;
@@ -1,6 +1,7 @@
 const SupportTicket = require("../models/supportTicket.model");
 const User = require("../models/user.model");
 const mongoose = require("mongoose");
+const { EVENTS, publish } = require("../utils/event_bus");
 (async () => {
   ({ v4: uuidv4 } = await import("uuid"));
 })();
@@ -35,6 +36,15 @@ class SupportTicketService {
       });
 
       await ticket.save();
+
+      publish(EVENTS.SUPPORT_TICKET_CREATED, {
+        ticket_id: ticket._id,
+        ticket_no: ticket.ticket_no,
+        customer_user: ticket.customer_user,
+        priority: ticket.priority,
+        category: ticket.category
+      });
+
       await ticket.populate("created_by_user", "name email phone");
       await ticket.populate("customer_user", "name email phone");
       await ticket.populate("assigned_to", "name email");
@@ -297,9 +307,19 @@ class SupportTicketService {
       }
 
       // Update status
+      const previousStatus = ticket.status;
       ticket.status = status;
       await ticket.save();
 
+      publish(EVENTS.SUPPORT_TICKET_STATUS_CHANGED, {
+        ticket_id: ticket._id,
+        ticket_no: ticket.ticket_no,
+        customer_user: ticket.customer_user,
+        assigned_to: ticket.assigned_to,
+        from: previousStatus,
+        to: status
+      });
+
       return {
         success: true,
         data: ticket,
@@ -337,10 +357,20 @@ class SupportTicketService {
       }
 
       // Update assignment
+      const previousStatus = ticket.status;
       ticket.assigned_to = assigneeId;
       ticket.status = "in_progress"; // Auto move to in progress when assigned
       await ticket.save();
 
+      publish(EVENTS.SUPPORT_TICKET_STATUS_CHANGED, {
+        ticket_id: ticket._id,
+        ticket_no: ticket.ticket_no,
+        customer_user: ticket.customer_user,
+        assigned_to: ticket.assigned_to,
+        from: previousStatus,
+        to: ticket.status
+      });
+
       await ticket.populate("assigned_to", "name email role");
 
       return {
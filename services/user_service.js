@@ -1,4 +1,5 @@
 // services/user_service.js
+const mongoose = require("mongoose");
 const User = require("../models/user.model");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
@@ -470,8 +471,14 @@ class UserService {
       throw { status: 404, message: "User not found" };
     }
 
+    // Review fields are set by staff only
+    const { type, url, file_name, mime_type, notes } = documentData;
     const document = {
-      ...documentData,
+      type,
+      url,
+      file_name,
+      mime_type,
+      notes,
       uploaded_at: new Date(),
     };
 
@@ -498,6 +505,68 @@ class UserService {
     await user.save();
     return { message: "Document removed successfully" };
   }
+
+  /**
+   * Approve or reject a KYC document (staff only)
+   */
+  async reviewDocument(userId, documentId, reviewData, reviewedBy) {
+    const { status, review_notes } = reviewData;
+
+    if (!["approved", "rejected"].includes(status)) {
+      throw { status: 400, message: "Status must be approved or rejected" };
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw { status: 404, message: "User not found" };
+    }
+
+    const document = user.documents.id(documentId);
+
+    if (!document) {
+      throw { status: 404, message: "Document not found" };
+    }
+
+    document.status = status;
+    document.review_notes = review_notes;
+    document.reviewed_by = reviewedBy;
+    document.reviewed_at = new Date();
+
+    await user.save();
+    return document;
+  }
+
+  /**
+   * Documents uploaded before KYC review existed were stored without an id
+   * or a status. Treat them as approved (they were accepted at the time) and
+   * give them ids so staff can review them. Safe to run on every start.
+   */
+  async backfillDocumentReviews() {
+    const legacy = await User.collection
+      .find({
+        documents: {
+          $elemMatch: { $or: [{ status: { $exists: false } }, { _id: { $exists: false } }] },
+        },
+      })
+      .project({ documents: 1 })
+      .toArray();
+
+    for (const user of legacy) {
+      const documents = user.documents.map((doc) => ({
+        _id: doc._id || new mongoose.Types.ObjectId(),
+        ...doc,
+        status: doc.status || "approved",
+      }));
+
+      await User.collection.updateOne(
+        { _id: user._id, documents: user.documents },
+        { $set: { documents } }
+      );
+    }
+
+    return legacy.length;
+  }
 }
 
 module.exports = new UserService();
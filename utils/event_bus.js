@@ -0,0 +1,114 @@
+// utils/event_bus.js
+const EventEmitter = require("events");
+
+/**
+ * In-process domain event bus.
+ *
+ * Services publish facts about state changes ("loan status changed",
+ * "bid placed", ...) and subscribers react to them (notifications,
+ * realtime pushes, ...). Publishing never blocks or fails the caller:
+ * handlers run on the next tick and their errors are only logged.
+ */
+const EVENTS = {
+  // Loan applications
+  LOAN_APPLICATION_SUBMITTED: "loan_application.submitted",
+  LOAN_APPLICATION_STATUS_CHANGED: "loan_application.status_changed",
+
+  // Loans
+  LOAN_CREATED: "loan.created",
+  LOAN_STATUS_CHANGED: "loan.status_changed",
+
+  // Loan repayments
+  LOAN_PAYMENT_RECEIVED: "loan_payment.received",
+  LOAN_PAYMENT_FAILED: "loan_payment.failed",
+
+  // Auctions & bidding
+  AUCTION_CREATED: "auction.created",
+  AUCTION_STATUS_CHANGED: "auction.status_changed",
+  AUCTION_CLOSED: "auction.closed",
+  AUCTION_ENDING_SOON: "auction.ending_soon",
+  BID_PLACED: "bid.placed",
+  SECOND_CHANCE_OFFER_SENT: "second_chance_offer.sent",
+  SECOND_CHANCE_OFFER_ACCEPTED: "second_chance_offer.accepted",
+
+  // Auction payments
+  BID_PAYMENT_SUCCEEDED: "bid_payment.succeeded",
+  BID_PAYMENT_FAILED: "bid_payment.failed",
+  AUCTION_PAYMENT_REMINDER: "auction_payment.reminder",
+  AUCTION_PAYMENT_DEFAULTED: "auction_payment.defaulted",
+  AUCTION_WINNER_REASSIGNED: "auction.winner_reassigned",
+  AUCTION_SETTLED: "auction.settled",
+
+  // Buyer invoices & collection
+  BUYER_INVOICE_PAID: "buyer_invoice.paid",
+  BUYER_STORAGE_FEES_STARTED: "buyer_invoice.storage_fees_started",
+  BUYER_LOT_COLLECTED: "buyer_invoice.lot_collected",
+
+  // Auction registration
+  AUCTION_DEPOSIT_PAID: "auction_deposit.paid",
+  AUCTION_DEPOSIT_REFUND_PENDING: "auction_deposit.refund_pending",
+  AUCTION_DEPOSIT_REFUNDED: "auction_deposit.refunded",
+  AUCTION_DEPOSIT_FORFEITED: "auction_deposit.forfeited",
+
+  // Auction fraud review
+  AUCTION_FRAUD_FLAGGED: "auction_fraud.flagged",
+  AUCTION_FRAUD_REVIEWED: "auction_fraud.reviewed",
+
+  // Bid disputes
+  DISPUTE_OPENED: "dispute.opened",
+  DISPUTE_MESSAGE_ADDED: "dispute.message_added",
+  DISPUTE_ASSIGNED: "dispute.assigned",
+  DISPUTE_RESOLVED: "dispute.resolved",
+  DISPUTE_SLA_BREACHED: "dispute.sla_breached",
+
+  // Support tickets
+  SUPPORT_TICKET_CREATED: "support_ticket.created",
+  SUPPORT_TICKET_STATUS_CHANGED: "support_ticket.status_changed",
+
+  // Notifications
+  NOTIFICATION_SENT: "notification.sent",
+  NOTIFICATION_CANCELLED: "notification.cancelled",
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+/**
+ * Publish a domain event
+ * @param {string} event - one of EVENTS
+ * @param {Object} payload - plain data describing the change
+ */
+function publish(event, payload = {}) {
+  const listeners = emitter.listeners(event);
+  if (listeners.length === 0) return;
+
+  const envelope = { ...payload, event, occurred_at: new Date() };
+
+  setImmediate(() => {
+    listeners.forEach((listener) => listener(envelope));
+  });
+}
+
+/**
+ * Subscribe to a domain event
+ * Async handlers are awaited and their errors logged
+ */
+function subscribe(event, handler) {
+  const listener = async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Event handler error (${event}):`, error);
+    }
+  };
+
+  emitter.on(event, listener);
+
+  return () => emitter.off(event, listener);
+}
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,57 @@
+// utils/push_util.js
+const { writeToOutbox } = require("./sms_util");
+require("dotenv").config();
+
+/**
+ * Push channel adapter
+ *
+ * A real push service can be plugged in with registerPushProvider(fn)
+ * where fn({ userId, title, body, data }) resolves to a provider response.
+ * Without one, PUSH_DRIVER selects a local stand-in:
+ *  - "console" (default) logs the message
+ *  - "file" appends JSON lines to PUSH_OUTBOX_PATH
+ */
+let customProvider = null;
+
+function registerPushProvider(provider) {
+  if (provider !== null && typeof provider !== "function") {
+    throw new Error("Push provider must be a function");
+  }
+  customProvider = provider;
+}
+
+/**
+ * Send a push notification to a user's devices
+ */
+async function sendPush({ userId, title, body, data = {} }) {
+  if (!userId) {
+    throw new Error("Push recipient is required");
+  }
+
+  if (customProvider) {
+    return customProvider({ userId, title, body, data });
+  }
+
+  const driver = process.env.PUSH_DRIVER || "console";
+  const entry = {
+    user_id: String(userId),
+    title,
+    body,
+    data,
+    sent_at: new Date().toISOString(),
+  };
+
+  if (driver === "file") {
+    const filePath = process.env.PUSH_OUTBOX_PATH || "./storage/outbox/push.log";
+    writeToOutbox(filePath, entry);
+    return { driver, file: filePath };
+  }
+
+  console.log(`Push to user ${userId}: ${title}`);
+  return { driver: "console" };
+}
+
+module.exports = {
+  sendPush,
+  registerPushProvider,
+};
@@ -0,0 +1,166 @@
+// utils/scheduler_util.js
+const os = require("os");
+const mongoose = require("mongoose");
+const JobLock = require("../models/jobLock.model");
+
+/**
+ * Minimal interval scheduler for background jobs.
+ *
+ * Every run takes a lease in the job_locks collection first, so when
+ * several server instances are running only one of them executes a
+ * job at a time. A run that crashes simply lets its lease expire.
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+
+/**
+ * Try to take the lease for a job; resolves true when acquired
+ */
+async function acquireLock(name, leaseMs) {
+  const now = new Date();
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        name,
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+      },
+      {
+        $set: {
+          locked_until: new Date(now.getTime() + leaseMs),
+          locked_by: INSTANCE_ID,
+          last_started_at: now,
+        },
+        $inc: { run_count: 1 },
+      },
+      { new: true, upsert: true }
+    );
+
+    return Boolean(lock && lock.locked_by === INSTANCE_ID);
+  } catch (error) {
+    // Duplicate key means another instance holds the lease
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release the lease and record the outcome of the run
+ */
+async function releaseLock(name, errorMessage = null) {
+  await JobLock.updateOne(
+    { name, locked_by: INSTANCE_ID },
+    {
+      $set: {
+        locked_until: null,
+        locked_by: null,
+        last_finished_at: new Date(),
+        last_error: errorMessage,
+      },
+    }
+  );
+}
+
+/**
+ * Run a registered job once (if its lease can be taken)
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job || job.running) {
+    return false;
+  }
+
+  // Skip ticks while the database is not connected
+  if (mongoose.connection.readyState !== 1) {
+    return false;
+  }
+
+  job.running = true;
+  let acquired = false;
+
+  try {
+    acquired = await acquireLock(name, job.leaseMs);
+    if (!acquired) {
+      return false;
+    }
+
+    await job.handler();
+    await releaseLock(name);
+    return true;
+  } catch (error) {
+    console.error(`Job "${name}" error:`, error);
+    if (acquired) {
+      await releaseLock(name, error.message || String(error)).catch(() => {});
+    }
+    return false;
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Register a job
+ * @param {Object} options
+ * @param {string} options.name - unique job name (also the lock key)
+ * @param {number} options.intervalMs - how often the job runs
+ * @param {Function} options.handler - async function doing the work
+ * @param {number} [options.leaseMs] - lock lease, defaults to 5x interval
+ */
+function registerJob({ name, intervalMs, handler, leaseMs }) {
+  if (!name || typeof handler !== "function") {
+    throw new Error("Job name and handler are required");
+  }
+  if (!intervalMs || intervalMs <= 0) {
+    throw new Error(`Job "${name}" requires a positive interval`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    leaseMs: leaseMs || Math.max(intervalMs * 5, 60 * 1000),
+    timer: null,
+    running: false,
+  });
+}
+
+/**
+ * Start the interval timers of all registered jobs
+ */
+function startJobs() {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => {
+      runJob(job.name);
+    }, job.intervalMs);
+
+    // Do not keep the process alive only for background jobs
+    if (job.timer.unref) job.timer.unref();
+  });
+
+  console.log(`⏱️  Background jobs started: ${[...jobs.keys()].join(", ")}`);
+}
+
+/**
+ * Stop all job timers
+ */
+function stopJobs() {
+  jobs.forEach((job) => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+}
+
+module.exports = {
+  registerJob,
+  startJobs,
+  stopJobs,
+  runJob,
+  INSTANCE_ID,
+};
@@ -0,0 +1,58 @@
+// utils/sms_util.js
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * SMS channel adapter
+ *
+ * A real gateway can be plugged in with registerSmsProvider(fn) where
+ * fn({ to, message, meta }) resolves to a provider response.
+ * Without one, SMS_DRIVER selects a local stand-in:
+ *  - "console" (default) logs the message
+ *  - "file" appends JSON lines to SMS_OUTBOX_PATH
+ */
+let customProvider = null;
+
+function registerSmsProvider(provider) {
+  if (provider !== null && typeof provider !== "function") {
+    throw new Error("SMS provider must be a function");
+  }
+  customProvider = provider;
+}
+
+function writeToOutbox(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Send an SMS message
+ */
+async function sendSms({ to, message, meta = {} }) {
+  if (!to) {
+    throw new Error("SMS recipient phone number is required");
+  }
+
+  if (customProvider) {
+    return customProvider({ to, message, meta });
+  }
+
+  const driver = process.env.SMS_DRIVER || "console";
+  const entry = { to, message, meta, sent_at: new Date().toISOString() };
+
+  if (driver === "file") {
+    const filePath = process.env.SMS_OUTBOX_PATH || "./storage/outbox/sms.log";
+    writeToOutbox(filePath, entry);
+    return { driver, file: filePath };
+  }
+
+  console.log(`SMS to ${to}: ${message}`);
+  return { driver: "console" };
+}
+
+module.exports = {
+  sendSms,
+  registerSmsProvider,
+  writeToOutbox,
+};